@@ -105,6 +105,86 @@ export const baseStyles = [
       'target-arrow-color': '#FF9800',
     },
   },
+  {
+    selector: '.diff-renamed',
+    style: {
+      'border-color': '#AB47BC',
+      'border-width': 3,
+      'border-style': 'double',
+    },
+  },
+  {
+    selector: '.diff-retyped',
+    style: {
+      'border-color': '#26A69A',
+      'border-width': 4,
+      'line-color': '#26A69A',
+      'target-arrow-color': '#26A69A',
+      'line-style': 'dotted',
+    },
+  },
+  // Elements breaking graph type constraints (see findConstraintViolations)
+  {
+    selector: '.constraint-violation',
+    style: {
+      'overlay-color': '#f44336',
+      'overlay-opacity': 0.3,
+      'overlay-padding': 4,
+    },
+  },
+  // Template rule violations (see rules.js)
+  {
+    selector: '.rule-warning',
+    style: {
+      'underlay-color': '#ff9800',
+      'underlay-opacity': 0.35,
+      'underlay-padding': 6,
+    },
+  },
+  {
+    selector: '.rule-error',
+    style: {
+      'underlay-color': '#f44336',
+      'underlay-opacity': 0.45,
+      'underlay-padding': 6,
+    },
+  },
+];
+
+/** Extra styles for the approval commit graph (changelog dialog), layered on baseStyles */
+export const commitGraphStyles = [
+  {
+    selector: 'node',
+    style: {
+      'width': 14,
+      'height': 14,
+      'background-color': '#5a6a8c',
+      'font-size': '9px',
+      'text-wrap': 'wrap',
+      'text-valign': 'bottom',
+      'text-margin-y': 4,
+    },
+  },
+  {
+    selector: '.commit-own',
+    style: { 'background-color': '#4fc3f7' },
+  },
+  {
+    selector: '.commit-head',
+    style: { 'border-color': '#fff' },
+  },
+];
+
+/** Extra styles for the merge repair dialog, layered on baseStyles */
+export const repairStyles = [
+  {
+    selector: '.repair-removed',
+    style: {
+      'opacity': 0.25,
+      'line-style': 'dashed',
+      'border-style': 'dashed',
+    },
+  },
 ];
 
 /** Build a Cytoscape stylesheet from a template (type colors + directed/undirected arrows) */
@@ -0,0 +1,68 @@
+/**
+ * Audit log — pure functions for the session-level log of graph operations.
+ *
+ * AuditEvent: { timestamp, kind, panel, source, strategy, direction, counts }
+ *   kind: one of AUDIT_KINDS
+ *   panel: id of the panel the operation changed
+ *   source: id of the panel the change came from (comma-separated for octopus merges), null if none
+ *   strategy: merge strategy ("mirror", "rebase", "octopus three-way", …), null if none
+ *   direction: merge direction text as shown in the panel header, null if none
+ *   counts: { added, removed, modified, renamed, retyped } — DiffEntries per action
+ * The log is an array of events, oldest first.
+ */
+
+/** Operations recorded in the audit log */
+export const AUDIT_KINDS = ['merge', 'paste', 'import', 'approve', 'restore', 'revert', 'clear'];
+
+/** Oldest events are dropped past this many */
+export const MAX_AUDIT_EVENTS = 1000;
+
+const DIFF_ACTIONS = ['added', 'removed', 'modified', 'renamed', 'retyped'];
+
+/** Number of DiffEntries per action: { added, removed, modified, renamed, retyped } */
+export function countDiffs(diffs) {
+  const counts = Object.fromEntries(DIFF_ACTIONS.map(a => [a, 0]));
+  for (const d of diffs) counts[d.action]++;
+  return counts;
+}
+
+/** Build an event for an operation of kind on panel that caused diffs */
+export function createAuditEvent(kind, panel, diffs = [], { source = null, strategy = null, direction = null, timestamp = new Date().toISOString() } = {}) {
+  return { timestamp, kind, panel, source, strategy, direction, counts: countDiffs(diffs) };
+}
+
+/** Append event, dropping the oldest past max. Returns a new array */
+export function appendAuditEvent(log, event, max = MAX_AUDIT_EVENTS) {
+  const result = [...log, event];
+  return result.length > max ? result.slice(result.length - max) : result;
+}
+
+/** Events matching every given criterion; empty criteria match all.
+ *  filter: { kind, panel, strategy } — panel matches the changed or a source panel */
+export function filterAuditLog(log, { kind = null, panel = null, strategy = null } = {}) {
+  return log.filter(e =>
+    (!kind || e.kind === kind) &&
+    (!panel || e.panel === panel || String(e.source ?? '').split(',').includes(panel)) &&
+    (!strategy || e.strategy === strategy)
+  );
+}
+
+/** Serialize the log to a JSON string */
+export const auditLogToJSON = log => JSON.stringify(log, null, 2);
+
+const CSV_COLUMNS = ['timestamp', 'kind', 'panel', 'source', 'strategy', 'direction', ...DIFF_ACTIONS];
+
+/** Quote a CSV field if it contains a comma, quote or line break */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Serialize the log to CSV, one row per event, with a header row */
+export function auditLogToCSV(log) {
+  const rows = log.map(e => {
+    const row = { ...e, ...e.counts };
+    return CSV_COLUMNS.map(c => csvField(row[c])).join(',');
+  });
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
@@ -1,3 +1,4 @@
+import { nodeKey, edgeKey, edgeMatches } from './model.js';
 import { GRAPH_TYPES } from './template.js';
 
 /** BFS from target following directed edges; returns true if source is reachable (cycle would form) */
@@ -45,7 +46,7 @@ export function wouldCreateCycle(graph, source, target, directed) {
 export function isConnected(graph) {
   if (graph.nodes.length === 0) return true;
   const visited = new Set();
-  const queue = [graph.nodes[0].label];
+  const queue = [nodeKey(graph.nodes[0])];
   while (queue.length > 0) {
     const current = queue.shift();
     if (visited.has(current)) continue;
@@ -61,43 +62,44 @@ export function isConnected(graph) {
 /** Check if removing a node would disconnect the undirected graph */
 export function wouldDisconnectOnNodeRemove(graph, nodeLabel) {
   const reduced = {
-    nodes: graph.nodes.filter(n => n.label !== nodeLabel),
+    nodes: graph.nodes.filter(n => nodeKey(n) !== nodeLabel),
     edges: graph.edges.filter(e => e.source !== nodeLabel && e.target !== nodeLabel),
   };
   return reduced.nodes.length > 1 && !isConnected(reduced);
 }
 
-/** Check if removing an edge would disconnect the undirected graph */
-export function wouldDisconnectOnEdgeRemove(graph, source, target) {
+/** Check if removing an edge (type narrows to one parallel edge) would disconnect the undirected graph */
+export function wouldDisconnectOnEdgeRemove(graph, source, target, type = undefined) {
   const reduced = {
     nodes: [...graph.nodes],
-    edges: graph.edges.filter(e => !(e.source === source && e.target === target)),
+    edges: graph.edges.filter(e => !edgeMatches(e, source, target, type)),
   };
   return !isConnected(reduced);
 }
 
-/** Check if undirected edge already exists in either direction */
-export function hasDuplicateUndirectedEdge(graph, source, target) {
-  return graph.edges.some(e =>
-    (e.source === source && e.target === target) ||
-    (e.source === target && e.target === source)
-  );
+/** Check if undirected edge (of the given type, if any) already exists in either direction */
+export function hasDuplicateUndirectedEdge(graph, source, target, type = undefined) {
+  return graph.edges.some(e => edgeMatches(e, source, target, type) || edgeMatches(e, target, source, type));
 }
 
 /** Validate an edge addition against graph type constraints.
+ *  Parallel edges are allowed when their types differ; only an edge of the same
+ *  type between the same pair is a duplicate. Errors name nodes by label.
  *  Returns { ok: true } or { ok: false, error: string } */
-export function validateEdgeAdd(graph, source, target, graphType) {
+export function validateEdgeAdd(graph, source, target, graphType, type = null) {
   const typeInfo = GRAPH_TYPES[graphType];
   if (!typeInfo) return { ok: true };
 
   if (source === target) return { ok: false, error: 'Self-loops are not allowed' };
 
-  if (!typeInfo.directed && hasDuplicateUndirectedEdge(graph, source, target)) {
-    return { ok: false, error: `Edge ${source}–${target} already exists` };
+  const name = key => graph.nodes.find(n => nodeKey(n) === key)?.label ?? key;
+  const typeNote = type ? ` of type ${type}` : '';
+  if (!typeInfo.directed && hasDuplicateUndirectedEdge(graph, source, target, type)) {
+    return { ok: false, error: `Edge ${name(source)}–${name(target)}${typeNote} already exists` };
   }
 
-  if (typeInfo.directed && graph.edges.some(e => e.source === source && e.target === target)) {
-    return { ok: false, error: `Edge ${source}→${target} already exists` };
+  if (typeInfo.directed && graph.edges.some(e => edgeMatches(e, source, target, type))) {
+    return { ok: false, error: `Edge ${name(source)}→${name(target)}${typeNote} already exists` };
   }
 
   if (typeInfo.acyclic && wouldCreateCycle(graph, source, target, typeInfo.directed)) {
@@ -126,12 +128,12 @@ export function hasCycle(graph, directed) {
     };
 
     for (const node of graph.nodes) {
-      if (!visited.has(node.label) && dfs(node.label)) return true;
+      if (!visited.has(nodeKey(node)) && dfs(nodeKey(node))) return true;
     }
     return false;
   } else {
     const parent = {};
-    for (const node of graph.nodes) parent[node.label] = node.label;
+    for (const node of graph.nodes) parent[nodeKey(node)] = nodeKey(node);
 
     const find = (x) => {
       if (parent[x] !== x) parent[x] = find(parent[x]);
@@ -147,3 +149,125 @@ export function hasCycle(graph, directed) {
     return false;
   }
 }
+
+/** Find one cycle. Returns { nodes, edges } (keys, in cycle order) or null.
+ *  In undirected graphs parallel edges between a pair count as a cycle, as in hasCycle. */
+export function findCycle(graph, directed) {
+  const adjacent = new Map(graph.nodes.map(n => [nodeKey(n), []]));
+  for (const edge of graph.edges) {
+    adjacent.get(edge.source)?.push(edge);
+    if (!directed && edge.source !== edge.target) adjacent.get(edge.target)?.push(edge);
+  }
+  const onStack = new Set();
+  const done = new Set();
+  const path = [];  // [{ node, via }] — via: edge the DFS arrived by
+
+  const dfs = (node, via) => {
+    onStack.add(node);
+    path.push({ node, via });
+    for (const edge of adjacent.get(node) || []) {
+      if (edge === via) continue;  // undirected: not back along the same edge
+      const next = edge.source === node ? edge.target : edge.source;
+      if (onStack.has(next)) {
+        const cycle = path.slice(path.findIndex(p => p.node === next));
+        return { nodes: cycle.map(p => p.node), edges: [...cycle.slice(1).map(p => edgeKey(p.via)), edgeKey(edge)] };
+      }
+      if (!done.has(next)) {
+        const found = dfs(next, edge);
+        if (found) return found;
+      }
+    }
+    onStack.delete(node);
+    done.add(node);
+    path.pop();
+    return null;
+  };
+
+  for (const node of graph.nodes) {
+    if (done.has(nodeKey(node))) continue;
+    const found = dfs(nodeKey(node), null);
+    if (found) return found;
+  }
+  return null;
+}
+
+/** Connected components (edges taken as undirected) as arrays of node ids, largest first */
+export function connectedComponents(graph) {
+  const neighbors = new Map(graph.nodes.map(n => [nodeKey(n), []]));
+  for (const edge of graph.edges) {
+    neighbors.get(edge.source)?.push(edge.target);
+    neighbors.get(edge.target)?.push(edge.source);
+  }
+  const seen = new Set();
+  const components = [];
+  for (const start of neighbors.keys()) {
+    if (seen.has(start)) continue;
+    const component = [];
+    const queue = [start];
+    seen.add(start);
+    while (queue.length > 0) {
+      const current = queue.shift();
+      component.push(current);
+      for (const next of neighbors.get(current) || []) {
+        if (!seen.has(next)) { seen.add(next); queue.push(next); }
+      }
+    }
+    components.push(component);
+  }
+  return components.sort((a, b) => b.length - a.length);
+}
+
+/** Validate a whole graph (e.g. a merge result) against its graph type.
+ *  Checks duplicate undirected edges, acyclicity and mustBeConnected.
+ *  Returns ConstraintViolation[]: { kind: 'duplicate-edge' | 'cycle' | 'disconnected', message, nodes, edges }
+ *  where nodes/edges are the keys of the offending elements (one cycle; the components
+ *  other than the largest). Empty when valid. */
+export function findConstraintViolations(graph, graphType) {
+  const typeInfo = GRAPH_TYPES[graphType];
+  if (!typeInfo) return [];
+  const labels = new Map(graph.nodes.map(n => [nodeKey(n), n.label]));
+  const name = key => labels.get(key) ?? key;
+  const violations = [];
+
+  if (!typeInfo.directed) {
+    const seen = new Map();
+    for (const edge of graph.edges) {
+      const pair = `${[edge.source, edge.target].sort().join('\n')}\n${edge.type ?? ''}`;
+      const first = seen.get(pair);
+      if (!first) { seen.set(pair, edge); continue; }
+      violations.push({
+        kind: 'duplicate-edge',
+        message: `Duplicate edge ${name(edge.source)}–${name(edge.target)}${edge.type ? ` of type ${edge.type}` : ''}`,
+        nodes: [],
+        edges: [edgeKey(first), edgeKey(edge)],
+      });
+    }
+  }
+
+  if (typeInfo.acyclic) {
+    const cycle = findCycle(graph, typeInfo.directed);
+    if (cycle) {
+      const arrow = typeInfo.directed ? ' → ' : ' – ';
+      violations.push({
+        kind: 'cycle',
+        message: `Cycle ${[...cycle.nodes, cycle.nodes[0]].map(name).join(arrow)} (${typeInfo.label} must be acyclic)`,
+        ...cycle,
+      });
+    }
+  }
+
+  if (typeInfo.mustBeConnected) {
+    const components = connectedComponents(graph);
+    if (components.length > 1) {
+      const detached = components.slice(1).flat();
+      violations.push({
+        kind: 'disconnected',
+        message: `${components.length} disconnected components: ${detached.map(name).join(', ')} not connected to the rest (${typeInfo.label} must be connected)`,
+        nodes: detached,
+        edges: graph.edges.filter(e => detached.includes(e.source)).map(e => edgeKey(e)),
+      });
+    }
+  }
+
+  return violations;
+}
@@ -0,0 +1,210 @@
+/**
+ * CSV import — pure functions turning spreadsheet exports into graphs.
+ *
+ * A graph comes from an edge CSV, optionally with a node CSV. Each table is
+ * { header: [column], rows: [[cell]] } (see parseCSV) and is read through a mapping
+ * from graph fields to column names:
+ *   NodeMapping: { id, label, type, props: [column] } — label required; id defaults to label
+ *   EdgeMapping: { source, target, type, props: [column] } — source and target required
+ * Unmapped fields are null. Edge endpoints reference node ids or labels; without a node
+ * CSV, nodes are created from the endpoint values. Empty cells are omitted from props.
+ */
+
+import { validateGraph } from './serializer.js';
+import { addNodeType, addEdgeType } from './template.js';
+
+/** Guess the delimiter of CSV text from its first line: comma, semicolon or tab */
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const counts = [',', ';', '\t'].map(d => [d, firstLine.split(d).length - 1]);
+  return counts.reduce((best, c) => (c[1] > best[1] ? c : best))[0];
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may contain delimiters, "" and line breaks).
+ * The first row is the header; blank lines are skipped and short rows padded with "".
+ * Returns { ok: true, header, rows } or { ok: false, error }
+ */
+export function parseCSV(text, delimiter = detectDelimiter(text)) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;  // byte order mark
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) return { ok: false, error: 'Invalid CSV: unterminated quoted field' };
+  if (field !== '' || record.length > 0) records.push([...record, field]);
+
+  const [header, ...rows] = records.filter(r => r.length > 1 || r[0].trim() !== '');
+  if (!header) return { ok: false, error: 'Invalid CSV: no header row' };
+  const names = header.map(h => h.trim());
+  const duplicate = names.find((name, idx) => names.indexOf(name) !== idx);
+  if (duplicate !== undefined) return { ok: false, error: `Invalid CSV: duplicate column "${duplicate}"` };
+  return { ok: true, header: names, rows: rows.map(r => names.map((_, idx) => r[idx] ?? '')) };
+}
+
+/** Header names matched (case-insensitively) when guessing each mapped field */
+const FIELD_ALIASES = {
+  id: ['id', 'key', 'node_id', 'nodeid'],
+  label: ['label', 'name', 'title', 'node'],
+  source: ['source', 'from', 'src', 'start', 'parent'],
+  target: ['target', 'to', 'dst', 'dest', 'end', 'child'],
+  type: ['type', 'kind', 'category', 'class'],
+};
+
+/**
+ * Guess a mapping for a table's header. kind: 'node' | 'edge'.
+ * Fields take the first column named like them; edge lists without source/target
+ * headers use their first two columns. All other columns become props.
+ */
+export function guessMapping(header, kind) {
+  const fields = kind === 'node' ? ['id', 'label', 'type'] : ['source', 'target', 'type'];
+  const mapping = {};
+  for (const field of fields) {
+    mapping[field] = header.find(h => FIELD_ALIASES[field].includes(h.toLowerCase())) ?? null;
+  }
+  if (kind === 'node' && !mapping.label) mapping.label = mapping.id ?? header[0] ?? null;
+  if (kind === 'edge' && !mapping.source && !mapping.target && header.length >= 2) {
+    [mapping.source, mapping.target] = header;
+  }
+  const used = new Set(fields.map(f => mapping[f]));
+  mapping.props = header.filter(h => !used.has(h));
+  return mapping;
+}
+
+/** Read the mapped fields of one row: { fieldName: cell } plus props */
+function readRow(header, row, mapping, fields) {
+  const cell = column => (column ? row[header.indexOf(column)]?.trim() ?? '' : '');
+  const result = Object.fromEntries(fields.map(f => [f, cell(mapping[f])]));
+  const props = {};
+  for (const column of mapping.props || []) {
+    const value = row[header.indexOf(column)] ?? '';
+    if (value !== '') props[column] = value;
+  }
+  return { ...result, props };
+}
+
+/**
+ * Build an unvalidated graph from mapped CSV tables; edge endpoints stay as written
+ * (node ids or labels) until validateGraph resolves them.
+ * nodes: { header, rows, mapping: NodeMapping } or null (nodes from edge endpoints)
+ * edges: { header, rows, mapping: EdgeMapping } or null (nodes only)
+ * Type cells hold raw type values; see resolveTypes.
+ * Returns { ok: true, graph } or { ok: false, error }
+ */
+export function readCSVGraph({ nodes = null, edges = null }) {
+  if (!nodes && !edges) return { ok: false, error: 'No CSV data' };
+  if (nodes && !nodes.mapping.label) return { ok: false, error: 'Map a column to the node label' };
+  if (edges && (!edges.mapping.source || !edges.mapping.target)) return { ok: false, error: 'Map columns to the edge source and target' };
+
+  const graphNodes = [];
+  if (nodes) {
+    for (const [i, row] of nodes.rows.entries()) {
+      const { id, label, type, props } = readRow(nodes.header, row, nodes.mapping, ['id', 'label', 'type']);
+      if (!label) return { ok: false, error: `Node row ${i + 2}: empty label` };
+      graphNodes.push({ ...(id ? { id } : {}), label, type: type || null, props });
+    }
+  }
+  const graphEdges = [];
+  const implied = new Set();
+  if (edges) {
+    for (const [i, row] of edges.rows.entries()) {
+      const { source, target, type, props } = readRow(edges.header, row, edges.mapping, ['source', 'target', 'type']);
+      if (!source || !target) return { ok: false, error: `Edge row ${i + 2}: empty source or target` };
+      graphEdges.push({ source, target, type: type || null, props });
+      if (!nodes) [source, target].forEach(v => implied.add(v));
+    }
+  }
+  for (const label of implied) graphNodes.push({ label, type: null, props: {} });
+  return { ok: true, graph: { nodes: graphNodes, edges: graphEdges } };
+}
+
+/**
+ * Build a graph from mapped CSV tables (see readCSVGraph) and validate it, keeping raw
+ * type values. To map types, resolve them on readCSVGraph's graph and validate after:
+ * an id-less edge's type is part of its key, so resolving can make edges duplicates.
+ * Returns { ok: true, graph } or { ok: false, error }
+ */
+export function csvToGraph(tables) {
+  const result = readCSVGraph(tables);
+  return result.ok ? validateGraph(result.graph) : result;
+}
+
+/**
+ * Map raw type values to template type ids, matching a type's id or label.
+ * Returns { graph, unknown: { node: [value], edge: [value] } } — unmatched values stay as-is
+ */
+export function resolveTypes(graph, template) {
+  const unknown = { node: new Set(), edge: new Set() };
+  const resolve = (kind, value) => {
+    if (value === null) return null;
+    const types = (kind === 'node' ? template?.nodeTypes : template?.edgeTypes) || [];
+    const match = types.find(t => t.id === value) || types.find(t => t.label === value);
+    if (match) return match.id;
+    unknown[kind].add(value);
+    return value;
+  };
+  return {
+    graph: {
+      nodes: graph.nodes.map(n => ({ ...n, type: resolve('node', n.type) })),
+      edges: graph.edges.map(e => ({ ...e, type: resolve('edge', e.type) })),
+    },
+    unknown: { node: [...unknown.node], edge: [...unknown.edge] },
+  };
+}
+
+/** Colors of types created for unknown type values, as for new types in the template editor */
+const NEW_TYPE_COLORS = { node: '#4fc3f7', edge: '#5a6a8c' };
+
+/** Replace type values via { node: {value: typeId}, edge: {value: typeId} }; unlisted values stay */
+function replaceTypes(graph, replacements) {
+  const replace = (kind, type) => (type !== null && Object.hasOwn(replacements[kind], type) ? replacements[kind][type] : type);
+  return {
+    nodes: graph.nodes.map(n => ({ ...n, type: replace('node', n.type) })),
+    edges: graph.edges.map(e => ({ ...e, type: replace('edge', e.type) })),
+  };
+}
+
+/**
+ * Add a template type labelled with each unknown type value (see resolveTypes) and
+ * point the graph's elements at them. newId() generates type ids.
+ * Returns { graph, template }
+ */
+export function createUnknownTypes(graph, template, unknown, newId) {
+  const replacements = { node: {}, edge: {} };
+  let result = template;
+  for (const kind of ['node', 'edge']) {
+    for (const value of unknown[kind]) {
+      const type = { id: newId(), label: value, color: NEW_TYPE_COLORS[kind] };
+      result = kind === 'node' ? addNodeType(result, type) : addEdgeType(result, type);
+      replacements[kind][value] = type.id;
+    }
+  }
+  return { graph: replaceTypes(graph, replacements), template: result };
+}
+
+/** Make elements with an unknown type value (see resolveTypes) untyped */
+export function dropUnknownTypes(graph, unknown) {
+  const untyped = values => Object.fromEntries(values.map(v => [v, null]));
+  return replaceTypes(graph, { node: untyped(unknown.node), edge: untyped(unknown.edge) });
+}
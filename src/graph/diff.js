@@ -1,12 +1,21 @@
-import { nodeKey, edgeKey } from './model.js';
+import { nodeKey, edgeKey, deepClone } from './model.js';
+import { typeLabel } from './template.js';
 
 /**
  * Compare baseGraph vs currentGraph → DiffEntry[]
  *
  * DiffEntry: { type, action, key, oldProps, newProps }
  *   type: "node" | "edge"
- *   action: "added" | "removed" | "modified"
- *   key: label (nodes) or "source→target" (edges)
+ *   action: "added" | "removed" | "modified" | "renamed" | "retyped"
+ *   key: node id (nodes) or "source→target" of node ids (edges)
+ * Node entries also carry label (current label, or last label if removed).
+ * "renamed" entries add oldLabel/newLabel; their props may have changed too.
+ * "retyped" entries (same label, different type) and renamed entries whose type also
+ * changed add oldType/newType (type ids; null = untyped).
+ * "modified", "renamed" and "retyped" entries carry changes: PropChange[] (see diffProps).
+ * Edges without an explicit id are keyed by type, so retyping one changes its key: such
+ * a retyped entry has the new key and adds oldKey (see pairRetypedEdges).
+ * Prop values compare structurally, so nested objects/arrays survive JSON round-trips.
  */
 export function computeDiff(baseGraph, currentGraph) {
   if (!baseGraph) return [];
@@ -22,17 +31,23 @@ export function computeDiff(baseGraph, currentGraph) {
   // Node diffs
   for (const [key, node] of currNodes) {
     if (!baseNodes.has(key)) {
-      diffs.push({ type: 'node', action: 'added', key, oldProps: null, newProps: node.props });
+      diffs.push({ type: 'node', action: 'added', key, label: node.label, oldProps: null, newProps: node.props });
     } else {
       const base = baseNodes.get(key);
-      if (!propsEqual(base.props, node.props)) {
-        diffs.push({ type: 'node', action: 'modified', key, oldProps: base.props, newProps: node.props });
+      const changes = diffProps(base.props, node.props);
+      const retype = typeChange(base, node);
+      if (base.label !== node.label) {
+        diffs.push({ type: 'node', action: 'renamed', key, label: node.label, oldLabel: base.label, newLabel: node.label, ...retype, oldProps: base.props, newProps: node.props, changes });
+      } else if (retype) {
+        diffs.push({ type: 'node', action: 'retyped', key, label: node.label, ...retype, oldProps: base.props, newProps: node.props, changes });
+      } else if (changes.length > 0) {
+        diffs.push({ type: 'node', action: 'modified', key, label: node.label, oldProps: base.props, newProps: node.props, changes });
       }
     }
   }
   for (const [key, node] of baseNodes) {
     if (!currNodes.has(key)) {
-      diffs.push({ type: 'node', action: 'removed', key, oldProps: node.props, newProps: null });
+      diffs.push({ type: 'node', action: 'removed', key, label: node.label, oldProps: node.props, newProps: null });
     }
   }
 
@@ -41,9 +56,12 @@ export function computeDiff(baseGraph, currentGraph) {
     if (!baseEdges.has(key)) {
       diffs.push({ type: 'edge', action: 'added', key, oldProps: null, newProps: edge.props });
     } else {
-      const base = baseEdges.get(key);
-      if (!propsEqual(base.props, edge.props)) {
-        diffs.push({ type: 'edge', action: 'modified', key, oldProps: base.props, newProps: edge.props });
+      const changes = diffProps(baseEdges.get(key).props, edge.props);
+      const retype = typeChange(baseEdges.get(key), edge);
+      if (retype) {
+        diffs.push({ type: 'edge', action: 'retyped', key, ...retype, oldProps: baseEdges.get(key).props, newProps: edge.props, changes });
+      } else if (changes.length > 0) {
+        diffs.push({ type: 'edge', action: 'modified', key, oldProps: baseEdges.get(key).props, newProps: edge.props, changes });
       }
     }
   }
@@ -53,12 +71,177 @@ export function computeDiff(baseGraph, currentGraph) {
     }
   }
 
-  return diffs;
+  return pairRetypedEdges(diffs, baseEdges, currEdges);
 }
 
-function propsEqual(a, b) {
+/**
+ * Turn the remove + add of an id-less edge whose type changed into one "retyped" entry
+ * (key: the new edge key, oldKey: the old one). Pairs only when they are the sole removed
+ * and added id-less edges between the same endpoints, so parallel edges stay unambiguous.
+ */
+function pairRetypedEdges(diffs, baseEdges, currEdges) {
+  const groups = new Map();  // "source→target" → { added: [DiffEntry], removed: [DiffEntry] }
+  for (const d of diffs) {
+    if (d.type !== 'edge' || (d.action !== 'added' && d.action !== 'removed')) continue;
+    const edge = d.action === 'added' ? currEdges.get(d.key) : baseEdges.get(d.key);
+    if (edge.id !== undefined && edge.id !== null) continue;
+    const endpoints = `${edge.source}→${edge.target}`;
+    if (!groups.has(endpoints)) groups.set(endpoints, { added: [], removed: [] });
+    groups.get(endpoints)[d.action].push(d);
+  }
+
+  const replaced = new Map();  // added entry → retyped entry; removed entries map to null
+  for (const { added, removed } of groups.values()) {
+    if (added.length !== 1 || removed.length !== 1) continue;
+    const base = baseEdges.get(removed[0].key);
+    const edge = currEdges.get(added[0].key);
+    replaced.set(removed[0], null);
+    replaced.set(added[0], {
+      type: 'edge', action: 'retyped', key: added[0].key, oldKey: removed[0].key, ...typeChange(base, edge),
+      oldProps: base.props, newProps: edge.props, changes: diffProps(base.props, edge.props),
+    });
+  }
+  return diffs.map(d => (replaced.has(d) ? replaced.get(d) : d)).filter(Boolean);
+}
+
+/**
+ * Cherry-pick: apply selected DiffEntries of a source panel to targetGraph.
+ * sourceGraph is the source's current graph and supplies added/changed elements.
+ * Added, modified and renamed elements are upserted (created if the target lacks
+ * them); removed ones are deleted, as is the old version of a retyped id-less edge
+ * (DiffEntry oldKey). Dependencies are pulled in to keep the target
+ * valid: endpoints of picked edges come along from sourceGraph, and removing a
+ * node removes its edges in the target.
+ * Returns { graph, applied, skipped }:
+ *   applied: the DiffEntries that changed the target, dependencies marked dependency: true
+ *   skipped: picked entries that could not apply, each with a reason
+ */
+export function applyDiff(targetGraph, diffs, sourceGraph) {
+  const nodes = new Map(targetGraph.nodes.map(n => [nodeKey(n), deepClone(n)]));
+  const edges = new Map(targetGraph.edges.map(e => [edgeKey(e), deepClone(e)]));
+  const sourceNodes = new Map(sourceGraph.nodes.map(n => [nodeKey(n), n]));
+  const sourceEdges = new Map(sourceGraph.edges.map(e => [edgeKey(e), e]));
+  const applied = [];
+  const skipped = [];
+
+  const labelTaken = (label, key) => [...nodes.values()].some(n => n.label === label && nodeKey(n) !== key);
+
+  // Upsert a node from the source; returns false if its label belongs to another target node
+  const putNode = (node, entry) => {
+    const key = nodeKey(node);
+    if (labelTaken(node.label, key)) return false;
+    if (!nodes.has(key)) {
+      applied.push(entry ?? { type: 'node', action: 'added', key, label: node.label, oldProps: null, newProps: node.props, dependency: true });
+    } else if (entry) {
+      applied.push(entry);
+    }
+    nodes.set(key, deepClone(node));
+    return true;
+  };
+
+  // Removals first, so a picked removal never strands a picked addition
+  for (const d of diffs.filter(d => d.action === 'removed')) {
+    if (d.type === 'node') {
+      if (!nodes.has(d.key)) continue;
+      nodes.delete(d.key);
+      applied.push(d);
+      for (const [key, edge] of edges) {
+        if (edge.source === d.key || edge.target === d.key) {
+          edges.delete(key);
+          applied.push({ type: 'edge', action: 'removed', key, oldProps: edge.props, newProps: null, dependency: true });
+        }
+      }
+    } else if (edges.has(d.key)) {
+      edges.delete(d.key);
+      applied.push(d);
+    }
+  }
+
+  for (const d of diffs.filter(d => d.type === 'node' && d.action !== 'removed')) {
+    const node = sourceNodes.get(d.key);
+    if (!node) skipped.push({ ...d, reason: 'no longer in source' });
+    else if (!putNode(node, d)) skipped.push({ ...d, reason: `label "${node.label}" is taken in target` });
+  }
+
+  for (const d of diffs.filter(d => d.type === 'edge' && d.action !== 'removed')) {
+    const edge = sourceEdges.get(d.key);
+    if (!edge) { skipped.push({ ...d, reason: 'no longer in source' }); continue; }
+    const missing = [edge.source, edge.target].filter(k => !nodes.has(k)).map(k => sourceNodes.get(k));
+    if (!missing.every(n => n && !labelTaken(n.label, nodeKey(n)))) {
+      skipped.push({ ...d, reason: 'endpoint cannot be added to target' });
+      continue;
+    }
+    missing.forEach(n => putNode(n));
+    if (d.oldKey) edges.delete(d.oldKey);
+    edges.set(d.key, deepClone(edge));
+    applied.push(d);
+  }
+
+  return { graph: { nodes: [...nodes.values()], edges: [...edges.values()] }, applied, skipped };
+}
+
+/** Structural equality of prop values: objects and arrays compare deeply */
+export function valuesEqual(a, b) {
+  if (a === b) return true;
+  if (!isObject(a) || !isObject(b) || Array.isArray(a) !== Array.isArray(b)) return false;
   const keysA = Object.keys(a);
   const keysB = Object.keys(b);
   if (keysA.length !== keysB.length) return false;
-  return keysA.every(k => a[k] === b[k]);
+  return keysA.every(k => Object.hasOwn(b, k) && valuesEqual(a[k], b[k]));
+}
+
+/**
+ * Per-key diff of two props objects → PropChange[]
+ *
+ * PropChange: { key, kind, oldValue, newValue }
+ *   key: path to the value, e.g. "color" or "config.retries"
+ *   kind: "added" | "removed" | "changed"
+ *   oldValue / newValue: undefined where absent
+ * Nested plain objects are diffed key by key; arrays and other values compare as a whole.
+ */
+export function diffProps(oldProps, newProps, prefix = '') {
+  const changes = [];
+  for (const k of new Set([...Object.keys(oldProps), ...Object.keys(newProps)])) {
+    const key = `${prefix}${k}`;
+    const a = oldProps[k];
+    const b = newProps[k];
+    if (!Object.hasOwn(oldProps, k)) changes.push({ key, kind: 'added', oldValue: undefined, newValue: b });
+    else if (!Object.hasOwn(newProps, k)) changes.push({ key, kind: 'removed', oldValue: a, newValue: undefined });
+    else if (isPlainObject(a) && isPlainObject(b)) changes.push(...diffProps(a, b, `${key}.`));
+    else if (!valuesEqual(a, b)) changes.push({ key, kind: 'changed', oldValue: a, newValue: b });
+  }
+  return changes;
 }
+
+/** One-line description of a PropChange: "config.retries: 3 → 5", "+ tags = ["a"]", "- color" */
+export function formatPropChange(change) {
+  const fmt = v => typeof v === 'string' ? v : JSON.stringify(v);
+  if (change.kind === 'added') return `+ ${change.key} = ${fmt(change.newValue)}`;
+  if (change.kind === 'removed') return `- ${change.key}`;
+  return `${change.key}: ${fmt(change.oldValue)} → ${fmt(change.newValue)}`;
+}
+
+/**
+ * One-line detail of a DiffEntry, as in the compare view: the props of an added or
+ * removed element, else its label, type (labelled from template) and prop changes.
+ */
+export function formatDiffDetails(d, template = null) {
+  const fmtProps = props => Object.entries(props || {}).map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`).join(', ');
+  if (d.action === 'added') return fmtProps(d.newProps);
+  if (d.action === 'removed') return fmtProps(d.oldProps);
+  return [
+    ...(d.action === 'renamed' ? [`label: ${d.oldLabel} → ${d.newLabel}`] : []),
+    ...('newType' in d ? [`type: ${typeLabel(template, d.type, d.oldType)} → ${typeLabel(template, d.type, d.newType)}`] : []),
+    ...d.changes.map(formatPropChange),
+  ].join('; ');
+}
+
+/** { oldType, newType } if the element's type changed, else null */
+function typeChange(base, current) {
+  const oldType = base.type ?? null;
+  const newType = current.type ?? null;
+  return oldType !== newType ? { oldType, newType } : null;
+}
+
+const isObject = v => typeof v === 'object' && v !== null;
+const isPlainObject = v => isObject(v) && !Array.isArray(v);
@@ -0,0 +1,61 @@
+/**
+ * Approval history — pure functions for named, branchable approval histories.
+ *
+ * ApprovalEntry: { id, name, graph, baseGraph, timestamp, diffSummary, exclusions, pathTrackingEnabled }
+ *   id: unique approval id. A panel branched from an approval copies the entries up
+ *     to it, ids included, so the histories of related panels share a prefix.
+ *   name: checkpoint name, null if untagged
+ * Each panel's history is linear: an entry's parent is the entry before it.
+ */
+
+import { deepClone } from './model.js';
+
+/** Id for an approval made in panelId at timestamp */
+export const approvalId = (panelId, timestamp) => `${panelId}@${timestamp}`;
+
+/** Give entries saved before approvals had ids an id and name. Returns a new array */
+export function ensureApprovalIds(entries, panelId) {
+  return entries.map(e => ({ ...e, id: e.id ?? approvalId(panelId, e.timestamp), name: e.name ?? null }));
+}
+
+/** Set (or, with an empty name, clear) the checkpoint name of entry index. Returns a new array */
+export function nameApproval(entries, index, name) {
+  return entries.map((e, i) => i === index ? { ...e, name: name || null } : e);
+}
+
+/** History of a panel branched from approval index: that entry and its ancestors, deep-copied */
+export function branchHistory(entries, index) {
+  return entries.slice(0, index + 1).map(e => deepClone(e));
+}
+
+/**
+ * Commit graph across panels, for visualizing which panels derived from which approval.
+ * histories: [{ panelId, entries }]
+ * Returns { commits, links }:
+ *   commits: [{ id, name, timestamp, diffSummary, panels, heads }] in first-seen order;
+ *     name is the first name any panel gave its copy of the approval
+ *     panels: ids of panels whose history contains the approval
+ *     heads: ids of panels whose latest approval it is
+ *   links: [{ parent, child }] approval ids, each pair once
+ */
+export function buildCommitGraph(histories) {
+  const commits = new Map();
+  const links = new Map();
+  for (const { panelId, entries } of histories) {
+    entries.forEach((e, i) => {
+      if (!commits.has(e.id)) {
+        commits.set(e.id, { id: e.id, name: e.name ?? null, timestamp: e.timestamp, diffSummary: e.diffSummary, panels: [], heads: [] });
+      }
+      const commit = commits.get(e.id);
+      // Copies in branched panels are named independently; show any name given
+      commit.name = commit.name ?? e.name ?? null;
+      commit.panels.push(panelId);
+      if (i === entries.length - 1) commit.heads.push(panelId);
+      if (i > 0) {
+        const parent = entries[i - 1].id;
+        links.set(`${parent}\n${e.id}`, { parent, child: e.id });
+      }
+    });
+  }
+  return { commits: [...commits.values()], links: [...links.values()] };
+}
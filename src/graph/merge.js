@@ -1,4 +1,9 @@
-import { nodeKey, edgeKey, deepClone } from './model.js';
+import { nodeKey, edgeKey, deepClone, isEmpty } from './model.js';
+import { getMergePolicy } from './template.js';
+import { computeDiff, valuesEqual } from './diff.js';
+
+/** Strategies that merge only a subgraph selected by scope nodes */
+export const SCOPED_STRATEGIES = ['scoped', 'downstream', 'neighborhood'];
 
 /**
  * Filter a graph to only nodes upstream of (and including) the given scope node IDs.
@@ -6,45 +11,102 @@ import { nodeKey, edgeKey, deepClone } from './model.js';
  * Returns a new subgraph containing only visited nodes and edges between them.
  */
 export function filterUpstreamSubgraph(graph, scopeNodeIds) {
+  return filterReachableSubgraph(graph, scopeNodeIds, { backward: true });
+}
+
+/**
+ * Filter a graph to only nodes downstream of (and including) the given scope node IDs.
+ * "Downstream" means nodes reachable by traversing edges in their direction (descendants).
+ */
+export function filterDownstreamSubgraph(graph, scopeNodeIds) {
+  return filterReachableSubgraph(graph, scopeNodeIds, { forward: true });
+}
+
+/**
+ * Filter a graph to nodes within `hops` edges of the given scope node IDs,
+ * following edges in both directions.
+ */
+export function filterNeighborhoodSubgraph(graph, scopeNodeIds, hops = 1) {
+  return filterReachableSubgraph(graph, scopeNodeIds, { forward: true, backward: true, maxHops: hops });
+}
+
+/** Filter a graph by a scoped strategy name (see SCOPED_STRATEGIES); other strategies return graph */
+export function filterScopedSubgraph(graph, strategy, scopeNodeIds, hops = 1) {
+  switch (strategy) {
+    case 'scoped': return filterUpstreamSubgraph(graph, scopeNodeIds);
+    case 'downstream': return filterDownstreamSubgraph(graph, scopeNodeIds);
+    case 'neighborhood': return filterNeighborhoodSubgraph(graph, scopeNodeIds, hops);
+    default: return graph;
+  }
+}
+
+/**
+ * Filter a graph to nodes and edges whose type is in the given type ID lists.
+ * Edges are selected by type alone, so their endpoints may lie outside the
+ * subgraph; merges drop edges whose endpoints end up missing in the result.
+ */
+export function filterTypedSubgraph(graph, nodeTypeIds = [], edgeTypeIds = []) {
+  const nodeTypes = new Set(nodeTypeIds);
+  const edgeTypes = new Set(edgeTypeIds);
+  return {
+    nodes: graph.nodes.filter(n => nodeTypes.has(n.type)),
+    edges: graph.edges.filter(e => edgeTypes.has(e.type)),
+  };
+}
+
+/** BFS from scope nodes along edges (forward and/or backward), up to maxHops levels */
+function filterReachableSubgraph(graph, scopeNodeIds, { forward = false, backward = false, maxHops = Infinity }) {
   if (!scopeNodeIds || scopeNodeIds.length === 0) return graph;
 
-  const visited = new Set(scopeNodeIds);
+  const depth = new Map(scopeNodeIds.map(id => [id, 0]));
   const queue = [...scopeNodeIds];
 
-  // BFS backward (against edge direction) from scope nodes
   while (queue.length > 0) {
     const nodeId = queue.shift();
+    const d = depth.get(nodeId);
+    if (d >= maxHops) continue;
     for (const edge of graph.edges) {
-      if (edge.target === nodeId && !visited.has(edge.source)) {
-        visited.add(edge.source);
-        queue.push(edge.source);
+      const next = (backward && edge.target === nodeId) ? edge.source
+        : (forward && edge.source === nodeId) ? edge.target
+        : null;
+      if (next !== null && !depth.has(next)) {
+        depth.set(next, d + 1);
+        queue.push(next);
       }
     }
   }
 
   return {
-    nodes: graph.nodes.filter(n => visited.has(n.label)),
-    edges: graph.edges.filter(e => visited.has(e.source) && visited.has(e.target)),
+    nodes: graph.nodes.filter(n => depth.has(nodeKey(n))),
+    edges: graph.edges.filter(e => depth.has(e.source) && depth.has(e.target)),
   };
 }
 
 /**
  * Merge incoming graph into target graph.
- * Incoming wins on conflicts (property overwrites).
+ * Nodes match by id, so an incoming rename carries over to the target's node, unless
+ * another node of the merged graph carries that label (the target label is kept).
+ * Incoming wins on conflicts (label, type and property overwrites), unless the element's type in
+ * template declares a merge policy for a prop both sides carry (see MERGE_POLICIES).
+ * reject-on-conflict keeps the target value; findPolicyRejections lists those props.
  * If incomingBaseGraph is provided, deletions are also applied:
  *   - Elements in incomingBaseGraph but not in incomingGraph are deleted from target.
  * Returns new merged graph.
  */
-export function mergeGraphs(targetGraph, incomingGraph, incomingBaseGraph = null) {
+export function mergeGraphs(targetGraph, incomingGraph, incomingBaseGraph = null, template = null) {
   const targetNodes = new Map(targetGraph.nodes.map(n => [nodeKey(n), deepClone(n)]));
   const targetEdges = new Map(targetGraph.edges.map(e => [edgeKey(e), deepClone(e)]));
+  const clashes = clashingRenames(targetGraph, incomingGraph, incomingBaseGraph);
 
   // Merge nodes: incoming wins
   for (const node of incomingGraph.nodes) {
     const key = nodeKey(node);
     if (targetNodes.has(key)) {
-      // Overwrite props
-      targetNodes.get(key).props = { ...node.props };
+      // Overwrite props (per-prop policies where declared)
+      const target = targetNodes.get(key);
+      if (!clashes.has(key)) target.label = node.label;
+      target.props = mergePropsTwoWay('node', target, node, template).props;
+      target.type = node.type ?? null;
     } else {
       targetNodes.set(key, deepClone(node));
     }
@@ -54,7 +116,9 @@ export function mergeGraphs(targetGraph, incomingGraph, incomingBaseGraph = null
   for (const edge of incomingGraph.edges) {
     const key = edgeKey(edge);
     if (targetEdges.has(key)) {
-      targetEdges.get(key).props = { ...edge.props };
+      const target = targetEdges.get(key);
+      target.props = mergePropsTwoWay('edge', target, edge, template).props;
+      target.type = edge.type ?? null;
     } else {
       targetEdges.set(key, deepClone(edge));
     }
@@ -95,3 +159,529 @@ export function mergeGraphs(targetGraph, incomingGraph, incomingBaseGraph = null
     edges: [...targetEdges.values()],
   };
 }
+
+/**
+ * Keys of target nodes an incoming rename would give a label that another node of the
+ * merged graph carries (nodes deleted via incomingBaseGraph do not count)
+ */
+function clashingRenames(targetGraph, incomingGraph, incomingBaseGraph = null) {
+  const incoming = new Map(incomingGraph.nodes.map(n => [nodeKey(n), n]));
+  const deleted = new Set((incomingBaseGraph?.nodes || []).map(n => nodeKey(n)).filter(key => !incoming.has(key)));
+  const labels = new Map();  // node key → label in the merged graph
+  for (const node of targetGraph.nodes) {
+    if (!deleted.has(nodeKey(node))) labels.set(nodeKey(node), node.label);
+  }
+  for (const [key, node] of incoming) labels.set(key, node.label);
+  const renamed = targetGraph.nodes
+    .filter(n => incoming.has(nodeKey(n)) && incoming.get(nodeKey(n)).label !== n.label)
+    .map(n => nodeKey(n));
+  return new Set(renamed.filter(key => [...labels].some(([k, label]) => k !== key && label === labels.get(key))));
+}
+
+/**
+ * List props a two-way mergeGraphs would reject under a reject-on-conflict policy,
+ * as conflicts in the threeWayMerge shape (kind "modify/modify", base null), and
+ * incoming renames it skips because the label is taken (kind "rename", labelConflict,
+ * labelTaken).
+ */
+export function findPolicyRejections(targetGraph, incomingGraph, template = null) {
+  const conflicts = [];
+  const clashes = clashingRenames(targetGraph, incomingGraph);
+  const collect = (type, keyFn, targetList, incomingList) => {
+    const targetMap = new Map(targetList.map(el => [keyFn(el), el]));
+    for (const incoming of incomingList) {
+      const key = keyFn(incoming);
+      const target = targetMap.get(key);
+      if (!target) continue;
+      const { rejected } = mergePropsTwoWay(type, target, incoming, template);
+      const labelConflict = type === 'node' && clashes.has(key);
+      if (rejected.length > 0) {
+        conflicts.push({ type, key, kind: 'modify/modify', keys: rejected, ...(labelConflict ? { labelConflict, labelTaken: true } : {}), base: null, ours: deepClone(target), theirs: deepClone(incoming) });
+      } else if (labelConflict) {
+        conflicts.push({ type, key, kind: 'rename', keys: [], labelConflict, labelTaken: true, base: null, ours: deepClone(target), theirs: deepClone(incoming) });
+      }
+    }
+  };
+  collect('node', nodeKey, targetGraph.nodes, incomingGraph.nodes);
+  collect('edge', edgeKey, targetGraph.edges, incomingGraph.edges);
+  return conflicts;
+}
+
+/** Two-way prop merge: incoming props replace target's, except where a policy applies */
+function mergePropsTwoWay(type, target, incoming, template) {
+  const props = { ...incoming.props };
+  const rejected = [];
+  if (!template) return { props, rejected };
+  for (const k of Object.keys(incoming.props)) {
+    if (!(k in target.props) || valuesEqual(target.props[k], incoming.props[k])) continue;
+    const policy = getMergePolicy(template, type, target.type, k);
+    const m = policy && applyMergePolicy(policy, target.props[k], incoming.props[k], undefined);
+    if (!m) continue;
+    props[k] = m.value;
+    if (m.conflict) rejected.push(k);
+  }
+  return { props, rejected };
+}
+
+/**
+ * Resolve a prop both sides carry with different values using a merge policy.
+ * base is undefined in two-way merges. Returns { value, conflict }, or null when
+ * the policy cannot apply (unknown policy, non-numeric values for max/min/sum).
+ * Numeric policies accept numbers or numeric strings; list policies accept arrays
+ * or comma-separated strings. Results keep the target value's representation.
+ */
+function applyMergePolicy(policy, ours, theirs, base) {
+  switch (policy) {
+    case 'incoming-wins': return { value: theirs, conflict: false };
+    case 'target-wins': return { value: ours, conflict: false };
+    case 'reject-on-conflict': return { value: ours, conflict: true };
+    case 'max':
+    case 'min':
+    case 'sum': {
+      const o = toNumber(ours);
+      const t = toNumber(theirs);
+      const b = base === undefined ? 0 : toNumber(base);
+      if (o === null || t === null || b === null) return null;
+      // sum: each side's delta since base is added (two-way: plain addition)
+      const n = policy === 'max' ? Math.max(o, t) : policy === 'min' ? Math.min(o, t) : o + t - b;
+      return { value: typeof ours === 'number' ? n : String(n), conflict: false };
+    }
+    case 'concatenate-list': {
+      // Incoming items not already in base are appended to the target list
+      const remaining = toList(base);
+      const appended = [];
+      for (const item of toList(theirs)) {
+        const idx = remaining.indexOf(item);
+        if (idx !== -1) remaining.splice(idx, 1);
+        else appended.push(item);
+      }
+      return { value: fromList([...toList(ours), ...appended], ours), conflict: false };
+    }
+    case 'union-set': {
+      // Union of both sides, minus items either side removed since base
+      const o = toList(ours);
+      const t = toList(theirs);
+      const removed = new Set(toList(base).filter(x => !o.includes(x) || !t.includes(x)));
+      const items = [...new Set([...o, ...t])].filter(x => !removed.has(x));
+      return { value: fromList(items, ours), conflict: false };
+    }
+    default: return null;
+  }
+}
+
+function toNumber(v) {
+  if (typeof v === 'number') return v;
+  if (typeof v !== 'string' || v.trim() === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function toList(v) {
+  if (v === undefined || v === null) return [];
+  if (Array.isArray(v)) return [...v];
+  return String(v).split(',').map(x => x.trim()).filter(x => x !== '');
+}
+
+function fromList(items, like) {
+  return Array.isArray(like) ? items : items.join(',');
+}
+
+/**
+ * Three-way merge of incoming into target against their common base graph.
+ * Non-overlapping prop changes are merged key-by-key; edits that overlap are
+ * resolved by the template's merge policy for that prop if one is declared,
+ * otherwise reported as conflicts instead of letting either side silently win.
+ *
+ * Conflict: { type, key, kind, keys, base, ours, theirs }
+ *   type: "node" | "edge"
+ *   kind: "modify/modify" | "delete/modify" | "modify/delete" | "type" | "rename"
+ *     (first half = target/"ours", second half = incoming/"theirs")
+ *     "type" / "rename": only the node type / node label differs on both sides,
+ *     or (rename) the incoming label is taken by another node of the merged graph;
+ *     a modify/modify conflict flags those with typeConflict / labelConflict;
+ *     labelTaken marks a label conflict whose incoming label another node carries
+ *   keys: prop keys changed differently on both sides (modify/modify only)
+ *   base, ours, theirs: element snapshots, null where the element is absent
+ *
+ * Conflicting elements keep the target's version in the returned graph.
+ * Returns { graph, conflicts }.
+ */
+export function threeWayMerge(baseGraph, targetGraph, incomingGraph, template = null) {
+  const conflicts = [];
+  const base = baseGraph || { nodes: [], edges: [] };
+
+  // Nodes whose edges the target added or modified count as modified by the target
+  const baseEdges = new Map(base.edges.map(e => [edgeKey(e), e]));
+  const touchedByOurs = new Set();
+  for (const edge of targetGraph.edges) {
+    const baseEdge = baseEdges.get(edgeKey(edge));
+    if (!baseEdge || !elementsEqual(edge, baseEdge)) {
+      touchedByOurs.add(edge.source);
+      touchedByOurs.add(edge.target);
+    }
+  }
+
+  const nodes = mergeElements('node', nodeKey, base.nodes, targetGraph.nodes, incomingGraph.nodes, conflicts, touchedByOurs, template);
+  const edges = mergeElements('edge', edgeKey, base.edges, targetGraph.edges, incomingGraph.edges, conflicts, new Set(), template);
+
+  // Clean up orphan edges (edges pointing to deleted nodes)
+  const finalNodeKeys = new Set(nodes.map(n => nodeKey(n)));
+  return {
+    graph: {
+      nodes,
+      edges: edges.filter(e => finalNodeKeys.has(e.source) && finalNodeKeys.has(e.target)),
+    },
+    conflicts,
+  };
+}
+
+/** Merge one element list (nodes or edges) three ways, collecting conflicts */
+function mergeElements(type, keyFn, baseList, oursList, theirsList, conflicts, touchedByOurs, template) {
+  const baseMap = new Map(baseList.map(el => [keyFn(el), el]));
+  const oursMap = new Map(oursList.map(el => [keyFn(el), el]));
+  const theirsMap = new Map(theirsList.map(el => [keyFn(el), el]));
+
+  // Target order first, then elements only the incoming side has
+  const keys = [...oursMap.keys()];
+  for (const key of theirsMap.keys()) {
+    if (!oursMap.has(key)) keys.push(key);
+  }
+  for (const key of baseMap.keys()) {
+    if (!oursMap.has(key) && !theirsMap.has(key)) keys.push(key);
+  }
+
+  const result = [];
+  const renamed = [];  // nodes that took the incoming label: { merged, ours, conflict }
+  for (const key of keys) {
+    const b = baseMap.get(key) || null;
+    const o = oursMap.get(key) || null;
+    const t = theirsMap.get(key) || null;
+    const conflict = (kind, extra = {}) => conflicts.push({
+      type, key, kind, keys: [], ...extra,
+      base: b ? deepClone(b) : null,
+      ours: o ? deepClone(o) : null,
+      theirs: t ? deepClone(t) : null,
+    });
+
+    if (!o && !t) continue;
+
+    if (o && !t) {
+      if (!b) {
+        result.push(deepClone(o));                 // added by target
+      } else if (elementsEqual(o, b) && !touchedByOurs.has(key)) {
+        // deleted by incoming, untouched by target → delete
+      } else {
+        conflict('modify/delete');
+        result.push(deepClone(o));
+      }
+      continue;
+    }
+
+    if (!o && t) {
+      if (!b) {
+        result.push(deepClone(t));                 // added by incoming
+      } else if (!elementsEqual(t, b)) {
+        conflict('delete/modify');                 // target deletion stands until resolved
+      }
+      continue;
+    }
+
+    // Present on both sides: merge label, type and props key-by-key
+    const labelMerge = type === 'node' ? mergeValue(b ? b.label : undefined, o.label, t.label) : { conflict: false };
+    const typeMerge = mergeValue(b ? b.type : undefined, o.type, t.type);
+    const baseProps = b ? b.props : {};
+    const props = {};
+    const conflictKeys = [];
+    const propKeys = new Set([...Object.keys(baseProps), ...Object.keys(o.props), ...Object.keys(t.props)]);
+    for (const k of propKeys) {
+      let m = mergeValue(baseProps[k], o.props[k], t.props[k]);
+      if (m.conflict && k in o.props && k in t.props) {
+        const policy = getMergePolicy(template, type, typeMerge.value, k);
+        m = (policy && applyMergePolicy(policy, o.props[k], t.props[k], baseProps[k])) || m;
+      }
+      if (m.conflict) conflictKeys.push(k);
+      if (m.value !== undefined) props[k] = m.value;
+    }
+
+    if (conflictKeys.length > 0 || (typeMerge.conflict && labelMerge.conflict)) {
+      conflict('modify/modify', { keys: conflictKeys, typeConflict: typeMerge.conflict, labelConflict: labelMerge.conflict });
+    } else if (typeMerge.conflict) {
+      conflict('type', { typeConflict: true });
+    } else if (labelMerge.conflict) {
+      conflict('rename', { labelConflict: true });
+    }
+    const merged = { ...deepClone(o), type: typeMerge.value ?? null, props };
+    if (type === 'node') merged.label = labelMerge.value;
+    if (type === 'node' && merged.label !== o.label) renamed.push({ merged, ours: o, conflict });
+    result.push(merged);
+  }
+
+  // An incoming rename to a label another node carries keeps ours and conflicts
+  for (const { merged, ours, conflict } of renamed) {
+    if (!result.some(el => el !== merged && el.label === merged.label)) continue;
+    merged.label = ours.label;
+    const existing = conflicts.find(c => c.type === type && c.key === keyFn(merged));
+    if (existing) Object.assign(existing, { labelConflict: true, labelTaken: true });
+    else conflict('rename', { labelConflict: true, labelTaken: true });
+  }
+  return result;
+}
+
+/** Merge a single value three ways. undefined = absent. Conflicts keep ours. */
+function mergeValue(base, ours, theirs) {
+  if (valuesEqual(ours, theirs)) return { value: ours, conflict: false };
+  if (valuesEqual(ours, base)) return { value: theirs, conflict: false };
+  if (valuesEqual(theirs, base)) return { value: ours, conflict: false };
+  return { value: ours, conflict: true };
+}
+
+function elementsEqual(a, b) {
+  if (a.label !== b.label) return false;
+  if ((a.type ?? null) !== (b.type ?? null)) return false;
+  const keysA = Object.keys(a.props);
+  const keysB = Object.keys(b.props);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(k => valuesEqual(a.props[k], b.props[k]));
+}
+
+/**
+ * Revert one approval on top of currentGraph (like git revert): a three-way merge
+ * with the approved graph as base and the graph before that approval as incoming,
+ * so the approval's changes are undone and everything else is kept.
+ * Elements changed again since that approval conflict (see threeWayMerge).
+ * Merge policies do not apply — a revert restores values, it does not combine them.
+ * previousGraph null (the initial approval) reverts to an empty graph.
+ * Returns { graph, conflicts }.
+ */
+export function revertChanges(previousGraph, approvedGraph, currentGraph) {
+  return threeWayMerge(approvedGraph, currentGraph, previousGraph || { nodes: [], edges: [] });
+}
+
+/**
+ * Rebase: replay the local changes (oldBase → localGraph, as DiffEntries) on top of
+ * newBase, one entry at a time. Modified elements take only the locally changed
+ * label/type/props, so newBase's other edits survive. Entries that no longer apply
+ * are skipped with a reason:
+ *   - the element was removed upstream (modified/renamed/removed entries)
+ *   - newBase added the same element in a different version
+ *   - newBase changed the same prop, label or type to something else
+ *   - an added edge's endpoint is gone, or an added/renamed node's label is taken
+ * Removing a node also drops edges newBase attached to it.
+ * Returns { graph, applied, skipped } (see applyDiff).
+ */
+export function rebaseChanges(oldBase, localGraph, newBase) {
+  const base = oldBase || { nodes: [], edges: [] };
+  const current = {
+    node: new Map(newBase.nodes.map(n => [nodeKey(n), deepClone(n)])),
+    edge: new Map(newBase.edges.map(e => [edgeKey(e), deepClone(e)])),
+  };
+  const before = {
+    node: new Map(base.nodes.map(n => [nodeKey(n), n])),
+    edge: new Map(base.edges.map(e => [edgeKey(e), e])),
+  };
+  const local = {
+    node: new Map(localGraph.nodes.map(n => [nodeKey(n), n])),
+    edge: new Map(localGraph.edges.map(e => [edgeKey(e), e])),
+  };
+  const applied = [];
+  const skipped = [];
+  const skip = (d, reason) => skipped.push({ ...d, reason });
+  const labelTaken = (label, key) => [...current.node.values()].some(n => n.label === label && nodeKey(n) !== key);
+
+  // Edge removals before node removals (which drop their edges), nodes before the
+  // remaining edges so added edges find their replayed endpoints
+  const diffs = computeDiff(base, localGraph);
+  const edgeRemoval = d => d.type === 'edge' && d.action === 'removed';
+  const ordered = [
+    ...diffs.filter(edgeRemoval),
+    ...diffs.filter(d => d.type === 'node'),
+    ...diffs.filter(d => d.type === 'edge' && !edgeRemoval(d)),
+  ];
+  for (const d of ordered) {
+    const elements = current[d.type];
+    const oldKey = d.oldKey ?? d.key;  // retyped id-less edges change key
+    const upstream = elements.get(oldKey);
+    const mine = local[d.type].get(d.key);
+
+    if (d.action === 'added') {
+      if (upstream) {
+        if (!elementsEqual(upstream, mine)) skip(d, 'added upstream in another version');
+        continue;
+      }
+      if (d.type === 'node' && labelTaken(mine.label, d.key)) { skip(d, `label "${mine.label}" is taken upstream`); continue; }
+      if (d.type === 'edge' && !(current.node.has(mine.source) && current.node.has(mine.target))) { skip(d, 'endpoint removed upstream'); continue; }
+      elements.set(d.key, deepClone(mine));
+      applied.push(d);
+      continue;
+    }
+
+    if (!upstream) { skip(d, 'removed upstream'); continue; }
+
+    if (d.action === 'removed') {
+      elements.delete(d.key);
+      if (d.type === 'node') {
+        for (const [key, edge] of current.edge) {
+          if (edge.source === d.key || edge.target === d.key) current.edge.delete(key);
+        }
+      }
+      applied.push(d);
+      continue;
+    }
+
+    // modified / renamed: replay only what changed locally, unless upstream changed it too
+    const old = before[d.type].get(oldKey);
+    const fields = [
+      { name: 'label', get: el => el.label },
+      { name: 'type', get: el => el.type ?? null },
+      ...[...new Set([...Object.keys(old.props), ...Object.keys(mine.props)])].map(k => ({ name: k, prop: k, get: el => el.props[k] })),
+    ].filter(f => !valuesEqual(f.get(old), f.get(mine)));
+    const collisions = fields.filter(f => !valuesEqual(f.get(upstream), f.get(old)) && !valuesEqual(f.get(upstream), f.get(mine)));
+    if (collisions.length > 0) { skip(d, `${collisions.map(f => f.name).join(', ')} changed upstream too`); continue; }
+    if (d.type === 'node' && mine.label !== old.label && labelTaken(mine.label, d.key)) { skip(d, `label "${mine.label}" is taken upstream`); continue; }
+    const next = { ...upstream, props: { ...upstream.props } };
+    for (const f of fields) {
+      if (f.prop === undefined) next[f.name] = mine[f.name];
+      else if (f.prop in mine.props) next.props[f.prop] = mine.props[f.prop];
+      else delete next.props[f.prop];
+    }
+    elements.delete(oldKey);
+    elements.set(d.key, next);
+    applied.push(d);
+  }
+
+  return { graph: { nodes: [...current.node.values()], edges: [...current.edge.values()] }, applied, skipped };
+}
+
+/** Octopus merge modes: fold sources through threeWayMerge, or through mergeGraphs (later sources win) */
+export const OCTOPUS_MODES = ['three-way', 'sequential'];
+
+/**
+ * Octopus merge: merge several incoming graphs into target in the given order.
+ * sources: [{ id, graph }]
+ *   "three-way": each source is three-way merged against baseGraph (the target's
+ *     baseline) on top of the result so far, so sources that edit the same prop
+ *     differently conflict with each other instead of the last one silently winning.
+ *   "sequential": each source is merged with mergeGraphs (deletions relative to
+ *     baseGraph); later sources win, only reject-on-conflict policies conflict.
+ * Conflicts carry source (the id of the source being merged when they arose);
+ * conflicting elements keep the version merged so far.
+ * contributions: DiffEntries (see computeDiff) for each step, tagged with source.
+ * Returns { graph, conflicts, contributions }.
+ */
+export function octopusMerge(targetGraph, sources, baseGraph = null, mode = 'three-way', template = null) {
+  let graph = targetGraph;
+  const conflicts = [];
+  const contributions = [];
+  for (const { id, graph: incoming } of sources) {
+    const step = mode === 'sequential'
+      ? { graph: mergeGraphs(graph, incoming, baseGraph, template), conflicts: findPolicyRejections(graph, incoming, template) }
+      : threeWayMerge(baseGraph, graph, incoming, template);
+    for (const c of step.conflicts) conflicts.push({ ...c, source: id });
+    for (const d of computeDiff(graph, step.graph)) contributions.push({ ...d, source: id });
+    graph = step.graph;
+  }
+  return { graph, conflicts, contributions };
+}
+
+/** Stable id of a merge conflict, e.g. "node:A" or "edge:A→B" (node ids, not labels) */
+export function conflictId(conflict) {
+  return `${conflict.type}:${conflict.key}`;
+}
+
+/**
+ * Resolutions that would give a node a label another node of the resolved graph carries
+ * (see applyResolutions). Returns [{ id: conflictId, label }]
+ */
+export function findResolutionLabelClashes(graph, conflicts, resolutions) {
+  const resolved = resolveElements(graph, conflicts, resolutions).nodes;
+  const clashes = [];
+  for (const conflict of conflicts) {
+    const element = resolutions[conflictId(conflict)];
+    if (conflict.type !== 'node' || !element) continue;
+    if (resolved.some(n => n.label === element.label && nodeKey(n) !== conflict.key)) {
+      clashes.push({ id: conflictId(conflict), label: element.label });
+    }
+  }
+  return clashes;
+}
+
+/**
+ * Apply conflict resolutions to a threeWayMerge result graph.
+ * resolutions: { [conflictId]: element | null } — null removes the element.
+ * Conflicts without a resolution keep the version already in the graph, as do resolutions
+ * that would duplicate a node label (see findResolutionLabelClashes).
+ * Edges left pointing at removed nodes are dropped. Returns a new graph.
+ */
+export function applyResolutions(graph, conflicts, resolutions) {
+  const clashes = new Set(findResolutionLabelClashes(graph, conflicts, resolutions).map(c => c.id));
+  const applicable = Object.fromEntries(Object.entries(resolutions).filter(([id]) => !clashes.has(id)));
+  return resolveElements(graph, conflicts, applicable);
+}
+
+/** Put each resolved element in place of the graph's version, dropping orphaned edges */
+function resolveElements(graph, conflicts, resolutions) {
+  const nodes = graph.nodes.map(n => deepClone(n));
+  const edges = graph.edges.map(e => deepClone(e));
+
+  for (const conflict of conflicts) {
+    const id = conflictId(conflict);
+    if (!(id in resolutions)) continue;
+    const resolved = resolutions[id];
+    const list = conflict.type === 'node' ? nodes : edges;
+    const keyFn = conflict.type === 'node' ? nodeKey : edgeKey;
+    const idx = list.findIndex(el => keyFn(el) === conflict.key);
+    if (resolved === null) {
+      if (idx !== -1) list.splice(idx, 1);
+    } else if (idx !== -1) {
+      list[idx] = deepClone(resolved);
+    } else {
+      list.push(deepClone(resolved));
+    }
+  }
+
+  const finalNodeKeys = new Set(nodes.map(n => nodeKey(n)));
+  return {
+    nodes,
+    edges: edges.filter(e => finalNodeKeys.has(e.source) && finalNodeKeys.has(e.target)),
+  };
+}
+
+/**
+ * Merge incomingGraph into a panel's state ({ graph, baseGraph, template }) with a merge
+ * strategy, without touching either (the dry run behind previews and commits).
+ *   push / sync: additive only, no base
+ *   mirror: three-way merge against baseGraph
+ *   scoped / downstream / neighborhood (scopeNodes given), typed: incoming and baseGraph
+ *     filtered to the scope or to options.nodeTypes / options.edgeTypes, then mirror,
+ *     so deletions outside the filtered set never reach the target
+ *   rebase: incomingGraph becomes the new baseGraph, local changes are replayed on it
+ * An empty target without a baseline takes a copy of incomingGraph.
+ * options.resolutions ({ [conflictId]: element | null }) is applied once every conflict
+ * has one; until then graph is the unresolved merge result.
+ * Returns { graph, conflicts, unresolved }; rebase adds baseGraph and skipped.
+ */
+export function computeMerge(target, incomingGraph, strategy = 'mirror', scopeNodes = [], options = {}) {
+  const { graph: targetGraph, baseGraph = null, template = null } = target;
+  if (isEmpty(targetGraph) && !baseGraph) return { graph: deepClone(incomingGraph), conflicts: [], unresolved: [] };
+  if (strategy === 'rebase') {
+    const { graph, skipped } = rebaseChanges(baseGraph, targetGraph, incomingGraph);
+    return { graph, conflicts: [], unresolved: [], baseGraph: deepClone(incomingGraph), skipped };
+  }
+  const filter = (SCOPED_STRATEGIES.includes(strategy) && scopeNodes.length > 0)
+    ? g => filterScopedSubgraph(g, strategy, scopeNodes, options.hops)
+    : strategy === 'typed'
+      ? g => filterTypedSubgraph(g, options.nodeTypes, options.edgeTypes)
+      : null;
+  const sourceGraph = filter ? filter(incomingGraph) : incomingGraph;
+  const baseForDiff = (strategy === 'push' || strategy === 'sync')
+    ? null
+    : (filter && baseGraph) ? filter(baseGraph) : baseGraph;
+  // Additive merges can only conflict through reject-on-conflict merge policies
+  const { graph, conflicts } = baseForDiff
+    ? threeWayMerge(baseForDiff, targetGraph, sourceGraph, template)
+    : { graph: mergeGraphs(targetGraph, sourceGraph, null, template), conflicts: findPolicyRejections(targetGraph, sourceGraph, template) };
+  const resolutions = options.resolutions || {};
+  const unresolved = conflicts.filter(c => !(conflictId(c) in resolutions));
+  if (unresolved.length > 0 || conflicts.length === 0) return { graph, conflicts, unresolved };
+  return { graph: applyResolutions(graph, conflicts, resolutions), conflicts, unresolved };
+}
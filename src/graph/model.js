@@ -4,24 +4,48 @@ export const deepClone = obj => JSON.parse(JSON.stringify(obj));
 /** Create an empty graph */
 export const createGraph = () => ({ nodes: [], edges: [] });
 
-/** Node identity key */
-export const nodeKey = node => node.label;
+/** Node identity key — the stable id (label for legacy nodes without one) */
+export const nodeKey = node => node.id ?? node.label;
 
-/** Edge identity key */
-export const edgeKey = edge => `${edge.source}→${edge.target}`;
+/**
+ * Edge identity key — an explicit edge id if set, else "source→target", suffixed
+ * with ":type" for typed edges so parallel edges of different types stay distinct
+ */
+export const edgeKey = edge => edge.id ?? (edge.type
+  ? `${edge.source}→${edge.target}:${edge.type}`
+  : `${edge.source}→${edge.target}`);
 
-/** Create a node */
-export const createNode = (label, props = {}, type = null) => ({ label, type, props: { ...props } });
+/** Does edge connect source→target (and, when type is given, have that type)? */
+export const edgeMatches = (edge, source, target, type = undefined) =>
+  edge.source === source && edge.target === target && (type === undefined || (edge.type ?? null) === type);
+
+/** Create a node. id is the stable identity edges refer to; label is display only */
+export const createNode = (label, props = {}, type = null, id = label) => ({ id, label, type, props: { ...props } });
 
 /** Create an edge */
 export const createEdge = (source, target, props = {}, type = null) => ({ source, target, type, props: { ...props } });
 
-/** Find node by label */
-export const findNode = (graph, label) => graph.nodes.find(n => n.label === label);
+/** Find node by id */
+export const findNode = (graph, id) => graph.nodes.find(n => nodeKey(n) === id);
+
+/** Find node by display label */
+export const findNodeByLabel = (graph, label) => graph.nodes.find(n => n.label === label);
+
+/** Pick a node id for a new node: the label itself, or label~2, label~3, … if taken */
+export const uniqueNodeId = (graph, label) => {
+  const ids = new Set(graph.nodes.map(nodeKey));
+  if (!ids.has(label)) return label;
+  let i = 2;
+  while (ids.has(`${label}~${i}`)) i++;
+  return `${label}~${i}`;
+};
 
-/** Find edge by source+target */
-export const findEdge = (graph, source, target) =>
-  graph.edges.find(e => e.source === source && e.target === target);
+/** Find edge by source+target (+type, to pick one of several parallel edges) */
+export const findEdge = (graph, source, target, type = undefined) =>
+  graph.edges.find(e => edgeMatches(e, source, target, type));
+
+/** Find edge by edgeKey */
+export const findEdgeByKey = (graph, key) => graph.edges.find(e => edgeKey(e) === key);
 
 /** Add node to graph (returns new graph) */
 export const addNode = (graph, node) => ({
@@ -35,45 +59,64 @@ export const addEdge = (graph, edge) => ({
   edges: [...graph.edges, { ...edge, props: { ...edge.props } }],
 });
 
-/** Remove node and its connected edges (returns new graph) */
-export const removeNode = (graph, label) => ({
-  nodes: graph.nodes.filter(n => n.label !== label),
-  edges: graph.edges.filter(e => e.source !== label && e.target !== label),
+/** Remove node (by id) and its connected edges (returns new graph) */
+export const removeNode = (graph, id) => ({
+  nodes: graph.nodes.filter(n => nodeKey(n) !== id),
+  edges: graph.edges.filter(e => e.source !== id && e.target !== id),
 });
 
-/** Remove edge (returns new graph) */
-export const removeEdge = (graph, source, target) => ({
+/** Remove edge; all parallel source→target edges unless type is given (returns new graph) */
+export const removeEdge = (graph, source, target, type = undefined) => ({
   nodes: [...graph.nodes],
-  edges: graph.edges.filter(e => !(e.source === source && e.target === target)),
+  edges: graph.edges.filter(e => !edgeMatches(e, source, target, type)),
 });
 
-/** Update node props (returns new graph) */
-export const updateNodeProps = (graph, label, props) => ({
-  nodes: graph.nodes.map(n => n.label === label ? { ...n, props: { ...props } } : n),
+/** Remove nodes (by id, with their connected edges) and edges (by key) (returns new graph) */
+export const removeElements = (graph, nodeIds = [], edgeKeys = []) => {
+  const nodes = new Set(nodeIds);
+  const edges = new Set(edgeKeys);
+  return {
+    nodes: graph.nodes.filter(n => !nodes.has(nodeKey(n))),
+    edges: graph.edges.filter(e => !edges.has(edgeKey(e)) && !nodes.has(e.source) && !nodes.has(e.target)),
+  };
+};
+
+/** Update node props by id (returns new graph) */
+export const updateNodeProps = (graph, id, props) => ({
+  nodes: graph.nodes.map(n => nodeKey(n) === id ? { ...n, props: { ...props } } : n),
+  edges: [...graph.edges],
+});
+
+/** Change a node's display label, keeping its id and edges (returns new graph) */
+export const renameNode = (graph, id, label) => ({
+  nodes: graph.nodes.map(n => nodeKey(n) === id ? { ...n, id: nodeKey(n), label } : n),
   edges: [...graph.edges],
 });
 
-/** Update edge props (returns new graph) */
-export const updateEdgeProps = (graph, source, target, props) => ({
+/** Update edge props; type narrows to one of several parallel edges (returns new graph) */
+export const updateEdgeProps = (graph, source, target, props, type = undefined) => ({
   nodes: [...graph.nodes],
   edges: graph.edges.map(e =>
-    (e.source === source && e.target === target) ? { ...e, props: { ...props } } : e
+    edgeMatches(e, source, target, type) ? { ...e, props: { ...props } } : e
   ),
 });
 
 /** Get all node labels */
 export const nodeLabels = graph => graph.nodes.map(n => n.label);
 
+/** First label carried by more than one node, or null */
+export const findDuplicateLabel = graph => nodeLabels(graph).find((label, i, labels) => labels.indexOf(label) !== i) ?? null;
+
 /** Check if graph is empty */
 export const isEmpty = graph => graph.nodes.length === 0 && graph.edges.length === 0;
 
 /** Check if two graphs are structurally equal */
 export const graphsEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
 
-/** Get subgraph of root node and all its ancestors (BFS backwards from root) */
-export const getAncestorSubgraph = (graph, rootLabel) => {
+/** Get subgraph of root node (by id) and all its ancestors (BFS backwards from root) */
+export const getAncestorSubgraph = (graph, rootId) => {
   const collected = new Set();
-  const queue = [rootLabel];
+  const queue = [rootId];
 
   while (queue.length > 0) {
     const current = queue.shift();
@@ -89,7 +132,7 @@ export const getAncestorSubgraph = (graph, rootLabel) => {
   }
 
   return {
-    nodes: graph.nodes.filter(n => collected.has(n.label)).map(n => deepClone(n)),
+    nodes: graph.nodes.filter(n => collected.has(nodeKey(n))).map(n => deepClone(n)),
     edges: graph.edges.filter(e => collected.has(e.source) && collected.has(e.target)).map(e => deepClone(e)),
   };
 };
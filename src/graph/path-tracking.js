@@ -1,7 +1,7 @@
 /**
  * Path Tracking — pure functions for DAG path tag computation.
  *
- * A "path tag" is an object mapping specialTypeId → nodeLabel,
+ * A "path tag" is an object mapping specialTypeId → node id (nodeKey),
  * representing one complete path from the current edge downstream to
  * the leaf-end special-type nodes.
  *
@@ -11,14 +11,16 @@
  *   Tags on edge C1→R1: [{ R_type: 'R1' }]
  */
 
+import { nodeKey, edgeKey } from './model.js';
+
 /** Topological sort of nodes (leaves first). Returns node labels in order. */
 function topoSort(graph) {
   // Build adjacency: source → [targets]
   const outEdges = new Map();
   const inDegree = new Map();
   for (const node of graph.nodes) {
-    outEdges.set(node.label, []);
-    inDegree.set(node.label, 0);
+    outEdges.set(nodeKey(node), []);
+    inDegree.set(nodeKey(node), 0);
   }
   for (const edge of graph.edges) {
     const targets = outEdges.get(edge.source);
@@ -29,14 +31,14 @@ function topoSort(graph) {
   // Kahn's algorithm — start from leaves (in-degree === 0 means no incoming = leaf in reverse)
   // We want leaves first, so start from nodes with out-degree === 0
   const outDegree = new Map();
-  for (const node of graph.nodes) outDegree.set(node.label, 0);
+  for (const node of graph.nodes) outDegree.set(nodeKey(node), 0);
   for (const edge of graph.edges) {
     outDegree.set(edge.source, (outDegree.get(edge.source) || 0) + 1);
   }
 
   const queue = [];
   for (const node of graph.nodes) {
-    if (outDegree.get(node.label) === 0) queue.push(node.label);
+    if (outDegree.get(nodeKey(node)) === 0) queue.push(nodeKey(node));
   }
 
   const order = [];
@@ -58,7 +60,7 @@ function topoSort(graph) {
 
   // Add any unprocessed nodes (cycle members) at the end
   for (const node of graph.nodes) {
-    if (!processed.has(node.label)) order.push(node.label);
+    if (!processed.has(nodeKey(node))) order.push(nodeKey(node));
   }
 
   return order;
@@ -82,10 +84,10 @@ export function computePathTags(graph, specialTypeIds) {
     return new Map();
   }
 
-  const nodeMap = new Map(graph.nodes.map(n => [n.label, n]));
+  const nodeMap = new Map(graph.nodes.map(n => [nodeKey(n), n]));
 
   // Build children map: label → [child labels]
-  const children = new Map(graph.nodes.map(n => [n.label, []]));
+  const children = new Map(graph.nodes.map(n => [nodeKey(n), []]));
   for (const edge of graph.edges) {
     const ch = children.get(edge.source);
     if (ch) ch.push(edge.target);
@@ -137,8 +139,7 @@ export function computePathTags(graph, specialTypeIds) {
   // Build edge → tags: tags of target node
   const result = new Map();
   for (const edge of graph.edges) {
-    const key = `${edge.source}→${edge.target}`;
-    result.set(key, nodeDescriptors.get(edge.target) || [{}]);
+    result.set(edgeKey(edge), nodeDescriptors.get(edge.target) || [{}]);
   }
 
   return result;
@@ -165,18 +166,19 @@ export function propagateExclusions(graph, directExclusions, pathTags, specialTy
 
   if (!pathTags || pathTags.size === 0) return effective;
 
-  // Build parent map: label → [parent edge sources]
+  // Build parent map: node → [incoming edges]
   const parents = new Map();
-  for (const node of graph.nodes) parents.set(node.label, []);
+  for (const node of graph.nodes) parents.set(nodeKey(node), []);
   for (const edge of graph.edges) {
     const p = parents.get(edge.target);
-    if (p) p.push(edge.source);
+    if (p) p.push(edge);
   }
 
   // BFS upstream from each excluded edge — seed from SOURCE of excluded edge
+  const edgesByKey = new Map(graph.edges.map(e => [edgeKey(e), e]));
   const queue = [];
   for (const [key, tags] of effective) {
-    const [source] = key.split('→');
+    const source = edgesByKey.get(key)?.source ?? key.split('→')[0];
     queue.push({ target: source, tags: new Set(tags) });
   }
 
@@ -188,9 +190,9 @@ export function propagateExclusions(graph, directExclusions, pathTags, specialTy
     visited.add(visitKey);
 
     // For each parent edge (parent → target), propagate matching tags
-    for (const parentLabel of (parents.get(target) || [])) {
-      const edgeKey = `${parentLabel}→${target}`;
-      const edgeTags = pathTags.get(edgeKey);
+    for (const parentEdge of (parents.get(target) || [])) {
+      const key = edgeKey(parentEdge);
+      const edgeTags = pathTags.get(key);
       if (!edgeTags) continue;
 
       // Find tags that appear in this edge's path tags (use same specialTypeIds for consistency)
@@ -198,12 +200,12 @@ export function propagateExclusions(graph, directExclusions, pathTags, specialTy
       const matchingTags = new Set([...tags].filter(t => edgeTagsSet.has(t)));
 
       if (matchingTags.size > 0) {
-        const existing = effective.get(edgeKey) || new Set();
+        const existing = effective.get(key) || new Set();
         const merged = new Set([...existing, ...matchingTags]);
-        effective.set(edgeKey, merged);
+        effective.set(key, merged);
 
         // Continue upstream
-        queue.push({ target: parentLabel, tags: matchingTags });
+        queue.push({ target: parentEdge.source, tags: matchingTags });
       }
     }
   }
@@ -226,7 +228,7 @@ export function isNodeFullyExcluded(graph, nodeLabel, pathTags, effectiveExclusi
   if (outgoing.length === 0) return false; // leaf nodes are never "fully excluded"
 
   for (const edge of outgoing) {
-    const key = `${edge.source}→${edge.target}`;
+    const key = edgeKey(edge);
     const tags = pathTags.get(key) || [];
     const excluded = effectiveExclusions.get(key) || new Set();
     // If any tag on this edge is NOT excluded, node is not fully excluded
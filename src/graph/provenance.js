@@ -0,0 +1,111 @@
+/**
+ * Provenance — pure functions recording which merge changed which element.
+ *
+ * Provenance map: { "node:<id>" | "edge:<edgeKey>": ProvenanceRecord[] } (oldest first)
+ * ProvenanceRecord: { source, strategy, timestamp, action, approval }
+ *   source: id of the panel the change came from
+ *   strategy: merge strategy ("mirror", "push", "octopus", …)
+ *   action: DiffEntry action the merge caused ("added" | "modified" | "renamed" | "retyped")
+ *   approval: timestamp of the approval that accepted the change, null while pending
+ */
+
+import { nodeKey, edgeKey } from './model.js';
+
+/** Provenance map key of an element, e.g. "node:A" or "edge:A→B" */
+export const provenanceKey = (type, key) => `${type}:${key}`;
+
+/**
+ * Record a merge's changes (DiffEntries from computeDiff) in a provenance map.
+ * Removed elements lose their provenance; id-less edges retyped to a new key (DiffEntry
+ * oldKey) keep theirs under it. Returns a new map.
+ */
+export function recordProvenance(provenance, diffs, { source, strategy, timestamp }) {
+  const result = { ...provenance };
+  for (const d of diffs) {
+    const key = provenanceKey(d.type, d.key);
+    if (d.action === 'removed') {
+      delete result[key];
+    } else {
+      if (d.oldKey) {
+        const oldKey = provenanceKey(d.type, d.oldKey);
+        result[key] = [...(result[oldKey] || []), ...(result[key] || [])];
+        delete result[oldKey];
+      }
+      result[key] = [...(result[key] || []), { source, strategy, timestamp, action: d.action, approval: null }];
+    }
+  }
+  return result;
+}
+
+/** Mark pending records as accepted by the approval at timestamp. Returns a new map */
+export function stampApproval(provenance, timestamp) {
+  const result = {};
+  for (const [key, records] of Object.entries(provenance)) {
+    result[key] = records.map(r => r.approval ? r : { ...r, approval: timestamp });
+  }
+  return result;
+}
+
+/** Drop pending (unapproved) records, e.g. when unapproved changes are discarded. Returns a new map */
+export function dropPendingProvenance(provenance) {
+  const result = {};
+  for (const [key, records] of Object.entries(provenance)) {
+    const approved = records.filter(r => r.approval);
+    if (approved.length > 0) result[key] = approved;
+  }
+  return result;
+}
+
+/** Records as of an approval: those approved at or before timestamp. Returns a new map */
+export function provenanceAt(provenance, timestamp) {
+  const result = {};
+  for (const [key, records] of Object.entries(provenance)) {
+    const kept = records.filter(r => r.approval && r.approval <= timestamp);
+    if (kept.length > 0) result[key] = kept;
+  }
+  return result;
+}
+
+/** Keep only entries for elements still in graph. Returns a new map */
+export function pruneProvenance(provenance, graph) {
+  const live = new Set([
+    ...graph.nodes.map(n => provenanceKey('node', nodeKey(n))),
+    ...graph.edges.map(e => provenanceKey('edge', edgeKey(e))),
+  ]);
+  const result = {};
+  for (const [key, records] of Object.entries(provenance)) {
+    if (live.has(key)) result[key] = records;
+  }
+  return result;
+}
+
+/**
+ * Elements with at least one record from source.
+ * Returns { nodes: [id], edges: [edgeKey] }.
+ */
+export function queryProvenance(provenance, source) {
+  const result = { nodes: [], edges: [] };
+  for (const [key, records] of Object.entries(provenance)) {
+    if (!records.some(r => r.source === source)) continue;
+    const sep = key.indexOf(':');
+    const type = key.slice(0, sep);
+    (type === 'node' ? result.nodes : result.edges).push(key.slice(sep + 1));
+  }
+  return result;
+}
+
+/** Distinct source ids in a provenance map, in first-seen order */
+export function provenanceSources(provenance) {
+  const sources = new Set();
+  for (const records of Object.values(provenance)) {
+    for (const r of records) sources.add(r.source);
+  }
+  return [...sources];
+}
+
+/** One-line description of a record: "modified by Panel 3 (mirror) at 10:32:05, approved 10:40:12" */
+export function formatProvenance(record) {
+  const time = ts => new Date(ts).toLocaleTimeString();
+  const approval = record.approval ? `approved ${time(record.approval)}` : 'pending approval';
+  return `${record.action} by Panel ${record.source} (${record.strategy}) at ${time(record.timestamp)}, ${approval}`;
+}
@@ -0,0 +1,144 @@
+/**
+ * Template rules — pure functions for semantic validation beyond graph type constraints.
+ *
+ * A template may declare rules: Rule[], each with severity "error" (blocks approval)
+ * or "warning" (listed only). Rule kinds:
+ *   { kind: 'required-prop', element: 'node' | 'edge', type, prop } — elements of type must carry prop
+ *   { kind: 'edge-endpoints', type, source, target } — edges of type may only connect a node of
+ *     type source to one of type target; several rules for one edge type allow several pairs
+ *   { kind: 'max-out-degree', type, max } — nodes of type have at most max outgoing edges
+ *     (edges of any direction in undirected graph types)
+ * Types are referenced by id. Rules are edited as text, one per line (see parseRules).
+ *
+ * Violation: { severity, type: 'node' | 'edge', key, message }
+ */
+
+import { nodeKey, edgeKey } from './model.js';
+import { GRAPH_TYPES, typeLabel } from './template.js';
+
+export const RULE_KINDS = ['required-prop', 'edge-endpoints', 'max-out-degree'];
+
+export const RULE_SEVERITIES = ['error', 'warning'];
+
+/** Quote a type label containing whitespace or quotes for the rule text */
+const quote = text => /[\s"]/.test(text) ? `"${text.replace(/"/g, '\\"')}"` : text;
+
+/** Format one rule as a line of rule text, naming types by label */
+export function formatRule(rule, template) {
+  const name = (kind, id) => quote(typeLabel(template, kind, id));
+  const prefix = rule.severity === 'warning' ? 'warning: ' : '';
+  if (rule.kind === 'required-prop') return `${prefix}${rule.element} ${name(rule.element, rule.type)} requires ${rule.prop}`;
+  if (rule.kind === 'edge-endpoints') return `${prefix}edge ${name('edge', rule.type)} connects ${name('node', rule.source)} -> ${name('node', rule.target)}`;
+  return `${prefix}node ${name('node', rule.type)} max-out-degree ${rule.max}`;
+}
+
+/** Format a template's rules as rule text, one per line */
+export const formatRules = (template) => (template?.rules || []).map(r => formatRule(r, template)).join('\n');
+
+/** Split a line into words; double-quoted words may contain spaces (\" escapes a quote) */
+function tokenize(line) {
+  return [...line.matchAll(/"((?:[^"\\]|\\.)*)"|(\S+)/g)].map(m => m[1] !== undefined ? m[1].replace(/\\"/g, '"') : m[2]);
+}
+
+/**
+ * Parse rule text, one rule per line:
+ *   node|edge <Type> requires <prop>
+ *   edge <Type> connects <SourceType> -> <TargetType>
+ *   node <Type> max-out-degree <N>
+ * A "warning:" prefix makes the rule a warning; rules are errors by default.
+ * Types are named by label (double-quoted if it has spaces) or id.
+ * Returns { rules, invalid: [line] }
+ */
+export function parseRules(text, template) {
+  const rules = [];
+  const invalid = [];
+  const findType = (kind, name) => {
+    const types = (kind === 'node' ? template?.nodeTypes : template?.edgeTypes) || [];
+    return (types.find(t => t.label === name) || types.find(t => t.id === name))?.id ?? null;
+  };
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    if (!line) continue;
+    const warning = /^warning:/i.test(line);
+    const words = tokenize(warning ? line.slice('warning:'.length) : line);
+    const severity = warning ? 'warning' : 'error';
+    const [element, typeName, verb, ...args] = words;
+    const type = (element === 'node' || element === 'edge') ? findType(element, typeName) : null;
+    let rule = null;
+    if (type && verb === 'requires' && args.length === 1) {
+      rule = { kind: 'required-prop', element, type, prop: args[0] };
+    } else if (type && element === 'edge' && verb === 'connects' && args.length === 3 && ['->', '→'].includes(args[1])) {
+      const source = findType('node', args[0]);
+      const target = findType('node', args[2]);
+      if (source && target) rule = { kind: 'edge-endpoints', type, source, target };
+    } else if (type && element === 'node' && verb === 'max-out-degree' && /^\d+$/.test(args[0] ?? '') && args.length === 1) {
+      rule = { kind: 'max-out-degree', type, max: Number(args[0]) };
+    }
+    if (rule) rules.push({ ...rule, severity });
+    else invalid.push(line);
+  }
+  return { rules, invalid };
+}
+
+/** Check graph against the template's rules. Returns Violation[], nodes first */
+export function checkRules(graph, template) {
+  const rules = template?.rules || [];
+  if (rules.length === 0) return [];
+  const directed = GRAPH_TYPES[template.graphType]?.directed ?? true;
+  const nodes = new Map(graph.nodes.map(n => [nodeKey(n), n]));
+  const nodeName = key => `"${nodes.get(key)?.label ?? key}"`;
+  const edgeName = e => `${nodes.get(e.source)?.label ?? e.source}${directed ? '→' : '–'}${nodes.get(e.target)?.label ?? e.target}`;
+  const label = (kind, id) => typeLabel(template, kind, id);
+  const violations = [];
+
+  for (const rule of rules.filter(r => r.kind === 'required-prop')) {
+    const elements = rule.element === 'node' ? graph.nodes : graph.edges;
+    for (const el of elements) {
+      if (el.type !== rule.type || rule.prop in (el.props || {})) continue;
+      const name = rule.element === 'node' ? nodeName(nodeKey(el)) : edgeName(el);
+      violations.push({
+        severity: rule.severity, type: rule.element, key: rule.element === 'node' ? nodeKey(el) : edgeKey(el),
+        message: `${label(rule.element, rule.type)} ${name} is missing required prop "${rule.prop}"`,
+      });
+    }
+  }
+
+  for (const rule of rules.filter(r => r.kind === 'max-out-degree')) {
+    for (const node of graph.nodes) {
+      if (node.type !== rule.type) continue;
+      const key = nodeKey(node);
+      const degree = graph.edges.filter(e => e.source === key || (!directed && e.target === key)).length;
+      if (degree <= rule.max) continue;
+      violations.push({
+        severity: rule.severity, type: 'node', key,
+        message: `${label('node', rule.type)} ${nodeName(key)} has ${degree} ${directed ? 'outgoing ' : ''}edges (max ${rule.max})`,
+      });
+    }
+  }
+
+  // Endpoint rules of an edge type allow any of their pairs; the strictest severity applies
+  const endpointRules = rules.filter(r => r.kind === 'edge-endpoints');
+  for (const edge of graph.edges) {
+    const allowed = endpointRules.filter(r => r.type === edge.type);
+    if (allowed.length === 0) continue;
+    const sourceType = nodes.get(edge.source)?.type ?? null;
+    const targetType = nodes.get(edge.target)?.type ?? null;
+    const matches = r => (r.source === sourceType && r.target === targetType) ||
+      (!directed && r.source === targetType && r.target === sourceType);
+    if (allowed.some(matches)) continue;
+    const pairs = allowed.map(r => `${label('node', r.source)} → ${label('node', r.target)}`).join(', ');
+    violations.push({
+      severity: allowed.some(r => r.severity === 'error') ? 'error' : 'warning', type: 'edge', key: edgeKey(edge),
+      message: `${label('edge', edge.type)} edge ${edgeName(edge)} may only connect ${pairs}`,
+    });
+  }
+
+  return violations.sort((a, b) => (a.type === b.type ? 0 : a.type === 'node' ? -1 : 1));
+}
+
+/** Violations in after that were not in before, e.g. the ones a merge introduced */
+export function newViolations(before, after) {
+  const id = v => `${v.type}:${v.key}:${v.message}`;
+  const seen = new Set(before.map(id));
+  return after.filter(v => !seen.has(id(v)));
+}
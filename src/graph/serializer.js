@@ -1,7 +1,11 @@
-import { createGraph } from './model.js';
+import { createGraph, nodeKey, edgeKey } from './model.js';
+import { computeDiff } from './diff.js';
+import { typeLabel } from './template.js';
 
 /**
  * Validate a graph object has the expected shape.
+ * Migrates label-only graphs: nodes without an id get id = label, and edges
+ * may reference nodes by id or (legacy) by label.
  * Returns { ok: true, graph } or { ok: false, error: string }
  */
 export function validateGraph(data) {
@@ -15,7 +19,8 @@ export function validateGraph(data) {
     return { ok: false, error: 'Invalid data: missing edges array' };
   }
 
-  const labels = new Set();
+  const labels = new Map();  // label → id
+  const ids = new Set();
   for (const node of data.nodes) {
     if (!node.label || typeof node.label !== 'string') {
       return { ok: false, error: `Invalid node: missing or invalid label` };
@@ -23,31 +28,52 @@ export function validateGraph(data) {
     if (labels.has(node.label)) {
       return { ok: false, error: `Duplicate node label: "${node.label}"` };
     }
-    labels.add(node.label);
+    if (node.id !== undefined && node.id !== null && (typeof node.id !== 'string' || !node.id)) {
+      return { ok: false, error: `Invalid id on node "${node.label}"` };
+    }
+    const id = node.id || node.label;
+    if (ids.has(id)) {
+      return { ok: false, error: `Duplicate node id: "${id}"` };
+    }
+    labels.set(node.label, id);
+    ids.add(id);
     if (node.props && typeof node.props !== 'object') {
       return { ok: false, error: `Invalid props on node "${node.label}"` };
     }
   }
 
+  // Resolve an edge endpoint: node id first, then legacy label reference
+  const resolve = ref => ids.has(ref) ? ref : labels.get(ref);
+
+  const edgeKeys = new Set();
   for (const edge of data.edges) {
     if (!edge.source || !edge.target) {
       return { ok: false, error: 'Invalid edge: missing source or target' };
     }
-    if (!labels.has(edge.source)) {
+    if (!resolve(edge.source)) {
       return { ok: false, error: `Edge references unknown source: "${edge.source}"` };
     }
-    if (!labels.has(edge.target)) {
+    if (!resolve(edge.target)) {
       return { ok: false, error: `Edge references unknown target: "${edge.target}"` };
     }
     if (edge.props && typeof edge.props !== 'object') {
       return { ok: false, error: `Invalid props on edge "${edge.source}→${edge.target}"` };
     }
+    // Parallel edges need distinct types (or explicit ids)
+    const key = edgeKey({ id: edge.id || undefined, source: resolve(edge.source), target: resolve(edge.target), type: edge.type || null });
+    if (edgeKeys.has(key)) {
+      return { ok: false, error: `Duplicate edge: "${key}"` };
+    }
+    edgeKeys.add(key);
   }
 
-  // Normalize: ensure props exists, preserve type
+  // Normalize: ensure node id + props exist, preserve type and explicit edge ids
   const graph = {
-    nodes: data.nodes.map(n => ({ label: n.label, type: n.type || null, props: n.props || {} })),
-    edges: data.edges.map(e => ({ source: e.source, target: e.target, type: e.type || null, props: e.props || {} })),
+    nodes: data.nodes.map(n => ({ id: n.id || n.label, label: n.label, type: n.type || null, props: n.props || {} })),
+    edges: data.edges.map(e => ({
+      ...(e.id ? { id: e.id } : {}),
+      source: resolve(e.source), target: resolve(e.target), type: e.type || null, props: e.props || {},
+    })),
   };
 
   return { ok: true, graph };
@@ -66,9 +92,931 @@ export function fromJSON(jsonStr) {
   }
 }
 
-/** Trigger file download of graph as JSON */
-export function exportToFile(graph, filename = 'graph.json') {
-  const blob = new Blob([toJSON(graph)], { type: 'application/json' });
+// ===== XML (shared by the XML-based formats) =====
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/** Decode XML character and entity references */
+const xmlDecode = text => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, ref) => {
+  if (ref[0] !== '#') return XML_ENTITIES[ref] ?? m;
+  return String.fromCodePoint(ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10));
+});
+
+/** Escape a value for XML text or a double-quoted attribute */
+const xmlEscape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * Minimal XML parser for the graph formats: elements, attributes, text and CDATA;
+ * comments, processing instructions and DOCTYPE are skipped. Namespace prefixes are
+ * dropped from element names (y:ShapeNode → ShapeNode).
+ * Returns { ok: true, root } with elements { name, attrs, children, text } or { ok: false, error }.
+ */
+function parseXML(text) {
+  const doc = { name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [doc];
+  const tagRe = /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+  const attrRe = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  const skip = [['<!--', '-->'], ['<![CDATA[', ']]>'], ['<?', '?>'], ['<!', '>']];
+  let i = 0;
+  while (i < text.length) {
+    const lt = text.indexOf('<', i);
+    const top = stack[stack.length - 1];
+    top.text += xmlDecode(text.slice(i, lt === -1 ? text.length : lt));
+    if (lt === -1) break;
+    const special = skip.find(([open]) => text.startsWith(open, lt));
+    if (special) {
+      const [open, close] = special;
+      const end = text.indexOf(close, lt + open.length);
+      if (end === -1) return { ok: false, error: `unterminated ${open}` };
+      if (open === '<![CDATA[') top.text += text.slice(lt + open.length, end);
+      i = end + close.length;
+      continue;
+    }
+    tagRe.lastIndex = lt;
+    const m = tagRe.exec(text);
+    if (!m) return { ok: false, error: `malformed tag at offset ${lt}` };
+    const [tag, closing, qname, attrText, selfClosing] = m;
+    const name = qname.includes(':') ? qname.slice(qname.indexOf(':') + 1) : qname;
+    i = lt + tag.length;
+    if (closing) {
+      if (stack.length === 1 || top.name !== name) return { ok: false, error: `unexpected </${qname}>` };
+      stack.pop();
+      continue;
+    }
+    const attrs = {};
+    for (const [, key, dq, sq] of attrText.matchAll(attrRe)) attrs[key] = xmlDecode(dq ?? sq);
+    const element = { name, attrs, children: [], text: '' };
+    top.children.push(element);
+    if (!selfClosing) stack.push(element);
+  }
+  if (stack.length > 1) return { ok: false, error: `unclosed <${stack[stack.length - 1].name}>` };
+  if (doc.children.length !== 1) return { ok: false, error: 'expected a single root element' };
+  return { ok: true, root: doc.children[0] };
+}
+
+/** First descendant element (depth-first) named one of names, or null */
+function findElement(element, names) {
+  for (const child of element.children) {
+    if (names.includes(child.name)) return child;
+    const found = findElement(child, names);
+    if (found) return found;
+  }
+  return null;
+}
+
+// ===== GraphML =====
+
+/** Data keys with these attr.names hold the node label / element type rather than a prop;
+ *  props with the same names are written as prop:<name> */
+const GRAPHML_FIELDS = ['label', 'type'];
+
+/** GraphML attr.type for a prop's values; objects, arrays and null are JSON-encoded strings */
+function graphmlAttrType(values) {
+  if (values.some(v => v === null || typeof v === 'object')) return { type: 'string', json: true };
+  if (values.every(v => typeof v === 'boolean')) return { type: 'boolean' };
+  if (values.every(v => typeof v === 'number')) return { type: values.every(Number.isInteger) ? 'long' : 'double' };
+  return { type: 'string' };
+}
+
+/**
+ * Serialize graph to GraphML. Node label and node/edge type become data keys named
+ * "label" and "type"; each prop becomes a key with an attr.type inferred from its values.
+ * directed sets the graph's edgedefault (from the template's graph type).
+ */
+export function toGraphML(graph, { directed = true } = {}) {
+  const keys = [];
+  const declare = (kind, elements) => {
+    if (elements.length > 0 && kind === 'node') keys.push({ kind, name: 'label', type: 'string' });
+    if (elements.some(el => el.type)) keys.push({ kind, name: 'type', type: 'string' });
+    const names = [...new Set(elements.flatMap(el => Object.keys(el.props || {})))];
+    for (const name of names) {
+      const values = elements.map(el => el.props?.[name]).filter(v => v !== undefined);
+      keys.push({ kind, name: GRAPHML_FIELDS.includes(name) || name.startsWith('prop:') ? `prop:${name}` : name, prop: name, ...graphmlAttrType(values) });
+    }
+  };
+  declare('node', graph.nodes);
+  declare('edge', graph.edges);
+  keys.forEach((k, i) => { k.id = `d${i}`; });
+
+  const data = (kind, el) => keys.filter(k => k.kind === kind).map(k => {
+    const value = k.prop !== undefined ? el.props?.[k.prop] : k.name === 'label' ? el.label : el.type;
+    if (value === undefined || (k.prop === undefined && value === null)) return '';
+    return `\n      <data key="${k.id}">${xmlEscape(k.json ? JSON.stringify(value) : value)}</data>`;
+  }).join('');
+
+  const keyLines = keys.map(k => {
+    const attrs = `id="${k.id}" for="${k.kind}" attr.name="${xmlEscape(k.name)}" attr.type="${k.type}"`;
+    return k.json ? `  <key ${attrs}><desc>JSON</desc></key>` : `  <key ${attrs}/>`;
+  });
+  const nodeLines = graph.nodes.map(n => `    <node id="${xmlEscape(nodeKey(n))}">${data('node', n)}\n    </node>`);
+  const edgeLines = graph.edges.map(e => {
+    const id = e.id ? ` id="${xmlEscape(e.id)}"` : '';
+    return `    <edge${id} source="${xmlEscape(e.source)}" target="${xmlEscape(e.target)}">${data('edge', e)}\n    </edge>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...keyLines,
+    `  <graph id="G" edgedefault="${directed ? 'directed' : 'undirected'}">`,
+    ...nodeLines,
+    ...edgeLines,
+    '  </graph>',
+    '</graphml>',
+  ].join('\n');
+}
+
+/**
+ * Parse GraphML to graph with validation. Data keys named "label" / "type" set the node
+ * label (default: the node id) and element type; other keys become props, typed by their
+ * attr.type. yEd graphics keys are ignored. Hyperedges, ports and nested graphs cannot
+ * be represented and are reported as errors.
+ * Returns { ok: true, graph, directed } (directed: the file's edgedefault) or { ok: false, error }.
+ */
+export function fromGraphML(text) {
+  const xml = parseXML(text);
+  if (!xml.ok) return { ok: false, error: `Invalid GraphML: ${xml.error}` };
+  const root = xml.root;
+  if (root.name !== 'graphml') return { ok: false, error: 'Invalid GraphML: root element is not <graphml>' };
+  const graphs = root.children.filter(c => c.name === 'graph');
+  if (graphs.length !== 1) {
+    return { ok: false, error: graphs.length === 0 ? 'Invalid GraphML: no <graph> element' : `GraphML file has ${graphs.length} graphs; only one is supported` };
+  }
+  const [graphEl] = graphs;
+  const unsupported = findElement(graphEl, ['hyperedge', 'port', 'graph']);
+  if (unsupported) {
+    const what = { hyperedge: 'hyperedges', port: 'ports', graph: 'nested graphs' }[unsupported.name];
+    return { ok: false, error: `GraphML ${what} are not supported` };
+  }
+
+  const keys = new Map();
+  for (const k of root.children.filter(c => c.name === 'key')) {
+    if ('yfiles.type' in k.attrs) continue;  // yEd graphics, not graph data
+    const fallback = k.children.find(c => c.name === 'default');
+    keys.set(k.attrs.id, {
+      for: k.attrs.for || 'all',
+      name: k.attrs['attr.name'] || k.attrs.id,
+      type: k.attrs['attr.type'] || 'string',
+      json: k.children.find(c => c.name === 'desc')?.text.trim() === 'JSON',
+      fallback: fallback ? fallback.text : undefined,
+    });
+  }
+  const convert = (key, raw) => {
+    if (key.json) {
+      try { return JSON.parse(raw); } catch { return raw; }
+    }
+    if (['int', 'long', 'float', 'double'].includes(key.type)) {
+      const n = Number(raw.trim());
+      return Number.isNaN(n) ? raw : n;
+    }
+    if (key.type === 'boolean') return raw.trim() === 'true';
+    return raw;
+  };
+  // Fields of a node/edge element: { label, type, props } from defaults and <data> children
+  const read = (kind, element) => {
+    const fields = { label: undefined, type: null, props: {} };
+    const set = (key, raw) => {
+      const value = convert(key, raw);
+      if (GRAPHML_FIELDS.includes(key.name)) fields[key.name] = value;
+      else fields.props[key.name.startsWith('prop:') ? key.name.slice(5) : key.name] = value;
+    };
+    for (const key of keys.values()) {
+      if ((key.for === kind || key.for === 'all') && key.fallback !== undefined) set(key, key.fallback);
+    }
+    for (const d of element.children.filter(c => c.name === 'data')) {
+      const key = keys.get(d.attrs.key);
+      if (key) set(key, d.text);
+    }
+    return fields;
+  };
+
+  const nodes = graphEl.children.filter(c => c.name === 'node').map(n => {
+    const { label, type, props } = read('node', n);
+    return { id: n.attrs.id, label: label === undefined || label === null ? n.attrs.id : String(label), type, props };
+  });
+  const edges = [];
+  for (const e of graphEl.children.filter(c => c.name === 'edge')) {
+    if (e.attrs.sourceport || e.attrs.targetport) return { ok: false, error: 'GraphML ports are not supported' };
+    const { type, props } = read('edge', e);
+    edges.push({ ...(e.attrs.id ? { id: e.attrs.id } : {}), source: e.attrs.source, target: e.attrs.target, type, props });
+  }
+  const result = validateGraph({ nodes, edges });
+  return result.ok ? { ...result, directed: graphEl.attrs.edgedefault !== 'undirected' } : result;
+}
+
+/** Colors for diff states in DOT and Mermaid exports, matching the panel's diff styles */
+const DIFF_COLORS = {
+  added: '#4CAF50', removed: '#F44336', modified: '#FF9800', renamed: '#AB47BC', retyped: '#26A69A',
+};
+
+// ===== Graphviz DOT =====
+
+const DOT_KEYWORDS = ['strict', 'graph', 'digraph', 'node', 'edge', 'subgraph'];
+
+/** DOT quoted string: backslashes and quotes escaped (tokenizeDOT decodes both) */
+const dotQuote = text => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/** Quote a DOT ID unless it is a plain identifier or numeral (keywords are always quoted) */
+function dotId(value) {
+  const text = String(value);
+  if (/^[A-Za-z_][\w]*$/.test(text) && !DOT_KEYWORDS.includes(text.toLowerCase())) return text;
+  if (/^-?(\.\d+|\d+(\.\d*)?)$/.test(text)) return text;
+  return dotQuote(text);
+}
+
+/** DOT attribute value: numbers and booleans bare, objects as JSON text, everything else quoted */
+function dotValue(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  if (typeof value === 'boolean') return String(value);
+  const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return dotQuote(text);
+}
+
+/** Props plus fields and style as a DOT attribute list; props named like a field or style
+ *  attribute get a prop: prefix, so each attribute appears once */
+function dotAttrs(fields, props, style = {}) {
+  const pairs = Object.entries(fields).filter(([, v]) => v !== null && v !== undefined);
+  const reserved = [...Object.keys(fields), ...Object.keys(style)];
+  for (const [name, value] of Object.entries(props || {})) {
+    const key = reserved.includes(name) || name.startsWith('prop:') ? `prop:${name}` : name;
+    pairs.push([key, value]);
+  }
+  pairs.push(...Object.entries(style));
+  return pairs.length === 0 ? '' : ` [${pairs.map(([k, v]) => `${dotId(k)}=${dotValue(v)}`).join(', ')}]`;
+}
+
+/**
+ * Serialize graph to Graphviz DOT. Node labels, node/edge types (as the typeAttr attribute,
+ * omitted if typeAttr is null), explicit edge ids and props become attributes; nodes with a
+ * string "cluster" prop are grouped into cluster subgraphs labelled with it.
+ * With baseGraph, elements are colored by diff state against it (added, modified, renamed,
+ * retyped) and removed elements are included dashed, so pending changes render outside the app.
+ */
+export function toDOT(graph, { directed = true, typeAttr = 'type', baseGraph = null } = {}) {
+  const op = directed ? '->' : '--';
+  const diffState = new Map(computeDiff(baseGraph, graph).map(d => [`${d.type}:${d.key}`, d.action]));
+  const removedEdge = e => diffState.get(`edge:${edgeKey(e)}`) === 'removed';
+  const style = (kind, key) => {
+    const action = diffState.get(`${kind}:${key}`);
+    if (!action) return {};
+    const color = { color: DIFF_COLORS[action], penwidth: 2 };
+    return action === 'removed' ? { ...color, style: 'dashed' } : color;
+  };
+  const typeField = type => (typeAttr ? { [typeAttr]: type } : {});
+  const nodeLine = (node, indent) => {
+    const { cluster, ...props } = node.props || {};
+    const rest = typeof cluster === 'string' ? props : node.props;
+    return `${indent}${dotId(nodeKey(node))}${dotAttrs({ label: node.label, ...typeField(node.type) }, rest, style('node', nodeKey(node)))};`;
+  };
+  const edgeLine = edge => {
+    const fields = { id: edge.id, ...typeField(edge.type) };
+    return `  ${dotId(edge.source)} ${op} ${dotId(edge.target)}${dotAttrs(fields, edge.props, style('edge', edgeKey(edge)))};`;
+  };
+
+  const nodes = [...graph.nodes];
+  const edges = [...graph.edges];
+  if (baseGraph) {
+    const nodeIds = new Set(graph.nodes.map(nodeKey));
+    nodes.push(...baseGraph.nodes.filter(n => !nodeIds.has(nodeKey(n))));
+    edges.push(...baseGraph.edges.filter(removedEdge));
+  }
+  const clusters = new Map();  // cluster name → nodes
+  const lines = [];
+  for (const node of nodes) {
+    const cluster = node.props?.cluster;
+    if (typeof cluster === 'string') {
+      if (!clusters.has(cluster)) clusters.set(cluster, []);
+      clusters.get(cluster).push(node);
+    } else {
+      lines.push(nodeLine(node, '  '));
+    }
+  }
+  [...clusters].forEach(([name, members], i) => {
+    lines.push(`  subgraph cluster_${i} {`, `    label=${dotValue(name)};`, ...members.map(n => nodeLine(n, '    ')), '  }');
+  });
+  lines.push(...edges.map(edgeLine));
+  return `${directed ? 'digraph' : 'graph'} G {\n${lines.join('\n')}\n}\n`;
+}
+
+/** Split DOT source into tokens: { id, quoted } for IDs, { punct } for punctuation and edge ops */
+function tokenizeDOT(text) {
+  const tokens = [];
+  const patterns = [
+    [/\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|(?<=^[ \t]*)#[^\n]*/my, null],  // whitespace, comments, preprocessor lines
+    [/->|--|[{}[\]=;,:+]/y, m => ({ punct: m[0] })],
+    [/"((?:[^"\\]|\\[\s\S])*)"/y, m => ({ id: m[1].replace(/\\(\r?\n|["\\])/g, (_, c) => (c === '"' || c === '\\' ? c : '')), quoted: true })],
+    [/-?(?:\.\d+|\d+(?:\.\d*)?)/y, m => ({ id: m[0], numeral: true })],
+    [/[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*/y, m => ({ id: m[0] })],
+  ];
+  let i = 0;
+  outer: while (i < text.length) {
+    if (text[i] === '<') {
+      // HTML-like label: balanced angle brackets, kept verbatim
+      let depth = 0;
+      let j = i;
+      for (; j < text.length; j++) {
+        if (text[j] === '<') depth++;
+        else if (text[j] === '>' && --depth === 0) break;
+      }
+      if (depth !== 0) return { ok: false, error: 'unterminated HTML string' };
+      tokens.push({ id: text.slice(i + 1, j), quoted: true });
+      i = j + 1;
+      continue;
+    }
+    for (const [re, make] of patterns) {
+      re.lastIndex = i;
+      const m = re.exec(text);
+      if (!m || m[0].length === 0) continue;
+      if (make) tokens.push(make(m));
+      i += m[0].length;
+      continue outer;
+    }
+    return { ok: false, error: `unexpected character "${text[i]}"` };
+  }
+  // "a" + "b" concatenates quoted strings
+  const merged = [];
+  for (let t = 0; t < tokens.length; t++) {
+    const prev = merged[merged.length - 1];
+    if (tokens[t].punct === '+' && prev?.quoted && tokens[t + 1]?.quoted) {
+      merged[merged.length - 1] = { id: prev.id + tokens[t + 1].id, quoted: true };
+      t++;
+    } else {
+      merged.push(tokens[t]);
+    }
+  }
+  return { ok: true, tokens: merged };
+}
+
+/** Attribute value from a DOT token: unquoted numerals become numbers, unquoted true/false booleans */
+function dotTokenValue(token) {
+  if (token.quoted) return token.id;
+  if (token.numeral) return Number(token.id);
+  if (token.id === 'true' || token.id === 'false') return token.id === 'true';
+  return token.id;
+}
+
+/**
+ * Parse Graphviz DOT to graph with validation. Handles graph and digraph, node/edge
+ * default attribute statements, edge chains (a -> b -> c) and subgraph endpoints, and
+ * quoted, numeral and HTML IDs. Node "label" sets the label (default: the node ID); the
+ * typeAttr attribute (null: none) sets the node/edge type, an edge "id" its explicit id,
+ * and all other attributes become props. Nodes inside cluster subgraphs get a "cluster"
+ * prop with the cluster's label (or its ID). Ports are ignored.
+ * Returns { ok: true, graph, directed } or { ok: false, error }.
+ */
+export function fromDOT(text, { typeAttr = 'type' } = {}) {
+  const lexed = tokenizeDOT(text);
+  if (!lexed.ok) return { ok: false, error: `Invalid DOT: ${lexed.error}` };
+  const tokens = lexed.tokens;
+  let pos = 0;
+  const peek = (offset = 0) => tokens[pos + offset];
+  const isKeyword = (token, word) => token && token.id !== undefined && !token.quoted && token.id.toLowerCase() === word;
+  const isPunct = (token, p) => token?.punct === p;
+  const fail = message => { throw new Error(message); };
+  const expectPunct = p => {
+    if (!isPunct(peek(), p)) fail(`expected "${p}"${peek() ? '' : ' before end of input'}`);
+    pos++;
+  };
+  const expectId = () => {
+    const token = peek();
+    if (token?.id === undefined) fail('expected an ID');
+    pos++;
+    return token;
+  };
+
+  const nodes = new Map();  // id → { attrs, cluster }
+  const edges = [];
+  const clusters = [];      // { name, label }
+  let directed = true;
+
+  const parseAttrList = () => {
+    const attrs = {};
+    while (isPunct(peek(), '[')) {
+      pos++;
+      while (!isPunct(peek(), ']')) {
+        const key = expectId().id;
+        expectPunct('=');
+        attrs[key] = dotTokenValue(expectId());
+        if (isPunct(peek(), ',') || isPunct(peek(), ';')) pos++;
+      }
+      pos++;
+    }
+    return attrs;
+  };
+  const touchNode = (id, scope, attrs = {}) => {
+    if (!nodes.has(id)) nodes.set(id, { attrs: { ...scope.node }, cluster: null });
+    const node = nodes.get(id);
+    Object.assign(node.attrs, attrs);
+    if (scope.cluster) node.cluster = scope.cluster;
+  };
+  const parseNodeId = scope => {
+    const id = expectId().id;
+    // Ports (node:port[:compass]) are not represented
+    while (isPunct(peek(), ':')) { pos++; expectId(); }
+    touchNode(id, scope);
+    return [id];
+  };
+  // Subgraph or anonymous { } block; returns the node ids it mentions
+  const parseSubgraph = scope => {
+    let name = null;
+    if (isKeyword(peek(), 'subgraph')) {
+      pos++;
+      if (peek()?.id !== undefined) name = expectId().id;
+    }
+    const inner = { node: { ...scope.node }, edge: { ...scope.edge }, cluster: scope.cluster, ids: new Set() };
+    if (name?.startsWith('cluster')) {
+      inner.cluster = { name, label: null };
+      clusters.push(inner.cluster);
+    }
+    expectPunct('{');
+    parseStmtList(inner);
+    expectPunct('}');
+    inner.ids.forEach(id => scope.ids.add(id));
+    return [...inner.ids];
+  };
+  const parseOperand = scope => {
+    const token = peek();
+    if (isPunct(token, '{') || isKeyword(token, 'subgraph')) return parseSubgraph(scope);
+    const ids = parseNodeId(scope);
+    ids.forEach(id => scope.ids.add(id));
+    return ids;
+  };
+  const parseStmtList = scope => {
+    while (peek() && !isPunct(peek(), '}')) {
+      const token = peek();
+      if (['graph', 'node', 'edge'].some(w => isKeyword(token, w)) && isPunct(peek(1), '[')) {
+        pos++;
+        const attrs = parseAttrList();
+        const kind = token.id.toLowerCase();
+        if (kind === 'graph') {
+          if (scope.cluster && 'label' in attrs) scope.cluster.label = String(attrs.label);
+        } else {
+          Object.assign(scope[kind], attrs);
+        }
+      } else if (token.id !== undefined && !isKeyword(token, 'subgraph') && isPunct(peek(1), '=')) {
+        // Graph attribute (ID = ID)
+        pos += 2;
+        const value = expectId();
+        if (scope.cluster && token.id === 'label') scope.cluster.label = value.id;
+      } else {
+        const operands = [parseOperand(scope)];
+        while (isPunct(peek(), '->') || isPunct(peek(), '--')) {
+          if (peek().punct !== (directed ? '->' : '--')) fail(`"${peek().punct}" in a ${directed ? 'digraph' : 'graph'}`);
+          pos++;
+          operands.push(parseOperand(scope));
+        }
+        const attrs = parseAttrList();
+        if (operands.length === 1) {
+          if (!isPunct(token, '{') && !isKeyword(token, 'subgraph')) touchNode(operands[0][0], scope, attrs);
+        } else {
+          for (let i = 1; i < operands.length; i++) {
+            for (const source of operands[i - 1]) {
+              for (const target of operands[i]) edges.push({ source, target, attrs: { ...scope.edge, ...attrs } });
+            }
+          }
+        }
+      }
+      if (isPunct(peek(), ';')) pos++;
+    }
+  };
+
+  try {
+    if (isKeyword(peek(), 'strict')) pos++;
+    if (isKeyword(peek(), 'digraph')) directed = true;
+    else if (isKeyword(peek(), 'graph')) directed = false;
+    else fail('expected "graph" or "digraph"');
+    pos++;
+    if (peek()?.id !== undefined) pos++;
+    expectPunct('{');
+    parseStmtList({ node: {}, edge: {}, cluster: null, ids: new Set() });
+    expectPunct('}');
+    if (peek()) fail('unexpected content after the graph');
+  } catch (e) {
+    return { ok: false, error: `Invalid DOT: ${e.message}` };
+  }
+
+  // Split attributes into the element's fields and props (prop:name escapes a field name)
+  const split = (attrs, fieldNames) => {
+    const fields = {};
+    const props = {};
+    for (const [key, value] of Object.entries(attrs)) {
+      if (fieldNames.includes(key)) fields[key] = value;
+      else props[key.startsWith('prop:') ? key.slice(5) : key] = value;
+    }
+    return { fields, props };
+  };
+  const result = validateGraph({
+    nodes: [...nodes].map(([id, { attrs, cluster }]) => {
+      const { fields, props } = split(attrs, ['label', typeAttr].filter(Boolean));
+      const label = fields.label === undefined || fields.label === '\\N' ? id : String(fields.label);
+      if (cluster) props.cluster = cluster.label ?? cluster.name;
+      return { id, label, type: typeAttr && fields[typeAttr] != null ? String(fields[typeAttr]) : null, props };
+    }),
+    edges: edges.map(({ source, target, attrs }) => {
+      const { fields, props } = split(attrs, ['id', typeAttr].filter(Boolean));
+      return {
+        ...(fields.id !== undefined ? { id: String(fields.id) } : {}),
+        source, target, type: typeAttr && fields[typeAttr] != null ? String(fields[typeAttr]) : null, props,
+      };
+    }),
+  });
+  return result.ok ? { ...result, directed } : result;
+}
+
+// ===== Mermaid =====
+
+const MERMAID_KEYWORDS = ['end', 'graph', 'flowchart', 'subgraph', 'class', 'classdef', 'style', 'linkstyle', 'click', 'direction'];
+
+/** Mermaid class name for a type id or label */
+const mermaidClass = text => String(text).replace(/\W/g, '_');
+
+/** Mermaid string: quoted, with quotes as #quot; */
+const mermaidText = text => `"${String(text).replace(/"/g, '#quot;')}"`;
+
+/**
+ * Serialize graph to a Mermaid flowchart. Nodes are labelled boxes, typed nodes get a
+ * classDef filled with their template type color and typed edges a linkStyle in theirs,
+ * labelled with the type. Nodes with a string "cluster" prop are grouped into subgraphs.
+ * Props are not written. Ids that are not plain Mermaid identifiers are replaced by n<i>.
+ * With baseGraph, elements are outlined by diff state against it and removed elements
+ * are included (edges dotted).
+ */
+export function toMermaid(graph, { directed = true, template = null, baseGraph = null, direction = 'LR' } = {}) {
+  const diffState = new Map(computeDiff(baseGraph, graph).map(d => [`${d.type}:${d.key}`, d.action]));
+  const removedEdge = e => diffState.get(`edge:${edgeKey(e)}`) === 'removed';
+  const nodes = [...graph.nodes];
+  const edges = [...graph.edges];
+  if (baseGraph) {
+    const nodeIds = new Set(graph.nodes.map(nodeKey));
+    nodes.push(...baseGraph.nodes.filter(n => !nodeIds.has(nodeKey(n))));
+    edges.push(...baseGraph.edges.filter(removedEdge));
+  }
+
+  const ids = new Map();  // node key → Mermaid id
+  const taken = new Set();
+  for (const [i, node] of nodes.entries()) {
+    const key = nodeKey(node);
+    let id = /^[A-Za-z_]\w*$/.test(key) && !MERMAID_KEYWORDS.includes(key.toLowerCase()) ? key : `n${i}`;
+    while (taken.has(id)) id = `${id}_`;
+    taken.add(id);
+    ids.set(key, id);
+  }
+
+  const lines = [`flowchart ${direction}`];
+  const nodeLine = (node, indent) => `${indent}${ids.get(nodeKey(node))}[${mermaidText(node.label)}]`;
+  const clusters = new Map();  // cluster name → nodes
+  for (const node of nodes) {
+    const cluster = node.props?.cluster;
+    if (typeof cluster !== 'string') { lines.push(nodeLine(node, '  ')); continue; }
+    if (!clusters.has(cluster)) clusters.set(cluster, []);
+    clusters.get(cluster).push(node);
+  }
+  [...clusters].forEach(([name, members], i) => {
+    lines.push(`  subgraph c${i}[${mermaidText(name)}]`, ...members.map(n => nodeLine(n, '    ')), '  end');
+  });
+
+  const linkStyles = [];
+  edges.forEach((edge, i) => {
+    const removed = diffState.get(`edge:${edgeKey(edge)}`) === 'removed';
+    const link = removed ? (directed ? '-.->' : '-.-') : (directed ? '-->' : '---');
+    const text = edge.type ? `|${mermaidText(typeLabel(template, 'edge', edge.type))}|` : '';
+    lines.push(`  ${ids.get(edge.source)} ${link}${text} ${ids.get(edge.target)}`);
+    const action = diffState.get(`edge:${edgeKey(edge)}`);
+    const color = action ? DIFF_COLORS[action] : template?.edgeTypes?.find(t => t.id === edge.type)?.color;
+    if (color) linkStyles.push(`  linkStyle ${i} stroke:${color}${action ? ',stroke-width:3px' : ''}`);
+  });
+
+  // Type classes, then diff classes so the diff outline wins
+  for (const type of template?.nodeTypes || []) {
+    const members = nodes.filter(n => n.type === type.id).map(n => ids.get(nodeKey(n)));
+    if (members.length === 0) continue;
+    lines.push(`  classDef ${mermaidClass(type.id)} fill:${type.color}`, `  class ${members.join(',')} ${mermaidClass(type.id)}`);
+  }
+  for (const [action, color] of Object.entries(DIFF_COLORS)) {
+    const members = nodes.filter(n => diffState.get(`node:${nodeKey(n)}`) === action).map(n => ids.get(nodeKey(n)));
+    if (members.length === 0) continue;
+    const dashed = action === 'removed' ? ',stroke-dasharray:5 5' : '';
+    lines.push(`  classDef ${action} stroke:${color},stroke-width:3px${dashed}`, `  class ${members.join(',')} ${action}`);
+  }
+  lines.push(...linkStyles);
+  return `${lines.join('\n')}\n`;
+}
+
+/** Node shapes as [open, close], longest openers first */
+const MERMAID_SHAPES = [
+  ['(((', ')))'], ['((', '))'], ['([', '])'], ['[[', ']]'], ['[(', ')]'], ['{{', '}}'],
+  ['[/', '/]'], ['[/', '\\]'], ['[\\', '\\]'], ['[\\', '/]'], ['[', ']'], ['(', ')'], ['{', '}'], ['>', ']'],
+];
+
+/** Links with inline text: -- text -->, == text ==>, -. text .-> (and their open forms) */
+const MERMAID_TEXT_LINKS = [/^--\s+(.+?)\s+(-{2,}>|-{3,})/, /^==\s+(.+?)\s+(={2,}>|={3,})/, /^-\.\s+(.+?)\s+(\.+->|\.+-)/];
+const MERMAID_LINK = /^<?(?:-{2,}|={2,}|-\.+-)[>ox]?/;
+
+/** Decode Mermaid entity codes (#quot;, #35;) in a label */
+const mermaidDecode = text => text.replace(/#(quot|amp|lt|gt|\d+);/g, (m, code) =>
+  /^\d+$/.test(code) ? String.fromCodePoint(Number(code)) : XML_ENTITIES[code]);
+
+/**
+ * Parse a Mermaid flowchart (flowchart/graph) to graph with validation. Supports node
+ * shapes with plain or quoted text, link chains (A --> B --> C), A & B groups, link text
+ * (-->|text| or -- text -->), :::class and class statements, and subgraphs (flattened:
+ * nodes get a "cluster" prop with the subgraph title). A class naming a template node
+ * type (by id or label) sets the node type; link text naming an edge type sets the edge
+ * type, other link text becomes a "label" prop. Styling statements are ignored.
+ * Returns { ok: true, graph, directed } (directed: undefined without edges) or { ok: false, error }.
+ */
+export function fromMermaid(text, { template = null } = {}) {
+  // Statements: lines (and ;-separated parts outside quotes), without %% comments and front matter
+  const body = text.replace(/^\s*---\n[\s\S]*?\n---\s*\n/, '');
+  const statements = body.split(/\r?\n/)
+    .filter(line => !line.trim().startsWith('%%'))
+    .flatMap(line => line.match(/(?:[^;"]|"[^"]*")+/g) || [])
+    .map(s => s.trim()).filter(Boolean);
+  if (!/^(flowchart|graph)\b/i.test(statements[0] || '')) {
+    return { ok: false, error: 'Invalid Mermaid: expected a "flowchart" or "graph" diagram' };
+  }
+
+  const nodes = new Map();  // id → { label, classes, cluster }
+  const edges = [];
+  const clusters = [];
+  let arrows = 0;
+  const touch = id => {
+    if (!nodes.has(id)) nodes.set(id, { label: id, classes: [], cluster: clusters[clusters.length - 1] ?? null });
+    return nodes.get(id);
+  };
+
+  for (const statement of statements.slice(1)) {
+    const [keyword] = statement.split(/\s+/, 1);
+    const lower = keyword.toLowerCase();
+    if (lower === 'subgraph') {
+      const m = statement.match(/^subgraph\s+(?:([\w-]+)\s*\[(.*)\]|(.*))$/i);
+      const title = m?.[2] ?? m?.[3] ?? '';
+      clusters.push(mermaidDecode(title.trim().replace(/^"(.*)"$/, '$1')) || m?.[1] || 'subgraph');
+      continue;
+    }
+    if (lower === 'end') {
+      if (clusters.length === 0) return { ok: false, error: 'Invalid Mermaid: "end" without "subgraph"' };
+      clusters.pop();
+      continue;
+    }
+    if (lower === 'class') {
+      const m = statement.match(/^class\s+([\w,\s-]+?)\s+(\w+)$/);
+      if (m) m[1].split(',').forEach(id => touch(id.trim()).classes.push(m[2]));
+      continue;
+    }
+    if (['direction', 'classdef', 'style', 'linkstyle', 'click'].includes(lower)) continue;
+
+    // Node/link chain: group (link group)*, each group node (& node)*
+    let rest = statement;
+    const fail = () => ({ ok: false, error: `Invalid Mermaid: cannot parse "${statement}"` });
+    const skipSpace = () => { rest = rest.replace(/^\s+/, ''); };
+    const parseNode = () => {
+      const m = rest.match(/^[\w]+(?:-[\w]+)*/);
+      if (!m) return null;
+      const id = m[0];
+      rest = rest.slice(id.length);
+      const node = touch(id);
+      const shape = MERMAID_SHAPES.find(([open, close]) => rest.startsWith(open) &&
+        (rest[open.length] === '"' ? rest.indexOf(`"${close}`, open.length + 1) !== -1 : rest.includes(close, open.length)));
+      if (shape) {
+        const [open, close] = shape;
+        const end = rest[open.length] === '"' ? rest.indexOf(`"${close}`, open.length + 1) + 1 : rest.indexOf(close, open.length);
+        node.label = mermaidDecode(rest.slice(open.length, end).replace(/^"(.*)"$/s, '$1')).trim() || id;
+        rest = rest.slice(end + close.length);
+      }
+      const cls = rest.match(/^:::(\w+)/);
+      if (cls) { node.classes.push(cls[1]); rest = rest.slice(cls[0].length); }
+      return id;
+    };
+    const parseGroup = () => {
+      const group = [];
+      for (;;) {
+        skipSpace();
+        const id = parseNode();
+        if (!id) return null;
+        group.push(id);
+        skipSpace();
+        if (!rest.startsWith('&')) return group;
+        rest = rest.slice(1);
+      }
+    };
+    const parseLink = () => {
+      skipSpace();
+      for (const re of MERMAID_TEXT_LINKS) {
+        const m = rest.match(re);
+        if (m) { rest = rest.slice(m[0].length); return { text: m[1], head: /[>ox]$/.test(m[2]) }; }
+      }
+      const m = rest.match(MERMAID_LINK);
+      if (!m) return null;
+      rest = rest.slice(m[0].length);
+      const label = rest.match(/^\|("[^"]*"|[^|]*)\|/);
+      if (label) rest = rest.slice(label[0].length);
+      return { text: label ? label[1].replace(/^"(.*)"$/, '$1') : null, head: /[>ox]$/.test(m[0]) };
+    };
+
+    let from = parseGroup();
+    if (!from) return fail();
+    for (skipSpace(); rest; skipSpace()) {
+      const link = parseLink();
+      const to = link && parseGroup();
+      if (!to) return fail();
+      if (link.head) arrows++;
+      for (const source of from) {
+        for (const target of to) edges.push({ source, target, text: link.text === null ? null : mermaidDecode(link.text).trim() });
+      }
+      from = to;
+    }
+  }
+  if (clusters.length > 0) return { ok: false, error: 'Invalid Mermaid: "subgraph" without "end"' };
+
+  const findType = (kind, name) => {
+    const types = (kind === 'node' ? template?.nodeTypes : template?.edgeTypes) || [];
+    return (types.find(t => t.id === name || t.label === name) ||
+      types.find(t => mermaidClass(t.id) === name || mermaidClass(t.label) === name))?.id ?? null;
+  };
+  const result = validateGraph({
+    nodes: [...nodes].map(([id, { label, classes, cluster }]) => ({
+      id, label, type: classes.map(c => findType('node', c)).find(Boolean) ?? null,
+      props: cluster ? { cluster } : {},
+    })),
+    edges: edges.map(({ source, target, text: linkText }) => {
+      const type = linkText ? findType('edge', linkText) : null;
+      return { source, target, type, props: linkText && !type ? { label: linkText } : {} };
+    }),
+  });
+  return result.ok ? { ...result, directed: edges.length > 0 ? arrows > 0 : undefined } : result;
+}
+
+// ===== Cytoscape JSON =====
+
+/** Data fields of a Cytoscape element that are not props; props with these names get a prop: prefix */
+const CY_FIELDS = { node: ['id', 'label', 'type'], edge: ['id', 'source', 'target', 'type'] };
+
+/** Cytoscape desktop bookkeeping columns, dropped on import */
+const CY_DESKTOP_COLUMNS = ['SUID', 'selected', 'shared_name', 'shared_interaction'];
+
+/** Element data: fields first, then props (prefixed when named like a field) */
+function cyData(kind, fields, props) {
+  const data = { ...fields };
+  for (const [name, value] of Object.entries(props || {})) {
+    data[CY_FIELDS[kind].includes(name) || name.startsWith('prop:') ? `prop:${name}` : name] = value;
+  }
+  return data;
+}
+
+/**
+ * Serialize graph to Cytoscape JSON as produced by cy.json(): elements with node positions
+ * ({ nodeKey: {x, y} }, e.g. the panel's current layout) and the panel's style, loadable with
+ * cytoscape({ ...json }) and by Cytoscape desktop. Node label and node/edge type are data
+ * fields next to the props; edges carry their key as id.
+ */
+export function toCytoscapeJSON(graph, { directed = true, positions = {}, style = [] } = {}) {
+  const nodes = graph.nodes.map(n => ({
+    data: cyData('node', { id: nodeKey(n), label: n.label, type: n.type ?? null }, n.props),
+    ...(positions[nodeKey(n)] ? { position: { ...positions[nodeKey(n)] } } : {}),
+  }));
+  const edges = graph.edges.map(e => ({
+    data: cyData('edge', { id: edgeKey(e), source: e.source, target: e.target, type: e.type ?? null }, e.props),
+  }));
+  return JSON.stringify({
+    format_version: '1.0',
+    generated_by: 'graph-merge-viz',
+    target_cytoscapejs_version: '~3.33',
+    data: { directed },
+    elements: { nodes, edges },
+    style,
+  }, null, 2);
+}
+
+/**
+ * Parse Cytoscape JSON (cy.json() output or Cytoscape desktop's .cyjs export; elements as
+ * { nodes, edges } or one array) to graph with validation. Node label falls back to the
+ * desktop "name" column and then the id; edge type to the "interaction" column. An edge
+ * id other than its computed key is kept as explicit id. Style is not imported (the
+ * panel's template styles apply). Compound parents are not supported.
+ * Returns { ok: true, graph, directed, positions } or { ok: false, error }.
+ */
+export function fromCytoscapeJSON(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    return { ok: false, error: `Invalid JSON: ${e.message}` };
+  }
+  const elements = Array.isArray(json) ? json : json?.elements;
+  if (!elements || typeof elements !== 'object') return { ok: false, error: 'Invalid Cytoscape JSON: missing elements' };
+  const list = Array.isArray(elements)
+    ? elements
+    : [...(elements.nodes || []).map(n => ({ group: 'nodes', ...n })), ...(elements.edges || []).map(e => ({ group: 'edges', ...e }))];
+
+  const nodes = [];
+  const edges = [];
+  const positions = {};
+  for (const el of list) {
+    const data = el?.data || {};
+    const kind = (el?.group ? el.group === 'edges' : data.source !== undefined) ? 'edge' : 'node';
+    if (data.parent !== undefined) return { ok: false, error: 'Cytoscape compound nodes are not supported' };
+    // Desktop exports name nodes by "name" and type edges by "interaction"
+    const fallback = kind === 'node' ? (data.label == null ? 'name' : null) : (data.type == null ? 'interaction' : null);
+    const props = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (CY_FIELDS[kind].includes(key) || CY_DESKTOP_COLUMNS.includes(key) || key === fallback) continue;
+      props[key.startsWith('prop:') ? key.slice(5) : key] = value;
+    }
+    const id = data.id === undefined ? undefined : String(data.id);
+    if (kind === 'edge') {
+      const type = data.type ?? (fallback ? data[fallback] : null) ?? null;
+      const edge = { source: String(data.source), target: String(data.target), type: type === null ? null : String(type), props };
+      edges.push(id !== undefined && id !== edgeKey(edge) ? { id, ...edge } : edge);
+    } else {
+      nodes.push({ id, label: String(data.label ?? data.name ?? id ?? ''), type: data.type == null ? null : String(data.type), props });
+      if (id !== undefined && el.position) positions[id] = { x: el.position.x, y: el.position.y };
+    }
+  }
+  const result = validateGraph({ nodes, edges });
+  if (!result.ok) return result;
+  return { ...result, directed: typeof json?.data?.directed === 'boolean' ? json.data.directed : undefined, positions };
+}
+
+// ===== GEXF =====
+
+/** "#rrggbb" / "#rgb" → { r, g, b }, or null */
+function hexToRGB(color) {
+  const m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+  if (!m) return null;
+  const hex = m[1].length === 3 ? m[1].replace(/./g, c => c + c) : m[1];
+  return { r: parseInt(hex.slice(0, 2), 16), g: parseInt(hex.slice(2, 4), 16), b: parseInt(hex.slice(4, 6), 16) };
+}
+
+/**
+ * Serialize graph to GEXF 1.3 for Gephi. Node/edge types and props become attribute
+ * columns (typed as for GraphML, objects as JSON strings), typed elements get their
+ * template type color, and nodes are placed at positions ({ nodeKey: {x, y} }, e.g. the
+ * panel's current layout; y is flipped since Gephi's y axis points up).
+ */
+export function toGEXF(graph, { directed = true, template = null, positions = {} } = {}) {
+  const columns = kind => {
+    const elements = kind === 'node' ? graph.nodes : graph.edges;
+    const cols = elements.some(el => el.type) ? [{ title: 'type', value: el => el.type ?? undefined, type: 'string' }] : [];
+    const names = [...new Set(elements.flatMap(el => Object.keys(el.props || {})))];
+    for (const name of names) {
+      const values = elements.map(el => el.props?.[name]).filter(v => v !== undefined);
+      const { type, json } = graphmlAttrType(values);
+      cols.push({ title: name === 'type' ? 'prop:type' : name, value: el => el.props?.[name], type, json });
+    }
+    return cols.map((c, i) => ({ ...c, id: `${kind[0]}${i}` }));
+  };
+  const nodeColumns = columns('node');
+  const edgeColumns = columns('edge');
+  const declare = (kind, cols) => cols.length === 0 ? [] : [
+    `    <attributes class="${kind}">`,
+    ...cols.map(c => `      <attribute id="${c.id}" title="${xmlEscape(c.title)}" type="${c.type}"/>`),
+    '    </attributes>',
+  ];
+  const body = (el, kind, cols, indent) => {
+    const values = cols.map(c => [c, c.value(el)]).filter(([, v]) => v !== undefined && v !== null);
+    const lines = [];
+    if (values.length > 0) {
+      lines.push(`${indent}<attvalues>`);
+      for (const [c, v] of values) lines.push(`${indent}  <attvalue for="${c.id}" value="${xmlEscape(c.json ? JSON.stringify(v) : v)}"/>`);
+      lines.push(`${indent}</attvalues>`);
+    }
+    const types = kind === 'node' ? template?.nodeTypes : template?.edgeTypes;
+    const rgb = hexToRGB(types?.find(t => t.id === el.type)?.color);
+    if (rgb) lines.push(`${indent}<viz:color r="${rgb.r}" g="${rgb.g}" b="${rgb.b}"/>`);
+    const pos = kind === 'node' ? positions[nodeKey(el)] : null;
+    if (pos) lines.push(`${indent}<viz:position x="${pos.x}" y="${-pos.y}" z="0"/>`);
+    return lines;
+  };
+  const element = (open, lines, tag, indent) => lines.length === 0
+    ? [`${indent}${open}/>`]
+    : [`${indent}${open}>`, ...lines, `${indent}</${tag}>`];
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+    '  <meta><creator>graph-merge-viz</creator></meta>',
+    `  <graph mode="static" defaultedgetype="${directed ? 'directed' : 'undirected'}">`,
+    ...declare('node', nodeColumns),
+    ...declare('edge', edgeColumns),
+    '    <nodes>',
+    ...graph.nodes.flatMap(n => element(`<node id="${xmlEscape(nodeKey(n))}" label="${xmlEscape(n.label)}"`,
+      body(n, 'node', nodeColumns, '        '), 'node', '      ')),
+    '    </nodes>',
+    '    <edges>',
+    ...graph.edges.flatMap((e, i) => element(`<edge id="${xmlEscape(e.id ?? i)}" source="${xmlEscape(e.source)}" target="${xmlEscape(e.target)}"`,
+      body(e, 'edge', edgeColumns, '        '), 'edge', '      ')),
+    '    </edges>',
+    '  </graph>',
+    '</gexf>',
+    '',
+  ].join('\n');
+}
+
+// ===== Files =====
+
+/** Trigger file download of text content */
+export function downloadFile(content, filename, type = 'application/json') {
+  const blob = new Blob([content], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -77,18 +1025,88 @@ export function exportToFile(graph, filename = 'graph.json') {
   URL.revokeObjectURL(url);
 }
 
-/** Open file picker and read graph JSON. Returns Promise<{ok, graph?, error?}> */
-export function importFromFile() {
+/**
+ * File formats for graph import/export, keyed by format id.
+ * parse(text, options) → { ok, graph, directed? } | { ok: false, error }
+ * serialize(graph, context) → text; context: { directed } from the panel's graph type,
+ *   the panel's template, node positions and Cytoscape style of its current layout, plus
+ *   format options (DOT: typeAttr; DOT, Mermaid: baseGraph for diff colors)
+ * Formats without parse are export-only.
+ */
+export const GRAPH_FORMATS = {
+  json: {
+    label: 'JSON',
+    extensions: ['json'],
+    mime: 'application/json',
+    parse: fromJSON,
+    serialize: graph => toJSON(graph),
+  },
+  graphml: {
+    label: 'GraphML',
+    extensions: ['graphml', 'xml'],
+    mime: 'application/xml',
+    parse: fromGraphML,
+    serialize: (graph, { directed } = {}) => toGraphML(graph, { directed }),
+  },
+  dot: {
+    label: 'Graphviz DOT',
+    extensions: ['dot', 'gv'],
+    mime: 'text/vnd.graphviz',
+    parse: fromDOT,
+    serialize: toDOT,
+  },
+  mermaid: {
+    label: 'Mermaid',
+    extensions: ['mmd', 'mermaid'],
+    mime: 'text/plain',
+    parse: fromMermaid,
+    serialize: toMermaid,
+  },
+  cytoscape: {
+    label: 'Cytoscape JSON',
+    extensions: ['cyjs'],
+    mime: 'application/json',
+    parse: fromCytoscapeJSON,
+    serialize: toCytoscapeJSON,
+  },
+  gexf: {
+    label: 'GEXF (Gephi)',
+    extensions: ['gexf'],
+    mime: 'application/xml',
+    parse: null,
+    serialize: toGEXF,
+  },
+};
+
+/** Format id for a filename by its extension, or null if no format reads it */
+export function formatForFile(filename) {
+  const ext = filename.includes('.') ? filename.slice(filename.lastIndexOf('.') + 1).toLowerCase() : '';
+  return Object.keys(GRAPH_FORMATS).find(id => GRAPH_FORMATS[id].parse && GRAPH_FORMATS[id].extensions.includes(ext)) ?? null;
+}
+
+/** Trigger file download of graph as JSON */
+export function exportToFile(graph, filename = 'graph.json') {
+  downloadFile(toJSON(graph), filename);
+}
+
+/** Open file picker and read a graph in any of GRAPH_FORMATS, chosen by file extension.
+ *  optionsFor(format, text) may return (a Promise of) parse options, or null to cancel.
+ *  Returns Promise<{ok, graph?, directed?, positions?, error?}> */
+export function importFromFile(optionsFor = () => ({})) {
   return new Promise(resolve => {
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.json';
+    input.accept = Object.values(GRAPH_FORMATS).filter(f => f.parse).flatMap(f => f.extensions.map(ext => `.${ext}`)).join(',');
     input.onchange = async () => {
       const file = input.files[0];
       if (!file) return resolve({ ok: false, error: 'No file selected' });
+      const format = formatForFile(file.name);
+      if (!format) return resolve({ ok: false, error: `Unsupported file type: ${file.name}` });
       try {
         const text = await file.text();
-        resolve(fromJSON(text));
+        const options = await optionsFor(format, text);
+        if (!options) return resolve({ ok: false, error: 'Import cancelled' });
+        resolve(GRAPH_FORMATS[format].parse(text, options));
       } catch (e) {
         resolve({ ok: false, error: `Failed to read file: ${e.message}` });
       }
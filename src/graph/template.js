@@ -63,6 +63,47 @@ export const updateEdgeType = (template, id, changes) => ({
   edgeTypes: template.edgeTypes.map(et => et.id === id ? { ...et, ...changes } : et),
 });
 
+/** Per-property merge policies a node/edge type can declare as mergePolicies: { propKey: policy }.
+ *  Used when both sides of a merge carry a prop with different values. */
+export const MERGE_POLICIES = [
+  'incoming-wins', 'target-wins', 'max', 'min', 'sum',
+  'concatenate-list', 'union-set', 'reject-on-conflict',
+];
+
+/** Look up the merge policy for a prop of a node/edge type (null = default merge behaviour) */
+export const getMergePolicy = (template, kind, typeId, propKey) => {
+  const types = kind === 'node' ? template?.nodeTypes : template?.edgeTypes;
+  const type = types?.find(t => t.id === typeId);
+  return type?.mergePolicies?.[propKey] || null;
+};
+
+/** Display label of a node/edge type: its template label, else the raw id; "untyped" for none */
+export const typeLabel = (template, kind, typeId) => {
+  if (!typeId) return 'untyped';
+  const types = kind === 'node' ? template?.nodeTypes : template?.edgeTypes;
+  return types?.find(t => t.id === typeId)?.label || typeId;
+};
+
+/** Format merge policies as "key=policy, key=policy" */
+export const formatMergePolicies = (policies = {}) =>
+  Object.entries(policies).map(([k, p]) => `${k}=${p}`).join(', ');
+
+/** Parse "key=policy, key=policy" (commas or newlines). Returns { policies, invalid: [entry] } */
+export const parseMergePolicies = (text) => {
+  const policies = {};
+  const invalid = [];
+  for (const part of text.split(/[,\n]/)) {
+    const trimmed = part.trim();
+    if (!trimmed) continue;
+    const eqIdx = trimmed.indexOf('=');
+    const key = eqIdx === -1 ? '' : trimmed.slice(0, eqIdx).trim();
+    const policy = eqIdx === -1 ? '' : trimmed.slice(eqIdx + 1).trim();
+    if (key && MERGE_POLICIES.includes(policy)) policies[key] = policy;
+    else invalid.push(trimmed);
+  }
+  return { policies, invalid };
+};
+
 /** Set default layout algorithm for a template (returns new template) */
 export const setDefaultLayoutAlgorithm = (template, algo) => ({
   ...template,
@@ -1,8 +1,8 @@
 import cytoscape from 'cytoscape';
 import fcose from 'cytoscape-fcose';
-import { Panel } from './ui/panel.js';
+import { Panel, formatGroupedDiffSummary } from './ui/panel.js';
 import { LayoutManager } from './ui/layout.js';
-import { addNodeDialog, addEdgeDialog, importGraphDialog, confirmDialog, infoDialog, changelogDialog, changesetSummaryDialog, panelOptionsDialog } from './ui/dialogs.js';
+import { addNodeDialog, addEdgeDialog, importGraphDialog, csvImportDialog, exportGraphDialog, confirmDialog, infoDialog, changelogDialog, changesetSummaryDialog, panelOptionsDialog, mergeConflictDialog, mergePreviewDialog, compareDialog, constraintViolationDialog } from './ui/dialogs.js';
 import { setupSession, getSessionTemplate } from './ui/session.js';
 import { setupClipboard } from './ui/clipboard.js';
 import { setupContextMenu } from './ui/context-menu.js';
@@ -60,14 +60,120 @@ const layoutManager = new LayoutManager(document.getElementById('app'), {
     }
 
     const direction = `${sourceId} → ${targetId}`;
-    const result = target.receiveMerge(source.getGraph(), direction, source.exclusions, source.pathTrackingEnabled, strategy, scopeNodes);
-    if (result.ok) {
-      showToast(`Pushed ${direction}`, 'success');
+    const options = { sourceId, hops: stratObj.hops, nodeTypes: stratObj.nodeTypes, edgeTypes: stratObj.edgeTypes };
+    const resolveConflicts = async ({ conflicts, graph }) => {
+      options.resolutions = await mergeConflictDialog(target, conflicts, direction, null, graph);
+      if (!options.resolutions) showToast('Merge cancelled', 'info');
+      return !!options.resolutions;
+    };
+
+    // Dry-run first when the merge button has preview enabled
+    if (stratObj.preview) {
+      let preview = target.previewMerge(source.getGraph(), direction, strategy, scopeNodes, options);
+      if (!preview.ok && preview.conflicts) {
+        if (!await resolveConflicts(preview)) return;
+        preview = target.previewMerge(source.getGraph(), direction, strategy, scopeNodes, options);
+      }
+      if (!preview.ok) {
+        showToast(preview.error, 'error');
+        return;
+      }
+      if (!await mergePreviewDialog(target, preview.graph, direction)) {
+        showToast('Merge cancelled', 'info');
+        return;
+      }
+    }
+
+    const merge = () => target.receiveMerge(source.getGraph(), direction, source.exclusions, source.pathTrackingEnabled, strategy, scopeNodes, options);
+    let result = merge();
+    if (!result.ok && result.conflicts) {
+      if (!await resolveConflicts(result)) return;
+      result = merge();
+    }
+    if (!result.ok && result.violations) {
+      const choice = await constraintViolationDialog(target, result.violations, result.graph, direction);
+      if (!choice) { showToast('Merge cancelled', 'info'); return; }
+      Object.assign(options, choice);
+      result = merge();
+    }
+    if (result.ok && result.skipped?.length) {
+      const lines = result.skipped.map(d => `${d.type} ${d.label ?? d.key} (${d.action}): ${d.reason}`).join('<br>');
+      await infoDialog('Rebase', `Rebased Panel ${targetId} onto Panel ${sourceId}. These local changes no longer apply:<br>${lines}`,
+        document.querySelector(`.panel[data-panel-id="${targetId}"]`));
+    } else if (result.ok) {
+      showToast(strategy === 'rebase' ? `Rebased Panel ${targetId} onto Panel ${sourceId}` : `Pushed ${direction}`, 'success');
     } else {
       showToast(result.error, 'error');
     }
   },
 
+  async onOctopusMerge(sourceIds, targetId, mode) {
+    const target = panels.get(targetId);
+    const sources = sourceIds.map(id => panels.get(id)).filter(Boolean);
+    if (!target || sources.length !== sourceIds.length) return;
+    const targetEl = document.querySelector(`.panel[data-panel-id="${targetId}"]`);
+
+    const dirty = sources.filter(p => p.baseGraph && !p.isClean()).map(p => p.id);
+    if (dirty.length > 0) {
+      await infoDialog('Merge Blocked', `Panel ${dirty.join(', ')} has unapproved changes. Approve first, then merge.`, targetEl);
+      return;
+    }
+
+    const direction = `${sourceIds.join(' + ')} → ${targetId}`;
+    const inputs = sources.map(p => ({ id: p.id, graph: p.getGraph(), exclusions: p.exclusions, tracked: p.pathTrackingEnabled }));
+    const options = {};
+    let result = target.receiveOctopusMerge(inputs, mode, options);
+    if (!result.ok && result.conflicts) {
+      options.resolutions = await mergeConflictDialog(target, result.conflicts, direction, null, result.graph);
+      if (!options.resolutions) { showToast('Merge cancelled', 'info'); return; }
+      result = target.receiveOctopusMerge(inputs, mode, options);
+    }
+    if (!result.ok && result.violations) {
+      const choice = await constraintViolationDialog(target, result.violations, result.graph, direction);
+      if (!choice) { showToast('Merge cancelled', 'info'); return; }
+      Object.assign(options, choice);
+      result = target.receiveOctopusMerge(inputs, mode, options);
+    }
+    if (!result.ok) {
+      showToast(result.error, 'error');
+      return;
+    }
+
+    // Report which source contributed each change
+    const report = sourceIds.map(id => {
+      const diffs = result.contributions.filter(d => d.source === id);
+      return `<strong>Panel ${id}:</strong> ${diffs.length > 0 ? formatGroupedDiffSummary(diffs, target.template) : 'no changes'}`;
+    }).join('<br>');
+    await infoDialog('Octopus Merge', `Merged ${direction}.<br>${report}`, targetEl);
+  },
+
+  async onCherryPick(sourceId, targetId, entries) {
+    const source = panels.get(sourceId);
+    const target = panels.get(targetId);
+    if (!source || !target) return;
+    const targetEl = document.querySelector(`.panel[data-panel-id="${targetId}"]`);
+    const direction = `${sourceId} → ${targetId}`;
+
+    const options = {};
+    let result = target.receiveCherryPick(source.getGraph(), entries, sourceId, options);
+    if (!result.ok && result.violations) {
+      const choice = await constraintViolationDialog(target, result.violations, result.graph, direction);
+      if (!choice) { showToast('Cherry-pick cancelled', 'info'); return; }
+      Object.assign(options, choice);
+      result = target.receiveCherryPick(source.getGraph(), entries, sourceId, options);
+    }
+    const skipped = result.skipped.map(d => `${d.label ?? d.key}: ${d.reason}`).join('<br>');
+    if (!result.ok) {
+      await infoDialog('Cherry-pick', `${result.error}.${skipped ? `<br>${skipped}` : ''}`, targetEl);
+      return;
+    }
+    const dependencies = result.applied.filter(d => d.dependency);
+    let report = `Cherry-picked ${direction}: ${formatGroupedDiffSummary(result.applied.filter(d => !d.dependency), target.template)}`;
+    if (dependencies.length) report += `<br><strong>Also applied to keep Panel ${targetId} valid:</strong> ${formatGroupedDiffSummary(dependencies, target.template)}`;
+    if (skipped) report += `<br><strong>Skipped:</strong><br>${skipped}`;
+    await infoDialog('Cherry-pick', report, targetEl);
+  },
+
   getState(id) {
     const panel = panels.get(id);
     return panel ? panel.getState() : null;
@@ -137,7 +243,12 @@ document.getElementById('app').addEventListener('click', async e => {
     case 'undo': panel.undo(); break;
     case 'redo': panel.redo(); break;
     case 'changeset': changesetSummaryDialog(panel); break;
-    case 'changelog': changelogDialog(panel); break;
+    case 'changelog': changelogDialog(panel, {
+      panels,
+      panelName: id => layoutManager._getPanelName(id),
+      onBranch: index => branchPanel(panel, index),
+    }); break;
+    case 'compare': compareDialog(panel, { panels, panelName: id => layoutManager._getPanelName(id) }); break;
     case 'refresh':
       panel.cy.resize();
       panel._runLayout();
@@ -153,11 +264,25 @@ document.getElementById('app').addEventListener('click', async e => {
       break;
     }
     case 'import': importGraphDialog(panel); break;
-    case 'export': panel.exportGraph(); break;
+    case 'import-csv': csvImportDialog(panel); break;
+    case 'export': exportGraphDialog(panel); break;
     case 'panel-options': panelOptionsDialog(panel); break;
   }
 });
 
+/** Open a new panel beside panel, starting from its approval history entry index */
+function branchPanel(panel, index) {
+  const state = panel.branchState(index);
+  if (!state) return;
+  const newId = layoutManager.splitPanel(panel.id, window.innerWidth <= 600 ? 'h' : 'v');
+  const branch = panels.get(newId);
+  if (!branch) return;
+  branch.setState(state);
+  branch._emitChange();
+  const entry = panel._approvalHistory[index];
+  showToast(`Panel ${newId} branched from Panel ${panel.id} approval #${index + 1}${entry.name ? ` (${entry.name})` : ''}`, 'success');
+}
+
 // Initialize default layout
 layoutManager.init();
 
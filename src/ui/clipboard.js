@@ -84,11 +84,11 @@ export function pasteToPanel(panelId) {
 }
 
 /** Copy branch (root + ancestors) from a node */
-export function copyBranch(panelId, nodeLabel) {
+export function copyBranch(panelId, nodeId) {
   const panel = _getPanels().get(panelId);
   if (!panel) return;
 
-  const subgraph = getAncestorSubgraph(panel.graph, nodeLabel);
+  const subgraph = getAncestorSubgraph(panel.graph, nodeId);
   if (subgraph.nodes.length === 0) {
     showToast('No ancestors found', 'info');
     return;
@@ -97,16 +97,16 @@ export function copyBranch(panelId, nodeLabel) {
   _clipboard = subgraph;
   _clipboardExclusions = panel.getRelevantExclusions(subgraph);
   _copyMode = 'branch';
-  _branchRoot = nodeLabel;
+  _branchRoot = nodeId;
 
   // Auto-select the branch to show what's being copied
-  panel.selectBranch(nodeLabel);
+  panel.selectBranch(nodeId);
 
-  showToast(`Copied branch from "${nodeLabel}" (${subgraph.nodes.length} node(s), ${subgraph.edges.length} edge(s))`, 'success');
+  showToast(`Copied branch from "${nodeId}" (${subgraph.nodes.length} node(s), ${subgraph.edges.length} edge(s))`, 'success');
 }
 
 /** Paste branch onto a target node */
-export function pasteBranchToNode(panelId, targetLabel) {
+export function pasteBranchToNode(panelId, targetId) {
   if (!_clipboard || _copyMode !== 'branch' || !_branchRoot) {
     showToast('No branch in clipboard', 'info');
     return;
@@ -118,22 +118,22 @@ export function pasteBranchToNode(panelId, targetLabel) {
   let mergeGraph = _clipboard;
 
   // If target is different from branch root, add linking edge
-  if (targetLabel !== _branchRoot) {
+  if (targetId !== _branchRoot) {
     mergeGraph = {
       nodes: [..._clipboard.nodes],
-      edges: [..._clipboard.edges, createEdge(_branchRoot, targetLabel)],
+      edges: [..._clipboard.edges, createEdge(_branchRoot, targetId)],
     };
   }
 
   const sourcePanel = _getPanels().get(_focusedPanelId);
   const sourceTracked = sourcePanel ? sourcePanel.pathTrackingEnabled : false;
-  const direction = `branch paste → ${targetLabel}`;
+  const direction = `branch paste → ${targetId}`;
   const result = panel.pasteSubgraph(mergeGraph, direction, _clipboardExclusions, sourceTracked);
   if (result.ok) {
-    if (targetLabel === _branchRoot) {
+    if (targetId === _branchRoot) {
       showToast('Pasted branch (no linking edge)', 'success');
     } else {
-      showToast(`Pasted branch with edge ${_branchRoot} → ${targetLabel}`, 'success');
+      showToast(`Pasted branch with edge ${_branchRoot} → ${targetId}`, 'success');
     }
   } else {
     showToast(result.error, 'error');
@@ -1,5 +1,7 @@
-import { addNodeDialog, addEdgeDialog, editSelectedDialog, confirmDialog, exclusionDialog } from './dialogs.js';
+import { addNodeDialog, addEdgeDialog, editSelectedDialog, confirmDialog, exclusionDialog, mermaidImportDialog } from './dialogs.js';
 import { serializeTag as pathSerializeTag, formatPathTag as pathFormatTag } from '../graph/path-tracking.js';
+import { edgeKey } from '../graph/model.js';
+import { provenanceSources } from '../graph/provenance.js';
 import {
   copyFromPanel,
   pasteToPanel,
@@ -98,6 +100,7 @@ function buildCanvasMenu(panel) {
   const items = [
     { label: 'Add Node', action: () => addNodeDialog(panel) },
     { label: 'Add Edge', action: () => addEdgeDialog(panel) },
+    { label: 'Import Mermaid…', action: () => mermaidImportDialog(panel) },
   ];
 
   const selected = panel.cy.$(':selected');
@@ -152,12 +155,20 @@ function buildCanvasMenu(panel) {
       action: () => panel.cy.elements().unselect(),
     });
   }
+  // Provenance queries: everything a given source panel merged in
+  for (const source of provenanceSources(panel.provenance)) {
+    items.push({
+      label: `Select Merged from Panel ${source}`,
+      action: () => panel.selectFromSource(source),
+    });
+  }
 
   return items;
 }
 
 /** Build menu items for node context */
 function buildNodeMenu(panel, node) {
+  const id = node.id();
   const label = node.data('label');
   const clipState = getClipboardState();
   const selectedCount = panel.cy.$(':selected').length;
@@ -196,9 +207,9 @@ function buildNodeMenu(panel, node) {
       label: 'Include All Paths',
       action: () => {
         // Remove exclusions from all outgoing edges of this node
-        const outgoing = panel.graph.edges.filter(e => e.source === label);
+        const outgoing = panel.graph.edges.filter(e => e.source === id);
         for (const edge of outgoing) {
-          const key = `${edge.source}→${edge.target}`;
+          const key = edgeKey(edge);
           if (panel.exclusions[key]) {
             const tags = [...(panel.exclusions[key] || [])];
             for (const tag of tags) panel.includePathTag(key, tag);
@@ -212,23 +223,23 @@ function buildNodeMenu(panel, node) {
   items.push({ separator: true });
   items.push({
     label: `Select Branch from "${label}"`,
-    action: () => panel.selectBranch(label),
+    action: () => panel.selectBranch(id),
   });
   items.push({
     label: `Copy Branch from "${label}"`,
-    action: () => copyBranch(panel.id, label),
+    action: () => copyBranch(panel.id, id),
   });
   if (clipState.hasContent && clipState.mode === 'branch') {
     items.push({
       label: `Paste Branch onto "${label}"`,
       action: async () => {
-        const linkingEdge = clipState.branchRoot !== label ? `\nWill create edge: ${clipState.branchRoot} → ${label}` : '';
+        const linkingEdge = clipState.branchRoot !== id ? `\nWill create edge: ${clipState.branchRoot} → ${label}` : '';
         const confirmed = await confirmDialog(
           'Paste Branch Confirmation',
           `Paste branch from "${clipState.branchRoot}" (${clipState.nodeCount}n, ${clipState.edgeCount}e)?${linkingEdge}`,
           panel.panelEl
         );
-        if (confirmed) pasteBranchToNode(panel.id, label);
+        if (confirmed) pasteBranchToNode(panel.id, id);
       },
     });
   }
@@ -244,14 +255,14 @@ function buildNodeMenu(panel, node) {
 
 /** Build menu items for edge context */
 function buildEdgeMenu(panel, edge) {
-  const src = edge.data('source');
-  const tgt = edge.data('target');
-  const edgeKey = `${src}→${tgt}`;
+  const key = edge.id();
+  // Node labels for display; the type tells parallel edges apart
+  const name = `${edge.source().data('label')} -> ${edge.target().data('label')}${edge.data('type') ? ` (${edge.data('type')})` : ''}`;
   const selectedCount = panel.cy.$(':selected').length;
 
   const items = [
     {
-      label: `Edit Edge "${src} -> ${tgt}"`,
+      label: `Edit Edge "${name}"`,
       action: () => {
         panel.cy.elements().unselect();
         edge.select();
@@ -259,7 +270,7 @@ function buildEdgeMenu(panel, edge) {
       },
     },
     {
-      label: `Delete Edge "${src} -> ${tgt}"`,
+      label: `Delete Edge "${name}"`,
       action: () => {
         panel.cy.elements().unselect();
         edge.select();
@@ -279,9 +290,9 @@ function buildEdgeMenu(panel, edge) {
   // Path tracking exclusion toggles
   if (panel.pathTrackingEnabled && panel._pathTags) {
     const specialTypes = panel.template?.specialTypes || [];
-    const tags = panel._pathTags.get(edgeKey) || [];
-    const effectiveExcluded = panel._effectiveExclusions?.get(edgeKey) || new Set();
-    const directExcluded = new Set(panel.exclusions[edgeKey] || []);
+    const tags = panel._pathTags.get(key) || [];
+    const effectiveExcluded = panel._effectiveExclusions?.get(key) || new Set();
+    const directExcluded = new Set(panel.exclusions[key] || []);
 
     if (tags.length > 0) {
       items.push({ separator: true });
@@ -299,24 +310,24 @@ function buildEdgeMenu(panel, edge) {
           if (isDirect) {
             items.push({
               label: `Include ${label}`,
-              action: () => panel.includePathTag(edgeKey, serialized),
+              action: () => panel.includePathTag(key, serialized),
             });
           } else if (isPropagated) {
             items.push({
               label: `Excluded ${label} (inherited)`,
-              action: () => exclusionDialog(panel, edgeKey),
+              action: () => exclusionDialog(panel, key),
             });
           } else {
             items.push({
               label: `Exclude ${label}`,
-              action: () => panel.excludePathTag(edgeKey, serialized),
+              action: () => panel.excludePathTag(key, serialized),
             });
           }
         }
       } else {
         items.push({
           label: 'Exclusions...',
-          action: () => exclusionDialog(panel, edgeKey),
+          action: () => exclusionDialog(panel, key),
         });
       }
     }
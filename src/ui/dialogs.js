@@ -1,11 +1,19 @@
 import { showToast } from './toast.js';
-import { importFromFile } from '../graph/serializer.js';
-import { computeDiff } from '../graph/diff.js';
+import { escapeHtml } from './html.js';
+import { importFromFile, downloadFile, GRAPH_FORMATS, fromDOT, fromMermaid, validateGraph } from '../graph/serializer.js';
+import { computeDiff, formatPropChange, formatDiffDetails } from '../graph/diff.js';
 import { formatDiffSummary, formatGroupedDiffSummary } from './panel.js';
 import cytoscape from 'cytoscape';
-import { baseStyles } from '../cytoscape/styles.js';
-import { GRAPH_TYPES, defaultTemplate } from '../graph/template.js';
-import { deepClone } from '../graph/model.js';
+import { baseStyles, commitGraphStyles, repairStyles, buildStylesForTemplate } from '../cytoscape/styles.js';
+import { GRAPH_TYPES, defaultTemplate, MERGE_POLICIES, formatMergePolicies, parseMergePolicies, typeLabel } from '../graph/template.js';
+import { deepClone, nodeKey, edgeKey as keyOfEdge, removeElements } from '../graph/model.js';
+import { findConstraintViolations } from '../graph/constraints.js';
+import { conflictId, findResolutionLabelClashes } from '../graph/merge.js';
+import { formatProvenance } from '../graph/provenance.js';
+import { buildCommitGraph } from '../graph/history.js';
+import { AUDIT_KINDS, filterAuditLog, auditLogToJSON, auditLogToCSV } from '../graph/audit.js';
+import { formatRules, parseRules } from '../graph/rules.js';
+import { parseCSV, guessMapping, readCSVGraph, resolveTypes, createUnknownTypes, dropUnknownTypes } from '../graph/csv.js';
 import { serializeTag as pathSerializeTag, formatPathTag as pathFormatTag, computePathTags, propagateExclusions } from '../graph/path-tracking.js';
 
 // Remember last-used types across dialogs
@@ -345,6 +353,15 @@ export function addEdgeDialog(panel) {
   };
 }
 
+/** Provenance list for editSelectedDialog ('' if the element never came from a merge) */
+function provenanceSection(panel, type, key) {
+  const records = panel.getProvenance(type, key);
+  if (records.length === 0) return '';
+  return `
+      <div class="template-section-label" style="margin-top:12px">Provenance</div>
+      <ul class="provenance-list">${records.map(r => `<li>${formatProvenance(r)}</li>`).reverse().join('')}</ul>`;
+}
+
 export function editSelectedDialog(panel) {
   const selected = panel.cy.$(':selected');
   if (selected.empty()) {
@@ -355,8 +372,9 @@ export function editSelectedDialog(panel) {
   const template = panel.template;
 
   if (ele.isNode()) {
+    const id = ele.id();
     const label = ele.data('label');
-    const node = panel.graph.nodes.find(n => n.label === label);
+    const node = panel.graph.nodes.find(n => nodeKey(n) === id);
     if (!node) return;
 
     const hasTypes = template?.nodeTypes?.length > 0;
@@ -368,25 +386,30 @@ export function editSelectedDialog(panel) {
       : '';
     const dlg = openDialog(`
       <h3>Edit Node: ${label}</h3>
+      <label>Label</label>
+      <input id="dlg-label" type="text">
       ${typeSelect}
       <label>Properties (key=value per line)</label>
       <textarea id="dlg-props">${propsToText(node.props)}</textarea>
+      ${provenanceSection(panel, 'node', id)}
       <div class="dialog-actions">
         <button id="dlg-cancel">Cancel</button>
         <button id="dlg-ok" class="btn-primary">Save</button>
       </div>
     `, panel.panelEl);
+    dlg.querySelector('#dlg-label').value = label;
     dlg.querySelector('#dlg-cancel').onclick = closeDialog;
     dlg.querySelector('#dlg-ok').onclick = () => {
+      const newLabel = dlg.querySelector('#dlg-label').value.trim();
+      if (!newLabel) { showToast('Label required', 'error'); return; }
       const props = textToProps(dlg.querySelector('#dlg-props').value);
       const type = hasTypes ? (dlg.querySelector('#dlg-type').value || null) : undefined;
-      panel.updateNodeProps(label, props, type);
+      if (panel.updateNodeProps(id, props, type, newLabel !== label ? newLabel : undefined) === false) return;
       closeDialog();
     };
   } else {
-    const source = ele.data('source');
-    const target = ele.data('target');
-    const edge = panel.graph.edges.find(e => e.source === source && e.target === target);
+    const edgeKey = ele.id();
+    const edge = panel.graph.edges.find(e => keyOfEdge(e) === edgeKey);
     if (!edge) return;
 
     const hasTypes = template?.edgeTypes?.length > 0;
@@ -396,7 +419,6 @@ export function editSelectedDialog(panel) {
         ${template.edgeTypes.map(et => `<option value="${et.id}" ${edge.type === et.id ? 'selected' : ''}>${et.label}</option>`).join('')}
       </select>`
       : '';
-    const edgeKey = `${source}→${target}`;
     const hasTracking = panel.pathTrackingEnabled && panel._pathTags;
     const trackingTags = hasTracking ? (panel._pathTags.get(edgeKey) || []) : [];
     const specialTypes = panel.template?.specialTypes || [];
@@ -436,11 +458,12 @@ export function editSelectedDialog(panel) {
     ` : '';
 
     const dlg = openDialog(`
-      <h3>Edit Edge: ${source} → ${target}</h3>
+      <h3>Edit Edge: ${ele.source().data('label')} → ${ele.target().data('label')}</h3>
       ${typeSelect}
       <label>Properties (key=value per line)</label>
       <textarea id="dlg-props">${propsToText(edge.props)}</textarea>
       ${trackingSection}
+      ${provenanceSection(panel, 'edge', edgeKey)}
       <div class="dialog-actions">
         <button id="dlg-cancel">Cancel</button>
         <button id="dlg-ok" class="btn-primary">Save</button>
@@ -493,12 +516,13 @@ export function editSelectedDialog(panel) {
       dlg.querySelector('#dlg-ok').onclick = () => {
         const props = textToProps(dlg.querySelector('#dlg-props').value);
         const type = hasTypes ? (dlg.querySelector('#dlg-type').value || null) : undefined;
-        panel.updateEdgeProps(source, target, props, type);
+        const newKey = panel.updateEdgeProps(edgeKey, props, type);
+        if (!newKey) return;
         // Apply local exclusion changes to panel
         if (localDirectExclusions.size > 0) {
-          panel.exclusions[edgeKey] = [...localDirectExclusions];
+          panel.exclusions[newKey] = [...localDirectExclusions];
         } else {
-          delete panel.exclusions[edgeKey];
+          delete panel.exclusions[newKey];
         }
         panel._recomputePathTrackingAsync();
         panel._emitChange();
@@ -508,7 +532,7 @@ export function editSelectedDialog(panel) {
       dlg.querySelector('#dlg-ok').onclick = () => {
         const props = textToProps(dlg.querySelector('#dlg-props').value);
         const type = hasTypes ? (dlg.querySelector('#dlg-type').value || null) : undefined;
-        panel.updateEdgeProps(source, target, props, type);
+        if (!panel.updateEdgeProps(edgeKey, props, type)) return;
         closeDialog();
       };
     }
@@ -517,21 +541,314 @@ export function editSelectedDialog(panel) {
   }
 }
 
+/** Ask which DOT attribute holds element types, suggesting the file's attribute names.
+ *  Returns Promise<{ typeAttr } | null> */
+function dotImportOptionsDialog(text, panelEl) {
+  const parsed = fromDOT(text, { typeAttr: null });
+  const names = parsed.ok
+    ? [...new Set([...parsed.graph.nodes, ...parsed.graph.edges].flatMap(el => Object.keys(el.props)))].filter(n => n !== 'cluster')
+    : [];
+  return new Promise(resolve => {
+    const dlg = openDialog(`
+      <h3>Import DOT</h3>
+      <label>Type attribute</label>
+      <input type="text" id="dlg-type-attr" list="dlg-type-attrs" value="${names.includes('type') || names.length === 0 ? 'type' : ''}" placeholder="none">
+      <datalist id="dlg-type-attrs">${names.map(n => `<option value="${n}">`).join('')}</datalist>
+      <p style="font-size:11px;color:var(--text-muted)">This node/edge attribute becomes the element type; leave empty to import untyped. Other attributes become props.</p>
+      <div class="dialog-actions">
+        <button id="dlg-cancel">Cancel</button>
+        <button id="dlg-ok" class="btn-primary">Import</button>
+      </div>
+    `, panelEl);
+    dlg.querySelector('#dlg-cancel').onclick = () => { closeDialog(); resolve(null); };
+    dlg.querySelector('#dlg-ok').onclick = () => {
+      closeDialog();
+      resolve({ typeAttr: dlg.querySelector('#dlg-type-attr').value.trim() || null });
+    };
+  });
+}
+
 export async function importGraphDialog(panel) {
-  const result = await importFromFile();
+  const result = await importFromFile((format, text) =>
+    format === 'dot' ? dotImportOptionsDialog(text, panel.panelEl) : { template: panel.template });
   if (!result.ok) {
     showToast(result.error, 'error');
     return;
   }
+  await mergeImportedGraph(panel, result, 'File');
+}
+
+/** Mirror-merge a parsed graph ({ graph, directed?, positions? }) into panel as an import,
+ *  warning when its direction disagrees with the panel's graph type. Conflicts and graph
+ *  type violations are resolved as in a panel merge; imported positions replace the layout */
+async function mergeImportedGraph(panel, result, what) {
+  const typeInfo = GRAPH_TYPES[panel.template?.graphType];
+  if (typeInfo && result.directed !== undefined && result.directed !== typeInfo.directed) {
+    showToast(`${what} is ${result.directed ? 'directed' : 'undirected'} but the panel graph type is ${typeInfo.directed ? 'directed' : 'undirected'}`, 'warning');
+  }
   const direction = `import → ${panel.id}`;
-  const mergeResult = panel.receiveMerge(result.graph, direction);
+  const options = { auditKind: 'import' };
+  const merge = () => panel.receiveMerge(result.graph, direction, null, false, 'mirror', [], options);
+  let mergeResult = merge();
+  if (!mergeResult.ok && mergeResult.conflicts) {
+    options.resolutions = await mergeConflictDialog(panel, mergeResult.conflicts, direction, null, mergeResult.graph);
+    if (!options.resolutions) { showToast('Import cancelled', 'info'); return; }
+    mergeResult = merge();
+  }
+  if (!mergeResult.ok && mergeResult.violations) {
+    const choice = await constraintViolationDialog(panel, mergeResult.violations, mergeResult.graph, direction);
+    if (!choice) { showToast('Import cancelled', 'info'); return; }
+    Object.assign(options, choice);
+    mergeResult = merge();
+  }
   if (mergeResult.ok) {
+    if (result.positions) panel.applyPositions(result.positions);
     showToast('Graph imported', 'success');
   } else {
     showToast(mergeResult.error, 'error');
   }
 }
 
+/** Ask what to do with type values the template does not define.
+ *  Returns Promise<'create' | 'untyped' | null> */
+function unknownTypesDialog(unknown, panelEl) {
+  const list = (kind, values) => values.length ? `<li>${kind} types: ${values.join(', ')}</li>` : '';
+  return new Promise(resolve => {
+    const dlg = openDialog(`
+      <h3>Unknown Types</h3>
+      <p>The template has no matching types for these values:</p>
+      <ul class="changeset-details">${list('Node', unknown.node)}${list('Edge', unknown.edge)}</ul>
+      <div class="dialog-actions">
+        <button id="dlg-cancel">Cancel</button>
+        <button id="dlg-untyped">Import Untyped</button>
+        <button id="dlg-ok" class="btn-primary">Create Types</button>
+      </div>
+    `, panelEl);
+    dlg.querySelector('#dlg-cancel').onclick = () => { closeDialog(); resolve(null); };
+    dlg.querySelector('#dlg-untyped').onclick = () => { closeDialog(); resolve('untyped'); };
+    dlg.querySelector('#dlg-ok').onclick = () => { closeDialog(); resolve('create'); };
+  });
+}
+
+/** Show CSV import dialog — node and/or edge CSV files, column mapping and a live preview.
+ *  Replaces the panel's graph; type values the template lacks can become new template
+ *  types (announced with a template-change event) */
+export function csvImportDialog(panel) {
+  const tables = { node: null, edge: null };  // { header, rows, mapping }
+  const fields = { node: [['label', 'Label'], ['id', 'Id'], ['type', 'Type']], edge: [['source', 'Source'], ['target', 'Target'], ['type', 'Type']] };
+  let result = null;  // readCSVGraph result; types are resolved and the graph validated on top
+  let cy = null;
+
+  const dlg = openDialog(`
+    <div class="preview-header">
+      <h3 style="margin:0">Import CSV</h3>
+      <button id="dlg-close-x" class="btn-close-icon" title="Close">&#x2715;</button>
+    </div>
+    <p style="font-size:11px;color:var(--text-muted);margin-bottom:4px">Load an edge list, a node table, or both. Edges reference nodes by id or label; without a node table, nodes are created from the edge endpoints.</p>
+    <div class="csv-tables">
+      <div><label>Nodes CSV</label><input type="file" id="dlg-node-file" accept=".csv,.tsv,.txt"><div id="dlg-node-mapping"></div></div>
+      <div><label>Edges CSV</label><input type="file" id="dlg-edge-file" accept=".csv,.tsv,.txt"><div id="dlg-edge-mapping"></div></div>
+    </div>
+    <div class="preview-canvas" id="preview-canvas"></div>
+    <div class="preview-footer">
+      <span id="dlg-status" style="flex:1;font-size:11px;color:var(--text-muted)"></span>
+      <button id="dlg-cancel">Cancel</button>
+      <button id="dlg-ok" class="btn-primary" disabled>Import</button>
+    </div>
+  `, panel.panelEl);
+  dlg.style.minWidth = '520px';
+  dlg.style.minHeight = '480px';
+  dlg.style.maxWidth = '85vw';
+  dlg.style.maxHeight = '90vh';
+
+  // Column selects per field, then a checkbox per column that is not mapped to a field
+  const renderMapping = kind => {
+    const table = tables[kind];
+    const container = dlg.querySelector(`#dlg-${kind}-mapping`);
+    if (!table) { container.innerHTML = ''; return; }
+    const { header, mapping } = table;
+    const columnOptions = selected => `<option value="">(none)</option>` +
+      header.map((h, i) => `<option value="${i}" ${h === selected ? 'selected' : ''}>${h}</option>`).join('');
+    const used = new Set(fields[kind].map(([f]) => mapping[f]));
+    container.innerHTML = `
+      <div class="csv-mapping">
+        ${fields[kind].map(([f, label]) => `<label>${label}</label><select data-field="${f}">${columnOptions(mapping[f])}</select>`).join('')}
+      </div>
+      <label>Props</label>
+      <div class="csv-props">
+        ${header.map((h, i) => used.has(h) ? '' : `<label><input type="checkbox" data-column="${i}" ${mapping.props.includes(h) ? 'checked' : ''}> ${h}</label>`).join('')}
+      </div>
+      <span style="font-size:11px;color:var(--text-muted)">${table.rows.length} row${table.rows.length !== 1 ? 's' : ''}</span>`;
+    container.querySelectorAll('select').forEach(sel => {
+      sel.onchange = () => {
+        const column = sel.value === '' ? null : header[Number(sel.value)];
+        mapping[sel.dataset.field] = column;
+        mapping.props = mapping.props.filter(p => p !== column);
+        renderMapping(kind);
+        update();
+      };
+    });
+    container.querySelectorAll('input[type=checkbox]').forEach(box => {
+      box.onchange = () => {
+        const column = header[Number(box.dataset.column)];
+        mapping.props = box.checked ? [...mapping.props, column] : mapping.props.filter(p => p !== column);
+        update();
+      };
+    });
+  };
+
+  const update = () => {
+    result = readCSVGraph({ nodes: tables.node, edges: tables.edge });
+    const resolved = result.ok ? resolveTypes(result.graph, panel.template) : null;
+    const checked = resolved ? validateGraph(resolved.graph) : result;
+    const status = dlg.querySelector('#dlg-status');
+    dlg.querySelector('#dlg-ok').disabled = !checked.ok;
+    if (cy) { cy.destroy(); cy = null; }
+    if (!checked.ok) {
+      status.textContent = tables.node || tables.edge ? checked.error : 'Choose a CSV file';
+      return;
+    }
+    const { graph } = checked;
+    const { unknown } = resolved;
+    const unknownCount = unknown.node.length + unknown.edge.length;
+    status.textContent = `${graph.nodes.length} nodes, ${graph.edges.length} edges` +
+      (unknownCount ? ` — ${unknownCount} unknown type${unknownCount !== 1 ? 's' : ''}` : '');
+    cy = cytoscape({
+      container: dlg.querySelector('#preview-canvas'),
+      elements: [
+        ...graph.nodes.map(n => ({ group: 'nodes', data: { id: nodeKey(n), label: n.label, type: n.type } })),
+        ...graph.edges.map(e => ({ group: 'edges', data: { id: keyOfEdge(e), source: e.source, target: e.target, type: e.type } })),
+      ],
+      style: buildStylesForTemplate(panel.template),
+      layout: { name: 'preset', animate: false },
+      autoungrabify: true,
+    });
+    runPreviewLayout(cy, panel.layoutAlgorithm);
+  };
+
+  for (const kind of ['node', 'edge']) {
+    dlg.querySelector(`#dlg-${kind}-file`).onchange = async e => {
+      const file = e.target.files[0];
+      tables[kind] = null;
+      if (file) {
+        const parsed = parseCSV(await file.text());
+        if (parsed.ok) tables[kind] = { ...parsed, mapping: guessMapping(parsed.header, kind) };
+        else showToast(parsed.error, 'error');
+      }
+      renderMapping(kind);
+      update();
+    };
+  }
+  update();
+
+  const close = () => { if (cy) cy.destroy(); closeDialog(); };
+  dlg.querySelector('#dlg-cancel').onclick = close;
+  dlg.querySelector('#dlg-close-x').onclick = close;
+  dlg.querySelector('#dlg-ok').onclick = async () => {
+    if (!result?.ok) return;
+    close();
+    let { graph, unknown } = resolveTypes(result.graph, panel.template);
+    let template = null;  // set when unknown types become template types
+    if (unknown.node.length + unknown.edge.length > 0) {
+      const choice = await unknownTypesDialog(unknown, panel.panelEl);
+      if (!choice) { showToast('Import cancelled', 'info'); return; }
+      if (choice === 'create') {
+        ({ graph, template } = createUnknownTypes(graph, panel.template, unknown, genId));
+      } else {
+        graph = dropUnknownTypes(graph, unknown);
+      }
+    }
+    // Validate the final types: untyping can make parallel id-less edges duplicates
+    const checked = validateGraph(graph);
+    if (!checked.ok) { showToast(checked.error, 'error'); return; }
+    graph = checked.graph;
+    if (template) window.dispatchEvent(new CustomEvent('template-change', { detail: { template } }));
+    panel.loadGraph(graph);
+    showToast(`Imported ${graph.nodes.length} nodes and ${graph.edges.length} edges`, 'success');
+  };
+}
+
+/** Show Mermaid import dialog — paste a flowchart snippet and merge it into the panel */
+export function mermaidImportDialog(panel) {
+  const dlg = openDialog(`
+    <div class="dialog-header">
+      <h3>Import Mermaid</h3>
+      <button id="dlg-close-x" class="btn-close-icon" title="Close">&#x2715;</button>
+    </div>
+    <label>Flowchart</label>
+    <textarea id="dlg-mermaid" class="mermaid-input" spellcheck="false" placeholder="flowchart LR&#10;  A[Web] -->|Calls| B[(DB)]"></textarea>
+    <div class="dialog-actions">
+      <span id="dlg-status" style="flex:1;font-size:11px;color:var(--text-muted)"></span>
+      <button id="dlg-cancel">Cancel</button>
+      <button id="dlg-ok" class="btn-primary" disabled>Import</button>
+    </div>
+  `, panel.panelEl);
+  const input = dlg.querySelector('#dlg-mermaid');
+  let result = null;
+  input.oninput = () => {
+    result = input.value.trim() ? fromMermaid(input.value, { template: panel.template }) : null;
+    dlg.querySelector('#dlg-status').textContent = !result ? ''
+      : result.ok ? `${result.graph.nodes.length} nodes, ${result.graph.edges.length} edges` : result.error;
+    dlg.querySelector('#dlg-ok').disabled = !result?.ok;
+  };
+  dlg.querySelector('#dlg-cancel').onclick = closeDialog;
+  dlg.querySelector('#dlg-close-x').onclick = closeDialog;
+  dlg.querySelector('#dlg-ok').onclick = () => {
+    if (!result?.ok) return;
+    closeDialog();
+    mergeImportedGraph(panel, result, 'Flowchart');
+  };
+  input.focus();
+}
+
+/** Show export dialog — pick a file format and download the panel's graph */
+export function exportGraphDialog(panel) {
+  const formatOptions = Object.entries(GRAPH_FORMATS)
+    .map(([id, f]) => `<option value="${id}">${f.label} (.${f.extensions[0]})</option>`).join('');
+  const dlg = openDialog(`
+    <h3>Export Graph</h3>
+    <label>Format</label>
+    <select id="dlg-format">${formatOptions}</select>
+    <div id="dlg-type-attr-row" style="display:none">
+      <label>Type attribute</label>
+      <input type="text" id="dlg-type-attr" value="type" placeholder="none">
+    </div>
+    <label id="dlg-diff-colors-row" style="display:none;align-items:center;gap:8px;font-size:13px;cursor:pointer;white-space:nowrap">
+      <input type="checkbox" id="dlg-diff-colors" style="width:auto;flex-shrink:0" ${panel.baseGraph ? '' : 'disabled'}>
+      Color pending changes
+    </label>
+    <div class="dialog-actions">
+      <button id="dlg-cancel">Cancel</button>
+      <button id="dlg-copy">Copy</button>
+      <button id="dlg-ok" class="btn-primary">Export</button>
+    </div>
+  `, panel.panelEl);
+  const formatSelect = dlg.querySelector('#dlg-format');
+  formatSelect.onchange = () => {
+    const format = formatSelect.value;
+    dlg.querySelector('#dlg-type-attr-row').style.display = format === 'dot' ? '' : 'none';
+    dlg.querySelector('#dlg-diff-colors-row').style.display = ['dot', 'mermaid'].includes(format) ? 'flex' : 'none';
+  };
+  const options = () => ({
+    typeAttr: dlg.querySelector('#dlg-type-attr').value.trim() || null,
+    baseGraph: dlg.querySelector('#dlg-diff-colors').checked ? panel.baseGraph : null,
+  });
+  dlg.querySelector('#dlg-cancel').onclick = closeDialog;
+  dlg.querySelector('#dlg-copy').onclick = async () => {
+    try {
+      await navigator.clipboard.writeText(panel.serializeGraph(formatSelect.value, options()));
+      showToast(`${GRAPH_FORMATS[formatSelect.value].label} copied to clipboard`, 'success');
+      closeDialog();
+    } catch (e) {
+      showToast(`Copy failed: ${e.message}`, 'error');
+    }
+  };
+  dlg.querySelector('#dlg-ok').onclick = () => {
+    panel.exportGraph(formatSelect.value, options());
+    closeDialog();
+  };
+}
+
 /** Show changeset summary dialog — grouped summary of pending changes */
 export function changesetSummaryDialog(panel) {
   if (!panel.baseGraph) {
@@ -546,7 +863,15 @@ export function changesetSummaryDialog(panel) {
   }
 
   const diffs = computeDiff(panel.baseGraph, panel.graph);
-  const summaryText = formatGroupedDiffSummary(diffs);
+  const summaryText = formatGroupedDiffSummary(diffs, panel.template);
+  // Per-key detail for changed elements, nested values by path (config.retries: 3 → 5)
+  const typeLine = d => 'newType' in d
+    ? [`<li class="prop-change-changed">type: ${typeLabel(panel.template, d.type, d.oldType)} → ${typeLabel(panel.template, d.type, d.newType)}</li>`]
+    : [];
+  const details = diffs.filter(d => d.changes?.length || 'newType' in d).map(d => `
+    <li><strong>${d.type === 'node' ? (d.label ?? d.key) : d.key}</strong>
+      <ul>${[...typeLine(d), ...d.changes.map(c => `<li class="prop-change-${c.kind}">${formatPropChange(c)}</li>`)].join('')}</ul>
+    </li>`).join('');
 
   openDialog(`
     <div class="dialog-header">
@@ -554,12 +879,180 @@ export function changesetSummaryDialog(panel) {
       <button id="dlg-close-x" class="btn-close-icon" title="Close">&#x2715;</button>
     </div>
     <p class="changeset-summary-text">${summaryText}</p>
+    ${details ? `<ul class="changeset-details">${details}</ul>` : ''}
   `, panel.panelEl).querySelector('#dlg-close-x').onclick = closeDialog;
 }
 
-/** Show changelog dialog — split-view: list on left, inline preview on right */
-export function changelogDialog(panel) {
+/** Show merge conflict resolution dialog.
+ *  Each conflicting element gets ours/theirs/base columns; pick a side per element,
+ *  click a cell to take that value for one property, or edit the result directly.
+ *  Non-string prop values show as JSON; a result keeps the picked value as-is unless edited,
+ *  and edited text is parsed back as JSON where the picked value was not a string.
+ *  intro replaces the default explanation line (e.g. for reverts). Theirs cannot be picked
+ *  for a label another node carries (conflict labelTaken); with graph (the merge result)
+ *  resolutions are only accepted once no label is duplicated (see findResolutionLabelClashes).
+ *  Returns Promise<{ [conflictId]: element | null } | null> (null = cancelled). */
+export function mergeConflictDialog(panel, conflicts, direction, intro = null, graph = null) {
+  const sides = ['base', 'ours', 'theirs'];
+  const sideLabels = { base: 'Base', ours: `Ours (${panel.id})`, theirs: 'Theirs' };
+  // Octopus merges and reverts tag each conflict with the source that raised it
+  const theirsLabel = c => c.source ? `Theirs (${c.source})` : sideLabels.theirs;
+  const show = v => (typeof v === 'string' ? v : JSON.stringify(v));
+  const fmt = v => v === undefined || v === null ? '<span class="conflict-absent">—</span>' : escapeHtml(show(v));
+
+  const cardsHtml = conflicts.map((c, i) => {
+    const present = sides.filter(s => c[s]);
+    const propKeys = [...new Set(present.flatMap(s => Object.keys(c[s].props)))];
+    const rowHtml = (field, label, valueOf, isConflict) => `
+      <tr class="${isConflict ? 'conflict-row' : ''}">
+        <td class="conflict-prop">${label}</td>
+        ${sides.map(s => `<td class="conflict-cell" data-side="${s}" data-field="${escapeHtml(field)}">${c[s] ? fmt(valueOf(c[s])) : ''}</td>`).join('')}
+        <td><input type="text" class="conflict-input" data-field="${escapeHtml(field)}"></td>
+      </tr>`;
+    const rows = [
+      ...(c.type === 'node' ? [rowHtml('label', '<em>label</em>', el => el.label, c.labelConflict)] : []),
+      rowHtml('type', '<em>type</em>', el => el.type, c.typeConflict),
+      ...propKeys.map(k => rowHtml(`props.${k}`, escapeHtml(k), el => el.props[k], c.keys.includes(k))),
+    ].join('');
+    const taken = c.labelTaken ? `Label "${escapeHtml(c.theirs.label)}" is taken by another node` : '';
+    const radios = sides.map(s => `
+      <label class="conflict-side" ${s === 'theirs' && taken ? `title="${taken}"` : ''}>
+        <input type="radio" name="conflict-side-${i}" value="${s}" ${s === 'ours' ? 'checked' : ''} ${s === 'theirs' && taken ? 'disabled' : ''}>
+        ${s === 'theirs' ? theirsLabel(c) : sideLabels[s]}${c[s] ? '' : s === 'base' ? ' (none)' : ' (deleted)'}
+      </label>`).join('');
+    const name = c.type === 'node' ? (c.ours || c.theirs || c.base).label : c.key;
+    return `
+      <div class="conflict-card" data-index="${i}">
+        <div class="conflict-card-header">
+          <span><strong>${c.type === 'node' ? 'Node' : 'Edge'} ${escapeHtml(name)}</strong> <span class="conflict-kind">${c.kind}${taken ? ` — ${taken}` : ''}</span></span>
+          <span class="conflict-sides">${radios}</span>
+        </div>
+        <table class="conflict-table">
+          <thead><tr><th></th>${sides.map(s => `<th>${s === 'theirs' ? theirsLabel(c) : sideLabels[s]}</th>`).join('')}<th>Result</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>`;
+  }).join('');
+
+  return new Promise(resolve => {
+    const dlg = openDialog(`
+      <div class="dialog-header">
+        <h3>Resolve Merge Conflicts</h3>
+        <button id="dlg-close-x" class="btn-close-icon" title="Close">&#x2715;</button>
+      </div>
+      <p style="font-size:11px;color:var(--text-muted);margin-bottom:8px">
+        ${intro || `Merge ${direction} collides with unapproved edits or merge policies in Panel ${panel.id}.`}
+        Pick a side per element, click a cell to take a single value, or edit the result. Empty result = property removed.
+      </p>
+      <div class="conflict-list">${cardsHtml}</div>
+      <div class="dialog-actions">
+        <button id="dlg-cancel">Cancel</button>
+        <button id="dlg-ok" class="btn-primary">Apply Merge</button>
+      </div>
+    `, panel.panelEl);
+    dlg.classList.add('conflict-dialog');
+
+    const cards = [...dlg.querySelectorAll('.conflict-card')];
+    const valueAt = (el, field) => field === 'type' ? el.type
+      : field === 'label' ? el.label
+      : el.props[field.slice('props.'.length)];
+
+    const selectedSide = (card) => card.querySelector('input[type="radio"]:checked').value;
+
+    // Each result input remembers the value last picked into it; typing marks it edited
+    const picked = new Map();
+    const edited = new Set();
+    const pick = (input, v) => {
+      picked.set(input, v);
+      edited.delete(input);
+      input.value = v === undefined || v === null ? '' : show(v);
+    };
+    const parseEdited = (text, original) => {
+      if (typeof original === 'string' || original === undefined || original === null) return text;
+      try { return JSON.parse(text); } catch { return text; }
+    };
+
+    const fillFromSide = (card, conflict, side) => {
+      const el = conflict[side];
+      card.classList.toggle('conflict-deleted', !el);
+      card.querySelectorAll('.conflict-input').forEach(input => {
+        input.disabled = !el;
+        pick(input, el ? valueAt(el, input.dataset.field) : undefined);
+      });
+    };
+
+    cards.forEach((card, i) => {
+      const conflict = conflicts[i];
+      fillFromSide(card, conflict, 'ours');
+      card.querySelectorAll('.conflict-input').forEach(input => {
+        input.oninput = () => edited.add(input);
+      });
+      card.querySelectorAll('input[type="radio"]').forEach(radio => {
+        radio.onchange = () => fillFromSide(card, conflict, radio.value);
+      });
+      card.querySelectorAll('.conflict-cell').forEach(cell => {
+        const source = conflict[cell.dataset.side];
+        if (!source || (conflict.labelTaken && cell.dataset.side === 'theirs' && cell.dataset.field === 'label')) return;
+        cell.classList.add('conflict-cell-pick');
+        cell.title = 'Use this value';
+        cell.onclick = () => {
+          const input = cell.parentElement.querySelector('.conflict-input');
+          if (input.disabled) return;
+          pick(input, valueAt(source, cell.dataset.field));
+        };
+      });
+    });
+
+    const collect = () => {
+      const resolutions = {};
+      cards.forEach((card, i) => {
+        const conflict = conflicts[i];
+        const chosen = conflict[selectedSide(card)];
+        if (!chosen) {
+          resolutions[conflictId(conflict)] = null;
+          return;
+        }
+        const element = deepClone(chosen);
+        element.props = {};
+        card.querySelectorAll('.conflict-input').forEach(input => {
+          const val = input.value.trim();
+          const value = picked.get(input);
+          if (input.dataset.field === 'type') {
+            element.type = (edited.has(input) ? val : value) || null;
+          } else if (input.dataset.field === 'label') {
+            const label = edited.has(input) ? val : value;
+            if (label) element.label = label;  // a node always keeps a label
+          } else if (edited.has(input) ? val !== '' : value !== undefined) {
+            element.props[input.dataset.field.slice('props.'.length)] = edited.has(input) ? parseEdited(val, value) : value;
+          }
+        });
+        resolutions[conflictId(conflict)] = element;
+      });
+      return resolutions;
+    };
+
+    const doCancel = () => { closeDialog(); resolve(null); };
+    dlg.querySelector('#dlg-cancel').onclick = doCancel;
+    dlg.querySelector('#dlg-close-x').onclick = doCancel;
+    dlg.querySelector('#dlg-ok').onclick = () => {
+      const resolutions = collect();
+      const [clash] = graph ? findResolutionLabelClashes(graph, conflicts, resolutions) : [];
+      if (clash) {
+        showToast(`Label "${clash.label}" is taken by another node`, 'error');
+        return;
+      }
+      closeDialog();
+      resolve(resolutions);
+    };
+  });
+}
+
+/** Show changelog dialog — split-view: list on left, inline preview on right.
+ *  options.panels (Map of all panels) adds a commit graph of every panel's approvals,
+ *  labelled via options.panelName(id); options.onBranch(index) adds a Branch button. */
+export function changelogDialog(panel, options = {}) {
   const history = panel._approvalHistory || [];
+  const { panels = null, panelName = id => `Panel ${id}`, onBranch = null } = options;
 
   if (history.length === 0) {
     const dlg = openDialog(`
@@ -579,8 +1072,11 @@ export function changelogDialog(panel) {
     const timeStr = new Date(entry.timestamp).toLocaleTimeString();
     listHtml += `
       <div class="changelog-entry" data-index="${i}">
-        <span class="changelog-entry-label">#${i + 1} ${timeStr} <span style="color:var(--text-muted)">${entry.diffSummary}</span></span>
+        <span class="changelog-entry-label">#${i + 1} ${timeStr}${entry.name ? ` <span class="changelog-tag">${entry.name}</span>` : ''} <span style="color:var(--text-muted)">${entry.diffSummary}</span></span>
         <button class="btn-preview" data-index="${i}">Preview</button>
+        <button class="btn-revert" data-index="${i}" title="Undo this approval's changes on top of the current graph">Revert</button>
+        <button class="btn-tag" data-index="${i}" title="Name this approval as a checkpoint">Tag</button>
+        ${onBranch ? `<button class="btn-branch" data-index="${i}" title="Open a new panel starting from this approval">Branch</button>` : ''}
       </div>`;
   }
   listHtml += '</div>';
@@ -590,6 +1086,7 @@ export function changelogDialog(panel) {
       <h3>Approval History</h3>
       <button id="dlg-close-x" class="btn-close-icon" title="Close">&#x2715;</button>
     </div>
+    ${panels ? '<div id="changelog-graph" class="changelog-graph"></div>' : ''}
     <div class="changelog-split">
       <div class="changelog-split-list">${listHtml}</div>
       <div id="changelog-preview-pane" style="display:none;flex:1;flex-direction:column;min-width:260px"></div>
@@ -597,6 +1094,33 @@ export function changelogDialog(panel) {
   `, panel.panelEl);
 
   let previewCy = null;
+  let graphCy = null;
+
+  // Commit graph: approvals of all panels, linked parent → child; shared approvals
+  // (branch points) appear once, with each panel's latest approval marked as its head
+  if (panels) {
+    const ownIds = new Set(history.map(e => e.id));
+    const { commits, links } = buildCommitGraph([...panels.values()].map(p => ({ panelId: p.id, entries: p._approvalHistory || [] })));
+    const elements = [
+      ...commits.map(c => ({
+        group: 'nodes',
+        data: { id: c.id, label: [c.name || new Date(c.timestamp).toLocaleTimeString(), ...c.heads.map(panelName)].join('\n') },
+        classes: [ownIds.has(c.id) ? 'commit-own' : '', c.heads.length ? 'commit-head' : ''].join(' '),
+      })),
+      ...links.map(l => ({ group: 'edges', data: { id: `${l.parent}→${l.child}`, source: l.parent, target: l.child } })),
+    ];
+    requestAnimationFrame(() => {
+      const canvasEl = dlg.querySelector('#changelog-graph');
+      if (!canvasEl || !canvasEl.isConnected) return;
+      graphCy = cytoscape({
+        container: canvasEl,
+        elements,
+        style: [...baseStyles, ...commitGraphStyles],
+        layout: { name: 'breadthfirst', directed: true, animate: false, fit: true, padding: 12 },
+        autoungrabify: true,
+      });
+    });
+  }
 
   const closePreview = () => {
     if (previewCy) { try { previewCy.destroy(); } catch (e) {} previewCy = null; }
@@ -607,6 +1131,12 @@ export function changelogDialog(panel) {
     dlg.querySelectorAll('.changelog-entry').forEach(el => el.classList.remove('active'));
   };
 
+  const closeAll = () => {
+    closePreview();
+    if (graphCy) { try { graphCy.destroy(); } catch (e) {} graphCy = null; }
+    closeDialog();
+  };
+
   dlg.querySelectorAll('.btn-preview').forEach(btn => {
     btn.onclick = () => {
       const index = parseInt(btn.dataset.index);
@@ -633,11 +1163,10 @@ export function changelogDialog(panel) {
 
       const elements = [];
       for (const node of entry.graph.nodes) {
-        elements.push({ group: 'nodes', data: { id: node.label, label: node.label } });
+        elements.push({ group: 'nodes', data: { id: nodeKey(node), label: node.label } });
       }
       for (const edge of entry.graph.edges) {
-        const key = `${edge.source}\u2192${edge.target}`;
-        elements.push({ group: 'edges', data: { id: key, source: edge.source, target: edge.target } });
+        elements.push({ group: 'edges', data: { id: keyOfEdge(edge), source: edge.source, target: edge.target } });
       }
 
       requestAnimationFrame(() => {
@@ -658,10 +1187,139 @@ export function changelogDialog(panel) {
     };
   });
 
-  dlg.querySelector('#dlg-close-x').onclick = () => {
-    closePreview();
-    closeDialog();
-  };
+  dlg.querySelectorAll('.btn-revert').forEach(btn => {
+    btn.onclick = async () => {
+      const index = parseInt(btn.dataset.index);
+      closeAll();
+      const label = `#${index + 1}`;
+      if (!await confirmDialog('Revert Approval?', `Undo the changes of approval ${label} (${history[index].diffSummary}) as an unapproved change in Panel ${panel.id}?`, panel.panelEl)) return;
+      const options = {};
+      let result = panel.revertApproval(index, options);
+      if (!result.ok && result.conflicts) {
+        const intro = `Reverting approval ${label} collides with changes made since then in Panel ${panel.id}.`;
+        options.resolutions = await mergeConflictDialog(panel, result.conflicts, `revert of ${label}`, intro, result.graph);
+        if (!options.resolutions) { showToast('Revert cancelled', 'info'); return; }
+        result = panel.revertApproval(index, options);
+      }
+      if (!result.ok && result.violations) {
+        const choice = await constraintViolationDialog(panel, result.violations, result.graph, `revert of ${label}`);
+        if (!choice) { showToast('Revert cancelled', 'info'); return; }
+        Object.assign(options, choice);
+        result = panel.revertApproval(index, options);
+      }
+      if (result.ok) showToast(`Reverted approval ${label} in Panel ${panel.id}`, 'success');
+      else showToast(result.error, 'error');
+    };
+  });
+
+  dlg.querySelectorAll('.btn-tag').forEach(btn => {
+    btn.onclick = () => {
+      const index = parseInt(btn.dataset.index);
+      const label = btn.closest('.changelog-entry').querySelector('.changelog-entry-label');
+      label.innerHTML = `<input type="text" class="changelog-tag-input" value="${history[index].name || ''}" placeholder="Checkpoint name">`;
+      const input = label.querySelector('input');
+      input.focus();
+      input.onkeydown = e => {
+        if (e.key === 'Enter') {
+          panel.nameApproval(index, input.value.trim());
+          closeAll();
+          changelogDialog(panel, options);
+        } else if (e.key === 'Escape') {
+          e.stopPropagation();
+          closeAll();
+          changelogDialog(panel, options);
+        }
+      };
+    };
+  });
+
+  dlg.querySelectorAll('.btn-branch').forEach(btn => {
+    btn.onclick = () => {
+      closeAll();
+      onBranch(parseInt(btn.dataset.index));
+    };
+  });
+
+  dlg.querySelector('#dlg-close-x').onclick = closeAll;
+}
+
+/** Build Cytoscape elements for graph, diff-colored against baseGraph (removed elements as ghosts) */
+function buildDiffElements(baseGraph, graph) {
+  const diffs = computeDiff(baseGraph, graph);
+  const diffMap = new Map(diffs.map(d => [d.key, d.action]));
+
+  const elements = [];
+  for (const node of graph.nodes) {
+    const action = diffMap.get(nodeKey(node)) || null;
+    elements.push({
+      group: 'nodes',
+      data: { id: nodeKey(node), label: node.label },
+      classes: action ? `diff-${action}` : '',
+    });
+  }
+  for (const edge of graph.edges) {
+    const key = keyOfEdge(edge);
+    const action = diffMap.get(key) || null;
+    elements.push({
+      group: 'edges',
+      data: { id: key, source: edge.source, target: edge.target },
+      classes: action ? `diff-${action}` : '',
+    });
+  }
+  // Add ghost nodes/edges for removed elements
+  if (baseGraph) {
+    const currentNodeIds = new Set(graph.nodes.map(n => nodeKey(n)));
+    const removedEdgeKeys = new Set(diffs.filter(d => d.type === 'edge' && d.action === 'removed').map(d => d.key));
+    for (const node of baseGraph.nodes) {
+      if (!currentNodeIds.has(nodeKey(node))) {
+        elements.push({ group: 'nodes', data: { id: nodeKey(node), label: node.label }, classes: 'diff-removed' });
+      }
+    }
+    for (const edge of baseGraph.edges) {
+      const key = keyOfEdge(edge);
+      if (removedEdgeKeys.has(key)) {
+        const allNodes = new Set([...currentNodeIds, ...baseGraph.nodes.map(n => nodeKey(n))]);
+        if (allNodes.has(edge.source) && allNodes.has(edge.target)) {
+          elements.push({ group: 'edges', data: { id: key, source: edge.source, target: edge.target }, classes: 'diff-removed' });
+        }
+      }
+    }
+  }
+  return elements;
+}
+
+/** Run the panel's layout algorithm on a read-only preview Cytoscape instance */
+function runPreviewLayout(cyInstance, algo) {
+  if (algo === 'level-by-level') {
+    const allNodes = cyInstance.nodes();
+    if (allNodes.length === 0) return;
+    const sinks = allNodes.filter(n => n.outgoers('edge').length === 0);
+    const startNodes = sinks.length > 0 ? sinks : allNodes;
+    const levels = new Map();
+    const queue = [];
+    startNodes.forEach(n => { levels.set(n.id(), 0); queue.push(n.id()); });
+    while (queue.length > 0) {
+      const id = queue.shift();
+      const level = levels.get(id);
+      cyInstance.$id(id).incomers('edge').forEach(edge => {
+        const srcId = edge.source().id();
+        if (!levels.has(srcId) || levels.get(srcId) < level + 1) {
+          levels.set(srcId, level + 1);
+          queue.push(srcId);
+        }
+      });
+    }
+    const maxLevel = Math.max(...levels.values(), 0);
+    const containerH = cyInstance.container()?.clientHeight || 400;
+    const step = containerH / (maxLevel + 2);
+    cyInstance.nodes().forEach(n => {
+      const lvl = levels.get(n.id()) ?? maxLevel + 1;
+      n.position({ x: n.position('x'), y: (maxLevel - lvl) * step + step });
+    });
+    cyInstance.fit(undefined, 20);
+  } else {
+    cyInstance.layout({ name: algo || 'fcose', animate: false, fit: true, padding: 20 }).run();
+  }
 }
 
 /** Show enhanced approval preview with maximize/minimize and diff toggle */
@@ -735,10 +1393,10 @@ export function approvalPreviewDialog(entry, index, panel) {
   const buildApprovedElements = () => {
     const elements = [];
     for (const node of entry.graph.nodes) {
-      elements.push({ group: 'nodes', data: { id: node.label, label: node.label } });
+      elements.push({ group: 'nodes', data: { id: nodeKey(node), label: node.label } });
     }
     for (const edge of entry.graph.edges) {
-      elements.push({ group: 'edges', data: { id: `${edge.source}→${edge.target}`, source: edge.source, target: edge.target } });
+      elements.push({ group: 'edges', data: { id: keyOfEdge(edge), source: edge.source, target: edge.target } });
     }
     return elements;
   };
@@ -746,81 +1404,7 @@ export function approvalPreviewDialog(entry, index, panel) {
   // Build elements for changeset view (diff-highlighted)
   const buildChangesetElements = () => {
     if (!hasBaseline) return buildApprovedElements();
-    const diffs = computeDiff(entry.baseGraph, entry.graph);
-    const diffMap = new Map(diffs.map(d => [d.key, d.action]));
-
-    const elements = [];
-    for (const node of entry.graph.nodes) {
-      const action = diffMap.get(node.label) || null;
-      elements.push({
-        group: 'nodes',
-        data: { id: node.label, label: node.label },
-        classes: action ? `diff-${action}` : '',
-      });
-    }
-    for (const edge of entry.graph.edges) {
-      const key = `${edge.source}→${edge.target}`;
-      const action = diffMap.get(key) || null;
-      elements.push({
-        group: 'edges',
-        data: { id: key, source: edge.source, target: edge.target },
-        classes: action ? `diff-${action}` : '',
-      });
-    }
-    // Add ghost nodes/edges for removed elements
-    if (entry.baseGraph) {
-      const currentNodeLabels = new Set(entry.graph.nodes.map(n => n.label));
-      const currentEdgeKeys = new Set(entry.graph.edges.map(e => `${e.source}→${e.target}`));
-      for (const node of entry.baseGraph.nodes) {
-        if (!currentNodeLabels.has(node.label)) {
-          elements.push({ group: 'nodes', data: { id: node.label, label: node.label }, classes: 'diff-removed' });
-        }
-      }
-      for (const edge of entry.baseGraph.edges) {
-        const key = `${edge.source}→${edge.target}`;
-        if (!currentEdgeKeys.has(key)) {
-          const allNodes = new Set([...currentNodeLabels, ...entry.baseGraph.nodes.map(n => n.label)]);
-          if (allNodes.has(edge.source) && allNodes.has(edge.target)) {
-            elements.push({ group: 'edges', data: { id: key, source: edge.source, target: edge.target }, classes: 'diff-removed' });
-          }
-        }
-      }
-    }
-    return elements;
-  };
-
-  const runPreviewLayout = (cyInstance) => {
-    const algo = panel.layoutAlgorithm || 'fcose';
-    if (algo === 'level-by-level') {
-      const allNodes = cyInstance.nodes();
-      if (allNodes.length === 0) return;
-      const sinks = allNodes.filter(n => n.outgoers('edge').length === 0);
-      const startNodes = sinks.length > 0 ? sinks : allNodes;
-      const levels = new Map();
-      const queue = [];
-      startNodes.forEach(n => { levels.set(n.id(), 0); queue.push(n.id()); });
-      while (queue.length > 0) {
-        const id = queue.shift();
-        const level = levels.get(id);
-        cyInstance.$id(id).incomers('edge').forEach(edge => {
-          const srcId = edge.source().id();
-          if (!levels.has(srcId) || levels.get(srcId) < level + 1) {
-            levels.set(srcId, level + 1);
-            queue.push(srcId);
-          }
-        });
-      }
-      const maxLevel = Math.max(...levels.values(), 0);
-      const containerH = cyInstance.container()?.clientHeight || 400;
-      const step = containerH / (maxLevel + 2);
-      cyInstance.nodes().forEach(n => {
-        const lvl = levels.get(n.id()) ?? maxLevel + 1;
-        n.position({ x: n.position('x'), y: (maxLevel - lvl) * step + step });
-      });
-      cyInstance.fit(undefined, 20);
-    } else {
-      cyInstance.layout({ name: algo, animate: false, fit: true, padding: 20 }).run();
-    }
+    return buildDiffElements(entry.baseGraph, entry.graph);
   };
 
   const cy = cytoscape({
@@ -832,7 +1416,7 @@ export function approvalPreviewDialog(entry, index, panel) {
     userZoomingEnabled: true,
     userPanningEnabled: true,
   });
-  runPreviewLayout(cy);
+  runPreviewLayout(cy, panel.layoutAlgorithm);
 
   // Apply path tracking styles if entry had tracking enabled
   if (entry.pathTrackingEnabled && panel.template?.specialTypes?.length > 0) {
@@ -868,7 +1452,7 @@ export function approvalPreviewDialog(entry, index, panel) {
     cy.elements().remove();
     const newElements = mode === 'changeset' ? buildChangesetElements() : buildApprovedElements();
     cy.add(newElements);
-    runPreviewLayout(cy);
+    runPreviewLayout(cy, panel.layoutAlgorithm);
   };
 
   btnApproved.onclick = () => switchMode('approved');
@@ -889,7 +1473,7 @@ export function approvalPreviewDialog(entry, index, panel) {
         `;
       } else {
         const diffs = computeDiff(entry.baseGraph, entry.graph);
-        const summaryText = formatGroupedDiffSummary(diffs);
+        const summaryText = formatGroupedDiffSummary(diffs, panel.template);
         infoPanelEl.innerHTML = `
           <p class="changeset-summary-text">${summaryText}</p>
           <button id="info-back" style="margin-top:8px">&#x2190; Back</button>
@@ -918,6 +1502,298 @@ export function approvalPreviewDialog(entry, index, panel) {
   };
 }
 
+/** Show a read-only dry-run of a merge: the would-be result diff-colored against the
+ *  target's current graph. Returns Promise<boolean> (true = apply the merge). */
+export function mergePreviewDialog(panel, resultGraph, direction) {
+  const diffs = computeDiff(panel.graph, resultGraph);
+  const summaryText = diffs.length > 0 ? formatDiffSummary(diffs) : 'No changes';
+
+  return new Promise(resolve => {
+    const dlg = openDialog(`
+      <div class="preview-header">
+        <h3 style="margin:0">Merge Preview — ${direction}</h3>
+        <button id="dlg-close-x" class="btn-close-icon" title="Close">&#x2715;</button>
+      </div>
+      <div class="preview-canvas" id="preview-canvas"></div>
+      <div class="preview-info-panel" id="preview-info-panel"></div>
+      <div class="preview-footer">
+        <button id="preview-info" class="btn-icon" title="Show grouped changeset summary for this merge">&#x24D8;</button>
+        <span style="flex:1;font-size:11px;color:var(--text-muted)">${summaryText}</span>
+        <button id="dlg-cancel">Cancel</button>
+        <button id="dlg-ok" class="btn-primary">Apply Merge</button>
+      </div>
+    `, panel.panelEl);
+
+    dlg.style.minWidth = '420px';
+    dlg.style.minHeight = '380px';
+    dlg.style.maxWidth = '80vw';
+    dlg.style.maxHeight = '80vh';
+
+    const canvasEl = dlg.querySelector('#preview-canvas');
+    const infoPanelEl = dlg.querySelector('#preview-info-panel');
+
+    const cy = cytoscape({
+      container: canvasEl,
+      elements: buildDiffElements(panel.graph, resultGraph),
+      style: baseStyles,
+      layout: { name: 'preset', animate: false },
+      autoungrabify: true,
+      userZoomingEnabled: true,
+      userPanningEnabled: true,
+    });
+    runPreviewLayout(cy, panel.layoutAlgorithm);
+
+    let infoVisible = false;
+    dlg.querySelector('#preview-info').onclick = () => {
+      infoVisible = !infoVisible;
+      if (infoVisible) {
+        infoPanelEl.innerHTML = `<p class="changeset-summary-text">${formatGroupedDiffSummary(diffs, panel.template)}</p>`;
+        infoPanelEl.classList.add('visible');
+        canvasEl.style.display = 'none';
+      } else {
+        infoPanelEl.classList.remove('visible');
+        canvasEl.style.display = '';
+        cy.resize();
+        cy.fit(undefined, 20);
+      }
+    };
+
+    const finish = (confirmed) => {
+      try { cy.destroy(); } catch (e) {}
+      closeDialog();
+      resolve(confirmed);
+    };
+    dlg.querySelector('#dlg-close-x').onclick = () => finish(false);
+    dlg.querySelector('#dlg-cancel').onclick = () => finish(false);
+    dlg.querySelector('#dlg-ok').onclick = () => finish(true);
+  });
+}
+
+/** Ask what to do with a merge result that breaks graph type constraints
+ *  (violations from findConstraintViolations; graph: the uncommitted result).
+ *  Returns Promise resolving to merge options to re-run with — { allowInvalid: true }
+ *  to commit anyway, { removals } after repairing — or null to abort. */
+export function constraintViolationDialog(panel, violations, graph, direction) {
+  const items = violations.map(v => `<li>${v.message}</li>`).join('');
+  return new Promise(resolve => {
+    const dlg = openDialog(`
+      <div class="dialog-header">
+        <h3>Invalid Merge</h3>
+        <button id="dlg-close-x" class="btn-close-icon" title="Close">&#x2715;</button>
+      </div>
+      <p style="font-size:12px;margin-bottom:8px">Merge ${direction} would break the ${GRAPH_TYPES[panel.template?.graphType]?.label || 'graph type'} constraints of Panel ${panel.id}:</p>
+      <ul class="violation-list">${items}</ul>
+      <div class="dialog-actions">
+        <button id="dlg-cancel">Abort</button>
+        <button id="dlg-commit" title="Commit the merge; the panel is marked invalid until fixed">Commit as Invalid</button>
+        <button id="dlg-ok" class="btn-primary" title="Remove offending nodes/edges from the merge result">Repair…</button>
+      </div>
+    `, panel.panelEl);
+    const doCancel = () => { closeDialog(); resolve(null); };
+    dlg.querySelector('#dlg-cancel').onclick = doCancel;
+    dlg.querySelector('#dlg-close-x').onclick = doCancel;
+    dlg.querySelector('#dlg-commit').onclick = () => { closeDialog(); resolve({ allowInvalid: true }); };
+    dlg.querySelector('#dlg-ok').onclick = async () => {
+      closeDialog();
+      const removals = await repairMergeDialog(panel, graph, direction);
+      resolve(removals ? { removals } : null);
+    };
+  });
+}
+
+/** Repair an invalid merge result: offending elements (cycle, detached component, duplicate
+ *  edge) are highlighted; click nodes/edges to drop them from the result until it is valid.
+ *  Returns Promise<{ nodes, edges } | null> — the keys to remove. */
+function repairMergeDialog(panel, graph, direction) {
+  const graphType = panel.template?.graphType;
+  const removed = { nodes: new Set(), edges: new Set() };
+
+  return new Promise(resolve => {
+    const dlg = openDialog(`
+      <div class="preview-header">
+        <h3 style="margin:0">Repair Merge — ${direction}</h3>
+        <button id="dlg-close-x" class="btn-close-icon" title="Close">&#x2715;</button>
+      </div>
+      <p style="font-size:11px;color:var(--text-muted);margin-bottom:4px">Click highlighted nodes or edges to remove them from the merge result (click again to keep).</p>
+      <ul class="violation-list" id="dlg-violations"></ul>
+      <div class="preview-canvas" id="preview-canvas"></div>
+      <div class="preview-footer">
+        <span id="dlg-status" style="flex:1;font-size:11px;color:var(--text-muted)"></span>
+        <button id="dlg-cancel">Cancel</button>
+        <button id="dlg-ok" class="btn-primary">Apply Repaired Merge</button>
+      </div>
+    `, panel.panelEl);
+
+    dlg.style.minWidth = '420px';
+    dlg.style.minHeight = '420px';
+    dlg.style.maxWidth = '80vw';
+    dlg.style.maxHeight = '85vh';
+
+    const cy = cytoscape({
+      container: dlg.querySelector('#preview-canvas'),
+      elements: [
+        ...graph.nodes.map(n => ({ group: 'nodes', data: { id: nodeKey(n), label: n.label } })),
+        ...graph.edges.map(e => ({ group: 'edges', data: { id: keyOfEdge(e), source: e.source, target: e.target } })),
+      ],
+      style: [...baseStyles, ...repairStyles],
+      layout: { name: 'preset', animate: false },
+      autoungrabify: true,
+      userZoomingEnabled: true,
+      userPanningEnabled: true,
+    });
+    runPreviewLayout(cy, panel.layoutAlgorithm);
+
+    const okBtn = dlg.querySelector('#dlg-ok');
+    const update = () => {
+      const violations = findConstraintViolations(removeElements(graph, [...removed.nodes], [...removed.edges]), graphType);
+      cy.elements().removeClass('constraint-violation repair-removed');
+      for (const v of violations) {
+        for (const key of [...v.nodes, ...v.edges]) cy.$id(key).addClass('constraint-violation');
+      }
+      // A removed node takes its edges with it
+      for (const id of removed.nodes) cy.$id(id).union(cy.$id(id).connectedEdges()).addClass('repair-removed');
+      for (const key of removed.edges) cy.$id(key).addClass('repair-removed');
+      dlg.querySelector('#dlg-violations').innerHTML = violations.map(v => `<li>${v.message}</li>`).join('');
+      const count = removed.nodes.size + removed.edges.size;
+      dlg.querySelector('#dlg-status').textContent = violations.length > 0
+        ? `${violations.length} violation${violations.length !== 1 ? 's' : ''} left`
+        : `Valid after removing ${count} element${count !== 1 ? 's' : ''}`;
+      okBtn.disabled = violations.length > 0;
+    };
+    update();
+
+    cy.on('tap', 'node, edge', e => {
+      const set = e.target.isNode() ? removed.nodes : removed.edges;
+      const id = e.target.id();
+      if (set.has(id)) set.delete(id);
+      else set.add(id);
+      update();
+    });
+
+    const finish = result => {
+      try { cy.destroy(); } catch (e) {}
+      closeDialog();
+      resolve(result);
+    };
+    dlg.querySelector('#dlg-close-x').onclick = () => finish(null);
+    dlg.querySelector('#dlg-cancel').onclick = () => finish(null);
+    okBtn.onclick = () => finish({ nodes: [...removed.nodes], edges: [...removed.edges] });
+  });
+}
+
+/** Show a compare picker (two graphs: panels, approval history entries, or a JSON file),
+ *  then a diff view of the second against the first: diff-colored canvas plus a table
+ *  of changes. options.panels: Map of all panels; options.panelName(id) labels them. */
+export function compareDialog(panel, options = {}) {
+  const { panels = new Map([[panel.id, panel]]), panelName = id => `Panel ${id}` } = options;
+  const choices = [];
+  for (const p of panels.values()) {
+    choices.push({ value: `panel:${p.id}`, label: `${panelName(p.id)} (current)`, graph: () => p.getGraph() });
+    (p._approvalHistory || []).forEach((entry, i) => {
+      const time = new Date(entry.timestamp).toLocaleTimeString();
+      choices.push({
+        value: `approval:${p.id}:${i}`,
+        label: `${panelName(p.id)} approval #${i + 1} ${time}${entry.name ? ` (${entry.name})` : ''}`,
+        graph: () => deepClone(entry.graph),
+      });
+    });
+  }
+  choices.push({ value: 'file', label: 'File…', graph: null });
+  const optionsHtml = choices.map(c => `<option value="${c.value}">${c.label}</option>`).join('');
+  const otherPanel = [...panels.keys()].find(id => id !== panel.id);
+
+  const dlg = openDialog(`
+    <div class="dialog-header">
+      <h3>Compare Graphs</h3>
+      <button id="dlg-close-x" class="btn-close-icon" title="Close">&#x2715;</button>
+    </div>
+    <p style="font-size:11px;color:var(--text-muted);margin-bottom:8px">Shows the changes that turn the first graph into the second.</p>
+    <label>From</label>
+    <select id="dlg-from">${optionsHtml}</select>
+    <label>To</label>
+    <select id="dlg-to">${optionsHtml}</select>
+    <div class="dialog-actions">
+      <button id="dlg-cancel">Cancel</button>
+      <button id="dlg-ok" class="btn-primary">Compare</button>
+    </div>
+  `, panel.panelEl);
+  const history = panel._approvalHistory || [];
+  dlg.querySelector('#dlg-from').value = history.length ? `approval:${panel.id}:${history.length - 1}` : `panel:${panel.id}`;
+  dlg.querySelector('#dlg-to').value = history.length || !otherPanel ? `panel:${panel.id}` : `panel:${otherPanel}`;
+
+  // Resolve a choice to { graph, label }, or null (file import failed or cancelled)
+  const load = async value => {
+    const choice = choices.find(c => c.value === value);
+    if (choice.graph) return { graph: choice.graph(), label: choice.label };
+    const result = await importFromFile();
+    if (!result.ok) { showToast(result.error, 'error'); return null; }
+    return { graph: result.graph, label: 'file' };
+  };
+
+  dlg.querySelector('#dlg-cancel').onclick = closeDialog;
+  dlg.querySelector('#dlg-close-x').onclick = closeDialog;
+  dlg.querySelector('#dlg-ok').onclick = async () => {
+    const fromValue = dlg.querySelector('#dlg-from').value;
+    const toValue = dlg.querySelector('#dlg-to').value;
+    if (fromValue === toValue && fromValue !== 'file') { showToast('Pick two different graphs', 'error'); return; }
+    const from = await load(fromValue);
+    const to = from && await load(toValue);
+    if (!to) return;
+    closeDialog();
+    compareViewDialog(panel, from, to);
+  };
+}
+
+/** Diff view for compareDialog: from/to are { graph, label } */
+function compareViewDialog(panel, from, to) {
+  const diffs = computeDiff(from.graph, to.graph);
+  const nameOf = d => d.type === 'node' ? (d.label ?? d.key) : d.key;
+  const rows = diffs.map(d => `
+    <tr class="compare-row-${d.action}">
+      <td>${d.type}</td><td>${escapeHtml(nameOf(d))}</td><td>${d.action}</td><td>${escapeHtml(formatDiffDetails(d, panel.template))}</td>
+    </tr>`).join('');
+
+  const dlg = openDialog(`
+    <div class="preview-header">
+      <h3 style="margin:0">Compare — ${from.label} → ${to.label}</h3>
+      <button id="dlg-close-x" class="btn-close-icon" title="Close">&#x2715;</button>
+    </div>
+    <div class="preview-canvas" id="preview-canvas"></div>
+    <div class="compare-changes">
+      ${diffs.length > 0
+        ? `<table class="conflict-table"><thead><tr><th>Kind</th><th>Element</th><th>Change</th><th>Details</th></tr></thead><tbody>${rows}</tbody></table>`
+        : '<p style="color:var(--text-muted);text-align:center;padding:8px">The graphs are identical.</p>'}
+    </div>
+    <div class="preview-footer">
+      <span style="flex:1;font-size:11px;color:var(--text-muted)">${diffs.length > 0 ? formatDiffSummary(diffs) : 'No changes'}</span>
+      <button id="dlg-ok" class="btn-primary">Close</button>
+    </div>
+  `, panel.panelEl);
+
+  dlg.style.minWidth = '480px';
+  dlg.style.minHeight = '460px';
+  dlg.style.maxWidth = '80vw';
+  dlg.style.maxHeight = '85vh';
+
+  const cy = cytoscape({
+    container: dlg.querySelector('#preview-canvas'),
+    elements: buildDiffElements(from.graph, to.graph),
+    style: baseStyles,
+    layout: { name: 'preset', animate: false },
+    autoungrabify: true,
+    userZoomingEnabled: true,
+    userPanningEnabled: true,
+  });
+  runPreviewLayout(cy, panel.layoutAlgorithm);
+
+  const finish = () => {
+    try { cy.destroy(); } catch (e) {}
+    closeDialog();
+  };
+  dlg.querySelector('#dlg-close-x').onclick = finish;
+  dlg.querySelector('#dlg-ok').onclick = finish;
+}
+
 /** Generate a unique ID for node/edge types */
 function genId() {
   return `t${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
@@ -936,6 +1812,7 @@ export function editTemplateDialog(template, onSave, isSessionTemplate = false,
   }
 
   const isDAG = local.graphType === 'DAG';
+  const rulesText = formatRules(local);
 
   const renderRows = (types, kind) => types.map(t => {
     const placeholder = kind === 'node' ? 'Node Type' : 'Edge Type';
@@ -944,6 +1821,8 @@ export function editTemplateDialog(template, onSave, isSessionTemplate = false,
       <input type="text" class="type-label-input" value="${t.label}" placeholder="${placeholder}">
       <input type="color" class="type-color-input" value="${t.color || '#4fc3f7'}">
       <button class="btn-delete-type" data-id="${t.id}" data-kind="${kind}" title="Delete">✕</button>
+      <input type="text" class="type-policies-input" value="${formatMergePolicies(t.mergePolicies)}"
+        placeholder="Merge policies, e.g. count=sum, tags=union-set" title="Per-property merge policies: ${MERGE_POLICIES.join(', ')}">
     </div>
   `;
   }).join('');
@@ -999,6 +1878,12 @@ export function editTemplateDialog(template, onSave, isSessionTemplate = false,
     <div id="edge-types-list">${renderRows(local.edgeTypes, 'edge')}</div>
     <button id="add-edge-type" class="btn-secondary btn-add-type">+ Add Edge Type</button>
     ${renderSpecialTypes()}
+    <div class="template-section-label">Rules</div>
+    <p style="font-size:10px;color:var(--text-muted);margin-bottom:4px">
+      One per line, types by label: <code>node Service requires owner</code>, <code>edge Calls connects Service -&gt; Database</code>,
+      <code>node Service max-out-degree 3</code>. Rules are errors that block approval; prefix <code>warning:</code> to only list them.
+    </p>
+    <textarea id="template-rules" placeholder="node Service requires owner">${rulesText}</textarea>
     <div class="template-section-label">Default Layout Algorithm</div>
     <select id="default-layout-algo">
       ${layoutAlgoOptions.map(o => `<option value="${o.value}" ${(local.defaultLayoutAlgorithm || 'fcose') === o.value ? 'selected' : ''}>${o.label}</option>`).join('')}
@@ -1026,13 +1911,10 @@ export function editTemplateDialog(template, onSave, isSessionTemplate = false,
       const kind = row.dataset.kind;
       const label = row.querySelector('.type-label-input')?.value ?? '';
       const color = row.querySelector('.type-color-input')?.value ?? '#4fc3f7';
-      if (kind === 'node') {
-        const t = local.nodeTypes.find(t => t.id === id);
-        if (t) { t.label = label; t.color = color; }
-      } else {
-        const t = local.edgeTypes.find(t => t.id === id);
-        if (t) { t.label = label; t.color = color; }
-      }
+      const { policies } = parseMergePolicies(row.querySelector('.type-policies-input')?.value ?? '');
+      const types = kind === 'node' ? local.nodeTypes : local.edgeTypes;
+      const t = types.find(t => t.id === id);
+      if (t) { t.label = label; t.color = color; t.mergePolicies = policies; }
     });
     // Collect special type selections before re-render
     if (isDAG) {
@@ -1117,19 +1999,28 @@ export function editTemplateDialog(template, onSave, isSessionTemplate = false,
   };
 
   const collectAndSave = () => {
+    const invalidPolicies = [];
     dlg.querySelectorAll('.type-row').forEach(row => {
       const id = row.dataset.id;
       const kind = row.dataset.kind;
       const label = row.querySelector('.type-label-input')?.value?.trim() || 'Unnamed';
       const color = row.querySelector('.type-color-input')?.value ?? '#4fc3f7';
-      if (kind === 'node') {
-        const t = local.nodeTypes.find(t => t.id === id);
-        if (t) { t.label = label; t.color = color; }
-      } else {
-        const t = local.edgeTypes.find(t => t.id === id);
-        if (t) { t.label = label; t.color = color; }
-      }
+      const { policies, invalid } = parseMergePolicies(row.querySelector('.type-policies-input')?.value ?? '');
+      invalidPolicies.push(...invalid);
+      const types = kind === 'node' ? local.nodeTypes : local.edgeTypes;
+      const t = types.find(t => t.id === id);
+      if (t) { t.label = label; t.color = color; t.mergePolicies = policies; }
     });
+    if (invalidPolicies.length > 0) {
+      showToast(`Invalid merge policy: ${invalidPolicies.join(', ')}`, 'error');
+      return;
+    }
+    const { rules, invalid: invalidRules } = parseRules(dlg.querySelector('#template-rules').value, local);
+    if (invalidRules.length > 0) {
+      showToast(`Invalid rule: ${invalidRules.join('; ')}`, 'error');
+      return;
+    }
+    local.rules = rules;
     // Collect special type selections
     if (isDAG) {
       local.specialTypes = [];
@@ -1282,10 +2173,10 @@ export function panelOptionsDialog(panel) {
   dlg.querySelector('#dlg-close-x').onclick = closeDialog;
 }
 
-/** Show scope node picker for "Scoped" merge strategy.
+/** Show scope node picker for the scoped merge strategies (scoped, downstream, neighborhood).
  *  mergeStrategies[key] will be updated in-place on confirm.
  *  rerenderFn is called after confirm or cancel to refresh the button UI. */
-export function scopeNodePickerDialog(targetPanel, sourcePanel, key, mergeStrategies, rerenderFn) {
+export function scopeNodePickerDialog(targetPanel, sourcePanel, key, mergeStrategies, rerenderFn, strategy = 'scoped') {
   const specialTypes = targetPanel.template?.specialTypes || [];
 
   const filterNodes = (panel) => {
@@ -1300,15 +2191,22 @@ export function scopeNodePickerDialog(targetPanel, sourcePanel, key, mergeStrate
   const currentObj = mergeStrategies[key];
   const currentScopeNodes = (currentObj && typeof currentObj === 'object') ? (currentObj.scopeNodes || []) : [];
   const hadExistingNodes = currentScopeNodes.length > 0;
+  const currentHops = currentObj?.hops ?? 1;
+
+  const scopeDescriptions = {
+    scoped: 'Only upstream ancestors of selected nodes (in source) will be merged.',
+    downstream: 'Only downstream descendants of selected nodes (in source) will be merged.',
+    neighborhood: 'Only nodes within N hops of selected nodes (either direction, in source) will be merged.',
+  };
 
   const buildColumn = (nodes, emptyMsg) => {
     if (nodes.length === 0) {
       return `<p style="font-size:11px;color:var(--text-muted)">${emptyMsg}</p>`;
     }
     return nodes.map(n => {
-      const checked = currentScopeNodes.includes(n.label) ? 'checked' : '';
+      const checked = currentScopeNodes.includes(nodeKey(n)) ? 'checked' : '';
       return `<div style="display:flex;align-items:center;gap:6px;margin-bottom:4px;font-size:12px">
-        <input type="checkbox" class="scope-node-cb" value="${n.label}" ${checked} style="width:auto;margin:0">
+        <input type="checkbox" class="scope-node-cb" value="${nodeKey(n)}" ${checked} style="width:auto;margin:0">
         <span>${n.label}</span>
       </div>`;
     }).join('');
@@ -1323,8 +2221,11 @@ export function scopeNodePickerDialog(targetPanel, sourcePanel, key, mergeStrate
       <button id="dlg-close-x" class="btn-close-icon" title="Close">&#x2715;</button>
     </div>
     <p style="font-size:11px;color:var(--text-muted);margin-bottom:8px">
-      Select nodes from either panel. Only upstream ancestors of selected nodes (in source) will be merged.
+      Select nodes from either panel. ${scopeDescriptions[strategy]}
     </p>
+    ${strategy === 'neighborhood' ? `
+    <label>Hops</label>
+    <input id="dlg-hops" type="number" min="1" step="1" value="${currentHops}">` : ''}
     <div style="display:grid;grid-template-columns:1fr 1fr;gap:12px;margin-bottom:8px">
       <div>
         <div style="font-size:11px;font-weight:600;color:var(--accent);margin-bottom:6px">Target: ${targetId}</div>
@@ -1341,16 +2242,93 @@ export function scopeNodePickerDialog(targetPanel, sourcePanel, key, mergeStrate
     </div>
   `);
 
+  const preview = !!currentObj?.preview;
+
   const doCancel = () => {
-    // Revert to mirror if no prior scope nodes were set
-    if (!hadExistingNodes) delete mergeStrategies[key];
+    // Revert to mirror if no prior scope nodes were set (keeping the preview flag)
+    if (!hadExistingNodes) {
+      if (preview) mergeStrategies[key] = { strategy: 'mirror', scopeNodes: [], preview };
+      else delete mergeStrategies[key];
+    }
     closeDialog();
     if (rerenderFn) rerenderFn();
   };
 
   dlg.querySelector('#dlg-ok').onclick = () => {
     const selected = [...dlg.querySelectorAll('.scope-node-cb:checked')].map(cb => cb.value);
-    mergeStrategies[key] = { strategy: 'scoped', scopeNodes: selected };
+    const next = { strategy, scopeNodes: selected };
+    if (strategy === 'neighborhood') next.hops = Math.max(1, parseInt(dlg.querySelector('#dlg-hops').value, 10) || 1);
+    if (preview) next.preview = preview;
+    mergeStrategies[key] = next;
+    closeDialog();
+    if (rerenderFn) rerenderFn();
+  };
+  dlg.querySelector('#dlg-cancel').onclick = doCancel;
+  dlg.querySelector('#dlg-close-x').onclick = doCancel;
+}
+
+/** Show node/edge type picker for the "Typed" merge strategy.
+ *  mergeStrategies[key] will be updated in-place on confirm.
+ *  rerenderFn is called after confirm or cancel to refresh the button UI. */
+export function typeFilterPickerDialog(targetPanel, key, mergeStrategies, rerenderFn) {
+  const template = targetPanel.template || defaultTemplate();
+  const currentObj = mergeStrategies[key];
+  const currentNodeTypes = (currentObj && typeof currentObj === 'object') ? (currentObj.nodeTypes || []) : [];
+  const currentEdgeTypes = (currentObj && typeof currentObj === 'object') ? (currentObj.edgeTypes || []) : [];
+  const hadExistingTypes = currentNodeTypes.length > 0 || currentEdgeTypes.length > 0;
+  const preview = !!currentObj?.preview;
+
+  const buildColumn = (types, selected, cls, emptyMsg) => {
+    if (types.length === 0) {
+      return `<p style="font-size:11px;color:var(--text-muted)">${emptyMsg}</p>`;
+    }
+    return types.map(t => `<div style="display:flex;align-items:center;gap:6px;margin-bottom:4px;font-size:12px">
+        <input type="checkbox" class="${cls}" value="${t.id}" ${selected.includes(t.id) ? 'checked' : ''} style="width:auto;margin:0">
+        <span style="display:inline-block;width:10px;height:10px;border-radius:50%;background:${t.color}"></span>
+        <span>${t.label}</span>
+      </div>`).join('');
+  };
+
+  const dlg = openDialog(`
+    <div class="dialog-header">
+      <h3>Select Merged Types</h3>
+      <button id="dlg-close-x" class="btn-close-icon" title="Close">&#x2715;</button>
+    </div>
+    <p style="font-size:11px;color:var(--text-muted);margin-bottom:8px">
+      Only nodes and edges of the selected types are merged (including deletions). Edges whose endpoints are missing in the target are skipped.
+    </p>
+    <div style="display:grid;grid-template-columns:1fr 1fr;gap:12px;margin-bottom:8px">
+      <div>
+        <div style="font-size:11px;font-weight:600;color:var(--accent);margin-bottom:6px">Node Types</div>
+        <div style="max-height:180px;overflow-y:auto">${buildColumn(template.nodeTypes, currentNodeTypes, 'type-filter-node-cb', 'No node types in template')}</div>
+      </div>
+      <div>
+        <div style="font-size:11px;font-weight:600;color:var(--accent);margin-bottom:6px">Edge Types</div>
+        <div style="max-height:180px;overflow-y:auto">${buildColumn(template.edgeTypes, currentEdgeTypes, 'type-filter-edge-cb', 'No edge types in template')}</div>
+      </div>
+    </div>
+    <div class="dialog-actions">
+      <button id="dlg-cancel">Cancel</button>
+      <button id="dlg-ok" class="btn-primary">Apply</button>
+    </div>
+  `);
+
+  const doCancel = () => {
+    // Revert to mirror if no types were selected before (keeping the preview flag)
+    if (!hadExistingTypes) {
+      if (preview) mergeStrategies[key] = { strategy: 'mirror', scopeNodes: [], preview };
+      else delete mergeStrategies[key];
+    }
+    closeDialog();
+    if (rerenderFn) rerenderFn();
+  };
+
+  dlg.querySelector('#dlg-ok').onclick = () => {
+    const nodeTypes = [...dlg.querySelectorAll('.type-filter-node-cb:checked')].map(cb => cb.value);
+    const edgeTypes = [...dlg.querySelectorAll('.type-filter-edge-cb:checked')].map(cb => cb.value);
+    const next = { strategy: 'typed', scopeNodes: [], nodeTypes, edgeTypes };
+    if (preview) next.preview = preview;
+    mergeStrategies[key] = next;
     closeDialog();
     if (rerenderFn) rerenderFn();
   };
@@ -1394,6 +2372,213 @@ export function addMergeButtonDialog(allPanelInfos, existingList, onAdd) {
   };
 }
 
+/** Show octopus merge setup: a target panel plus an ordered list of source panels.
+ *  Returns Promise<{ target, sources: string[], mode } | null> (null = cancelled). */
+export function octopusMergeDialog(allPanelInfos) {
+  const order = allPanelInfos.map(p => p.id);
+  const checked = new Set();
+  const nameOf = id => allPanelInfos.find(p => p.id === id)?.name || id;
+  const options = allPanelInfos.map(p => `<option value="${p.id}">${p.name}</option>`).join('');
+
+  return new Promise(resolve => {
+    const dlg = openDialog(`
+      <div class="dialog-header">
+        <h3>Octopus Merge</h3>
+        <button id="dlg-close-x" class="btn-close-icon" title="Close">&#x2715;</button>
+      </div>
+      <p style="font-size:11px;color:var(--text-muted);margin-bottom:8px">
+        Merge several source panels into one target, top to bottom. Use &#x25B2;&#x25BC; to set the order.
+      </p>
+      <label>Target Panel</label>
+      <select id="dlg-target">${options}</select>
+      <label>Mode</label>
+      <select id="dlg-mode">
+        <option value="three-way">Three-way against target baseline (sources conflict with each other)</option>
+        <option value="sequential">Sequential (later sources win)</option>
+      </select>
+      <label>Sources</label>
+      <div id="dlg-sources"></div>
+      <div class="dialog-actions">
+        <button id="dlg-cancel">Cancel</button>
+        <button id="dlg-ok" class="btn-primary">Merge</button>
+      </div>
+    `);
+
+    const renderSources = () => {
+      const target = dlg.querySelector('#dlg-target').value;
+      const ids = order.filter(id => id !== target);
+      dlg.querySelector('#dlg-sources').innerHTML = ids.map((id, i) => `
+        <div class="mgmt-row" data-id="${id}">
+          <label class="mgmt-btn-label" style="display:flex;align-items:center;gap:4px">
+            <input type="checkbox" class="octopus-source-cb" value="${id}" ${checked.has(id) ? 'checked' : ''} style="width:auto;margin:0">
+            ${nameOf(id)}
+          </label>
+          <button class="mgmt-up-btn btn-icon" data-id="${id}" title="Move up" ${i === 0 ? 'disabled' : ''}>&#x25B2;</button>
+          <button class="mgmt-dn-btn btn-icon" data-id="${id}" title="Move down" ${i === ids.length - 1 ? 'disabled' : ''}>&#x25BC;</button>
+        </div>`).join('');
+      dlg.querySelectorAll('.octopus-source-cb').forEach(cb => {
+        cb.onchange = () => cb.checked ? checked.add(cb.value) : checked.delete(cb.value);
+      });
+      // Swap with the neighbouring source, skipping over the target's slot in order
+      const move = (id, step) => {
+        const visible = order.filter(x => x !== target);
+        const other = visible[visible.indexOf(id) + step];
+        const a = order.indexOf(id);
+        const b = order.indexOf(other);
+        [order[a], order[b]] = [order[b], order[a]];
+        renderSources();
+      };
+      dlg.querySelectorAll('.mgmt-up-btn').forEach(btn => { btn.onclick = () => move(btn.dataset.id, -1); });
+      dlg.querySelectorAll('.mgmt-dn-btn').forEach(btn => { btn.onclick = () => move(btn.dataset.id, 1); });
+    };
+    renderSources();
+    dlg.querySelector('#dlg-target').onchange = renderSources;
+
+    const doCancel = () => { closeDialog(); resolve(null); };
+    dlg.querySelector('#dlg-cancel').onclick = doCancel;
+    dlg.querySelector('#dlg-close-x').onclick = doCancel;
+    dlg.querySelector('#dlg-ok').onclick = () => {
+      const target = dlg.querySelector('#dlg-target').value;
+      const sources = order.filter(id => id !== target && checked.has(id));
+      if (sources.length < 2) { showToast('Pick at least two source panels', 'error'); return; }
+      closeDialog();
+      resolve({ target, sources, mode: dlg.querySelector('#dlg-mode').value });
+    };
+  });
+}
+
+/** Show cherry-pick setup: a source panel's pending changes (grouped as in
+ *  formatGroupedDiffSummary) with a checkbox each, plus the target panel.
+ *  getDiffs(panelId) returns that panel's DiffEntries.
+ *  Returns Promise<{ source, target, entries: DiffEntry[] } | null> (null = cancelled). */
+export function cherryPickDialog(allPanelInfos, getDiffs) {
+  const options = allPanelInfos.map(p => `<option value="${p.id}">${p.name}</option>`).join('');
+  const groups = [
+    ['node', 'added', 'Added nodes'],
+    ['node', 'removed', 'Removed nodes'],
+    ['node', 'modified', 'Modified nodes'],
+    ['node', 'renamed', 'Renamed nodes'],
+    ['node', 'retyped', 'Retyped nodes'],
+    ['edge', 'added', 'Added edges'],
+    ['edge', 'removed', 'Removed edges'],
+    ['edge', 'modified', 'Modified edges'],
+    ['edge', 'retyped', 'Retyped edges'],
+  ];
+  const entryName = d => d.action === 'renamed' ? `${d.oldLabel} → ${d.newLabel}` : (d.label ?? d.key);
+  let diffs = [];
+
+  return new Promise(resolve => {
+    const dlg = openDialog(`
+      <div class="dialog-header">
+        <h3>Cherry-pick Changes</h3>
+        <button id="dlg-close-x" class="btn-close-icon" title="Close">&#x2715;</button>
+      </div>
+      <p style="font-size:11px;color:var(--text-muted);margin-bottom:8px">
+        Tick the source changes to apply to the target as an unapproved change. Edge endpoints and edges of removed nodes come along.
+      </p>
+      <div style="display:grid;grid-template-columns:1fr 1fr;gap:12px">
+        <div><label>Source Panel</label><select id="dlg-source">${options}</select></div>
+        <div><label>Target Panel</label><select id="dlg-target">${options}</select></div>
+      </div>
+      <div id="dlg-entries" style="max-height:260px;overflow-y:auto;margin-top:8px"></div>
+      <div class="dialog-actions">
+        <button id="dlg-cancel">Cancel</button>
+        <button id="dlg-ok" class="btn-primary">Apply</button>
+      </div>
+    `);
+    dlg.querySelector('#dlg-target').selectedIndex = Math.min(1, allPanelInfos.length - 1);
+
+    const renderEntries = () => {
+      diffs = getDiffs(dlg.querySelector('#dlg-source').value);
+      const html = groups.map(([type, action, title]) => {
+        const rows = diffs.map((d, i) => [d, i]).filter(([d]) => d.type === type && d.action === action);
+        if (rows.length === 0) return '';
+        return `<div style="font-size:11px;font-weight:600;color:var(--accent);margin:6px 0 4px">${title}</div>` +
+          rows.map(([d, i]) => `<div style="display:flex;align-items:center;gap:6px;margin-bottom:4px;font-size:12px">
+            <input type="checkbox" class="cherry-pick-cb" value="${i}" style="width:auto;margin:0">
+            <span>${entryName(d)}</span>
+          </div>`).join('');
+      }).join('');
+      dlg.querySelector('#dlg-entries').innerHTML = html ||
+        '<p style="font-size:11px;color:var(--text-muted)">No pending changes in this panel</p>';
+    };
+    renderEntries();
+    dlg.querySelector('#dlg-source').onchange = renderEntries;
+
+    const doCancel = () => { closeDialog(); resolve(null); };
+    dlg.querySelector('#dlg-cancel').onclick = doCancel;
+    dlg.querySelector('#dlg-close-x').onclick = doCancel;
+    dlg.querySelector('#dlg-ok').onclick = () => {
+      const source = dlg.querySelector('#dlg-source').value;
+      const target = dlg.querySelector('#dlg-target').value;
+      if (source === target) { showToast('Source and target must differ', 'error'); return; }
+      const entries = [...dlg.querySelectorAll('.cherry-pick-cb:checked')].map(cb => diffs[Number(cb.value)]);
+      if (entries.length === 0) { showToast('Pick at least one change', 'error'); return; }
+      closeDialog();
+      resolve({ source, target, entries });
+    };
+  });
+}
+
+/** Show the session audit log: merges, pastes, imports, approvals, restores, reverts
+ *  and clears, newest first, filterable by kind, panel and strategy. The filtered
+ *  events export as JSON or CSV. */
+export function auditLogDialog(log, sessionName = 'session') {
+  const distinct = values => [...new Set(values.filter(v => v))].sort();
+  const select = (id, label, values) => `<div><label>${label}</label><select id="${id}">
+    <option value="">All</option>${values.map(v => `<option value="${v}">${v}</option>`).join('')}
+  </select></div>`;
+  const panelIds = distinct(log.flatMap(e => [e.panel, ...String(e.source ?? '').split(',')]));
+  const counts = c => [['+', c.added], ['~', c.modified], ['>', c.renamed], ['*', c.retyped], ['-', c.removed]]
+    .filter(([, n]) => n).map(([sign, n]) => `${sign}${n}`).join(' ') || '—';
+  let shown = log;
+
+  const dlg = openDialog(`
+    <div class="dialog-header">
+      <h3>Audit Log</h3>
+      <button id="dlg-close-x" class="btn-close-icon" title="Close">&#x2715;</button>
+    </div>
+    <div style="display:grid;grid-template-columns:1fr 1fr 1fr;gap:8px">
+      ${select('dlg-kind', 'Operation', AUDIT_KINDS)}
+      ${select('dlg-panel', 'Panel', panelIds)}
+      ${select('dlg-strategy', 'Strategy', distinct(log.map(e => e.strategy)))}
+    </div>
+    <div id="dlg-events" class="audit-events"></div>
+    <div class="dialog-actions">
+      <span id="dlg-count" style="flex:1;font-size:11px;color:var(--text-muted)"></span>
+      <button id="dlg-export-json">Export JSON</button>
+      <button id="dlg-export-csv">Export CSV</button>
+      <button id="dlg-ok" class="btn-primary">Close</button>
+    </div>
+  `);
+  dlg.style.minWidth = '560px';
+
+  const render = () => {
+    shown = filterAuditLog(log, {
+      kind: dlg.querySelector('#dlg-kind').value,
+      panel: dlg.querySelector('#dlg-panel').value,
+      strategy: dlg.querySelector('#dlg-strategy').value,
+    });
+    const rows = [...shown].reverse().map(e => `
+      <tr class="audit-row-${e.kind}">
+        <td>${new Date(e.timestamp).toLocaleString()}</td><td>${e.kind}</td><td>${e.panel}</td>
+        <td>${e.source ?? ''}</td><td>${e.strategy ?? ''}</td><td>${counts(e.counts)}</td>
+      </tr>`).join('');
+    dlg.querySelector('#dlg-events').innerHTML = shown.length > 0
+      ? `<table class="conflict-table"><thead><tr><th>Time</th><th>Operation</th><th>Panel</th><th>Source</th><th>Strategy</th><th>Changes</th></tr></thead><tbody>${rows}</tbody></table>`
+      : '<p style="color:var(--text-muted);text-align:center;padding:8px">No matching events.</p>';
+    dlg.querySelector('#dlg-count').textContent = `${shown.length} of ${log.length} event${log.length !== 1 ? 's' : ''}`;
+  };
+  render();
+  for (const id of ['#dlg-kind', '#dlg-panel', '#dlg-strategy']) dlg.querySelector(id).onchange = render;
+
+  const safeName = sessionName.replace(/[^a-zA-Z0-9_-]/g, '_');
+  dlg.querySelector('#dlg-export-json').onclick = () => downloadFile(auditLogToJSON(shown), `audit-${safeName}.json`);
+  dlg.querySelector('#dlg-export-csv').onclick = () => downloadFile(auditLogToCSV(shown), `audit-${safeName}.csv`, 'text/csv');
+  dlg.querySelector('#dlg-ok').onclick = closeDialog;
+  dlg.querySelector('#dlg-close-x').onclick = closeDialog;
+}
+
 /** Show a "New Session" dialog with name + template selection.
  *  Returns Promise<{ name: string, templateName: string } | null> */
 export function newSessionDialog(globalTemplates) {
@@ -0,0 +1,4 @@
+/** Escape text for HTML content and double-quoted attribute values */
+export function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
@@ -6,16 +6,21 @@
  *   | { type: "split", direction: "h" | "v", children: [LayoutNode, LayoutNode], sizes: [number, number] }
  */
 
-import { renameDialog, infoDialog, scopeNodePickerDialog, addMergeButtonDialog, openDialog, closeDialog } from './dialogs.js';
+import { renameDialog, infoDialog, scopeNodePickerDialog, typeFilterPickerDialog, addMergeButtonDialog, octopusMergeDialog, cherryPickDialog, openDialog, closeDialog } from './dialogs.js';
+import { SCOPED_STRATEGIES } from '../graph/merge.js';
+import { nodeKey, createGraph } from '../graph/model.js';
+import { computeDiff } from '../graph/diff.js';
 
 const MIN_PANEL_SIZE_PX = 200;
 
 export class LayoutManager {
-  constructor(rootEl, { onPanelCreate, onPanelDestroy, onMerge, getState, setState, confirmClose, onResizeEnd, getPanels }) {
+  constructor(rootEl, { onPanelCreate, onPanelDestroy, onMerge, onOctopusMerge, onCherryPick, getState, setState, confirmClose, onResizeEnd, getPanels }) {
     this.rootEl = rootEl;
     this.onPanelCreate = onPanelCreate;
     this.onPanelDestroy = onPanelDestroy;
     this.onMerge = onMerge;
+    this._onOctopusMerge = onOctopusMerge || null;
+    this._onCherryPick = onCherryPick || null;
     this._getState = getState || null;
     this._setState = setState || null;
     this._confirmClose = confirmClose || null;
@@ -38,13 +43,28 @@ export class LayoutManager {
     return val;
   }
 
-  /** Get badge text for a strategy name */
-  _strategyBadge(strategy) {
+  /** Store a strategy object. Plain mirror without preview is the default and is stored as absence */
+  _setStrategy(key, stratObj) {
+    if (stratObj.strategy === 'mirror' && !stratObj.preview) {
+      delete this.mergeStrategies[key];
+      return;
+    }
+    const { preview, ...rest } = stratObj;
+    this.mergeStrategies[key] = preview ? { ...rest, preview: true } : rest;
+  }
+
+  /** Get badge text for a strategy name; "?" marks merges that preview before applying */
+  _strategyBadge(strategy, preview = false) {
+    const q = preview ? '?' : '';
     switch (strategy) {
-      case 'push': return '(P)';
-      case 'scoped': return '(S)';
+      case 'push': return `(P${q})`;
+      case 'scoped': return `(S${q})`;
+      case 'downstream': return `(D${q})`;
+      case 'neighborhood': return `(B${q})`;
+      case 'typed': return `(T${q})`;
+      case 'rebase': return `(R${q})`;
       case 'none': return '(N)';
-      default: return '(M)';
+      default: return `(M${q})`;
     }
   }
 
@@ -332,8 +352,10 @@ export class LayoutManager {
       <span class="panel-actions-right">
         <button data-action="changeset" class="btn-icon" title="View pending changeset summary">&#x24D8;</button>
         <button data-action="changelog" class="btn-icon" title="View approval history">&#x2630;</button>
-        <button data-action="import" class="btn-icon" title="Import graph from a JSON file">&#x21A5;</button>
-        <button data-action="export" class="btn-icon" title="Export current graph as a JSON file">&#x21A7;</button>
+        <button data-action="compare" class="btn-icon" title="Compare any two graphs: panels, past approvals, or a file">&#x21C4;</button>
+        <button data-action="import" class="btn-icon" title="Import graph from a JSON, GraphML, DOT, Mermaid or Cytoscape JSON file">&#x21A5;</button>
+        <button data-action="import-csv" class="btn-icon" title="Import graph from node/edge CSV files with column mapping">&#x229E;</button>
+        <button data-action="export" class="btn-icon" title="Export or copy current graph as JSON, GraphML, DOT, Mermaid, Cytoscape JSON or GEXF">&#x21A7;</button>
       </span>
     `;
     panel.appendChild(actions);
@@ -492,8 +514,8 @@ export class LayoutManager {
       mergeBtn.className = 'merge-btn';
       if (stratObj.strategy === 'none') mergeBtn.classList.add('merge-btn-disabled');
       if (!isAdjacent) mergeBtn.classList.add('merge-btn-cross');
-      mergeBtn.innerHTML = `<span class="merge-btn-labels">${labelHtml}</span><span class="merge-strategy-badge">${this._strategyBadge(stratObj.strategy)}</span>`;
-      mergeBtn.title = `Merge ${sourceName} into ${targetName}`;
+      mergeBtn.innerHTML = `<span class="merge-btn-labels">${labelHtml}</span><span class="merge-strategy-badge">${this._strategyBadge(stratObj.strategy, stratObj.preview)}</span>`;
+      mergeBtn.title = `Merge ${sourceName} into ${targetName}${stratObj.preview ? ' (preview first)' : ''}`;
       mergeBtn.dataset.mergeSource = sourceId;
       mergeBtn.dataset.mergeTarget = targetId;
       mergeBtn.onclick = () => {
@@ -726,12 +748,17 @@ export class LayoutManager {
       { strat: 'mirror', label: 'Mirror (M)' },
       { strat: 'push',   label: 'Push (P)' },
       { strat: 'scoped', label: 'Scoped (S)' },
+      { strat: 'downstream', label: 'Downstream (D)' },
+      { strat: 'neighborhood', label: 'Neighborhood (B)' },
+      { strat: 'typed', label: 'Typed (T)' },
+      { strat: 'rebase', label: 'Rebase (R)' },
       { strat: 'none',   label: 'None (N)' },
     ];
     picker.innerHTML = options.map(o =>
       `<div class="strategy-option${current === o.strat ? ' active' : ''}" data-strat="${o.strat}">${current === o.strat ? '✓ ' : ''}${o.label}</div>`
     ).join('') + `
       <hr class="strategy-separator">
+      <div class="strategy-option${currentObj.preview ? ' active' : ''}" data-strat="__preview__">${currentObj.preview ? '✓ ' : ''}Preview before merge</div>
       <div class="strategy-option strategy-delete" data-strat="__delete__">&#x2715; Delete</div>
     `;
 
@@ -740,7 +767,7 @@ export class LayoutManager {
     const updateBtn = () => {
       const stratObj = this._getStrategy(key);
       const badge = anchorBtn.querySelector('.merge-strategy-badge');
-      if (badge) badge.textContent = this._strategyBadge(stratObj.strategy);
+      if (badge) badge.textContent = this._strategyBadge(stratObj.strategy, stratObj.preview);
       anchorBtn.classList.toggle('merge-btn-disabled', stratObj.strategy === 'none');
     };
 
@@ -766,13 +793,36 @@ export class LayoutManager {
           return;
         }
 
-        if (strat === 'mirror') {
-          delete this.mergeStrategies[key];
-        } else {
-          this.mergeStrategies[key] = { strategy: strat, scopeNodes: currentObj.scopeNodes || [] };
+        if (strat === '__preview__') {
+          this._setStrategy(key, { ...currentObj, preview: !currentObj.preview });
+          updateBtn();
+          window.dispatchEvent(new CustomEvent('panel-change', { detail: { type: 'layout' } }));
+          return;
         }
 
-        if (strat === 'scoped') {
+        this._setStrategy(key, {
+          strategy: strat,
+          scopeNodes: strat === 'mirror' ? [] : (currentObj.scopeNodes || []),
+          ...(strat === 'neighborhood' ? { hops: currentObj.hops ?? 1 } : {}),
+          ...(strat === 'typed' ? { nodeTypes: currentObj.nodeTypes || [], edgeTypes: currentObj.edgeTypes || [] } : {}),
+          preview: currentObj.preview,
+        });
+
+        if (strat === 'typed') {
+          // Open type picker to select which node/edge types are merged
+          const targetId = key.split('\u2192')[1];
+          const panelsMap = this._getPanels ? this._getPanels() : null;
+          const targetPanel = panelsMap?.get(targetId);
+          if (targetPanel) {
+            typeFilterPickerDialog(targetPanel, key, this.mergeStrategies, () => {
+              updateBtn();
+              window.dispatchEvent(new CustomEvent('panel-change', { detail: { type: 'layout' } }));
+            });
+          } else {
+            updateBtn();
+            window.dispatchEvent(new CustomEvent('panel-change', { detail: { type: 'layout' } }));
+          }
+        } else if (SCOPED_STRATEGIES.includes(strat)) {
           // Open scope node picker to select scope nodes from both panels
           const [sourceId, targetId] = key.split('\u2192');
           const panelsMap = this._getPanels ? this._getPanels() : null;
@@ -782,7 +832,7 @@ export class LayoutManager {
             scopeNodePickerDialog(targetPanel, sourcePanel, key, this.mergeStrategies, () => {
               updateBtn();
               window.dispatchEvent(new CustomEvent('panel-change', { detail: { type: 'layout' } }));
-            });
+            }, strat);
           } else {
             updateBtn();
             window.dispatchEvent(new CustomEvent('panel-change', { detail: { type: 'layout' } }));
@@ -827,7 +877,7 @@ export class LayoutManager {
       return `
         <div class="mgmt-row" data-idx="${idx}" data-key="${key}">
           <span class="mgmt-btn-label">${btnText}</span>
-          <span class="mgmt-strat-label" title="Current strategy">${stratObj.strategy}</span>
+          <span class="mgmt-strat-label" title="Current strategy">${stratObj.strategy}${stratObj.preview ? ' + preview' : ''}</span>
           <button class="mgmt-settings-btn btn-icon" data-idx="${idx}" title="Edit strategy">&#x2699;</button>
           <button class="mgmt-up-btn btn-icon" data-idx="${idx}" title="Move up" ${idx === 0 ? 'disabled' : ''}>&#x25B2;</button>
           <button class="mgmt-dn-btn btn-icon" data-idx="${idx}" title="Move down" ${idx === list.length - 1 ? 'disabled' : ''}>&#x25BC;</button>
@@ -844,6 +894,8 @@ export class LayoutManager {
       <p style="font-size:11px;color:var(--text-muted);margin-bottom:8px">Changes are applied live. Use &#x25B2;&#x25BC; buttons to reorder.</p>
       <div id="mgmt-list">${buildRows() || '<p style="color:var(--text-muted);padding:8px;text-align:center">No merge buttons</p>'}</div>
       <button id="mgmt-add" class="btn-secondary" style="margin-top:8px">+ Add Merge Button</button>
+      ${this._onOctopusMerge ? '<button id="mgmt-octopus" class="btn-secondary" style="margin-top:8px">Octopus Merge…</button>' : ''}
+      ${this._onCherryPick ? '<button id="mgmt-cherry-pick" class="btn-secondary" style="margin-top:8px">Cherry-pick…</button>' : ''}
     `;
 
     const dlg = openDialog(buildHtml());
@@ -896,7 +948,7 @@ export class LayoutManager {
           const stratObj = this._getStrategy(eKey);
           const currentStrat = stratObj.strategy;
 
-          const stratOptions = ['mirror', 'push', 'scoped', 'none'].map(s =>
+          const stratOptions = ['mirror', 'push', ...SCOPED_STRATEGIES, 'typed', 'rebase', 'none'].map(s =>
             `<label style="display:flex;align-items:center;gap:4px;font-size:11px">
               <input type="radio" name="mgmt-strat-${idx}" value="${s}" ${currentStrat === s ? 'checked' : ''}>
               ${s.charAt(0).toUpperCase() + s.slice(1)}
@@ -911,22 +963,44 @@ export class LayoutManager {
           const allNodes = [
             ...(targetPanel?.graph?.nodes || []),
             ...(sourcePanel?.graph?.nodes || []),
-          ].filter((n, i, arr) => arr.findIndex(x => x.label === n.label) === i)
+          ].filter((n, i, arr) => arr.findIndex(x => nodeKey(x) === nodeKey(n)) === i)
            .filter(n => specialTypes.length === 0 || specialTypes.includes(n.type));
           const currentScope = stratObj.scopeNodes || [];
           const scopeHtml = allNodes.length > 0 ? `
-            <div id="mgmt-scope-${idx}" style="display:${currentStrat === 'scoped' ? 'block' : 'none'};margin-top:4px">
+            <div id="mgmt-scope-${idx}" style="display:${SCOPED_STRATEGIES.includes(currentStrat) ? 'block' : 'none'};margin-top:4px">
               <div style="font-size:10px;color:var(--text-muted);margin-bottom:2px">Scope nodes:</div>
               ${allNodes.map(n => `<label style="display:flex;align-items:center;gap:4px;font-size:11px">
-                <input type="checkbox" class="mgmt-scope-cb" value="${n.label}" ${currentScope.includes(n.label) ? 'checked' : ''}>
+                <input type="checkbox" class="mgmt-scope-cb" value="${nodeKey(n)}" ${currentScope.includes(nodeKey(n)) ? 'checked' : ''}>
                 ${n.label}</label>`).join('')}
             </div>` : '';
+          const typeCb = (t, cls, selected) => `<label style="display:flex;align-items:center;gap:4px;font-size:11px">
+                <input type="checkbox" class="${cls}" value="${t.id}" ${selected.includes(t.id) ? 'checked' : ''}>
+                ${t.label}</label>`;
+          const nodeTypesList = targetPanel?.template?.nodeTypes || [];
+          const edgeTypesList = targetPanel?.template?.edgeTypes || [];
+          const typesHtml = `
+            <div id="mgmt-types-${idx}" style="display:${currentStrat === 'typed' ? 'block' : 'none'};margin-top:4px">
+              <div style="font-size:10px;color:var(--text-muted);margin-bottom:2px">Node types:</div>
+              ${nodeTypesList.map(t => typeCb(t, 'mgmt-node-type-cb', stratObj.nodeTypes || [])).join('') || '<div style="font-size:11px;color:var(--text-muted)">None in template</div>'}
+              <div style="font-size:10px;color:var(--text-muted);margin:4px 0 2px">Edge types:</div>
+              ${edgeTypesList.map(t => typeCb(t, 'mgmt-edge-type-cb', stratObj.edgeTypes || [])).join('') || '<div style="font-size:11px;color:var(--text-muted)">None in template</div>'}
+            </div>`;
+          const hopsHtml = `
+            <label id="mgmt-hops-${idx}" style="display:${currentStrat === 'neighborhood' ? 'flex' : 'none'};align-items:center;gap:4px;font-size:11px;margin-top:4px">
+              Hops: <input type="number" class="mgmt-hops-input" min="1" step="1" value="${stratObj.hops ?? 1}" style="width:60px;margin:0">
+            </label>`;
 
           const editEl = document.createElement('div');
           editEl.className = 'mgmt-row-edit';
           editEl.innerHTML = `
             <div style="display:flex;gap:8px;flex-wrap:wrap;margin-bottom:4px">${stratOptions}</div>
+            <label style="display:flex;align-items:center;gap:4px;font-size:11px">
+              <input type="checkbox" class="mgmt-preview-cb" ${stratObj.preview ? 'checked' : ''}>
+              Preview before merge
+            </label>
+            ${hopsHtml}
             ${scopeHtml}
+            ${typesHtml}
             <button class="mgmt-apply-btn btn-primary" style="font-size:11px;padding:3px 8px;margin-top:4px">Apply</button>
           `;
           rowEl.after(editEl);
@@ -934,18 +1008,28 @@ export class LayoutManager {
           editEl.querySelectorAll(`input[name="mgmt-strat-${idx}"]`).forEach(radio => {
             radio.onchange = () => {
               const sd = editEl.querySelector(`#mgmt-scope-${idx}`);
-              if (sd) sd.style.display = radio.value === 'scoped' ? 'block' : 'none';
+              if (sd) sd.style.display = SCOPED_STRATEGIES.includes(radio.value) ? 'block' : 'none';
+              const hd = editEl.querySelector(`#mgmt-hops-${idx}`);
+              if (hd) hd.style.display = radio.value === 'neighborhood' ? 'flex' : 'none';
+              editEl.querySelector(`#mgmt-types-${idx}`).style.display = radio.value === 'typed' ? 'block' : 'none';
             };
           });
 
           editEl.querySelector('.mgmt-apply-btn').onclick = () => {
             const sel = editEl.querySelector(`input[name="mgmt-strat-${idx}"]:checked`)?.value || 'mirror';
             const scopeNodes = [...editEl.querySelectorAll('.mgmt-scope-cb:checked')].map(cb => cb.value);
-            if (sel === 'mirror') {
-              delete this.mergeStrategies[eKey];
-            } else {
-              this.mergeStrategies[eKey] = { strategy: sel, scopeNodes };
-            }
+            const preview = editEl.querySelector('.mgmt-preview-cb').checked;
+            const hops = Math.max(1, parseInt(editEl.querySelector('.mgmt-hops-input').value, 10) || 1);
+            this._setStrategy(eKey, {
+              strategy: sel,
+              scopeNodes: sel === 'mirror' ? [] : scopeNodes,
+              ...(sel === 'neighborhood' ? { hops } : {}),
+              ...(sel === 'typed' ? {
+                nodeTypes: [...editEl.querySelectorAll('.mgmt-node-type-cb:checked')].map(cb => cb.value),
+                edgeTypes: [...editEl.querySelectorAll('.mgmt-edge-type-cb:checked')].map(cb => cb.value),
+              } : {}),
+              preview,
+            });
             this._rerenderGutter(gutterKey);
             window.dispatchEvent(new CustomEvent('panel-change', { detail: { type: 'layout' } }));
             editEl.remove();
@@ -970,6 +1054,29 @@ export class LayoutManager {
       });
     };
 
+    const octopusBtn = dlg.querySelector('#mgmt-octopus');
+    if (octopusBtn) {
+      octopusBtn.onclick = async () => {
+        closeDialog();
+        const choice = await octopusMergeDialog(this._allPanelNodes(this.tree));
+        if (choice) this._onOctopusMerge(choice.sources, choice.target, choice.mode);
+      };
+    }
+
+    const cherryPickBtn = dlg.querySelector('#mgmt-cherry-pick');
+    if (cherryPickBtn) {
+      cherryPickBtn.onclick = async () => {
+        closeDialog();
+        const panelsMap = this._getPanels ? this._getPanels() : null;
+        const getDiffs = id => {
+          const panel = panelsMap?.get(id);
+          return panel ? computeDiff(panel.getBaseGraph() || createGraph(), panel.getGraph()) : [];
+        };
+        const choice = await cherryPickDialog(this._allPanelNodes(this.tree), getDiffs);
+        if (choice) this._onCherryPick(choice.source, choice.target, choice.entries);
+      };
+    }
+
     dlg.querySelector('#mgmt-close-x').onclick = closeDialog;
   }
 
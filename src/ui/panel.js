@@ -1,56 +1,74 @@
 import cytoscape from 'cytoscape';
 import { buildStylesForTemplate } from '../cytoscape/styles.js';
-import { computeDiff } from '../graph/diff.js';
-import { mergeGraphs, filterUpstreamSubgraph } from '../graph/merge.js';
-import { createGraph, deepClone, isEmpty, nodeKey, edgeKey, getAncestorSubgraph } from '../graph/model.js';
-import { exportToFile } from '../graph/serializer.js';
+import { computeDiff, applyDiff } from '../graph/diff.js';
+import { computeMerge, mergeGraphs, applyResolutions, conflictId, octopusMerge, revertChanges } from '../graph/merge.js';
+import { createGraph, deepClone, isEmpty, nodeKey, edgeKey, getAncestorSubgraph, uniqueNodeId, removeElements, findDuplicateLabel } from '../graph/model.js';
+import { GRAPH_FORMATS, downloadFile } from '../graph/serializer.js';
 import { showToast } from './toast.js';
-import { defaultTemplate, GRAPH_TYPES } from '../graph/template.js';
-import { validateEdgeAdd, hasCycle, wouldDisconnectOnNodeRemove, wouldDisconnectOnEdgeRemove } from '../graph/constraints.js';
+import { escapeHtml } from './html.js';
+import { defaultTemplate, GRAPH_TYPES, typeLabel } from '../graph/template.js';
+import { validateEdgeAdd, wouldDisconnectOnNodeRemove, wouldDisconnectOnEdgeRemove, findConstraintViolations } from '../graph/constraints.js';
 import { computePathTags, propagateExclusions, isNodeFullyExcluded, mergeExclusions, formatPathTag, serializeTag } from '../graph/path-tracking.js';
+import { provenanceKey, recordProvenance, stampApproval, dropPendingProvenance, pruneProvenance, provenanceAt, queryProvenance, formatProvenance } from '../graph/provenance.js';
+import { approvalId, ensureApprovalIds, nameApproval, branchHistory } from '../graph/history.js';
+import { createAuditEvent } from '../graph/audit.js';
+import { checkRules, newViolations } from '../graph/rules.js';
 
-/** Format diff summary as compact string: "+3n ~1n -2n +1e" */
+/** Format diff summary as compact string: "+3n ~1n >1n *1n -2n +1e" (">" = renamed, "*" = retyped) */
 export function formatDiffSummary(diffs) {
-  const c = { an: 0, mn: 0, rn: 0, ae: 0, me: 0, re: 0 };
+  const c = { an: 0, mn: 0, nn: 0, tn: 0, rn: 0, ae: 0, me: 0, te: 0, re: 0 };
   for (const d of diffs) {
     const isNode = d.type === 'node';
     if (d.action === 'added') isNode ? c.an++ : c.ae++;
     else if (d.action === 'modified') isNode ? c.mn++ : c.me++;
+    else if (d.action === 'renamed') c.nn++;
+    else if (d.action === 'retyped') isNode ? c.tn++ : c.te++;
     else if (d.action === 'removed') isNode ? c.rn++ : c.re++;
   }
   const parts = [];
   if (c.an) parts.push(`+${c.an}n`);
   if (c.mn) parts.push(`~${c.mn}n`);
+  if (c.nn) parts.push(`>${c.nn}n`);
+  if (c.tn) parts.push(`*${c.tn}n`);
   if (c.rn) parts.push(`-${c.rn}n`);
   if (c.ae) parts.push(`+${c.ae}e`);
   if (c.me) parts.push(`~${c.me}e`);
+  if (c.te) parts.push(`*${c.te}e`);
   if (c.re) parts.push(`-${c.re}e`);
   return parts.join(' ');
 }
 
 /** Format grouped diff summary as human-readable text.
- *  "Added 3 nodes: A, B, C. Removed 1 edge: X→Y. Modified 1 node: Z (prop changed)" */
-export function formatGroupedDiffSummary(diffs) {
+ *  "Added 3 nodes: A, B, C. Removed 1 edge: X→Y. Modified 1 node: Z (prop changed)"
+ *  template supplies the type labels of retyped elements ("Retyped 1 node: Z (Service → Store)") */
+export function formatGroupedDiffSummary(diffs, template = null) {
   if (diffs.length === 0) return 'No changes.';
 
   const groups = {
     addedNodes: [],
     removedNodes: [],
     modifiedNodes: [],
+    renamedNodes: [],
+    retypedNodes: [],
     addedEdges: [],
     removedEdges: [],
     modifiedEdges: [],
+    retypedEdges: [],
   };
+  const retyped = (d, name) => `${name} (${typeLabel(template, d.type, d.oldType)} → ${typeLabel(template, d.type, d.newType)})`;
 
   for (const d of diffs) {
     if (d.type === 'node') {
-      if (d.action === 'added') groups.addedNodes.push(d.key);
-      else if (d.action === 'removed') groups.removedNodes.push(d.key);
-      else if (d.action === 'modified') groups.modifiedNodes.push({ key: d.key, changes: d.changes });
+      if (d.action === 'added') groups.addedNodes.push(d.label ?? d.key);
+      else if (d.action === 'removed') groups.removedNodes.push(d.label ?? d.key);
+      else if (d.action === 'modified') groups.modifiedNodes.push({ key: d.label ?? d.key, changes: d.changes });
+      else if (d.action === 'renamed') groups.renamedNodes.push(`${d.oldLabel} → ${d.newLabel}`);
+      else if (d.action === 'retyped') groups.retypedNodes.push(retyped(d, d.label ?? d.key));
     } else {
       if (d.action === 'added') groups.addedEdges.push(d.key);
       else if (d.action === 'removed') groups.removedEdges.push(d.key);
       else if (d.action === 'modified') groups.modifiedEdges.push({ key: d.key, changes: d.changes });
+      else if (d.action === 'retyped') groups.retypedEdges.push(retyped(d, d.key));
     }
   }
 
@@ -72,6 +90,14 @@ export function formatGroupedDiffSummary(diffs) {
     const n = groups.modifiedNodes.length;
     sentences.push(`Modified ${n} node${n > 1 ? 's' : ''}: ${items.join(', ')}`);
   }
+  if (groups.renamedNodes.length) {
+    const n = groups.renamedNodes.length;
+    sentences.push(`Renamed ${n} node${n > 1 ? 's' : ''}: ${groups.renamedNodes.join(', ')}`);
+  }
+  if (groups.retypedNodes.length) {
+    const n = groups.retypedNodes.length;
+    sentences.push(`Retyped ${n} node${n > 1 ? 's' : ''}: ${groups.retypedNodes.join(', ')}`);
+  }
   if (groups.addedEdges.length) {
     const n = groups.addedEdges.length;
     sentences.push(`Added ${n} edge${n > 1 ? 's' : ''}: ${groups.addedEdges.join(', ')}`);
@@ -88,6 +114,10 @@ export function formatGroupedDiffSummary(diffs) {
     const n = groups.modifiedEdges.length;
     sentences.push(`Modified ${n} edge${n > 1 ? 's' : ''}: ${items.join(', ')}`);
   }
+  if (groups.retypedEdges.length) {
+    const n = groups.retypedEdges.length;
+    sentences.push(`Retyped ${n} edge${n > 1 ? 's' : ''}: ${groups.retypedEdges.join(', ')}`);
+  }
 
   return sentences.join('. ') + '.';
 }
@@ -105,8 +135,11 @@ export class Panel {
     this.pathTrackingEnabled = false;
     this.showExclusions = true;
     this.exclusions = {};  // { "edgeKey": ["serializedTag1", ...] }
+    this.provenance = {};  // { "node:id" | "edge:edgeKey": ProvenanceRecord[] } (see provenance.js)
     this._pathTags = null;          // computed, not serialized
     this._effectiveExclusions = null; // computed, not serialized
+    this.ruleViolations = [];       // template rule violations (see rules.js), computed, not serialized
+    this.constraintViolations = []; // graph type violations of a graph committed as invalid, computed
     this._history = [];
     this._redoStack = [];
     this._maxHistory = 10;
@@ -126,14 +159,17 @@ export class Panel {
     this._tooltip = null;
     this._trackingOverlay = null;
 
-    // Set up edge hover tooltip
-    this.cy.on('mouseover', 'edge', (e) => {
-      const edge = e.target;
-      const tooltip = edge.data('pathTagsTooltip');
-      if (!tooltip || !this.pathTrackingEnabled) return;
+    // Set up hover tooltip: path tags (edges, when tracking) and merge provenance
+    this.cy.on('mouseover', 'node, edge', (e) => {
+      const ele = e.target;
+      const tags = this.pathTrackingEnabled ? ele.data('pathTagsTooltip') : null;
+      const records = this.getProvenance(ele.isNode() ? 'node' : 'edge', ele.id());
+      const origin = records.length > 0 ? formatProvenance(records[records.length - 1]) : null;
+      const tooltip = [tags, origin].filter(Boolean).join('\n');
+      if (!tooltip) return;
       this._showTooltip(e.originalEvent, tooltip);
     });
-    this.cy.on('mouseout', 'edge', () => this._hideTooltip());
+    this.cy.on('mouseout', 'node, edge', () => this._hideTooltip());
     this.cy.on('pan zoom', () => this._hideTooltip());
 
     this._updateHeader();
@@ -143,6 +179,7 @@ export class Panel {
   setTemplate(template) {
     this.template = template;
     this.cy.style().fromJson(buildStylesForTemplate(template)).update();
+    this._updateHeader();  // re-check template rules
   }
 
   /** Get the panel element (parent of canvas) */
@@ -172,9 +209,12 @@ export class Panel {
       pathTrackingEnabled: this.pathTrackingEnabled,
       showExclusions: this.showExclusions,
       exclusions: deepClone(this.exclusions),
+      provenance: deepClone(this.provenance),
       _history: this._history.map(h => deepClone(h)),
       _redoStack: this._redoStack.map(h => deepClone(h)),
       _approvalHistory: this._approvalHistory.map(entry => ({
+        id: entry.id,
+        name: entry.name,
         graph: deepClone(entry.graph),
         baseGraph: entry.baseGraph ? deepClone(entry.baseGraph) : null,
         timestamp: entry.timestamp,
@@ -196,41 +236,49 @@ export class Panel {
     this.pathTrackingEnabled = state.pathTrackingEnabled || false;
     this.showExclusions = state.showExclusions ?? true;
     this.exclusions = deepClone(state.exclusions || {});
+    this.provenance = deepClone(state.provenance || {});
     // History entries may be plain graphs (old format) or { graph, exclusions } (new format)
     this._history = state._history ? state._history.map(h => deepClone(h)) : [];
     this._redoStack = state._redoStack ? state._redoStack.map(h => deepClone(h)) : [];
-    this._approvalHistory = state._approvalHistory ? state._approvalHistory.map(entry => ({
+    this._approvalHistory = state._approvalHistory ? ensureApprovalIds(state._approvalHistory.map(entry => ({
+      id: entry.id,
+      name: entry.name,
       graph: deepClone(entry.graph),
       baseGraph: entry.baseGraph ? deepClone(entry.baseGraph) : null,
       timestamp: entry.timestamp,
       diffSummary: entry.diffSummary,
       exclusions: deepClone(entry.exclusions || {}),
       pathTrackingEnabled: entry.pathTrackingEnabled || false,
-    })) : [];
+    })), this.id) : [];
     this._syncCytoscape();
     this._applyDiffClasses();
     this._recomputePathTrackingAsync();
     this._updateHeader();
   }
 
-  /** Load a graph into the panel (replaces current) */
+  /** Load a graph into the panel (replaces current, undoable; audited as an import) */
   loadGraph(graph) {
+    const diffs = computeDiff(this.graph, graph);
+    this._pushHistory();
     this.graph = deepClone(graph);
     this._syncCytoscape();
     this._applyDiffClasses();
+    this._recomputePathTrackingAsync();
     this._updateHeader();
     this._emitChange();
+    this._audit('import', diffs);
   }
 
-  /** Add a node */
+  /** Add a node. Its id is the label, suffixed if a renamed node already holds that id */
   addNode(label, props = {}, type = null) {
     if (this.graph.nodes.some(n => n.label === label)) {
       showToast(`Node "${label}" already exists`, 'error');
       return false;
     }
+    const id = uniqueNodeId(this.graph, label);
     this._pushHistory();
     this.graph = {
-      nodes: [...this.graph.nodes, { label, type, props: { ...props } }],
+      nodes: [...this.graph.nodes, { id, label, type, props: { ...props } }],
       edges: [...this.graph.edges],
     };
     this._syncCytoscape();
@@ -241,18 +289,20 @@ export class Panel {
     return true;
   }
 
-  /** Add an edge */
-  addEdge(source, target, props = {}, type = null) {
-    if (!this.graph.nodes.some(n => n.label === source)) {
-      showToast(`Source node "${source}" not found`, 'error');
+  /** Add an edge. source/target may be node ids or labels */
+  addEdge(sourceRef, targetRef, props = {}, type = null) {
+    const source = this._resolveNodeId(sourceRef);
+    const target = this._resolveNodeId(targetRef);
+    if (!source) {
+      showToast(`Source node "${sourceRef}" not found`, 'error');
       return false;
     }
-    if (!this.graph.nodes.some(n => n.label === target)) {
-      showToast(`Target node "${target}" not found`, 'error');
+    if (!target) {
+      showToast(`Target node "${targetRef}" not found`, 'error');
       return false;
     }
     const graphType = this.template?.graphType || 'DG';
-    const check = validateEdgeAdd(this.graph, source, target, graphType);
+    const check = validateEdgeAdd(this.graph, source, target, graphType, type);
     if (!check.ok) {
       showToast(check.error, 'error');
       return false;
@@ -270,13 +320,20 @@ export class Panel {
     return true;
   }
 
-  /** Update node props (and optionally type) */
-  updateNodeProps(label, props, type = undefined) {
+  /** Update node props by id (and optionally type and label). Returns false if the label is taken */
+  updateNodeProps(id, props, type = undefined, label = undefined) {
+    if (label !== undefined && this.graph.nodes.some(n => n.label === label && nodeKey(n) !== id)) {
+      showToast(`Node "${label}" already exists`, 'error');
+      return false;
+    }
     this._pushHistory();
     this.graph = {
       nodes: this.graph.nodes.map(n => {
-        if (n.label !== label) return n;
-        return type !== undefined ? { ...n, props: { ...props }, type } : { ...n, props: { ...props } };
+        if (nodeKey(n) !== id) return n;
+        const updated = { ...n, id: nodeKey(n), props: { ...props } };
+        if (type !== undefined) updated.type = type;
+        if (label !== undefined) updated.label = label;
+        return updated;
       }),
       edges: [...this.graph.edges],
     };
@@ -285,23 +342,38 @@ export class Panel {
     this._recomputePathTrackingAsync();
     this._updateHeader();
     this._emitChange();
+    return true;
   }
 
-  /** Update edge props (and optionally type) */
-  updateEdgeProps(source, target, props, type = undefined) {
+  /**
+   * Update edge props (and optionally type) by edgeKey. A retype changes the key
+   * of an edge without an explicit id, so its exclusions move to the new key.
+   * Returns the edge's new key, or false if a parallel edge already has that type.
+   */
+  updateEdgeProps(key, props, type = undefined) {
+    const edge = this.graph.edges.find(e => edgeKey(e) === key);
+    if (!edge) return false;
+    const updated = type !== undefined ? { ...edge, props: { ...props }, type } : { ...edge, props: { ...props } };
+    const newKey = edgeKey(updated);
+    if (newKey !== key && this.graph.edges.some(e => edgeKey(e) === newKey)) {
+      showToast(`Edge ${newKey} already exists`, 'error');
+      return false;
+    }
     this._pushHistory();
     this.graph = {
       nodes: [...this.graph.nodes],
-      edges: this.graph.edges.map(e => {
-        if (!(e.source === source && e.target === target)) return e;
-        return type !== undefined ? { ...e, props: { ...props }, type } : { ...e, props: { ...props } };
-      }),
+      edges: this.graph.edges.map(e => e === edge ? updated : e),
     };
+    if (newKey !== key && this.exclusions[key]) {
+      const { [key]: moved, ...rest } = this.exclusions;
+      this.exclusions = { ...rest, [newKey]: moved };
+    }
     this._syncCytoscape();
     this._applyDiffClasses();
     this._recomputePathTrackingAsync();
     this._updateHeader();
     this._emitChange();
+    return newKey;
   }
 
   /** Delete selected elements. Returns Promise (may show confirm dialog for UTree) */
@@ -315,21 +387,20 @@ export class Panel {
     const graphType = this.template?.graphType || 'DG';
     const typeInfo = GRAPH_TYPES[graphType];
 
-    const nodeLabels = new Set();
-    selected.nodes().forEach(n => nodeLabels.add(n.data('label')));
+    const nodeIds = new Set();
+    selected.nodes().forEach(n => nodeIds.add(n.id()));
     const edgeKeys = new Set();
-    selected.edges().forEach(e => edgeKeys.add(`${e.data('source')}→${e.data('target')}`));
+    selected.edges().forEach(e => edgeKeys.add(e.id()));
 
     // UTree connectivity warning
     if (typeInfo?.mustBeConnected && confirmFn) {
       let wouldDisconnect = false;
-      for (const label of nodeLabels) {
-        if (wouldDisconnectOnNodeRemove(this.graph, label)) { wouldDisconnect = true; break; }
+      for (const id of nodeIds) {
+        if (wouldDisconnectOnNodeRemove(this.graph, id)) { wouldDisconnect = true; break; }
       }
       if (!wouldDisconnect) {
-        for (const key of edgeKeys) {
-          const [s, t] = key.split('→');
-          if (wouldDisconnectOnEdgeRemove(this.graph, s, t)) { wouldDisconnect = true; break; }
+        for (const edge of this.graph.edges.filter(e => edgeKeys.has(edgeKey(e)))) {
+          if (wouldDisconnectOnEdgeRemove(this.graph, edge.source, edge.target, edge.type ?? null)) { wouldDisconnect = true; break; }
         }
       }
       if (wouldDisconnect) {
@@ -341,16 +412,16 @@ export class Panel {
     this._pushHistory();
     const deletedEdgeKeys = new Set([...edgeKeys]);
     this.graph.edges.forEach(e => {
-      if (nodeLabels.has(e.source) || nodeLabels.has(e.target)) {
-        deletedEdgeKeys.add(`${e.source}→${e.target}`);
+      if (nodeIds.has(e.source) || nodeIds.has(e.target)) {
+        deletedEdgeKeys.add(edgeKey(e));
       }
     });
 
     this.graph = {
-      nodes: this.graph.nodes.filter(n => !nodeLabels.has(n.label)),
+      nodes: this.graph.nodes.filter(n => !nodeIds.has(nodeKey(n))),
       edges: this.graph.edges.filter(e => {
-        if (edgeKeys.has(`${e.source}→${e.target}`)) return false;
-        if (nodeLabels.has(e.source) || nodeLabels.has(e.target)) return false;
+        if (edgeKeys.has(edgeKey(e))) return false;
+        if (nodeIds.has(e.source) || nodeIds.has(e.target)) return false;
         return true;
       }),
     };
@@ -370,11 +441,13 @@ export class Panel {
   /** Clear graph entirely — total reset including approval state */
   clearGraph() {
     this._pushHistory();
+    this._audit('clear', computeDiff(this.graph, createGraph()));
     this.graph = createGraph();
     this.baseGraph = null;
     this.mergeDirection = null;
     this.lastApproval = null;
     this.exclusions = {};
+    this.provenance = {};
     this._approvalHistory = [];
     this._syncCytoscape();
     this._applyDiffClasses();
@@ -385,18 +458,29 @@ export class Panel {
 
   /** Approve: snapshot current as base, clear diff */
   approve() {
+    // Error-level template rules block approval
+    const errors = checkRules(this.graph, this.template).filter(v => v.severity === 'error');
+    if (errors.length > 0) {
+      const n = errors.length;
+      showToast(`Panel ${this.id} breaks ${n} template rule${n !== 1 ? 's' : ''}: ${errors[0].message}${n > 1 ? ' …' : ''}`, 'error');
+      return false;
+    }
+
     // Compute diff summary before overwriting baseGraph
+    const diffs = computeDiff(this.baseGraph || createGraph(), this.graph);
     let diffSummary = '(initial)';
     if (this.baseGraph) {
-      const diffs = computeDiff(this.baseGraph, this.graph);
       diffSummary = diffs.length > 0 ? formatDiffSummary(diffs) : '(no changes)';
     }
 
     // Push to approval history
+    const timestamp = new Date().toISOString();
     this._approvalHistory.push({
+      id: approvalId(this.id, timestamp),
+      name: null,
       graph: deepClone(this.graph),
       baseGraph: this.baseGraph ? deepClone(this.baseGraph) : null,
-      timestamp: new Date().toISOString(),
+      timestamp,
       diffSummary,
       exclusions: deepClone(this.exclusions),
       pathTrackingEnabled: this.pathTrackingEnabled,
@@ -407,24 +491,112 @@ export class Panel {
       this._approvalHistory.shift();
     }
 
+    // Merged changes now belong to this approval; forget elements deleted since
+    this.provenance = pruneProvenance(stampApproval(this.provenance, timestamp), this.graph);
+
     this.baseGraph = deepClone(this.graph);
     this.mergeDirection = null;
-    this.lastApproval = new Date().toISOString();
+    this.lastApproval = timestamp;
     this._syncCytoscape();      // Re-sync with new baseGraph to remove ghost nodes
     this._recomputePathTrackingAsync();
     this._clearDiffClasses();
     this._updateHeader();
     this._emitChange();
+    this._audit('approve', diffs);
     showToast(`Panel ${this.id} approved`, 'success');
+    return true;
+  }
+
+  /** Name approval history entry index as a checkpoint (empty name clears it) */
+  nameApproval(index, name) {
+    if (!this._approvalHistory[index]) return;
+    this._approvalHistory = nameApproval(this._approvalHistory, index, name);
+    this._emitChange();
+  }
+
+  /** State for a new panel branched from approval history entry index: that approval's
+   *  graph as its clean baseline, with the history (and provenance) up to that approval */
+  branchState(index) {
+    const entry = this._approvalHistory[index];
+    if (!entry) return null;
+    return {
+      graph: deepClone(entry.graph),
+      baseGraph: deepClone(entry.graph),
+      lastApproval: entry.timestamp,
+      layoutAlgorithm: this.layoutAlgorithm,
+      pathTrackingEnabled: entry.pathTrackingEnabled || false,
+      showExclusions: this.showExclusions,
+      exclusions: deepClone(entry.exclusions || {}),
+      provenance: pruneProvenance(provenanceAt(this.provenance, entry.timestamp), entry.graph),
+      _approvalHistory: branchHistory(this._approvalHistory, index),
+    };
+  }
+
+  /** Compute the result of merging incomingGraph into this panel without committing it
+   *  (see computeMerge). Returns { ok: true, graph } or { ok: false, error, conflicts, graph }
+   *  (see receiveMerge); rebase adds the new baseGraph and the local changes it skipped. */
+  _computeMerge(incomingGraph, direction, strategy = 'mirror', scopeNodes = [], options = {}) {
+    const { graph, conflicts, unresolved, ...rebased } = computeMerge(this, incomingGraph, strategy, scopeNodes, options);
+    if (unresolved.length > 0) {
+      const n = unresolved.length;
+      return { ok: false, error: `Merge ${direction} has ${n} conflict${n !== 1 ? 's' : ''} in Panel ${this.id}`, conflicts, graph };
+    }
+    return { ok: true, graph, ...rebased };
+  }
+
+  /** Dry-run a merge: same arguments as receiveMerge, returns the would-be graph without mutating */
+  previewMerge(incomingGraph, direction, strategy = 'mirror', scopeNodes = [], options = {}) {
+    return this._computeMerge(incomingGraph, direction, strategy, scopeNodes, options);
   }
 
-  /** Receive a merge/push from another panel */
-  receiveMerge(incomingGraph, direction, incomingExclusions = null, sourceTracked = false, strategy = 'mirror', scopeNodes = []) {
+  /** Apply options.removals ({ nodes, edges } keys chosen in the repair dialog) to a merge
+   *  result and validate it against the graph type. Returns { graph }, { error, graph } if
+   *  two nodes would share a label, or, if the result is invalid and options.allowInvalid
+   *  is not set, { error, violations, graph }. */
+  _validateMergeResult(graph, direction, options) {
+    const { removals } = options;
+    const result = removals ? removeElements(graph, removals.nodes, removals.edges) : graph;
+    const duplicate = findDuplicateLabel(result);
+    if (duplicate !== null) {
+      return { error: `Merge ${direction} would give two nodes of Panel ${this.id} the label "${duplicate}"`, graph: result };
+    }
+    const violations = findConstraintViolations(result, this.template?.graphType);
+    if (violations.length === 0 || options.allowInvalid) return { graph: result };
+    return { error: `Merge ${direction} would make Panel ${this.id} invalid: ${violations[0].message}`, violations, graph: result };
+  }
+
+  /** Receive a merge/push from another panel.
+   *  Strategies with a base run a three-way merge against this panel's baseGraph;
+   *  if that collides with local unapproved edits (or, for any strategy, a
+   *  reject-on-conflict merge policy in the template) nothing is committed and
+   *  { ok: false, error, conflicts, graph } is returned instead.
+   *  options.resolutions ({ [conflictId]: element | null }) resolves those
+   *  conflicts; the merge commits once every conflict has a resolution.
+   *  options.hops sets the radius for the neighborhood strategy;
+   *  options.nodeTypes / options.edgeTypes select the types for the typed strategy.
+   *  options.sourceId names the source panel in the provenance of merged elements.
+   *  The rebase strategy makes incomingGraph this panel's new baseGraph and replays the
+   *  unapproved changes on top; { ok: true, skipped } lists those that no longer apply.
+   *  options.auditKind names the operation in the session audit log (default "merge").
+   *  The result is validated against the graph type (acyclicity, connectivity, duplicate
+   *  undirected edges) before commit; an invalid result is not committed and
+   *  { ok: false, error, violations, graph } is returned. Re-run with options.allowInvalid
+   *  to commit it anyway, or options.removals ({ nodes, edges }) to drop offending elements.
+   *  A result that gives two nodes the same label is never committed ({ ok: false, error }). */
+  receiveMerge(incomingGraph, direction, incomingExclusions = null, sourceTracked = false, strategy = 'mirror', scopeNodes = [], options = {}) {
+    const source = options.sourceId ?? direction;
+    const audit = diffs => this._audit(options.auditKind ?? 'merge', diffs, { source: options.sourceId ?? null, strategy, direction });
+    const violationsBefore = this.ruleViolations;
     // Case 1: Target empty → copy graph, auto-approve
     if (isEmpty(this.graph) && !this.baseGraph) {
-      this.graph = deepClone(incomingGraph);
-      this.baseGraph = deepClone(incomingGraph);
-      this.lastApproval = new Date().toISOString();
+      const checked = this._validateMergeResult(incomingGraph, direction, options);
+      if (checked.error) return { ok: false, ...checked };
+      const timestamp = new Date().toISOString();
+      const diffs = computeDiff(createGraph(), checked.graph);
+      this.provenance = stampApproval(recordProvenance(this.provenance, diffs, { source, strategy, timestamp }), timestamp);
+      this.graph = deepClone(checked.graph);
+      this.baseGraph = deepClone(checked.graph);
+      this.lastApproval = timestamp;
       this.mergeDirection = null;
       if (incomingExclusions) {
         this.exclusions = mergeExclusions(this.exclusions, incomingExclusions, sourceTracked);
@@ -433,22 +605,23 @@ export class Panel {
       this._recomputePathTrackingAsync();
       this._updateHeader();
       this._emitChange();
+      audit(diffs);
+      this._warnNewViolations(violationsBefore, 'merge');
+      this._warnInvalid();
       return { ok: true };
     }
 
     // Case 2: Normal merge
-    this._pushHistory();
-    // Scoped: filter source to upstream of scope nodes, then use mirror logic
-    const sourceGraph = (strategy === 'scoped' && scopeNodes.length > 0)
-      ? filterUpstreamSubgraph(incomingGraph, scopeNodes)
-      : incomingGraph;
-    // push/sync = additive only (null base); mirror uses full baseGraph; scoped uses filtered baseGraph
-    const baseForDiff = (strategy === 'push' || strategy === 'sync')
-      ? null
-      : (strategy === 'scoped' && scopeNodes.length > 0 && this.baseGraph)
-        ? filterUpstreamSubgraph(this.baseGraph, scopeNodes)
-        : this.baseGraph;
-    this.graph = mergeGraphs(this.graph, sourceGraph, baseForDiff);
+    const computed = this._computeMerge(incomingGraph, direction, strategy, scopeNodes, options);
+    if (!computed.ok) return computed;
+    const checked = this._validateMergeResult(computed.graph, direction, options);
+    if (checked.error) return { ok: false, ...checked };
+    this._pushHistory(!!computed.baseGraph);
+    const timestamp = new Date().toISOString();
+    const diffs = computeDiff(this.graph, checked.graph);
+    this.provenance = recordProvenance(this.provenance, diffs, { source, strategy, timestamp });
+    this.graph = checked.graph;
+    if (computed.baseGraph) this.baseGraph = computed.baseGraph;
     this.mergeDirection = direction;
     if (incomingExclusions) {
       this.exclusions = mergeExclusions(this.exclusions, incomingExclusions, sourceTracked);
@@ -458,13 +631,129 @@ export class Panel {
     this._recomputePathTrackingAsync();
     this._updateHeader();
     this._emitChange();
-
-    // Post-merge cycle warning for acyclic graph types
-    const typeInfo = GRAPH_TYPES[this.template?.graphType];
-    if (typeInfo?.acyclic && hasCycle(this.graph, typeInfo.directed)) {
-      showToast(`Warning: merge introduced a cycle in ${typeInfo.label}`, 'warning');
+    audit(diffs);
+    this._warnNewViolations(violationsBefore, 'merge');
+    this._warnInvalid();
+
+    return computed.skipped ? { ok: true, skipped: computed.skipped } : { ok: true };
+  }
+
+  /** Octopus merge: merge several source panels into this one at once, in order.
+   *  sources: [{ id, graph, exclusions, tracked }]; mode: see OCTOPUS_MODES.
+   *  Conflicts and graph type violations are handled as in receiveMerge (options.resolutions,
+   *  options.allowInvalid, options.removals).
+   *  Returns { ok: true, contributions } — each change tagged with its source id —
+   *  or { ok: false, error, conflicts, graph } / { ok: false, error, violations, graph }. */
+  receiveOctopusMerge(sources, mode = 'three-way', options = {}) {
+    const direction = `${sources.map(s => s.id).join(' + ')} → ${this.id}`;
+    const { graph, conflicts, contributions } = octopusMerge(this.graph, sources, this.baseGraph, mode, this.template);
+    const resolutions = options.resolutions || {};
+    const unresolved = conflicts.filter(c => !(conflictId(c) in resolutions));
+    if (unresolved.length > 0) {
+      const n = unresolved.length;
+      return { ok: false, error: `Merge ${direction} has ${n} conflict${n !== 1 ? 's' : ''} in Panel ${this.id}`, conflicts, graph };
     }
-
+    const checked = this._validateMergeResult(conflicts.length > 0 ? applyResolutions(graph, conflicts, resolutions) : graph, direction, options);
+    if (checked.error) return { ok: false, ...checked };
+    const merged = checked.graph;
+    this._pushHistory();
+    const violationsBefore = this.ruleViolations;
+    // Attribute each change to the source that made it (last one wins), minus changes
+    // that conflict resolution undid
+    const timestamp = new Date().toISOString();
+    const diffs = computeDiff(this.graph, merged);
+    const changed = new Set(diffs.map(d => provenanceKey(d.type, d.key)));
+    for (const { id } of sources) {
+      const made = contributions.filter(d => d.source === id && changed.has(provenanceKey(d.type, d.key)));
+      this.provenance = recordProvenance(this.provenance, made, { source: id, strategy: `octopus ${mode}`, timestamp });
+    }
+    this.graph = merged;
+    this.mergeDirection = direction;
+    for (const source of sources) {
+      if (source.exclusions) {
+        this.exclusions = mergeExclusions(this.exclusions, source.exclusions, source.tracked);
+      }
+    }
+    this._syncCytoscape();
+    this._applyDiffClasses();
+    this._recomputePathTrackingAsync();
+    this._updateHeader();
+    this._emitChange();
+    this._audit('merge', diffs, { source: sources.map(s => s.id).join(','), strategy: `octopus ${mode}`, direction });
+    this._warnNewViolations(violationsBefore, 'merge');
+    this._warnInvalid();
+
+    return { ok: true, contributions };
+  }
+
+  /** Cherry-pick: apply chosen DiffEntries of a source panel as an unapproved change.
+   *  sourceGraph is the source's current graph; see applyDiff for dependency handling.
+   *  The result is validated against the graph type as in receiveMerge (options.allowInvalid,
+   *  options.removals).
+   *  Returns { ok: true, applied, skipped }, { ok: false, error, skipped } if nothing applied,
+   *  or { ok: false, error, violations, graph, skipped } if the result is invalid. */
+  receiveCherryPick(sourceGraph, diffs, sourceId, options = {}) {
+    const direction = `${sourceId} → ${this.id}`;
+    const { graph, applied, skipped } = applyDiff(this.graph, diffs, sourceGraph);
+    if (applied.length === 0) {
+      return { ok: false, error: `Cherry-pick ${direction} changed nothing in Panel ${this.id}`, skipped };
+    }
+    const checked = this._validateMergeResult(graph, direction, options);
+    if (checked.error) return { ok: false, ...checked, skipped };
+    this._pushHistory();
+    const violationsBefore = this.ruleViolations;
+    const timestamp = new Date().toISOString();
+    const changes = computeDiff(this.graph, checked.graph);
+    this.provenance = recordProvenance(this.provenance, changes, { source: sourceId, strategy: 'cherry-pick', timestamp });
+    this.graph = checked.graph;
+    this.mergeDirection = direction;
+    this._syncCytoscape();
+    this._applyDiffClasses();
+    this._recomputePathTrackingAsync();
+    this._updateHeader();
+    this._emitChange();
+    this._audit('merge', changes, { source: sourceId, strategy: 'cherry-pick', direction });
+    this._warnNewViolations(violationsBefore, 'cherry-pick');
+    this._warnInvalid();
+
+    return { ok: true, applied, skipped };
+  }
+
+  /** Revert approval history entry index: undo that approval's changes on top of the
+   *  current graph as an unapproved change. Elements changed since then conflict as in
+   *  receiveMerge (options.resolutions); conflicts carry source "revert of #N". The result
+   *  is validated against the graph type as in receiveMerge (options.allowInvalid, options.removals).
+   *  Returns { ok: true } or { ok: false, error, conflicts?, violations?, graph? }. */
+  revertApproval(index, options = {}) {
+    const entry = this._approvalHistory[index];
+    if (!entry) return { ok: false, error: `Panel ${this.id} has no approval #${index + 1}` };
+    const label = `revert of #${index + 1}`;
+    const { graph, conflicts } = revertChanges(entry.baseGraph, entry.graph, this.graph);
+    conflicts.forEach(c => { c.source = label; });
+    const resolutions = options.resolutions || {};
+    const unresolved = conflicts.filter(c => !(conflictId(c) in resolutions));
+    if (unresolved.length > 0) {
+      const n = unresolved.length;
+      return { ok: false, error: `Revert of approval #${index + 1} has ${n} conflict${n !== 1 ? 's' : ''} in Panel ${this.id}`, conflicts, graph };
+    }
+    const checked = this._validateMergeResult(conflicts.length > 0 ? applyResolutions(graph, conflicts, resolutions) : graph, label, options);
+    if (checked.error) return { ok: false, ...checked };
+    const reverted = checked.graph;
+    const diffs = computeDiff(this.graph, reverted);
+    if (diffs.length === 0) return { ok: false, error: `Approval #${index + 1} has nothing left to revert` };
+    this._pushHistory();
+    const violationsBefore = this.ruleViolations;
+    this.provenance = recordProvenance(this.provenance, diffs, { source: this.id, strategy: label, timestamp: new Date().toISOString() });
+    this.graph = reverted;
+    this.mergeDirection = null;
+    this._syncCytoscape();
+    this._applyDiffClasses();
+    this._recomputePathTrackingAsync();
+    this._updateHeader();
+    this._emitChange();
+    this._audit('revert', diffs, { strategy: label });
+    this._warnNewViolations(violationsBefore, 'revert');
+    this._warnInvalid();
     return { ok: true };
   }
 
@@ -483,9 +772,12 @@ export class Panel {
       this._recomputePathTrackingAsync();
       this._updateHeader();
       this._emitChange();
+      this._audit('paste', computeDiff(createGraph(), incomingGraph), { direction });
     } else {
       this._pushHistory();
-      this.graph = mergeGraphs(this.graph, incomingGraph, null); // null = no deletions
+      const merged = mergeGraphs(this.graph, incomingGraph, null, this.template); // null = no deletions
+      this._audit('paste', computeDiff(this.graph, merged), { direction });
+      this.graph = merged;
       this.mergeDirection = direction;
       if (incomingExclusions) {
         this.exclusions = mergeExclusions(this.exclusions, incomingExclusions, sourceTracked);
@@ -499,21 +791,48 @@ export class Panel {
     return { ok: true };
   }
 
-  /** Select all nodes/edges in a branch (ancestors of a node) */
-  selectBranch(nodeLabel) {
-    const subgraph = getAncestorSubgraph(this.graph, nodeLabel);
+  /** Select all nodes/edges in a branch (ancestors of a node, by id) */
+  selectBranch(nodeId) {
+    const subgraph = getAncestorSubgraph(this.graph, nodeId);
     this.cy.elements().unselect();
     for (const node of subgraph.nodes) {
-      this.cy.$id(node.label).select();
+      this.cy.$id(nodeKey(node)).select();
     }
     for (const edge of subgraph.edges) {
-      this.cy.$id(`${edge.source}→${edge.target}`).select();
+      this.cy.$id(edgeKey(edge)).select();
     }
   }
 
-  /** Export graph as JSON file */
-  exportGraph() {
-    exportToFile(this.graph, `panel-${this.id}.json`);
+  /** Serialize graph in format (a GRAPH_FORMATS id) with format options */
+  serializeGraph(format = 'json', options = {}) {
+    const directed = GRAPH_TYPES[this.template?.graphType]?.directed ?? true;
+    const context = { directed, template: this.template, positions: this.getPositions(), style: this.cy.style().json() };
+    return GRAPH_FORMATS[format].serialize(this.graph, { ...context, ...options });
+  }
+
+  /** Current layout positions of the graph's nodes: { nodeKey: {x, y} } */
+  getPositions() {
+    const positions = {};
+    for (const node of this.graph.nodes) {
+      const el = this.cy.$id(nodeKey(node));
+      if (el.nonempty()) positions[nodeKey(node)] = { ...el.position() };
+    }
+    return positions;
+  }
+
+  /** Move nodes to positions ({ nodeKey: {x, y} }, e.g. from an imported layout) and fit.
+   *  Nodes without a position stay put; the next layout run replaces them */
+  applyPositions(positions) {
+    const placed = this.cy.nodes().filter(n => positions[n.id()]);
+    if (placed.empty()) return;
+    placed.forEach(n => { n.position(positions[n.id()]); });
+    this.cy.fit(undefined, 20);
+  }
+
+  /** Export graph as a file in format (a GRAPH_FORMATS id) with format options */
+  exportGraph(format = 'json', options = {}) {
+    const { extensions, mime } = GRAPH_FORMATS[format];
+    downloadFile(this.serializeGraph(format, options), `panel-${this.id}.${extensions[0]}`, mime);
   }
 
   /** Undo last operation */
@@ -522,10 +841,12 @@ export class Panel {
       showToast('Nothing to undo', 'info');
       return false;
     }
-    this._redoStack.push({ graph: deepClone(this.graph), exclusions: deepClone(this.exclusions) });
     const entry = this._history.pop();
+    this._redoStack.push(this._historyEntry(!!entry.baseGraph));
     this.graph = this._historyGraph(entry);
     this.exclusions = this._historyExclusions(entry);
+    this.provenance = this._historyProvenance(entry);
+    if (entry.baseGraph) this.baseGraph = entry.baseGraph;
     this._syncCytoscape();
     this._applyDiffClasses();
     this._recomputePathTrackingAsync();
@@ -541,11 +862,13 @@ export class Panel {
       showToast('Nothing to redo', 'info');
       return false;
     }
-    this._history.push({ graph: deepClone(this.graph), exclusions: deepClone(this.exclusions) });
-    if (this._history.length > this._maxHistory) this._history.shift();
     const entry = this._redoStack.pop();
+    this._history.push(this._historyEntry(!!entry.baseGraph));
+    if (this._history.length > this._maxHistory) this._history.shift();
     this.graph = this._historyGraph(entry);
     this.exclusions = this._historyExclusions(entry);
+    this.provenance = this._historyProvenance(entry);
+    if (entry.baseGraph) this.baseGraph = entry.baseGraph;
     this._syncCytoscape();
     this._applyDiffClasses();
     this._recomputePathTrackingAsync();
@@ -562,10 +885,12 @@ export class Panel {
       return false;
     }
     this._pushHistory();
+    this._audit('restore', computeDiff(this.graph, this.baseGraph));
     this.graph = deepClone(this.baseGraph);
     // Restore exclusions from last approval
     const lastApproval = this._approvalHistory[this._approvalHistory.length - 1];
     this.exclusions = lastApproval?.exclusions ? deepClone(lastApproval.exclusions) : {};
+    this.provenance = dropPendingProvenance(this.provenance);
     this._syncCytoscape();
     this._applyDiffClasses();  // Will show no diffs (graph === baseGraph)
     this._recomputePathTrackingAsync();
@@ -580,20 +905,18 @@ export class Panel {
     const selected = this.cy.$(':selected');
     if (selected.empty()) return null;
 
-    const nodeLabels = new Set();
+    const nodeIds = new Set();
     const nodes = [];
     selected.nodes().forEach(n => {
-      nodeLabels.add(n.data('label'));
-      const gNode = this.graph.nodes.find(gn => gn.label === n.data('label'));
+      nodeIds.add(n.id());
+      const gNode = this.graph.nodes.find(gn => nodeKey(gn) === n.id());
       if (gNode) nodes.push(deepClone(gNode));
     });
 
     const edges = [];
     selected.edges().forEach(e => {
-      const src = e.data('source');
-      const tgt = e.data('target');
-      if (nodeLabels.has(src) && nodeLabels.has(tgt)) {
-        const gEdge = this.graph.edges.find(ge => ge.source === src && ge.target === tgt);
+      if (nodeIds.has(e.data('source')) && nodeIds.has(e.data('target'))) {
+        const gEdge = this.graph.edges.find(ge => edgeKey(ge) === e.id());
         if (gEdge) edges.push(deepClone(gEdge));
       }
     });
@@ -607,13 +930,27 @@ export class Panel {
     return computeDiff(this.baseGraph, this.graph).length === 0;
   }
 
-  /** Push current graph + exclusions to history before mutation */
-  _pushHistory() {
-    this._history.push({ graph: deepClone(this.graph), exclusions: deepClone(this.exclusions) });
+  /** Snapshot of the state undo/redo restores */
+  _historyEntry(withBase = false) {
+    const entry = { graph: deepClone(this.graph), exclusions: deepClone(this.exclusions), provenance: deepClone(this.provenance) };
+    // Only steps that move the baseline (rebase) snapshot it, so undo never un-approves
+    if (withBase && this.baseGraph) entry.baseGraph = deepClone(this.baseGraph);
+    return entry;
+  }
+
+  /** Push current graph + exclusions + provenance (+ baseGraph if withBase) to history before mutation */
+  _pushHistory(withBase = false) {
+    this._history.push(this._historyEntry(withBase));
     if (this._history.length > this._maxHistory) this._history.shift();
     this._redoStack = [];  // Clear redo stack on new mutation
   }
 
+  /** Resolve a node reference (id, or label as a fallback) to a node id; null if unknown */
+  _resolveNodeId(ref) {
+    const node = this.graph.nodes.find(n => nodeKey(n) === ref) || this.graph.nodes.find(n => n.label === ref);
+    return node ? nodeKey(node) : null;
+  }
+
   /** Extract graph from a history entry (supports old plain-graph format) */
   _historyGraph(entry) {
     return entry && entry.graph ? entry.graph : entry;
@@ -624,6 +961,25 @@ export class Panel {
     return entry && entry.exclusions ? entry.exclusions : {};
   }
 
+  /** Extract provenance from a history entry (entries before provenance keep the current map) */
+  _historyProvenance(entry) {
+    return entry && entry.provenance ? entry.provenance : this.provenance;
+  }
+
+  /** Provenance records of an element, oldest first ([] if it never came from a merge) */
+  getProvenance(type, key) {
+    return this.provenance[provenanceKey(type, key)] || [];
+  }
+
+  /** Select every element with provenance from the given source panel; returns the count */
+  selectFromSource(sourceId) {
+    const { nodes, edges } = queryProvenance(this.provenance, sourceId);
+    this.cy.elements().unselect();
+    const found = [...nodes, ...edges].map(key => this.cy.$id(key)).filter(ele => ele.length > 0);
+    found.forEach(ele => ele.select());
+    return found.length;
+  }
+
   /** Sync Cytoscape instance from graph data */
   _syncCytoscape() {
     const elements = [];
@@ -631,7 +987,7 @@ export class Panel {
     for (const node of this.graph.nodes) {
       elements.push({
         group: 'nodes',
-        data: { id: node.label, label: node.label, type: node.type || null, ...this._flattenProps(node.props, 'p_') },
+        data: { id: nodeKey(node), label: node.label, type: node.type || null, ...this._flattenProps(node.props, 'p_') },
       });
     }
 
@@ -639,7 +995,7 @@ export class Panel {
       elements.push({
         group: 'edges',
         data: {
-          id: `${edge.source}→${edge.target}`,
+          id: edgeKey(edge),
           source: edge.source,
           target: edge.target,
           type: edge.type || null,
@@ -650,24 +1006,25 @@ export class Panel {
 
     // Add removed elements from base (for diff visualization)
     if (this.baseGraph) {
-      const currentNodeLabels = new Set(this.graph.nodes.map(n => n.label));
-      const currentEdgeKeys = new Set(this.graph.edges.map(e => `${e.source}→${e.target}`));
+      const currentNodeIds = new Set(this.graph.nodes.map(n => nodeKey(n)));
+      const removedEdgeKeys = new Set(computeDiff(this.baseGraph, this.graph)
+        .filter(d => d.type === 'edge' && d.action === 'removed').map(d => d.key));
 
       for (const node of this.baseGraph.nodes) {
-        if (!currentNodeLabels.has(node.label)) {
+        if (!currentNodeIds.has(nodeKey(node))) {
           elements.push({
             group: 'nodes',
-            data: { id: node.label, label: node.label },
+            data: { id: nodeKey(node), label: node.label },
             classes: 'diff-removed',
           });
         }
       }
 
       for (const edge of this.baseGraph.edges) {
-        const key = `${edge.source}→${edge.target}`;
-        if (!currentEdgeKeys.has(key)) {
+        const key = edgeKey(edge);
+        if (removedEdgeKeys.has(key)) {
           // Only add removed edge if both nodes exist (either current or removed)
-          const allNodeIds = new Set([...currentNodeLabels, ...this.baseGraph.nodes.map(n => n.label)]);
+          const allNodeIds = new Set([...currentNodeIds, ...this.baseGraph.nodes.map(n => nodeKey(n))]);
           if (allNodeIds.has(edge.source) && allNodeIds.has(edge.target)) {
             elements.push({
               group: 'edges',
@@ -691,7 +1048,7 @@ export class Panel {
     const diffs = computeDiff(this.baseGraph, this.graph);
 
     // Clear existing diff classes (except removed which are set during sync)
-    this.cy.elements().removeClass('diff-added diff-modified');
+    this.cy.elements().removeClass('diff-added diff-modified diff-renamed diff-retyped');
 
     for (const diff of diffs) {
       if (diff.action === 'removed') continue; // handled in _syncCytoscape
@@ -708,7 +1065,7 @@ export class Panel {
 
   /** Clear all diff classes */
   _clearDiffClasses() {
-    this.cy.elements().removeClass('diff-added diff-removed diff-modified');
+    this.cy.elements().removeClass('diff-added diff-removed diff-modified diff-renamed diff-retyped');
     // Remove ghost removed elements
     this.cy.$('.diff-removed').remove();
     this._updateDiffOverlay();
@@ -716,11 +1073,18 @@ export class Panel {
 
   /** Update panel header with state info */
   _updateHeader() {
+    this._checkRules();
+    this._checkConstraints();
     const infoEl = this.panelEl?.querySelector('.panel-info');
     if (!infoEl) return;
 
     const parts = [];
 
+    if (this.constraintViolations.length > 0) {
+      const messages = this.constraintViolations.map(v => v.message).join('\n').replace(/"/g, '&quot;');
+      parts.push(`<span class="panel-invalid" title="${messages}">invalid</span>`);
+    }
+
     if (this.baseGraph && !this.isClean()) {
       const diffCount = computeDiff(this.baseGraph, this.graph).length;
       parts.push(`${diffCount} change${diffCount !== 1 ? 's' : ''}`);
@@ -730,6 +1094,67 @@ export class Panel {
     this._updateApprovalOverlay();
   }
 
+  /** Re-check graph type constraints (a merge may have been committed as invalid) and mark offending elements */
+  _checkConstraints() {
+    this.constraintViolations = findConstraintViolations(this.graph, this.template?.graphType);
+    this.cy.elements().removeClass('constraint-violation');
+    for (const v of this.constraintViolations) {
+      for (const key of [...v.nodes, ...v.edges]) this.cy.$id(key).addClass('constraint-violation');
+    }
+  }
+
+  /** Warn when the panel was left invalid, e.g. by a merge committed anyway */
+  _warnInvalid() {
+    if (this.constraintViolations.length === 0) return;
+    showToast(`Warning: Panel ${this.id} is invalid: ${this.constraintViolations[0].message}`, 'warning');
+  }
+
+  /** Re-check template rules: mark violating elements and list them in the rules overlay */
+  _checkRules() {
+    this.ruleViolations = checkRules(this.graph, this.template);
+    this.cy.elements().removeClass('rule-error rule-warning');
+    for (const v of this.ruleViolations) this.cy.$id(v.key).addClass(`rule-${v.severity}`);
+    this._updateRuleOverlay();
+  }
+
+  /** Update or create the rule violation overlay in the canvas top-right; click an entry to select it */
+  _updateRuleOverlay() {
+    let el = this.container.querySelector('.rules-overlay');
+    if (!el) {
+      el = document.createElement('div');
+      el.className = 'rules-overlay';
+      el.addEventListener('click', e => {
+        const item = e.target.closest('[data-key]');
+        if (!item) return;
+        this.cy.elements().unselect();
+        this.cy.$id(item.dataset.key).select();
+      });
+      this.container.appendChild(el);
+    }
+    const violations = this.ruleViolations;
+    el.classList.toggle('visible', violations.length > 0);
+    if (violations.length === 0) return;
+    const errors = violations.filter(v => v.severity === 'error').length;
+    const warnings = violations.length - errors;
+    const counts = [
+      errors ? `${errors} error${errors !== 1 ? 's' : ''}` : '',
+      warnings ? `${warnings} warning${warnings !== 1 ? 's' : ''}` : '',
+    ].filter(Boolean).join(', ');
+    const shown = 5;
+    el.innerHTML = `<div class="rules-overlay-title">Template rules: ${counts}${errors ? ' — approval blocked' : ''}</div>` +
+      violations.slice(0, shown).map(v =>
+        `<div class="rules-overlay-item rule-${v.severity}" data-key="${escapeHtml(v.key)}">${escapeHtml(v.message)}</div>`).join('') +
+      (violations.length > shown ? `<div class="rules-overlay-more">+${violations.length - shown} more</div>` : '');
+  }
+
+  /** Warn about template rule violations an operation introduced (before: ruleViolations prior to it) */
+  _warnNewViolations(before, operation) {
+    const added = newViolations(before, this.ruleViolations);
+    if (added.length === 0) return;
+    const n = added.length;
+    showToast(`Warning: ${operation} broke ${n} template rule${n !== 1 ? 's' : ''} in Panel ${this.id}: ${added[0].message}${n > 1 ? ' …' : ''}`, 'warning');
+  }
+
   /** Update or create the approval timestamp overlay in the canvas bottom-right */
   _updateApprovalOverlay() {
     let el = this.container.querySelector('.approval-indicator');
@@ -907,7 +1332,7 @@ export class Panel {
 
   /** Get exclusions relevant to a subgraph's edges (for clipboard) */
   getRelevantExclusions(subgraph) {
-    const edgeKeys = new Set(subgraph.edges.map(e => `${e.source}→${e.target}`));
+    const edgeKeys = new Set(subgraph.edges.map(e => edgeKey(e)));
     const result = {};
     for (const [key, tags] of Object.entries(this.exclusions)) {
       if (edgeKeys.has(key)) result[key] = tags;
@@ -985,7 +1410,7 @@ export class Panel {
     this.cy.nodes().removeClass('node-fully-excluded');
 
     for (const edge of this.graph.edges) {
-      const key = `${edge.source}→${edge.target}`;
+      const key = edgeKey(edge);
       const tags = this._pathTags.get(key) || [];
       const excluded = this._effectiveExclusions?.get(key) || new Set();
       const cyEdge = this.cy.$id(key);
@@ -1006,8 +1431,8 @@ export class Panel {
 
     // Mark fully excluded nodes
     for (const node of this.graph.nodes) {
-      if (isNodeFullyExcluded(this.graph, node.label, this._pathTags, this._effectiveExclusions || new Map(), specialTypes)) {
-        this.cy.$id(node.label).addClass('node-fully-excluded');
+      if (isNodeFullyExcluded(this.graph, nodeKey(node), this._pathTags, this._effectiveExclusions || new Map(), specialTypes)) {
+        this.cy.$id(nodeKey(node)).addClass('node-fully-excluded');
       }
     }
 
@@ -1086,6 +1511,11 @@ export class Panel {
     }
   }
 
+  /** Record an operation that caused diffs in the session audit log (see createAuditEvent) */
+  _audit(kind, diffs, details = {}) {
+    window.dispatchEvent(new CustomEvent('panel-audit', { detail: createAuditEvent(kind, this.id, diffs, details) }));
+  }
+
   /** Emit a change event for session auto-save */
   _emitChange() {
     window.dispatchEvent(new CustomEvent('panel-change', { detail: { panelId: this.id } }));
@@ -1,8 +1,9 @@
 import { showToast } from './toast.js';
 import { updateStatusBar } from './status-bar.js';
-import { editTemplateDialog, newSessionDialog } from './dialogs.js';
+import { editTemplateDialog, newSessionDialog, auditLogDialog } from './dialogs.js';
 import { loadGlobalTemplates, uniqueName, templateManagementModal } from './template-ui.js';
 import { defaultTemplate } from '../graph/template.js';
+import { appendAuditEvent } from '../graph/audit.js';
 
 const STORAGE_KEY = 'graph-merge-sessions';
 const ACTIVE_KEY = 'graph-merge-active-session';
@@ -12,6 +13,7 @@ let _layoutManager = null;
 let _saveTimeout = null;
 let _currentTemplate = defaultTemplate();
 let _onTemplateChange = null;
+let _auditLog = [];  // AuditEvent[] of the active session, oldest first
 
 function loadSessions() {
   try {
@@ -114,6 +116,7 @@ function saveCurrentSession() {
     layout: _layoutManager.getLayout(),
     panels: panelStates,
     template: _currentTemplate,
+    auditLog: _auditLog,
     savedAt: new Date().toISOString(),
   };
   saveSessions(sessions);
@@ -141,6 +144,8 @@ function restoreSession(name) {
     }
   }
 
+  _auditLog = session.auditLog || [];
+
   // Restore template
   _currentTemplate = session.template || defaultTemplate();
   if (_onTemplateChange) _onTemplateChange(_currentTemplate);
@@ -191,6 +196,7 @@ function renderSessionControls() {
         <button id="session-delete">Delete</button>
         <hr class="menu-divider">
         <button id="session-edit-template">Edit Template</button>
+        <button id="session-audit-log">Audit Log</button>
         <hr class="menu-divider">
         <button id="session-export">Export</button>
         <button id="session-import">Import</button>
@@ -246,6 +252,7 @@ function renderSessionControls() {
 
     saveCurrentSession();
     _currentTemplate = chosenTemplate;
+    _auditLog = [];
     if (_onTemplateChange) _onTemplateChange(_currentTemplate);
     _layoutManager.init();
     setActiveSessionName(name.trim());
@@ -279,6 +286,7 @@ function renderSessionControls() {
       restoreSession(remaining[0]);
     } else {
       setActiveSessionName('Default');
+      _auditLog = [];
       _layoutManager.init();
     }
     renderSessionControls();
@@ -295,6 +303,8 @@ function renderSessionControls() {
     }, true); // isSessionTemplate = true — specialTypes locked
   });
 
+  wrapAction('#session-audit-log', () => auditLogDialog(_auditLog, getActiveSessionName()));
+
   wrapAction('#session-export', exportSession);
   wrapAction('#session-import', importSession);
 
@@ -387,6 +397,7 @@ function importSession() {
         layout: data.layout,
         panels: data.panels,
         template: data.template || { name: 'Default', graphType: 'DG', nodeTypes: [], edgeTypes: [] },
+        auditLog: data.auditLog || [],
         layoutAlgorithm: data.layoutAlgorithm, // kept for migration on next restore
         savedAt: data.savedAt || new Date().toISOString(),
       };
@@ -409,6 +420,16 @@ export function setupSession(panels, layoutManager, onTemplateChange) {
   _onTemplateChange = onTemplateChange;
 
   window.addEventListener('panel-change', debouncedSave);
+  window.addEventListener('panel-audit', e => {
+    _auditLog = appendAuditEvent(_auditLog, e.detail);
+    debouncedSave();
+  });
+  // Template edits made outside the template editor (e.g. types created by a CSV import)
+  window.addEventListener('template-change', e => {
+    _currentTemplate = e.detail.template;
+    if (_onTemplateChange) _onTemplateChange(_currentTemplate);
+    debouncedSave();
+  });
 
   const active = getActiveSessionName();
   const sessions = loadSessions();
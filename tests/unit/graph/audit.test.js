@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  AUDIT_KINDS, countDiffs, createAuditEvent, appendAuditEvent, filterAuditLog, auditLogToJSON, auditLogToCSV,
+} from '../../../src/graph/audit.js';
+
+const T1 = '2026-01-01T10:00:00.000Z';
+const T2 = '2026-01-01T11:00:00.000Z';
+
+const diffs = [
+  { type: 'node', action: 'added', key: 'A' },
+  { type: 'node', action: 'added', key: 'B' },
+  { type: 'edge', action: 'removed', key: 'A→B' },
+  { type: 'node', action: 'retyped', key: 'C' },
+];
+
+describe('countDiffs', () => {
+  it('counts entries per action, zero for absent actions', () => {
+    expect(countDiffs(diffs)).toEqual({ added: 2, removed: 1, modified: 0, renamed: 0, retyped: 1 });
+  });
+});
+
+describe('createAuditEvent', () => {
+  it('records kind, panel, details and diff counts', () => {
+    const event = createAuditEvent('merge', '2', diffs, { source: '1', strategy: 'mirror', direction: '1 → 2', timestamp: T1 });
+    expect(event).toEqual({
+      timestamp: T1, kind: 'merge', panel: '2', source: '1', strategy: 'mirror', direction: '1 → 2',
+      counts: { added: 2, removed: 1, modified: 0, renamed: 0, retyped: 1 },
+    });
+  });
+
+  it('defaults missing details to null and stamps the current time', () => {
+    const event = createAuditEvent('clear', '1');
+    expect(event).toMatchObject({ kind: 'clear', source: null, strategy: null, direction: null });
+    expect(Date.parse(event.timestamp)).not.toBeNaN();
+    expect(AUDIT_KINDS).toContain(event.kind);
+  });
+});
+
+describe('appendAuditEvent', () => {
+  it('appends without mutating and drops the oldest events past max', () => {
+    const log = [createAuditEvent('approve', '1', [], { timestamp: T1 })];
+    const next = appendAuditEvent(log, createAuditEvent('clear', '1', [], { timestamp: T2 }));
+    expect(next.map(e => e.kind)).toEqual(['approve', 'clear']);
+    expect(log).toHaveLength(1);
+    expect(appendAuditEvent(next, createAuditEvent('paste', '1'), 2).map(e => e.kind)).toEqual(['clear', 'paste']);
+  });
+});
+
+describe('filterAuditLog', () => {
+  const log = [
+    createAuditEvent('merge', '2', [], { source: '1', strategy: 'mirror' }),
+    createAuditEvent('merge', '3', [], { source: '1,2', strategy: 'octopus three-way' }),
+    createAuditEvent('approve', '2'),
+  ];
+
+  it('matches all events without criteria', () => {
+    expect(filterAuditLog(log)).toHaveLength(3);
+  });
+
+  it('filters by kind and strategy', () => {
+    expect(filterAuditLog(log, { kind: 'approve' })).toHaveLength(1);
+    expect(filterAuditLog(log, { kind: 'merge', strategy: 'mirror' }).map(e => e.panel)).toEqual(['2']);
+  });
+
+  it('matches a panel as the changed panel or any source', () => {
+    expect(filterAuditLog(log, { panel: '2' })).toHaveLength(3);
+    expect(filterAuditLog(log, { panel: '1' }).map(e => e.panel)).toEqual(['2', '3']);
+  });
+});
+
+describe('export', () => {
+  const log = [createAuditEvent('merge', '3', diffs, { source: '1,2', strategy: 'octopus three-way', direction: '1 + 2 → 3', timestamp: T1 })];
+
+  it('auditLogToJSON round-trips', () => {
+    expect(JSON.parse(auditLogToJSON(log))).toEqual(log);
+  });
+
+  it('auditLogToCSV writes a header and one row per event, quoting commas', () => {
+    const lines = auditLogToCSV(log).split('\n');
+    expect(lines[0]).toBe('timestamp,kind,panel,source,strategy,direction,added,removed,modified,renamed,retyped');
+    expect(lines[1]).toBe(`${T1},merge,3,"1,2",octopus three-way,1 + 2 → 3,2,1,0,0,1`);
+  });
+
+  it('auditLogToCSV leaves missing values empty and escapes quotes', () => {
+    const [, row] = auditLogToCSV([createAuditEvent('clear', 'say "hi"', [], { timestamp: T1 })]).split('\n');
+    expect(row).toBe(`${T1},clear,"say ""hi""",,,,0,0,0,0,0`);
+  });
+});
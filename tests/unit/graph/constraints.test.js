@@ -2,7 +2,7 @@ import { describe, it, expect } from 'vitest';
 import {
   validateEdgeAdd, wouldCreateCycle, hasCycle,
   isConnected, wouldDisconnectOnNodeRemove, wouldDisconnectOnEdgeRemove,
-  hasDuplicateUndirectedEdge,
+  hasDuplicateUndirectedEdge, findCycle, connectedComponents, findConstraintViolations,
 } from '../../../src/graph/constraints.js';
 import { createGraph, addNode, addEdge, createNode, createEdge } from '../../../src/graph/model.js';
 
@@ -31,6 +31,27 @@ describe('validateEdgeAdd', () => {
     expect(validateEdgeAdd(g, 'A', 'B', 'DG').ok).toBe(false);
   });
 
+  it('allows a parallel directed edge of a different type', () => {
+    let g = addNode(addNode(createGraph(), createNode('A')), createNode('B'));
+    g = addEdge(g, createEdge('A', 'B', {}, 'calls'));
+    expect(validateEdgeAdd(g, 'A', 'B', 'DG', 'owns').ok).toBe(true);
+    expect(validateEdgeAdd(g, 'A', 'B', 'DG', 'calls').ok).toBe(false);
+    expect(validateEdgeAdd(g, 'A', 'B', 'DG').ok).toBe(true); // untyped is its own kind
+  });
+
+  it('rejects a parallel undirected edge of the same type only', () => {
+    let g = addNode(addNode(createGraph(), createNode('A')), createNode('B'));
+    g = addEdge(g, createEdge('A', 'B', {}, 'calls'));
+    expect(validateEdgeAdd(g, 'B', 'A', 'UCG', 'calls').ok).toBe(false);
+    expect(validateEdgeAdd(g, 'B', 'A', 'UCG', 'owns').ok).toBe(true);
+  });
+
+  it('still rejects parallel edges where they would form an undirected cycle', () => {
+    let g = addNode(addNode(createGraph(), createNode('A')), createNode('B'));
+    g = addEdge(g, createEdge('A', 'B', {}, 'calls'));
+    expect(validateEdgeAdd(g, 'A', 'B', 'Forest', 'owns').ok).toBe(false);
+  });
+
   it('rejects edge that creates cycle in DAG', () => {
     const g = buildChain('A', 'B', 'C');
     expect(validateEdgeAdd(g, 'C', 'A', 'DAG').ok).toBe(false);
@@ -64,6 +85,13 @@ describe('validateEdgeAdd', () => {
     expect(result.ok).toBe(false);
     expect(result.error).toBeTruthy();
   });
+
+  it('names duplicate edge endpoints by label', () => {
+    let g = addNode(addNode(createGraph(), createNode('Web', {}, null, 'n1')), createNode('DB', {}, null, 'n2'));
+    g = addEdge(g, createEdge('n1', 'n2'));
+    expect(validateEdgeAdd(g, 'n1', 'n2', 'DG').error).toBe('Edge Web→DB already exists');
+    expect(validateEdgeAdd(g, 'n2', 'n1', 'UCG').error).toBe('Edge DB–Web already exists');
+  });
 });
 
 describe('hasCycle — directed', () => {
@@ -186,3 +214,70 @@ describe('wouldCreateCycle', () => {
     expect(wouldCreateCycle(g2, 'A', 'C', true)).toBe(false);
   });
 });
+
+describe('findCycle', () => {
+  it('returns null for acyclic graphs', () => {
+    expect(findCycle(buildChain('A', 'B', 'C'), true)).toBeNull();
+    expect(findCycle(buildChain('A', 'B', 'C'), false)).toBeNull();
+  });
+
+  it('returns the nodes and edges of a directed cycle in order', () => {
+    const g = addEdge(addNode(buildChain('A', 'B', 'C'), createNode('D')), createEdge('C', 'B'));
+    expect(findCycle(g, true)).toEqual({ nodes: ['B', 'C'], edges: ['B→C', 'C→B'] });
+  });
+
+  it('ignores edge direction in undirected graphs', () => {
+    const g = addEdge(buildChain('A', 'B', 'C'), createEdge('A', 'C'));
+    expect(findCycle(g, true)).toBeNull();
+    expect(findCycle(g, false)).toEqual({ nodes: ['A', 'B', 'C'], edges: ['A→B', 'B→C', 'A→C'] });
+  });
+
+  it('treats undirected parallel edges and self-loops as cycles', () => {
+    const parallel = addEdge(buildChain('A', 'B'), createEdge('B', 'A', {}, 'x'));
+    expect(findCycle(parallel, false)).toEqual({ nodes: ['A', 'B'], edges: ['A→B', 'B→A:x'] });
+    const loop = addEdge(buildChain('A'), createEdge('A', 'A'));
+    expect(findCycle(loop, false)).toEqual({ nodes: ['A'], edges: ['A→A'] });
+  });
+});
+
+describe('connectedComponents', () => {
+  it('groups nodes by connectivity, largest first', () => {
+    const g = addNode(addNode(buildChain('A', 'B', 'C'), createNode('D')), createNode('E'));
+    expect(connectedComponents(addEdge(g, createEdge('E', 'D')))).toEqual([['A', 'B', 'C'], ['D', 'E']]);
+    expect(connectedComponents(createGraph())).toEqual([]);
+  });
+});
+
+describe('findConstraintViolations', () => {
+  it('accepts valid graphs and unknown graph types', () => {
+    expect(findConstraintViolations(buildChain('A', 'B', 'C'), 'UTree')).toEqual([]);
+    expect(findConstraintViolations(buildChain('A', 'B', 'C'), 'nope')).toEqual([]);
+  });
+
+  it('reports a cycle in acyclic types only', () => {
+    const g = addEdge(buildChain('A', 'B', 'C'), createEdge('C', 'A'));
+    const [v] = findConstraintViolations(g, 'DAG');
+    expect(v).toEqual({
+      kind: 'cycle', message: 'Cycle A → B → C → A (Directed Acyclic Graph must be acyclic)',
+      nodes: ['A', 'B', 'C'], edges: ['A→B', 'B→C', 'C→A'],
+    });
+    expect(findConstraintViolations(g, 'DG')).toEqual([]);
+  });
+
+  it('reports components detached from the largest one when the type must be connected', () => {
+    let g = addEdge(addNode(addNode(buildChain('A', 'B', 'C'), createNode('D')), createNode('E')), createEdge('D', 'E'));
+    const [v] = findConstraintViolations(g, 'UTree');
+    expect(v).toMatchObject({ kind: 'disconnected', nodes: ['D', 'E'], edges: ['D→E'] });
+    expect(v.message).toMatch(/^2 disconnected components: D, E/);
+    expect(findConstraintViolations(g, 'Forest')).toEqual([]);
+  });
+
+  it('reports duplicate undirected edges of the same type', () => {
+    const g = addEdge(buildChain('A', 'B'), createEdge('B', 'A'));
+    expect(findConstraintViolations(g, 'UCG')).toEqual([
+      { kind: 'duplicate-edge', message: 'Duplicate edge B–A', nodes: [], edges: ['A→B', 'B→A'] },
+    ]);
+    expect(findConstraintViolations(addEdge(buildChain('A', 'B'), createEdge('B', 'A', {}, 'x')), 'UCG')).toEqual([]);
+    expect(findConstraintViolations(g, 'DG')).toEqual([]);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import {
+  detectDelimiter, parseCSV, guessMapping, readCSVGraph, csvToGraph, resolveTypes, createUnknownTypes, dropUnknownTypes,
+} from '../../../src/graph/csv.js';
+import { validateGraph } from '../../../src/graph/serializer.js';
+import { defaultTemplate } from '../../../src/graph/template.js';
+
+const table = (text, kind) => {
+  const parsed = parseCSV(text);
+  return { ...parsed, mapping: guessMapping(parsed.header, kind) };
+};
+
+describe('parseCSV', () => {
+  it('parses quoted fields with delimiters, escaped quotes and line breaks', () => {
+    const result = parseCSV('\uFEFFname,notes\r\nA,"x, ""y"""\r\nB,"two\nlines"\r\n\r\n');
+    expect(result).toEqual({ ok: true, header: ['name', 'notes'], rows: [['A', 'x, "y"'], ['B', 'two\nlines']] });
+  });
+
+  it('detects semicolon and tab delimiters and pads short rows', () => {
+    expect(detectDelimiter('a;b;c\n1;2;3')).toBe(';');
+    expect(detectDelimiter('a\tb\n1\t2')).toBe('\t');
+    expect(parseCSV('a;b;c\n1;2').rows).toEqual([['1', '2', '']]);
+  });
+
+  it('rejects empty input, duplicate columns and unterminated quotes', () => {
+    expect(parseCSV('\n\n').ok).toBe(false);
+    expect(parseCSV('a,a\n1,2').error).toMatch(/duplicate column "a"/);
+    expect(parseCSV('a\n"open').error).toMatch(/unterminated/);
+  });
+});
+
+describe('guessMapping', () => {
+  it('maps node columns by common names and the rest to props', () => {
+    expect(guessMapping(['ID', 'Name', 'Kind', 'owner'], 'node')).toEqual({ id: 'ID', label: 'Name', type: 'Kind', props: ['owner'] });
+  });
+
+  it('falls back to the first column as label and the first two as endpoints', () => {
+    expect(guessMapping(['service', 'owner'], 'node')).toMatchObject({ id: null, label: 'service', props: ['owner'] });
+    expect(guessMapping(['a', 'b', 'weight'], 'edge')).toEqual({ source: 'a', target: 'b', type: null, props: ['weight'] });
+  });
+});
+
+describe('csvToGraph', () => {
+  it('builds nodes from endpoints of a single edge list', () => {
+    const result = csvToGraph({ edges: table('from,to,weight\nA,B,2\nB,C,', 'edge') });
+    expect(result.ok).toBe(true);
+    expect(result.graph.nodes.map(n => n.id)).toEqual(['A', 'B', 'C']);
+    expect(result.graph.edges).toEqual([
+      { source: 'A', target: 'B', type: null, props: { weight: '2' } },
+      { source: 'B', target: 'C', type: null, props: {} },
+    ]);
+  });
+
+  it('combines node and edge tables, resolving endpoints by id or label', () => {
+    const result = csvToGraph({
+      nodes: table('id,name,type\nn1,Web,Service\nn2,DB,Store', 'node'),
+      edges: table('source,target,type\nn1,DB,calls', 'edge'),
+    });
+    expect(result.graph.nodes[0]).toEqual({ id: 'n1', label: 'Web', type: 'Service', props: {} });
+    expect(result.graph.edges[0]).toMatchObject({ source: 'n1', target: 'n2', type: 'calls' });
+  });
+
+  it('honors an edited mapping', () => {
+    const nodes = table('name,owner,tier', 'node');
+    nodes.rows = [['A', 'me', '1']];
+    nodes.mapping = { ...nodes.mapping, type: 'tier', props: [] };
+    expect(csvToGraph({ nodes }).graph.nodes[0]).toEqual({ id: 'A', label: 'A', type: '1', props: {} });
+  });
+
+  it('reports missing mappings, empty cells and invalid graphs', () => {
+    expect(csvToGraph({}).ok).toBe(false);
+    const edges = table('x,y\nA,B', 'edge');
+    expect(csvToGraph({ edges: { ...edges, mapping: { ...edges.mapping, target: null } } }).error).toMatch(/source and target/);
+    expect(csvToGraph({ edges: table('from,to\nA,', 'edge') }).error).toBe('Edge row 2: empty source or target');
+    expect(csvToGraph({ nodes: table('name\nA\nA', 'node') }).error).toMatch(/Duplicate node label/);
+    expect(csvToGraph({ nodes: table('name\nA', 'node'), edges: table('from,to\nA,Z', 'edge') }).error).toMatch(/unknown target/);
+  });
+});
+
+describe('type values', () => {
+  const template = { ...defaultTemplate(), nodeTypes: [{ id: 'svc', label: 'Service', color: '#fff' }], edgeTypes: [] };
+  const graph = csvToGraph({
+    nodes: table('name,type\nA,Service\nB,svc\nC,Store\nD,', 'node'),
+    edges: table('from,to,type\nA,B,calls', 'edge'),
+  }).graph;
+
+  it('resolveTypes matches template types by label or id and lists unknown values', () => {
+    const { graph: resolved, unknown } = resolveTypes(graph, template);
+    expect(resolved.nodes.map(n => n.type)).toEqual(['svc', 'svc', 'Store', null]);
+    expect(unknown).toEqual({ node: ['Store'], edge: ['calls'] });
+  });
+
+  it('createUnknownTypes adds a template type per unknown value and retypes elements', () => {
+    const { graph: resolved, unknown } = resolveTypes(graph, template);
+    let n = 0;
+    const created = createUnknownTypes(resolved, template, unknown, () => `t${++n}`);
+    expect(created.template.nodeTypes.map(t => [t.id, t.label])).toEqual([['svc', 'Service'], ['t1', 'Store']]);
+    expect(created.template.edgeTypes.map(t => [t.id, t.label])).toEqual([['t2', 'calls']]);
+    expect(created.graph.nodes.map(node => node.type)).toEqual(['svc', 'svc', 't1', null]);
+    expect(created.graph.edges[0].type).toBe('t2');
+    expect(template.nodeTypes).toHaveLength(1);
+  });
+
+  it('readCSVGraph leaves validation until types are final', () => {
+    const edges = table('from,to,type\nA,B,x\nA,B,y', 'edge');
+    expect(csvToGraph({ edges }).ok).toBe(true);
+    const raw = readCSVGraph({ edges });
+    expect(raw.graph.edges.map(e => e.type)).toEqual(['x', 'y']);
+    const { graph: resolved, unknown } = resolveTypes(raw.graph, template);
+    expect(validateGraph(dropUnknownTypes(resolved, unknown)).error).toMatch(/Duplicate edge/);
+  });
+
+  it('dropUnknownTypes leaves elements with unknown values untyped', () => {
+    const { graph: resolved, unknown } = resolveTypes(graph, template);
+    const dropped = dropUnknownTypes(resolved, unknown);
+    expect(dropped.nodes.map(node => node.type)).toEqual(['svc', 'svc', null, null]);
+    expect(dropped.edges[0].type).toBe(null);
+  });
+});
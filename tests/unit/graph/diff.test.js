@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { computeDiff } from '../../../src/graph/diff.js';
+import { computeDiff, applyDiff, valuesEqual, diffProps, formatPropChange, formatDiffDetails } from '../../../src/graph/diff.js';
 import { createGraph, addNode, addEdge, createNode, createEdge, updateNodeProps } from '../../../src/graph/model.js';
 
 describe('computeDiff', () => {
@@ -89,4 +89,236 @@ describe('computeDiff', () => {
     expect(keys).toContain('B'); // removed
     expect(keys).toContain('C'); // added
   });
+
+  it('reports a renamed node (same id, new label) as renamed', () => {
+    const base = addNode(createGraph(), createNode('A', { x: '1' }));
+    const curr = addNode(createGraph(), createNode('Alpha', { x: '2' }, null, 'A'));
+    const diffs = computeDiff(base, curr);
+    expect(diffs).toHaveLength(1);
+    expect(diffs[0]).toMatchObject({ type: 'node', action: 'renamed', key: 'A', oldLabel: 'A', newLabel: 'Alpha', label: 'Alpha' });
+    expect(diffs[0].newProps).toEqual({ x: '2' });
+  });
+
+  it('node entries carry the display label', () => {
+    const base = addNode(createGraph(), createNode('Old', {}, null, 'n1'));
+    const curr = addNode(createGraph(), createNode('New', {}, null, 'n2'));
+    const diffs = computeDiff(base, curr);
+    expect(diffs.find(d => d.action === 'added')).toMatchObject({ key: 'n2', label: 'New' });
+    expect(diffs.find(d => d.action === 'removed')).toMatchObject({ key: 'n1', label: 'Old' });
+  });
+
+  it('distinguishes parallel edges by type', () => {
+    let base = addNode(addNode(createGraph(), createNode('A')), createNode('B'));
+    base = addEdge(base, createEdge('A', 'B', {}, 'calls'));
+    const curr = addEdge(base, createEdge('A', 'B', {}, 'owns'));
+    const diffs = computeDiff(base, curr);
+    expect(diffs).toEqual([expect.objectContaining({ type: 'edge', action: 'added', key: 'A→B:owns' })]);
+  });
+});
+
+describe('type changes', () => {
+  it('reports a node whose type changed as retyped', () => {
+    const base = addNode(createGraph(), createNode('A', { x: '1' }, 'svc'));
+    const curr = addNode(createGraph(), createNode('A', { x: '2' }, 'db'));
+    const [d] = computeDiff(base, curr);
+    expect(d).toMatchObject({ type: 'node', action: 'retyped', key: 'A', oldType: 'svc', newType: 'db' });
+    expect(d.changes).toEqual([{ key: 'x', kind: 'changed', oldValue: '1', newValue: '2' }]);
+  });
+
+  it('treats adding or clearing a type as a type change', () => {
+    const base = addNode(createGraph(), createNode('A'));
+    const curr = addNode(createGraph(), createNode('A', {}, 'svc'));
+    expect(computeDiff(base, curr)[0]).toMatchObject({ action: 'retyped', oldType: null, newType: 'svc' });
+    expect(computeDiff(curr, base)[0]).toMatchObject({ action: 'retyped', oldType: 'svc', newType: null });
+  });
+
+  it('keeps renamed as the action but carries the type change', () => {
+    const base = addNode(createGraph(), createNode('Old', {}, 'svc', 'n1'));
+    const curr = addNode(createGraph(), createNode('New', {}, 'db', 'n1'));
+    expect(computeDiff(base, curr)[0]).toMatchObject({ action: 'renamed', oldLabel: 'Old', newLabel: 'New', oldType: 'svc', newType: 'db' });
+  });
+
+  it('a rename alone carries no type fields', () => {
+    const base = addNode(createGraph(), createNode('Old', {}, 'svc', 'n1'));
+    const curr = addNode(createGraph(), createNode('New', {}, 'svc', 'n1'));
+    expect(computeDiff(base, curr)[0]).not.toHaveProperty('newType');
+  });
+
+  it('reports an edge with an id whose type changed as retyped', () => {
+    let g = addNode(addNode(createGraph(), createNode('A')), createNode('B'));
+    const base = addEdge(g, { ...createEdge('A', 'B', {}, 'calls'), id: 'e1' });
+    const curr = addEdge(g, { ...createEdge('A', 'B', {}, 'owns'), id: 'e1' });
+    expect(computeDiff(base, curr)).toEqual([
+      expect.objectContaining({ type: 'edge', action: 'retyped', key: 'e1', oldType: 'calls', newType: 'owns' }),
+    ]);
+  });
+
+  it('reports a keyless edge whose type changed as retyped under its new key', () => {
+    let g = addNode(addNode(createGraph(), createNode('A')), createNode('B'));
+    const base = addEdge(g, createEdge('A', 'B', { w: '1' }, 'calls'));
+    const curr = addEdge(g, createEdge('A', 'B', { w: '2' }, null));
+    expect(computeDiff(base, curr)).toEqual([expect.objectContaining({
+      type: 'edge', action: 'retyped', key: 'A→B', oldKey: 'A→B:calls', oldType: 'calls', newType: null,
+      changes: [{ key: 'w', kind: 'changed', oldValue: '1', newValue: '2' }],
+    })]);
+  });
+
+  it('leaves keyless parallel edges as remove + add when the pairing is ambiguous', () => {
+    let g = addNode(addNode(createGraph(), createNode('A')), createNode('B'));
+    const base = addEdge(addEdge(g, createEdge('A', 'B', {}, 'calls')), createEdge('A', 'B', {}, 'owns'));
+    const curr = addEdge(g, createEdge('A', 'B', {}, 'uses'));
+    expect(computeDiff(base, curr).map(d => `${d.action} ${d.key}`).sort()).toEqual(['added A→B:uses', 'removed A→B:calls', 'removed A→B:owns']);
+  });
+
+  it('applyDiff replaces the old version of a retyped keyless edge', () => {
+    let g = addNode(addNode(createGraph(), createNode('A')), createNode('B'));
+    const base = addEdge(g, createEdge('A', 'B', {}, 'calls'));
+    const curr = addEdge(g, createEdge('A', 'B', {}, 'owns'));
+    const { graph } = applyDiff(base, computeDiff(base, curr), curr);
+    expect(graph.edges).toEqual([createEdge('A', 'B', {}, 'owns')]);
+  });
+});
+
+describe('nested prop values', () => {
+  const config = { retries: 3, hosts: ['a', 'b'], tls: { on: true } };
+
+  it('are not modified after a JSON round-trip', () => {
+    const base = addNode(createGraph(), createNode('A', { config }));
+    const curr = JSON.parse(JSON.stringify(base));
+    expect(computeDiff(base, curr)).toEqual([]);
+  });
+
+  it('report changes by path', () => {
+    const base = addNode(createGraph(), createNode('A', { config, x: '1' }));
+    const curr = updateNodeProps(base, 'A', { config: { ...config, retries: 5, tls: {} }, y: '2' });
+    const [d] = computeDiff(base, curr);
+    expect(d.action).toBe('modified');
+    expect(d.changes).toEqual([
+      { key: 'config.retries', kind: 'changed', oldValue: 3, newValue: 5 },
+      { key: 'config.tls.on', kind: 'removed', oldValue: true, newValue: undefined },
+      { key: 'x', kind: 'removed', oldValue: '1', newValue: undefined },
+      { key: 'y', kind: 'added', oldValue: undefined, newValue: '2' },
+    ]);
+  });
+
+  it('edge entries carry changes too', () => {
+    let base = addNode(addNode(createGraph(), createNode('A')), createNode('B'));
+    base = addEdge(base, createEdge('A', 'B', { w: 1 }));
+    const curr = { ...base, edges: [{ ...base.edges[0], props: { w: 2 } }] };
+    expect(computeDiff(base, curr)[0].changes).toEqual([{ key: 'w', kind: 'changed', oldValue: 1, newValue: 2 }]);
+  });
+});
+
+describe('valuesEqual', () => {
+  it('compares objects and arrays structurally', () => {
+    expect(valuesEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toBe(true);
+    expect(valuesEqual([1, 2], [2, 1])).toBe(false);
+    expect(valuesEqual({ a: 1 }, { a: 1, b: undefined })).toBe(false);
+    expect(valuesEqual([], {})).toBe(false);
+    expect(valuesEqual(null, {})).toBe(false);
+    expect(valuesEqual('1', 1)).toBe(false);
+  });
+});
+
+describe('diffProps', () => {
+  it('compares arrays as a whole', () => {
+    expect(diffProps({ tags: ['a'] }, { tags: ['a', 'b'] })).toEqual([
+      { key: 'tags', kind: 'changed', oldValue: ['a'], newValue: ['a', 'b'] },
+    ]);
+  });
+
+  it('reports an object replacing a scalar as one change', () => {
+    expect(diffProps({ c: '1' }, { c: { d: 1 } })).toEqual([{ key: 'c', kind: 'changed', oldValue: '1', newValue: { d: 1 } }]);
+  });
+});
+
+describe('formatPropChange', () => {
+  it('formats each kind', () => {
+    expect(formatPropChange({ key: 'config.retries', kind: 'changed', oldValue: 3, newValue: 5 })).toBe('config.retries: 3 → 5');
+    expect(formatPropChange({ key: 'tags', kind: 'added', newValue: ['a'] })).toBe('+ tags = ["a"]');
+    expect(formatPropChange({ key: 'color', kind: 'removed', oldValue: 'red' })).toBe('- color');
+  });
+});
+
+describe('formatDiffDetails', () => {
+  const template = { nodeTypes: [{ id: 'svc', label: 'Service' }], edgeTypes: [] };
+
+  it('lists the props of added and removed elements', () => {
+    const base = addNode(createGraph(), createNode('A', { x: '1', tags: ['a'] }));
+    const [removed] = computeDiff(base, createGraph());
+    const [added] = computeDiff(createGraph(), base);
+    expect(formatDiffDetails(removed)).toBe('x=1, tags=["a"]');
+    expect(formatDiffDetails(added)).toBe('x=1, tags=["a"]');
+  });
+
+  it('lists prop changes of a modified element', () => {
+    const base = addNode(createGraph(), createNode('A', { x: '1', y: '2' }));
+    const curr = updateNodeProps(base, 'A', { x: '3', z: '4' });
+    expect(formatDiffDetails(computeDiff(base, curr)[0])).toBe('x: 1 → 3; - y; + z = 4');
+  });
+
+  it('leads with the label and type change, naming types from the template', () => {
+    const base = addNode(createGraph(), createNode('Old', { x: '1' }, null, 'n1'));
+    const curr = addNode(createGraph(), createNode('New', { x: '2' }, 'svc', 'n1'));
+    expect(formatDiffDetails(computeDiff(base, curr)[0], template))
+      .toBe('label: Old → New; type: untyped → Service; x: 1 → 2');
+  });
+
+  it('falls back to type ids without a template', () => {
+    const base = addNode(createGraph(), createNode('A', {}, 'svc'));
+    const curr = addNode(createGraph(), createNode('A', {}, 'db'));
+    expect(formatDiffDetails(computeDiff(base, curr)[0])).toBe('type: svc → db');
+  });
+});
+
+describe('applyDiff', () => {
+  // Source panel: base A→B; current modifies A and adds C with edge B→C
+  let base = addNode(addNode(createGraph(), createNode('A', { v: '1' })), createNode('B'));
+  base = addEdge(base, createEdge('A', 'B'));
+  let source = updateNodeProps(addNode(base, createNode('C')), 'A', { v: '2' });
+  source = addEdge(source, createEdge('B', 'C'));
+  const sourceDiffs = computeDiff(base, source);
+  const pick = (type, action, key) => sourceDiffs.find(d => d.type === type && d.action === action && d.key === key);
+
+  it('applies only the picked entries', () => {
+    const { graph, applied } = applyDiff(base, [pick('node', 'modified', 'A')], source);
+    expect(graph.nodes.find(n => n.id === 'A').props).toEqual({ v: '2' });
+    expect(graph.nodes.map(n => n.id)).toEqual(['A', 'B']);
+    expect(applied).toHaveLength(1);
+  });
+
+  it('pulls in missing endpoints of a picked edge as dependencies', () => {
+    const { graph, applied } = applyDiff(base, [pick('edge', 'added', 'B→C')], source);
+    expect(graph.nodes.map(n => n.id)).toContain('C');
+    expect(graph.edges.map(e => `${e.source}→${e.target}`)).toContain('B→C');
+    expect(applied.find(d => d.key === 'C')).toMatchObject({ type: 'node', action: 'added', dependency: true });
+  });
+
+  it('removes edges of a picked node removal as dependencies', () => {
+    const removal = computeDiff(source, base).find(d => d.type === 'node' && d.key === 'C');
+    const { graph, applied } = applyDiff(source, [removal], base);
+    expect(graph.nodes.map(n => n.id)).not.toContain('C');
+    expect(graph.edges).toHaveLength(1);
+    expect(applied.find(d => d.type === 'edge')).toMatchObject({ action: 'removed', key: 'B→C', dependency: true });
+  });
+
+  it('creates a modified element the target lacks', () => {
+    const target = addNode(createGraph(), createNode('B'));
+    const { graph } = applyDiff(target, [pick('node', 'modified', 'A')], source);
+    expect(graph.nodes.find(n => n.id === 'A').props).toEqual({ v: '2' });
+  });
+
+  it('skips entries whose label is taken by another target node', () => {
+    const target = addNode(base, createNode('C', {}, null, 'other'));
+    const { graph, applied, skipped } = applyDiff(target, [pick('edge', 'added', 'B→C')], source);
+    expect(applied).toEqual([]);
+    expect(skipped[0]).toMatchObject({ key: 'B→C', reason: expect.stringMatching(/endpoint/) });
+    expect(graph).toEqual(target);
+  });
+
+  it('does not mutate the target', () => {
+    const target = JSON.parse(JSON.stringify(base));
+    applyDiff(target, sourceDiffs, source);
+    expect(target).toEqual(base);
+  });
 });
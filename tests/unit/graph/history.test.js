@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { approvalId, ensureApprovalIds, nameApproval, branchHistory, buildCommitGraph } from '../../../src/graph/history.js';
+import { createGraph } from '../../../src/graph/model.js';
+
+const entry = (id, extra = {}) => ({ id, name: null, graph: createGraph(), baseGraph: null, timestamp: `2026-01-01T10:00:0${id.slice(-1)}.000Z`, diffSummary: '', ...extra });
+
+describe('ensureApprovalIds', () => {
+  it('assigns ids and names to legacy entries only', () => {
+    const legacy = { timestamp: '2026-01-01T10:00:00.000Z', graph: createGraph() };
+    const result = ensureApprovalIds([legacy, entry('a2', { name: 'v2' })], '1');
+    expect(result[0]).toMatchObject({ id: approvalId('1', legacy.timestamp), name: null });
+    expect(result[1]).toMatchObject({ id: 'a2', name: 'v2' });
+    expect(legacy.id).toBeUndefined();
+  });
+});
+
+describe('nameApproval', () => {
+  it('names one entry and clears with an empty name', () => {
+    const named = nameApproval([entry('a1'), entry('a2')], 1, 'release');
+    expect(named.map(e => e.name)).toEqual([null, 'release']);
+    expect(nameApproval(named, 1, '')[1].name).toBeNull();
+  });
+});
+
+describe('branchHistory', () => {
+  it('copies the entries up to and including index', () => {
+    const entries = [entry('a1'), entry('a2'), entry('a3')];
+    const branch = branchHistory(entries, 1);
+    expect(branch.map(e => e.id)).toEqual(['a1', 'a2']);
+    branch[0].graph.nodes.push({ id: 'X' });
+    expect(entries[0].graph.nodes).toEqual([]);
+  });
+});
+
+describe('buildCommitGraph', () => {
+  // Panel 1: a1 → a2 → a3; Panel 2 branched at a2, then approved b1
+  const histories = [
+    { panelId: '1', entries: [entry('a1'), entry('a2'), entry('a3')] },
+    { panelId: '2', entries: [entry('a1'), entry('a2', { name: 'fork' }), entry('b1')] },
+  ];
+
+  it('merges shared approvals into one commit', () => {
+    const { commits } = buildCommitGraph(histories);
+    expect(commits.map(c => c.id)).toEqual(['a1', 'a2', 'a3', 'b1']);
+    expect(commits.find(c => c.id === 'a2')).toMatchObject({ panels: ['1', '2'], heads: [], name: 'fork' });
+  });
+
+  it('marks each panel head', () => {
+    const { commits } = buildCommitGraph(histories);
+    expect(commits.find(c => c.id === 'a3').heads).toEqual(['1']);
+    expect(commits.find(c => c.id === 'b1').heads).toEqual(['2']);
+  });
+
+  it('links parents to children once, branching at the shared approval', () => {
+    const { links } = buildCommitGraph(histories);
+    expect(links).toEqual([
+      { parent: 'a1', child: 'a2' },
+      { parent: 'a2', child: 'a3' },
+      { parent: 'a2', child: 'b1' },
+    ]);
+  });
+
+  it('returns nothing for panels without approvals', () => {
+    expect(buildCommitGraph([{ panelId: '1', entries: [] }])).toEqual({ commits: [], links: [] });
+  });
+});
@@ -1,6 +1,9 @@
 import { describe, it, expect } from 'vitest';
-import { mergeGraphs, filterUpstreamSubgraph } from '../../../src/graph/merge.js';
-import { createGraph, addNode, addEdge, createNode, createEdge } from '../../../src/graph/model.js';
+import {
+  mergeGraphs, filterUpstreamSubgraph, filterDownstreamSubgraph, filterNeighborhoodSubgraph, filterScopedSubgraph, filterTypedSubgraph,
+  threeWayMerge, applyResolutions, findResolutionLabelClashes, conflictId, findPolicyRejections, octopusMerge, revertChanges, rebaseChanges, computeMerge } from '../../../src/graph/merge.js';
+import { createGraph, addNode, addEdge, createNode, createEdge, updateNodeProps, updateEdgeProps, removeNode } from '../../../src/graph/model.js';
+import { validateGraph } from '../../../src/graph/serializer.js';
 
 function buildGraph(...labels) {
   return labels.reduce((g, l) => addNode(g, createNode(l)), createGraph());
@@ -22,6 +25,12 @@ describe('mergeGraphs — no base (additive only)', () => {
     expect(result.nodes.find(n => n.label === 'A').props.x).toBe('99');
   });
 
+  it('incoming type wins for existing nodes', () => {
+    const target = addNode(createGraph(), createNode('A', {}, 'svc'));
+    const incoming = addNode(createGraph(), createNode('A', {}, 'db'));
+    expect(mergeGraphs(target, incoming).nodes[0].type).toBe('db');
+  });
+
   it('does not apply deletions without base', () => {
     const target = buildGraph('A', 'B');
     const incoming = buildGraph('A'); // B "missing" but no base = no deletion
@@ -183,3 +192,657 @@ describe('filterUpstreamSubgraph', () => {
     expect(sub.nodes[0].label).toBe('A');
   });
 });
+
+describe('filterDownstreamSubgraph', () => {
+  // A → B → C, D → B, E isolated
+  const chain = () => {
+    let g = buildGraph('A', 'B', 'C', 'D', 'E');
+    g = addEdge(g, createEdge('A', 'B'));
+    g = addEdge(g, createEdge('B', 'C'));
+    return addEdge(g, createEdge('D', 'B'));
+  };
+
+  it('returns original graph reference when scope is empty', () => {
+    const g = chain();
+    expect(filterDownstreamSubgraph(g, [])).toBe(g);
+  });
+
+  it('returns only descendants of scope nodes', () => {
+    const sub = filterDownstreamSubgraph(chain(), ['A']);
+    expect(sub.nodes.map(n => n.label).sort()).toEqual(['A', 'B', 'C']);
+    expect(sub.edges.map(e => `${e.source}→${e.target}`).sort()).toEqual(['A→B', 'B→C']);
+  });
+
+  it('does not include ancestors of the scope', () => {
+    const labels = filterDownstreamSubgraph(chain(), ['B']).nodes.map(n => n.label).sort();
+    expect(labels).toEqual(['B', 'C']);
+  });
+});
+
+describe('filterNeighborhoodSubgraph', () => {
+  // A → B → C → D → E
+  const line = () => {
+    let g = buildGraph('A', 'B', 'C', 'D', 'E');
+    for (const [s, t] of [['A', 'B'], ['B', 'C'], ['C', 'D'], ['D', 'E']]) g = addEdge(g, createEdge(s, t));
+    return g;
+  };
+
+  it('includes nodes within one hop in both directions by default', () => {
+    const labels = filterNeighborhoodSubgraph(line(), ['C']).nodes.map(n => n.label).sort();
+    expect(labels).toEqual(['B', 'C', 'D']);
+  });
+
+  it('honours the hop count', () => {
+    const labels = filterNeighborhoodSubgraph(line(), ['C'], 2).nodes.map(n => n.label).sort();
+    expect(labels).toEqual(['A', 'B', 'C', 'D', 'E']);
+  });
+
+  it('keeps only edges between included nodes', () => {
+    const sub = filterNeighborhoodSubgraph(line(), ['A'], 1);
+    expect(sub.edges.map(e => `${e.source}→${e.target}`)).toEqual(['A→B']);
+  });
+});
+
+describe('filterScopedSubgraph', () => {
+  let g = buildGraph('A', 'B', 'C');
+  g = addEdge(g, createEdge('A', 'B'));
+  g = addEdge(g, createEdge('B', 'C'));
+  const labels = (sub) => sub.nodes.map(n => n.label).sort();
+
+  it('dispatches by strategy name', () => {
+    expect(labels(filterScopedSubgraph(g, 'scoped', ['B']))).toEqual(['A', 'B']);
+    expect(labels(filterScopedSubgraph(g, 'downstream', ['B']))).toEqual(['B', 'C']);
+    expect(labels(filterScopedSubgraph(g, 'neighborhood', ['A'], 1))).toEqual(['A', 'B']);
+  });
+
+  it('returns the graph unchanged for non-scoped strategies', () => {
+    expect(filterScopedSubgraph(g, 'mirror', ['B'])).toBe(g);
+  });
+});
+
+describe('filterTypedSubgraph', () => {
+  const typed = () => {
+    let g = createGraph();
+    g = addNode(g, createNode('S1', {}, 'svc'));
+    g = addNode(g, createNode('S2', {}, 'svc'));
+    g = addNode(g, createNode('D1', {}, 'db'));
+    g = addEdge(g, createEdge('S1', 'S2', {}, 'dep'));
+    return addEdge(g, createEdge('S1', 'D1', {}, 'reads'));
+  };
+
+  it('keeps only nodes and edges of the chosen types', () => {
+    const sub = filterTypedSubgraph(typed(), ['svc'], ['dep']);
+    expect(sub.nodes.map(n => n.label)).toEqual(['S1', 'S2']);
+    expect(sub.edges.map(e => `${e.source}→${e.target}`)).toEqual(['S1→S2']);
+  });
+
+  it('selects edges by type even when their endpoints are filtered out', () => {
+    const sub = filterTypedSubgraph(typed(), [], ['reads']);
+    expect(sub.nodes).toEqual([]);
+    expect(sub.edges).toHaveLength(1);
+  });
+
+  it('restricts three-way deletions to the chosen types', () => {
+    const base = typed();
+    const source = removeNode(removeNode(typed(), 'S2'), 'D1');
+    const { graph } = threeWayMerge(filterTypedSubgraph(base, ['svc'], ['dep']), base, filterTypedSubgraph(source, ['svc'], ['dep']));
+    expect(graph.nodes.map(n => n.label).sort()).toEqual(['D1', 'S1']);
+    expect(graph.edges.map(e => `${e.source}→${e.target}`)).toEqual(['S1→D1']);
+  });
+});
+
+describe('threeWayMerge', () => {
+  const base = () => addNode(addNode(createGraph(), createNode('A', { x: '1', y: '1' })), createNode('B'));
+
+  it('behaves like mirror when target is unchanged since base', () => {
+    const source = updateNodeProps(removeNode(base(), 'B'), 'A', { x: '2', y: '1' });
+    const { graph, conflicts } = threeWayMerge(base(), base(), source);
+    expect(conflicts).toEqual([]);
+    expect(graph.nodes.map(n => n.label)).toEqual(['A']);
+    expect(graph.nodes[0].props).toEqual({ x: '2', y: '1' });
+  });
+
+  it('auto-merges non-overlapping prop changes key-by-key', () => {
+    const ours = updateNodeProps(base(), 'A', { x: '5', y: '1' });
+    const theirs = updateNodeProps(base(), 'A', { x: '1', y: '9' });
+    const { graph, conflicts } = threeWayMerge(base(), ours, theirs);
+    expect(conflicts).toEqual([]);
+    expect(graph.nodes.find(n => n.label === 'A').props).toEqual({ x: '5', y: '9' });
+  });
+
+  it('reports modify/modify conflicts and keeps the target value', () => {
+    const ours = updateNodeProps(base(), 'A', { x: '5', y: '1' });
+    const theirs = updateNodeProps(base(), 'A', { x: '7', y: '1' });
+    const { graph, conflicts } = threeWayMerge(base(), ours, theirs);
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({ type: 'node', key: 'A', kind: 'modify/modify', keys: ['x'] });
+    expect(conflicts[0].base.props.x).toBe('1');
+    expect(conflicts[0].theirs.props.x).toBe('7');
+    expect(graph.nodes.find(n => n.label === 'A').props.x).toBe('5');
+  });
+
+  it('treats identical changes on both sides as no conflict', () => {
+    const ours = updateNodeProps(base(), 'A', { x: '5', y: '1' });
+    const { conflicts } = threeWayMerge(base(), ours, ours);
+    expect(conflicts).toEqual([]);
+  });
+
+  it('reports modify/delete when incoming deletes a node the target edited', () => {
+    const ours = updateNodeProps(base(), 'A', { x: '5', y: '1' });
+    const theirs = removeNode(base(), 'A');
+    const { graph, conflicts } = threeWayMerge(base(), ours, theirs);
+    expect(conflicts[0]).toMatchObject({ key: 'A', kind: 'modify/delete', theirs: null });
+    expect(graph.nodes.map(n => n.label)).toContain('A');
+  });
+
+  it('reports delete/modify when the target deleted a node incoming edited', () => {
+    const ours = removeNode(base(), 'A');
+    const theirs = updateNodeProps(base(), 'A', { x: '5', y: '1' });
+    const { graph, conflicts } = threeWayMerge(base(), ours, theirs);
+    expect(conflicts[0]).toMatchObject({ key: 'A', kind: 'delete/modify', ours: null });
+    expect(graph.nodes.map(n => n.label)).not.toContain('A');
+  });
+
+  it('keeps target deletions of nodes incoming left untouched', () => {
+    const ours = removeNode(base(), 'B');
+    const { graph, conflicts } = threeWayMerge(base(), ours, base());
+    expect(conflicts).toEqual([]);
+    expect(graph.nodes.map(n => n.label)).toEqual(['A']);
+  });
+
+  it('reports a type conflict when both sides retype an element differently', () => {
+    const ours = { nodes: base().nodes.map(n => n.label === 'B' ? { ...n, type: 't1' } : n), edges: [] };
+    const theirs = { nodes: base().nodes.map(n => n.label === 'B' ? { ...n, type: 't2' } : n), edges: [] };
+    const { conflicts } = threeWayMerge(base(), ours, theirs);
+    expect(conflicts[0]).toMatchObject({ key: 'B', kind: 'type', typeConflict: true });
+  });
+
+  it('takes the incoming type when only incoming retyped', () => {
+    const theirs = { nodes: base().nodes.map(n => n.label === 'B' ? { ...n, type: 't2' } : n), edges: [] };
+    const { graph } = threeWayMerge(base(), base(), theirs);
+    expect(graph.nodes.find(n => n.label === 'B').type).toBe('t2');
+  });
+
+  it('flags deleting a node the target connected a new edge to', () => {
+    const ours = addEdge(addNode(base(), createNode('C')), createEdge('C', 'B'));
+    const theirs = removeNode(base(), 'B');
+    const { graph, conflicts } = threeWayMerge(base(), ours, theirs);
+    expect(conflicts[0]).toMatchObject({ type: 'node', key: 'B', kind: 'modify/delete' });
+    expect(graph.edges).toHaveLength(1);
+  });
+
+  it('flags deleting a node whose edge the target modified, keeping the edge', () => {
+    const b = addEdge(base(), createEdge('A', 'B', { w: '1' }));
+    const ours = updateEdgeProps(b, 'A', 'B', { w: '2' });
+    const theirs = removeNode(b, 'B');
+    const { graph, conflicts } = threeWayMerge(b, ours, theirs);
+    expect(conflicts.map(c => `${c.type} ${c.key} ${c.kind}`)).toEqual(['node B modify/delete', 'edge A→B modify/delete']);
+    expect(graph.edges).toEqual([createEdge('A', 'B', { w: '2' })]);
+    const keepOurs = Object.fromEntries(conflicts.map(c => [conflictId(c), c.ours]));
+    expect(applyResolutions(graph, conflicts, keepOurs).edges).toEqual([createEdge('A', 'B', { w: '2' })]);
+  });
+
+  it('merges edge additions from both sides', () => {
+    const b = addNode(base(), createNode('C'));
+    const ours = addEdge(b, createEdge('A', 'B'));
+    const theirs = addEdge(b, createEdge('B', 'C'));
+    const { graph, conflicts } = threeWayMerge(b, ours, theirs);
+    expect(conflicts).toEqual([]);
+    expect(graph.edges.map(e => `${e.source}→${e.target}`).sort()).toEqual(['A→B', 'B→C']);
+  });
+
+  it('does not mutate its inputs', () => {
+    const ours = updateNodeProps(base(), 'A', { x: '5', y: '1' });
+    const theirs = updateNodeProps(base(), 'A', { x: '1', y: '9' });
+    threeWayMerge(base(), ours, theirs);
+    expect(ours.nodes[0].props).toEqual({ x: '5', y: '1' });
+  });
+});
+
+describe('applyResolutions', () => {
+  const base = () => addEdge(addNode(addNode(createGraph(), createNode('A', { x: '1' })), createNode('B')), createEdge('A', 'B'));
+
+  it('builds conflict ids from type and key', () => {
+    expect(conflictId({ type: 'edge', key: 'A→B' })).toBe('edge:A→B');
+  });
+
+  it('replaces a conflicting element with the resolved one', () => {
+    const ours = updateNodeProps(base(), 'A', { x: '5' });
+    const theirs = updateNodeProps(base(), 'A', { x: '7' });
+    const { graph, conflicts } = threeWayMerge(base(), ours, theirs);
+    const resolved = applyResolutions(graph, conflicts, { 'node:A': { ...conflicts[0].theirs, props: { x: '6' } } });
+    expect(resolved.nodes.find(n => n.label === 'A').props).toEqual({ x: '6' });
+    expect(graph.nodes.find(n => n.label === 'A').props).toEqual({ x: '5' });
+  });
+
+  it('removes the element on a null resolution and drops orphan edges', () => {
+    const ours = updateNodeProps(base(), 'A', { x: '5' });
+    const theirs = removeNode(base(), 'A');
+    const { graph, conflicts } = threeWayMerge(base(), ours, theirs);
+    const resolved = applyResolutions(graph, conflicts, { 'node:A': null });
+    expect(resolved.nodes.map(n => n.label)).toEqual(['B']);
+    expect(resolved.edges).toEqual([]);
+  });
+
+  it('restores an element the target deleted when theirs is chosen', () => {
+    const ours = removeNode(base(), 'A');
+    const theirs = updateNodeProps(base(), 'A', { x: '7' });
+    const { graph, conflicts } = threeWayMerge(base(), ours, theirs);
+    const resolved = applyResolutions(graph, conflicts, { 'node:A': conflicts[0].theirs });
+    expect(resolved.nodes.find(n => n.label === 'A').props).toEqual({ x: '7' });
+  });
+
+  it('leaves conflicts without a resolution untouched', () => {
+    const ours = updateNodeProps(base(), 'A', { x: '5' });
+    const theirs = updateNodeProps(base(), 'A', { x: '7' });
+    const { graph, conflicts } = threeWayMerge(base(), ours, theirs);
+    expect(applyResolutions(graph, conflicts, {})).toEqual(graph);
+  });
+});
+
+describe('merge policies', () => {
+  const template = {
+    nodeTypes: [{
+      id: 'svc', label: 'Service', color: '#fff',
+      mergePolicies: {
+        count: 'sum', hi: 'max', lo: 'min', tags: 'union-set', log: 'concatenate-list',
+        owner: 'reject-on-conflict', name: 'target-wins', note: 'incoming-wins',
+      },
+    }],
+    edgeTypes: [{ id: 'dep', label: 'Depends', color: '#fff', mergePolicies: { weight: 'max' } }],
+  };
+  const svc = (props) => addNode(createGraph(), createNode('A', props, 'svc'));
+
+  describe('two-way (mergeGraphs)', () => {
+    it('applies numeric policies', () => {
+      const result = mergeGraphs(svc({ count: '2', hi: '3', lo: '3' }), svc({ count: '5', hi: '7', lo: '1' }), null, template);
+      expect(result.nodes[0].props).toEqual({ count: '7', hi: '7', lo: '1' });
+    });
+
+    it('applies list policies to comma-separated strings and arrays', () => {
+      const result = mergeGraphs(svc({ tags: 'a,b', log: ['x'] }), svc({ tags: 'b,c', log: ['y'] }), null, template);
+      expect(result.nodes[0].props).toEqual({ tags: 'a,b,c', log: ['x', 'y'] });
+    });
+
+    it('honours target-wins and keeps the target value on reject-on-conflict', () => {
+      const result = mergeGraphs(svc({ name: 'ours', owner: 'me', note: 'a' }), svc({ name: 'theirs', owner: 'you', note: 'b' }), null, template);
+      expect(result.nodes[0].props).toEqual({ name: 'ours', owner: 'me', note: 'b' });
+    });
+
+    it('applies edge type policies', () => {
+      const g = (w) => addEdge(addNode(addNode(createGraph(), createNode('A')), createNode('B')), createEdge('A', 'B', { weight: w }, 'dep'));
+      expect(mergeGraphs(g('9'), g('4'), null, template).edges[0].props.weight).toBe('9');
+    });
+
+    it('falls back to incoming-wins for non-numeric values under numeric policies', () => {
+      expect(mergeGraphs(svc({ count: 'n/a' }), svc({ count: '5' }), null, template).nodes[0].props.count).toBe('5');
+    });
+
+    it('ignores policies without a template', () => {
+      expect(mergeGraphs(svc({ count: '2' }), svc({ count: '5' })).nodes[0].props.count).toBe('5');
+    });
+
+    it('reports reject-on-conflict props as conflicts', () => {
+      const conflicts = findPolicyRejections(svc({ owner: 'me' }), svc({ owner: 'you' }), template);
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0]).toMatchObject({ type: 'node', key: 'A', kind: 'modify/modify', keys: ['owner'], base: null });
+      expect(findPolicyRejections(svc({ owner: 'me' }), svc({ owner: 'me' }), template)).toEqual([]);
+    });
+  });
+
+  describe('three-way (threeWayMerge)', () => {
+    it('sums both sides\' deltas since base', () => {
+      const { graph, conflicts } = threeWayMerge(svc({ count: '10' }), svc({ count: '12' }), svc({ count: '15' }), template);
+      expect(conflicts).toEqual([]);
+      expect(graph.nodes[0].props.count).toBe('17');
+    });
+
+    it('unions sets and respects removals since base', () => {
+      const { graph } = threeWayMerge(svc({ tags: 'a,b' }), svc({ tags: 'a,c' }), svc({ tags: 'a,b,d' }), template);
+      expect(graph.nodes[0].props.tags).toBe('a,c,d');
+    });
+
+    it('appends only items incoming added since base', () => {
+      const { graph } = threeWayMerge(svc({ log: 'x' }), svc({ log: 'x,y' }), svc({ log: 'x,z' }), template);
+      expect(graph.nodes[0].props.log).toBe('x,y,z');
+    });
+
+    it('still reports a conflict for reject-on-conflict or undeclared props', () => {
+      const { conflicts } = threeWayMerge(svc({ owner: 'a', other: '1' }), svc({ owner: 'b', other: '2' }), svc({ owner: 'c', other: '3' }), template);
+      expect(conflicts[0].keys).toEqual(['owner', 'other']);
+    });
+
+    it('only consults policies when both sides changed the prop', () => {
+      const { graph } = threeWayMerge(svc({ count: '10' }), svc({ count: '10' }), svc({ count: '15' }), template);
+      expect(graph.nodes[0].props.count).toBe('15');
+    });
+  });
+});
+
+describe('rename-aware merge', () => {
+  const renamed = (label, id, props = {}) => createNode(label, props, null, id);
+
+  it('mergeGraphs carries a rename onto the target node, keeping its edges', () => {
+    let target = buildGraph('A', 'B');
+    target = addEdge(target, createEdge('A', 'B'));
+    const incoming = { nodes: [renamed('Alpha', 'A')], edges: [] };
+    const result = mergeGraphs(target, incoming);
+    expect(result.nodes).toHaveLength(2);
+    expect(result.nodes.find(n => n.id === 'A').label).toBe('Alpha');
+    expect(result.edges).toHaveLength(1);
+  });
+
+  it('threeWayMerge applies a rename from one side alongside a prop edit from the other', () => {
+    const base = buildGraph('A');
+    const target = { nodes: [renamed('A', 'A', { x: '1' })], edges: [] };
+    const incoming = { nodes: [renamed('Alpha', 'A')], edges: [] };
+    const { graph, conflicts } = threeWayMerge(base, target, incoming);
+    expect(conflicts).toHaveLength(0);
+    expect(graph.nodes[0]).toMatchObject({ id: 'A', label: 'Alpha', props: { x: '1' } });
+  });
+
+  it('threeWayMerge reports differing renames as a rename conflict, keeping ours', () => {
+    const base = buildGraph('A');
+    const target = { nodes: [renamed('Ours', 'A')], edges: [] };
+    const incoming = { nodes: [renamed('Theirs', 'A')], edges: [] };
+    const { graph, conflicts } = threeWayMerge(base, target, incoming);
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({ kind: 'rename', labelConflict: true, key: 'A' });
+    expect(graph.nodes[0].label).toBe('Ours');
+  });
+
+  it('threeWayMerge does not delete a node the target renamed', () => {
+    const base = buildGraph('A');
+    const target = { nodes: [renamed('Alpha', 'A')], edges: [] };
+    const { conflicts } = threeWayMerge(base, target, createGraph());
+    expect(conflicts[0].kind).toBe('modify/delete');
+  });
+
+  it('mergeGraphs skips an incoming rename to a label another node carries, and reports it', () => {
+    const target = { nodes: [renamed('A', 'A'), renamed('B', 'B')], edges: [] };
+    const incoming = { nodes: [renamed('B', 'A')], edges: [] };
+    const result = mergeGraphs(target, incoming);
+    expect(result.nodes.map(n => n.label)).toEqual(['A', 'B']);
+    expect(validateGraph(result).ok).toBe(true);
+    expect(findPolicyRejections(target, incoming)).toMatchObject([{ key: 'A', kind: 'rename', labelConflict: true }]);
+  });
+
+  it('mergeGraphs carries a rename onto the label of a node the incoming side deleted', () => {
+    const base = { nodes: [renamed('A', 'A'), renamed('B', 'B')], edges: [] };
+    const incoming = { nodes: [renamed('B', 'A')], edges: [] };
+    expect(mergeGraphs(base, incoming, base).nodes).toEqual([renamed('B', 'A')]);
+  });
+
+  it('threeWayMerge reports an incoming rename to a label the target took as a conflict, keeping ours', () => {
+    const base = { nodes: [renamed('A', 'A'), renamed('B', 'B')], edges: [] };
+    const target = { nodes: [renamed('A', 'A'), renamed('X', 'B')], edges: [] };
+    const incoming = { nodes: [renamed('X', 'A'), renamed('B', 'B')], edges: [] };
+    const { graph, conflicts } = threeWayMerge(base, target, incoming);
+    expect(graph.nodes.map(n => n.label)).toEqual(['A', 'X']);
+    expect(validateGraph(graph).ok).toBe(true);
+    expect(conflicts).toMatchObject([{ key: 'A', kind: 'rename', labelConflict: true }]);
+  });
+
+  it('applyResolutions keeps ours when a label conflict is resolved to a taken label', () => {
+    const base = { nodes: [renamed('A', 'a'), renamed('B', 'b')], edges: [] };
+    const target = { nodes: [renamed('A', 'a'), renamed('X', 'b')], edges: [] };
+    const incoming = { nodes: [renamed('X', 'a'), renamed('B', 'b')], edges: [] };
+    const { graph, conflicts } = threeWayMerge(base, target, incoming);
+    expect(conflicts[0]).toMatchObject({ key: 'a', labelConflict: true, labelTaken: true });
+    const resolutions = { [conflictId(conflicts[0])]: conflicts[0].theirs };
+    expect(findResolutionLabelClashes(graph, conflicts, resolutions)).toEqual([{ id: 'node:a', label: 'X' }]);
+    const resolved = applyResolutions(graph, conflicts, resolutions);
+    expect(resolved.nodes.map(n => n.label)).toEqual(['A', 'X']);
+    expect(validateGraph(resolved).ok).toBe(true);
+  });
+
+  it('threeWayMerge carries swapped labels over without conflicts', () => {
+    const base = { nodes: [renamed('A', 'A'), renamed('B', 'B')], edges: [] };
+    const incoming = { nodes: [renamed('B', 'A'), renamed('A', 'B')], edges: [] };
+    const { graph, conflicts } = threeWayMerge(base, base, incoming);
+    expect(graph.nodes.map(n => n.label)).toEqual(['B', 'A']);
+    expect(conflicts).toEqual([]);
+  });
+
+  it('scope filters match nodes by id', () => {
+    let g = addNode(addNode(createGraph(), renamed('Parent', 'p')), renamed('Child', 'c'));
+    g = addEdge(g, createEdge('p', 'c'));
+    const sub = filterUpstreamSubgraph(g, ['c']);
+    expect(sub.nodes.map(n => n.label).sort()).toEqual(['Child', 'Parent']);
+  });
+});
+
+describe('parallel edges in merges', () => {
+  const withEdges = (...types) => types.reduce(
+    (g, t) => addEdge(g, createEdge('A', 'B', { t }, t)), buildGraph('A', 'B'));
+
+  it('mergeGraphs keeps parallel edges of different types apart', () => {
+    const result = mergeGraphs(withEdges('calls'), withEdges('owns'));
+    expect(result.edges.map(e => e.type).sort()).toEqual(['calls', 'owns']);
+  });
+
+  it('mergeGraphs deletes only the parallel edge removed in the source', () => {
+    const base = withEdges('calls', 'owns');
+    const result = mergeGraphs(withEdges('calls', 'owns'), withEdges('calls'), base);
+    expect(result.edges.map(e => e.type)).toEqual(['calls']);
+  });
+
+  it('threeWayMerge merges edits to different parallel edges without conflict', () => {
+    const base = withEdges('calls', 'owns');
+    const target = withEdges('calls', 'owns');
+    target.edges[0].props.x = 'ours';
+    const incoming = withEdges('calls', 'owns');
+    incoming.edges[1].props.x = 'theirs';
+    const { graph, conflicts } = threeWayMerge(base, target, incoming);
+    expect(conflicts).toHaveLength(0);
+    expect(graph.edges.map(e => e.props.x)).toEqual(['ours', 'theirs']);
+  });
+});
+
+describe('octopusMerge', () => {
+  const withProps = (label, props) => updateNodeProps(buildGraph(label), label, props);
+
+  it('merges every source into the target and attributes each change', () => {
+    const base = buildGraph('A');
+    const { graph, conflicts, contributions } = octopusMerge(base, [
+      { id: '2', graph: buildGraph('A', 'B') },
+      { id: '3', graph: buildGraph('A', 'C') },
+    ], base);
+    expect(conflicts).toHaveLength(0);
+    expect(graph.nodes.map(n => n.label)).toEqual(['A', 'B', 'C']);
+    expect(contributions.map(d => [d.source, d.action, d.key])).toEqual([['2', 'added', 'B'], ['3', 'added', 'C']]);
+  });
+
+  it('three-way: sources editing the same prop differently conflict, tagged with the later source', () => {
+    const base = withProps('A', { x: '0' });
+    const { graph, conflicts } = octopusMerge(base, [
+      { id: '2', graph: withProps('A', { x: '1' }) },
+      { id: '3', graph: withProps('A', { x: '2' }) },
+    ], base);
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({ source: '3', kind: 'modify/modify', keys: ['x'] });
+    expect(graph.nodes[0].props.x).toBe('1');
+  });
+
+  it('three-way: a source that left an element alone does not undo an earlier source', () => {
+    const base = withProps('A', { x: '0' });
+    const { graph, conflicts } = octopusMerge(base, [
+      { id: '2', graph: withProps('A', { x: '1' }) },
+      { id: '3', graph: withProps('A', { x: '0' }) },
+    ], base);
+    expect(conflicts).toHaveLength(0);
+    expect(graph.nodes[0].props.x).toBe('1');
+  });
+
+  it('sequential: later sources win without conflicts', () => {
+    const base = withProps('A', { x: '0' });
+    const { graph, conflicts, contributions } = octopusMerge(base, [
+      { id: '2', graph: withProps('A', { x: '1' }) },
+      { id: '3', graph: withProps('A', { x: '2' }) },
+    ], base, 'sequential');
+    expect(conflicts).toHaveLength(0);
+    expect(graph.nodes[0].props.x).toBe('2');
+    expect(contributions.map(d => d.source)).toEqual(['2', '3']);
+  });
+
+  it('does not mutate the target graph', () => {
+    const target = buildGraph('A');
+    octopusMerge(target, [{ id: '2', graph: buildGraph('B') }], null);
+    expect(target.nodes).toHaveLength(1);
+  });
+});
+
+describe('threeWayMerge — nested prop values', () => {
+  it('does not conflict on equal objects after a JSON round-trip', () => {
+    const base = addNode(createGraph(), createNode('A', { config: { retries: 3 } }));
+    const ours = updateNodeProps(base, 'A', { config: { retries: 3 }, x: '1' });
+    const theirs = JSON.parse(JSON.stringify(base));
+    const { graph, conflicts } = threeWayMerge(base, ours, theirs);
+    expect(conflicts).toEqual([]);
+    expect(graph.nodes[0].props).toEqual({ config: { retries: 3 }, x: '1' });
+  });
+});
+
+describe('revertChanges', () => {
+  // Approval #1: A; approval #2 adds B and sets A.x; later work adds C
+  const first = updateNodeProps(buildGraph('A'), 'A', { x: '0' });
+  const second = updateNodeProps(addEdge(addNode(first, createNode('B')), createEdge('A', 'B')), 'A', { x: '1' });
+  const current = addNode(second, createNode('C'));
+
+  it('undoes the approval and keeps later changes', () => {
+    const { graph, conflicts } = revertChanges(first, second, current);
+    expect(conflicts).toHaveLength(0);
+    expect(graph.nodes.map(n => n.id).sort()).toEqual(['A', 'C']);
+    expect(graph.edges).toHaveLength(0);
+    expect(graph.nodes.find(n => n.id === 'A').props).toEqual({ x: '0' });
+  });
+
+  it('conflicts where later changes touched the same element', () => {
+    const later = updateNodeProps(current, 'A', { x: '2' });
+    const { graph, conflicts } = revertChanges(first, second, later);
+    expect(conflicts).toEqual([expect.objectContaining({ type: 'node', key: 'A', kind: 'modify/modify', keys: ['x'] })]);
+    expect(graph.nodes.find(n => n.id === 'A').props.x).toBe('2');
+  });
+
+  it('reverting the initial approval removes what it introduced', () => {
+    const { graph } = revertChanges(null, first, addNode(first, createNode('C')));
+    expect(graph.nodes.map(n => n.id)).toEqual(['C']);
+  });
+});
+
+describe('rebaseChanges', () => {
+  const oldBase = updateNodeProps(addEdge(buildGraph('A', 'B'), createEdge('A', 'B')), 'A', { x: '0', y: '0' });
+
+  it('replays the retype of a keyless edge, keeping upstream prop edits', () => {
+    const local = { ...oldBase, edges: [createEdge('A', 'B', {}, 'calls')] };
+    const newBase = { ...oldBase, edges: [createEdge('A', 'B', { w: '1' })] };
+    const { graph, skipped } = rebaseChanges(oldBase, local, newBase);
+    expect(skipped).toEqual([]);
+    expect(graph.edges).toEqual([createEdge('A', 'B', { w: '1' }, 'calls')]);
+  });
+
+  it('replays local changes onto the new base', () => {
+    const local = addNode(updateNodeProps(oldBase, 'A', { x: '1', y: '0' }), createNode('L'));
+    const newBase = addNode(updateNodeProps(oldBase, 'A', { x: '0', y: '5' }), createNode('U'));
+    const { graph, applied, skipped } = rebaseChanges(oldBase, local, newBase);
+    expect(skipped).toEqual([]);
+    expect(applied.map(d => d.key).sort()).toEqual(['A', 'L']);
+    expect(graph.nodes.map(n => n.id).sort()).toEqual(['A', 'B', 'L', 'U']);
+    // Only the locally changed prop is replayed; upstream's y survives
+    expect(graph.nodes.find(n => n.id === 'A').props).toEqual({ x: '1', y: '5' });
+  });
+
+  it('skips a modification of an element removed upstream', () => {
+    const local = updateNodeProps(oldBase, 'B', { z: '1' });
+    const newBase = removeNode(oldBase, 'B');
+    const { graph, skipped } = rebaseChanges(oldBase, local, newBase);
+    expect(skipped).toEqual([expect.objectContaining({ key: 'B', action: 'modified', reason: 'removed upstream' })]);
+    expect(graph.nodes.map(n => n.id)).toEqual(['A']);
+  });
+
+  it('skips a prop change upstream also made differently', () => {
+    const local = updateNodeProps(oldBase, 'A', { x: '1', y: '0' });
+    const newBase = updateNodeProps(oldBase, 'A', { x: '2', y: '0' });
+    const { graph, skipped } = rebaseChanges(oldBase, local, newBase);
+    expect(skipped[0]).toMatchObject({ key: 'A', reason: 'x changed upstream too' });
+    expect(graph.nodes.find(n => n.id === 'A').props.x).toBe('2');
+  });
+
+  it('skips an added edge whose endpoint was removed upstream', () => {
+    const local = addEdge(addNode(oldBase, createNode('C')), createEdge('B', 'C'));
+    const { graph, applied, skipped } = rebaseChanges(oldBase, local, removeNode(oldBase, 'B'));
+    expect(applied.map(d => d.key)).toEqual(['C']);
+    expect(skipped).toEqual([expect.objectContaining({ type: 'edge', key: 'B→C', reason: 'endpoint removed upstream' })]);
+    expect(graph.edges).toEqual([]);
+  });
+
+  it('removing a node drops edges upstream attached to it', () => {
+    const local = removeNode(oldBase, 'B');
+    const newBase = addEdge(addNode(oldBase, createNode('C')), createEdge('C', 'B'));
+    const { graph, skipped } = rebaseChanges(oldBase, local, newBase);
+    expect(skipped).toEqual([]);
+    expect(graph.nodes.map(n => n.id).sort()).toEqual(['A', 'C']);
+    expect(graph.edges).toEqual([]);
+  });
+
+  it('treats a missing old base as empty', () => {
+    const { graph } = rebaseChanges(null, buildGraph('L'), buildGraph('U'));
+    expect(graph.nodes.map(n => n.id)).toEqual(['U', 'L']);
+  });
+});
+
+describe('computeMerge', () => {
+  const base = addEdge(buildGraph('A', 'B', 'C'), createEdge('A', 'B'));
+  const snapshot = graph => JSON.parse(JSON.stringify(graph));
+
+  it('computes the merge without mutating the target or the incoming graph', () => {
+    const target = { graph: addNode(base, createNode('L')), baseGraph: base };
+    const incoming = addNode(removeNode(base, 'C'), createNode('U'));
+    const before = snapshot({ target, incoming });
+    const { graph, conflicts } = computeMerge(target, incoming);
+    expect(conflicts).toEqual([]);
+    expect(graph.nodes.map(n => n.id).sort()).toEqual(['A', 'B', 'L', 'U']);
+    expect({ target, incoming }).toEqual(before);
+  });
+
+  it('keeps deletions out of push merges', () => {
+    const target = { graph: base, baseGraph: base };
+    const { graph } = computeMerge(target, removeNode(base, 'C'), 'push');
+    expect(graph.nodes.map(n => n.id)).toEqual(['A', 'B', 'C']);
+  });
+
+  it('limits scoped merges to the scope', () => {
+    const target = { graph: base, baseGraph: base };
+    const incoming = updateNodeProps(updateNodeProps(base, 'A', { x: '1' }), 'C', { x: '1' });
+    const { graph } = computeMerge(target, incoming, 'scoped', ['B']);
+    expect(graph.nodes.find(n => n.id === 'A').props).toEqual({ x: '1' });
+    expect(graph.nodes.find(n => n.id === 'C').props).toEqual({});
+  });
+
+  it('reports conflicts until every one is resolved, then applies the resolutions', () => {
+    const target = { graph: updateNodeProps(base, 'A', { x: '5' }), baseGraph: base };
+    const incoming = updateNodeProps(base, 'A', { x: '7' });
+    const pending = computeMerge(target, incoming);
+    expect(pending.unresolved.map(conflictId)).toEqual(['node:A']);
+    expect(pending.graph.nodes.find(n => n.id === 'A').props).toEqual({ x: '5' });
+    const resolutions = { 'node:A': pending.conflicts[0].theirs };
+    const { graph, unresolved } = computeMerge(target, incoming, 'mirror', [], { resolutions });
+    expect(unresolved).toEqual([]);
+    expect(graph.nodes.find(n => n.id === 'A').props).toEqual({ x: '7' });
+  });
+
+  it('copies the incoming graph into an empty target without a baseline', () => {
+    const { graph } = computeMerge({ graph: createGraph() }, base);
+    expect(graph).toEqual(base);
+    expect(graph).not.toBe(base);
+  });
+
+  it('returns the new baseline and skipped changes for rebase', () => {
+    const target = { graph: updateNodeProps(base, 'C', { x: '1' }), baseGraph: base };
+    const incoming = removeNode(base, 'C');
+    const { graph, baseGraph, skipped } = computeMerge(target, incoming, 'rebase');
+    expect(baseGraph).toEqual(incoming);
+    expect(skipped).toEqual([expect.objectContaining({ key: 'C', reason: 'removed upstream' })]);
+    expect(graph.nodes.map(n => n.id)).toEqual(['A', 'B']);
+  });
+});
@@ -2,8 +2,9 @@ import { describe, it, expect } from 'vitest';
 import {
   createGraph, createNode, createEdge, addNode, addEdge,
   removeNode, removeEdge, updateNodeProps, updateEdgeProps,
-  findNode, findEdge, nodeLabels, isEmpty, graphsEqual,
+  findNode, findEdge, nodeLabels, findDuplicateLabel, isEmpty, graphsEqual,
   deepClone, nodeKey, edgeKey, getAncestorSubgraph,
+  findNodeByLabel, uniqueNodeId, renameNode, findEdgeByKey, removeElements,
 } from '../../../src/graph/model.js';
 
 describe('createGraph', () => {
@@ -27,6 +28,11 @@ describe('createNode', () => {
     expect(n.props).toEqual({});
     expect(n.type).toBeNull();
   });
+
+  it('defaults id to label, accepts an explicit id', () => {
+    expect(createNode('A').id).toBe('A');
+    expect(createNode('A', {}, null, 'n1').id).toBe('n1');
+  });
 });
 
 describe('createEdge', () => {
@@ -148,6 +154,14 @@ describe('nodeLabels', () => {
   });
 });
 
+describe('findDuplicateLabel', () => {
+  it('returns the first label two nodes share, or null', () => {
+    const g = addNode(addNode(createGraph(), createNode('A', {}, null, 'a')), createNode('B', {}, null, 'b'));
+    expect(findDuplicateLabel(g)).toBe(null);
+    expect(findDuplicateLabel(addNode(g, createNode('A', {}, null, 'c')))).toBe('A');
+  });
+});
+
 describe('isEmpty', () => {
   it('true for empty graph', () => expect(isEmpty(createGraph())).toBe(true));
   it('false when nodes exist', () => {
@@ -212,3 +226,78 @@ describe('deepClone', () => {
     expect(obj.a.b).toBe(1);
   });
 });
+
+describe('stable node ids', () => {
+  it('nodeKey prefers id, falls back to label for legacy nodes', () => {
+    expect(nodeKey({ id: 'n1', label: 'A' })).toBe('n1');
+    expect(nodeKey({ label: 'A' })).toBe('A');
+  });
+
+  it('findNode looks up by id, findNodeByLabel by label', () => {
+    const g = addNode(createGraph(), createNode('Renamed', {}, null, 'A'));
+    expect(findNode(g, 'A').label).toBe('Renamed');
+    expect(findNode(g, 'Renamed')).toBeUndefined();
+    expect(findNodeByLabel(g, 'Renamed').id).toBe('A');
+  });
+
+  it('uniqueNodeId returns the label when free, suffixed otherwise', () => {
+    let g = addNode(createGraph(), createNode('B', {}, null, 'A'));
+    expect(uniqueNodeId(g, 'C')).toBe('C');
+    expect(uniqueNodeId(g, 'A')).toBe('A~2');
+    g = addNode(g, createNode('X', {}, null, 'A~2'));
+    expect(uniqueNodeId(g, 'A')).toBe('A~3');
+  });
+
+  it('renameNode changes label but keeps id and edges', () => {
+    let g = addNode(addNode(createGraph(), createNode('A')), createNode('B'));
+    g = addEdge(g, createEdge('A', 'B'));
+    const g2 = renameNode(g, 'A', 'Alpha');
+    expect(g2.nodes[0]).toMatchObject({ id: 'A', label: 'Alpha' });
+    expect(g2.edges[0].source).toBe('A');
+    expect(g.nodes[0].label).toBe('A'); // original unchanged
+  });
+
+  it('renameNode assigns the id to legacy nodes', () => {
+    const g = { nodes: [{ label: 'A', type: null, props: {} }], edges: [] };
+    expect(renameNode(g, 'A', 'Alpha').nodes[0]).toMatchObject({ id: 'A', label: 'Alpha' });
+  });
+});
+
+describe('parallel edges', () => {
+  const parallel = () => {
+    let g = addNode(addNode(createGraph(), createNode('A')), createNode('B'));
+    g = addEdge(g, createEdge('A', 'B', { w: '1' }, 'calls'));
+    return addEdge(g, createEdge('A', 'B', { w: '2' }, 'owns'));
+  };
+
+  it('edgeKey appends the type for typed edges, prefers an explicit id', () => {
+    expect(edgeKey({ source: 'A', target: 'B', type: 'calls' })).toBe('A→B:calls');
+    expect(edgeKey({ source: 'A', target: 'B', type: null })).toBe('A→B');
+    expect(edgeKey({ id: 'e1', source: 'A', target: 'B', type: 'calls' })).toBe('e1');
+  });
+
+  it('findEdge / findEdgeByKey pick one parallel edge', () => {
+    const g = parallel();
+    expect(findEdge(g, 'A', 'B', 'owns').props.w).toBe('2');
+    expect(findEdgeByKey(g, 'A→B:calls').props.w).toBe('1');
+  });
+
+  it('removeEdge / updateEdgeProps with a type touch only that edge', () => {
+    const g = parallel();
+    expect(removeEdge(g, 'A', 'B', 'calls').edges.map(e => e.type)).toEqual(['owns']);
+    expect(removeEdge(g, 'A', 'B').edges).toHaveLength(0);
+    const g2 = updateEdgeProps(g, 'A', 'B', { w: '9' }, 'owns');
+    expect(g2.edges.map(e => e.props.w)).toEqual(['1', '9']);
+  });
+});
+
+describe('removeElements', () => {
+  it('removes nodes with their edges and edges by key', () => {
+    let g = ['A', 'B', 'C'].reduce((g, l) => addNode(g, createNode(l)), createGraph());
+    g = addEdge(addEdge(addEdge(g, createEdge('A', 'B')), createEdge('B', 'C')), createEdge('A', 'C', {}, 'x'));
+    const result = removeElements(g, ['B'], ['A→C:x']);
+    expect(result.nodes.map(nodeKey)).toEqual(['A', 'C']);
+    expect(result.edges).toEqual([]);
+    expect(removeElements(g)).toEqual(g);
+  });
+});
@@ -175,6 +175,24 @@ describe('propagateExclusions', () => {
     expect(result.get('A→B')).toBeDefined();
   });
 
+  it('keys parallel edges separately and propagates from the typed edge', () => {
+    let g = createGraph();
+    g = addNode(g, createNode('C', {}, 'reporter'));
+    g = addNode(g, createNode('B', {}));
+    g = addNode(g, createNode('A', {}));
+    g = addEdge(g, createEdge('A', 'B'));
+    g = addEdge(g, createEdge('B', 'C', {}, 'calls'));
+    g = addEdge(g, createEdge('B', 'C', {}, 'owns'));
+    const types = ['reporter'];
+    const pathTags = computePathTags(g, types);
+    expect(pathTags.get('B→C:calls')).toBeDefined();
+    expect(pathTags.get('B→C:owns')).toBeDefined();
+    const serialized = serializeTag(pathTags.get('B→C:calls')[0], types);
+    const result = propagateExclusions(g, { 'B→C:calls': [serialized] }, pathTags, types);
+    expect(result.get('A→B')).toBeDefined();
+    expect(result.get('B→C:owns')).toBeUndefined();
+  });
+
   it('empty direct exclusions returns empty Map', () => {
     const g = buildTagGraph();
     const pathTags = computePathTags(g, specialTypes);
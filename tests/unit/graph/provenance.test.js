@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import {
+  provenanceKey, recordProvenance, stampApproval, dropPendingProvenance,
+  pruneProvenance, provenanceAt, queryProvenance, provenanceSources, formatProvenance,
+} from '../../../src/graph/provenance.js';
+import { computeDiff } from '../../../src/graph/diff.js';
+import { createGraph, addNode, addEdge, createNode, createEdge, updateNodeProps } from '../../../src/graph/model.js';
+
+const T1 = '2026-01-01T10:00:00.000Z';
+const T2 = '2026-01-01T11:00:00.000Z';
+
+function buildGraph(...labels) {
+  return labels.reduce((g, l) => addNode(g, createNode(l)), createGraph());
+}
+
+describe('provenanceKey', () => {
+  it('prefixes the element type', () => {
+    expect(provenanceKey('node', 'A')).toBe('node:A');
+    expect(provenanceKey('edge', 'A→B')).toBe('edge:A→B');
+  });
+});
+
+describe('recordProvenance', () => {
+  it('records added and modified elements with a pending record', () => {
+    const before = buildGraph('A');
+    let after = updateNodeProps(buildGraph('A', 'B'), 'A', { x: '1' });
+    after = addEdge(after, createEdge('A', 'B'));
+    const prov = recordProvenance({}, computeDiff(before, after), { source: '2', strategy: 'mirror', timestamp: T1 });
+    expect(Object.keys(prov).sort()).toEqual(['edge:A→B', 'node:A', 'node:B']);
+    expect(prov['node:A'][0]).toEqual({ source: '2', strategy: 'mirror', timestamp: T1, action: 'modified', approval: null });
+    expect(prov['node:B'][0].action).toBe('added');
+  });
+
+  it('appends to an existing history, oldest first', () => {
+    const diffs = [{ type: 'node', action: 'modified', key: 'A' }];
+    let prov = recordProvenance({}, diffs, { source: '2', strategy: 'mirror', timestamp: T1 });
+    prov = recordProvenance(prov, diffs, { source: '3', strategy: 'push', timestamp: T2 });
+    expect(prov['node:A'].map(r => r.source)).toEqual(['2', '3']);
+  });
+
+  it('forgets removed elements and does not mutate its input', () => {
+    const prov = { 'node:A': [{ source: '2', action: 'added', approval: T1 }] };
+    const next = recordProvenance(prov, [{ type: 'node', action: 'removed', key: 'A' }], { source: '3', strategy: 'mirror', timestamp: T2 });
+    expect(next['node:A']).toBeUndefined();
+    expect(prov['node:A']).toHaveLength(1);
+  });
+
+  it('moves the history of a retyped keyless edge to its new key', () => {
+    const prov = { 'edge:A→B:calls': [{ source: '2', action: 'added', approval: T1 }] };
+    const diffs = [{ type: 'edge', action: 'retyped', key: 'A→B:owns', oldKey: 'A→B:calls' }];
+    const next = recordProvenance(prov, diffs, { source: '3', strategy: 'mirror', timestamp: T2 });
+    expect(next['edge:A→B:calls']).toBeUndefined();
+    expect(next['edge:A→B:owns'].map(r => [r.source, r.action])).toEqual([['2', 'added'], ['3', 'retyped']]);
+  });
+});
+
+describe('stampApproval / dropPendingProvenance', () => {
+  const prov = {
+    'node:A': [{ source: '2', approval: T1 }, { source: '3', approval: null }],
+    'node:B': [{ source: '3', approval: null }],
+  };
+
+  it('stampApproval sets the approval on pending records only', () => {
+    const stamped = stampApproval(prov, T2);
+    expect(stamped['node:A'].map(r => r.approval)).toEqual([T1, T2]);
+    expect(stamped['node:B'][0].approval).toBe(T2);
+  });
+
+  it('dropPendingProvenance keeps approved records only', () => {
+    const dropped = dropPendingProvenance(prov);
+    expect(dropped['node:A']).toEqual([{ source: '2', approval: T1 }]);
+    expect(dropped['node:B']).toBeUndefined();
+  });
+});
+
+describe('pruneProvenance', () => {
+  it('drops entries for elements no longer in the graph', () => {
+    const g = addEdge(buildGraph('A', 'B'), createEdge('A', 'B'));
+    const prov = { 'node:A': [{}], 'node:Z': [{}], 'edge:A→B': [{}], 'edge:Z→A': [{}] };
+    expect(Object.keys(pruneProvenance(prov, g)).sort()).toEqual(['edge:A→B', 'node:A']);
+  });
+});
+
+describe('provenanceAt', () => {
+  it('keeps records approved at or before the timestamp', () => {
+    const prov = {
+      'node:A': [{ source: '2', approval: T1 }, { source: '3', approval: T2 }],
+      'node:B': [{ source: '3', approval: T2 }],
+      'node:C': [{ source: '3', approval: null }],
+    };
+    expect(provenanceAt(prov, T1)).toEqual({ 'node:A': [{ source: '2', approval: T1 }] });
+  });
+});
+
+describe('queryProvenance / provenanceSources', () => {
+  const prov = {
+    'node:A': [{ source: '2' }, { source: '3' }],
+    'node:B': [{ source: '3' }],
+    'edge:A→B:calls': [{ source: '2' }],
+  };
+
+  it('lists elements with any record from the source', () => {
+    expect(queryProvenance(prov, '2')).toEqual({ nodes: ['A'], edges: ['A→B:calls'] });
+    expect(queryProvenance(prov, '3')).toEqual({ nodes: ['A', 'B'], edges: [] });
+    expect(queryProvenance(prov, '9')).toEqual({ nodes: [], edges: [] });
+  });
+
+  it('provenanceSources lists distinct sources', () => {
+    expect(provenanceSources(prov)).toEqual(['2', '3']);
+  });
+});
+
+describe('formatProvenance', () => {
+  it('mentions action, source, strategy and approval state', () => {
+    const text = formatProvenance({ source: '3', strategy: 'mirror', timestamp: T1, action: 'added', approval: null });
+    expect(text).toMatch(/^added by Panel 3 \(mirror\)/);
+    expect(text).toMatch(/pending approval$/);
+    expect(formatProvenance({ source: '3', strategy: 'mirror', timestamp: T1, action: 'added', approval: T2 })).toMatch(/approved/);
+  });
+});
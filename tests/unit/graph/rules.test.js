@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { formatRules, parseRules, checkRules, newViolations } from '../../../src/graph/rules.js';
+import { defaultTemplate } from '../../../src/graph/template.js';
+import { createGraph, addNode, addEdge, createNode, createEdge } from '../../../src/graph/model.js';
+
+const template = {
+  ...defaultTemplate(),
+  graphType: 'DG',
+  nodeTypes: [
+    { id: 'svc', label: 'Service', color: '#fff' },
+    { id: 'db', label: 'Data Store', color: '#fff' },
+  ],
+  edgeTypes: [{ id: 'calls', label: 'Calls', color: '#fff' }],
+};
+
+function withRules(text) {
+  const { rules, invalid } = parseRules(text, template);
+  expect(invalid).toEqual([]);
+  return { ...template, rules };
+}
+
+describe('parseRules', () => {
+  it('parses each rule kind, naming types by label or id', () => {
+    const { rules } = parseRules([
+      'node Service requires owner',
+      'edge calls requires protocol',
+      'edge Calls connects Service -> "Data Store"',
+      'warning: node svc max-out-degree 3',
+    ].join('\n'), template);
+    expect(rules).toEqual([
+      { kind: 'required-prop', element: 'node', type: 'svc', prop: 'owner', severity: 'error' },
+      { kind: 'required-prop', element: 'edge', type: 'calls', prop: 'protocol', severity: 'error' },
+      { kind: 'edge-endpoints', type: 'calls', source: 'svc', target: 'db', severity: 'error' },
+      { kind: 'max-out-degree', type: 'svc', max: 3, severity: 'warning' },
+    ]);
+  });
+
+  it('skips blank lines and reports malformed lines and unknown types', () => {
+    const { rules, invalid } = parseRules('\nnode Service requires\nnode Nope requires owner\nnode Service max-out-degree x\nedge Calls connects Service Store\n', template);
+    expect(rules).toEqual([]);
+    expect(invalid).toEqual(['node Service requires', 'node Nope requires owner', 'node Service max-out-degree x', 'edge Calls connects Service Store']);
+  });
+
+  it('round-trips through formatRules', () => {
+    const text = 'node Service requires owner\nedge Calls connects Service -> "Data Store"\nwarning: node Service max-out-degree 3';
+    expect(formatRules(withRules(text))).toBe(text);
+  });
+});
+
+describe('checkRules', () => {
+  let graph = addNode(createGraph(), createNode('A', { owner: 'me' }, 'svc'));
+  graph = addNode(graph, createNode('B', {}, 'svc'));
+  graph = addNode(graph, createNode('S', {}, 'db'));
+  graph = addEdge(graph, createEdge('A', 'B', {}, 'calls'));
+  graph = addEdge(graph, createEdge('A', 'S', {}, 'calls'));
+
+  it('returns nothing without rules', () => {
+    expect(checkRules(graph, template)).toEqual([]);
+    expect(checkRules(graph, null)).toEqual([]);
+  });
+
+  it('reports elements missing a required prop', () => {
+    expect(checkRules(graph, withRules('node Service requires owner'))).toEqual([
+      { severity: 'error', type: 'node', key: 'B', message: 'Service "B" is missing required prop "owner"' },
+    ]);
+  });
+
+  it('reports edges whose endpoint types match none of their edge type\'s rules', () => {
+    const violations = checkRules(graph, withRules('edge Calls connects Service -> "Data Store"'));
+    expect(violations).toEqual([
+      { severity: 'error', type: 'edge', key: 'A→B:calls', message: 'Calls edge A→B may only connect Service → Data Store' },
+    ]);
+    expect(checkRules(graph, withRules('edge Calls connects Service -> "Data Store"\nedge Calls connects Service -> Service'))).toEqual([]);
+  });
+
+  it('accepts reversed endpoints in undirected graph types', () => {
+    const reversed = addEdge(addNode(addNode(createGraph(), createNode('A', {}, 'svc')), createNode('S', {}, 'db')), createEdge('S', 'A', {}, 'calls'));
+    const rules = parseRules('edge Calls connects Service -> "Data Store"', template).rules;
+    expect(checkRules(reversed, { ...template, rules })).toHaveLength(1);
+    expect(checkRules(reversed, { ...template, graphType: 'UCG', rules })).toEqual([]);
+  });
+
+  it('reports nodes over their max out-degree, with the rule severity', () => {
+    expect(checkRules(graph, withRules('warning: node Service max-out-degree 1'))).toEqual([
+      { severity: 'warning', type: 'node', key: 'A', message: 'Service "A" has 2 outgoing edges (max 1)' },
+    ]);
+    expect(checkRules(graph, withRules('node Service max-out-degree 2'))).toEqual([]);
+  });
+
+  it('lists node violations before edge violations', () => {
+    const violations = checkRules(graph, withRules('edge Calls requires protocol\nnode Service requires owner'));
+    expect(violations.map(v => v.type)).toEqual(['node', 'edge', 'edge']);
+  });
+});
+
+describe('newViolations', () => {
+  it('lists violations not present before', () => {
+    const a = { severity: 'error', type: 'node', key: 'A', message: 'x' };
+    const b = { severity: 'error', type: 'node', key: 'B', message: 'x' };
+    expect(newViolations([a], [a, b])).toEqual([b]);
+    expect(newViolations([a, b], [a])).toEqual([]);
+  });
+});
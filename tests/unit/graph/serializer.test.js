@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { validateGraph, fromJSON, toJSON } from '../../../src/graph/serializer.js';
+import { validateGraph, fromJSON, toJSON, toGraphML, fromGraphML, toDOT, fromDOT, toMermaid, fromMermaid, toCytoscapeJSON, fromCytoscapeJSON, toGEXF, formatForFile } from '../../../src/graph/serializer.js';
 
 const validGraph = {
   nodes: [
@@ -94,6 +94,50 @@ describe('validateGraph', () => {
   it('accepts graph with no nodes or edges', () => {
     expect(validateGraph({ nodes: [], edges: [] }).ok).toBe(true);
   });
+
+  it('migrates label-only nodes: id defaults to label', () => {
+    const result = validateGraph(validGraph);
+    expect(result.graph.nodes.map(n => n.id)).toEqual(['A', 'B']);
+    expect(result.graph.edges[0]).toMatchObject({ source: 'A', target: 'B' });
+  });
+
+  it('keeps explicit ids and maps label-referenced edges to ids', () => {
+    const data = {
+      nodes: [{ id: 'n1', label: 'Alpha' }, { id: 'n2', label: 'Beta' }],
+      edges: [{ source: 'n1', target: 'Beta' }],
+    };
+    const result = validateGraph(data);
+    expect(result.ok).toBe(true);
+    expect(result.graph.nodes[0]).toMatchObject({ id: 'n1', label: 'Alpha' });
+    expect(result.graph.edges[0]).toMatchObject({ source: 'n1', target: 'n2' });
+  });
+
+  it('accepts parallel edges with different types, rejects exact duplicates', () => {
+    const nodes = [{ label: 'A' }, { label: 'B' }];
+    const parallel = { nodes, edges: [{ source: 'A', target: 'B', type: 'x' }, { source: 'A', target: 'B', type: 'y' }] };
+    expect(validateGraph(parallel).ok).toBe(true);
+    const dup = { nodes, edges: [{ source: 'A', target: 'B', type: 'x' }, { source: 'A', target: 'B', type: 'x' }] };
+    expect(validateGraph(dup).error).toMatch(/duplicate edge/i);
+  });
+
+  it('preserves explicit edge ids', () => {
+    const data = { nodes: [{ label: 'A' }, { label: 'B' }], edges: [{ id: 'e1', source: 'A', target: 'B' }, { id: 'e2', source: 'A', target: 'B' }] };
+    const result = validateGraph(data);
+    expect(result.ok).toBe(true);
+    expect(result.graph.edges.map(e => e.id)).toEqual(['e1', 'e2']);
+  });
+
+  it('rejects duplicate node ids', () => {
+    const data = { nodes: [{ id: 'x', label: 'A' }, { id: 'x', label: 'B' }], edges: [] };
+    const result = validateGraph(data);
+    expect(result.ok).toBe(false);
+    expect(result.error).toMatch(/duplicate node id/i);
+  });
+
+  it('rejects an implicit id colliding with an explicit one', () => {
+    const data = { nodes: [{ id: 'B', label: 'A' }, { label: 'B' }], edges: [] };
+    expect(validateGraph(data).ok).toBe(false);
+  });
 });
 
 describe('toJSON / fromJSON roundtrip', () => {
@@ -130,3 +174,356 @@ describe('toJSON / fromJSON roundtrip', () => {
     expect(() => JSON.parse(json)).not.toThrow();
   });
 });
+
+describe('toGraphML / fromGraphML', () => {
+  const graph = {
+    nodes: [
+      { id: 'n1', label: 'Web & API', type: 'svc', props: { port: 8080, load: 0.5, public: true, config: { retries: 3 }, type: 'http' } },
+      { id: 'n2', label: 'DB', type: null, props: { owner: '<ops>' } },
+    ],
+    edges: [
+      { source: 'n1', target: 'n2', type: 'calls', props: { weight: 2 } },
+      { id: 'e2', source: 'n1', target: 'n2', type: null, props: {} },
+    ],
+  };
+
+  it('round-trips labels, types, edge ids and typed props', () => {
+    const result = fromGraphML(toGraphML(graph));
+    expect(result.ok).toBe(true);
+    expect(result.graph).toEqual(graph);
+    expect(result.directed).toBe(true);
+  });
+
+  it('declares typed keys and writes the edge default', () => {
+    const xml = toGraphML(graph, { directed: false });
+    expect(xml).toContain('attr.name="port" attr.type="long"');
+    expect(xml).toContain('attr.name="load" attr.type="double"');
+    expect(xml).toContain('attr.name="public" attr.type="boolean"');
+    expect(xml).toContain('attr.name="prop:type"');
+    expect(xml).toContain('edgedefault="undirected"');
+    expect(fromGraphML(xml).directed).toBe(false);
+  });
+
+  it('reads files from other tools: defaults, ids as labels, yEd keys ignored', () => {
+    const result = fromGraphML(`<?xml version="1.0"?>
+      <!-- exported elsewhere -->
+      <graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:y="http://www.yworks.com/xml/graphml">
+        <key id="color" for="node" attr.name="color" attr.type="string"><default>gray</default></key>
+        <key id="w" for="edge" attr.name="weight" attr.type="double"/>
+        <key id="g" for="node" yfiles.type="nodegraphics"/>
+        <graph edgedefault="undirected">
+          <node id="a"><data key="color">red</data><data key="g"><y:ShapeNode/></data></node>
+          <node id="b"/>
+          <edge source="a" target="b"><data key="w"><![CDATA[1.5]]></data></edge>
+        </graph>
+      </graphml>`);
+    expect(result.ok).toBe(true);
+    expect(result.directed).toBe(false);
+    expect(result.graph.nodes).toEqual([
+      { id: 'a', label: 'a', type: null, props: { color: 'red' } },
+      { id: 'b', label: 'b', type: null, props: { color: 'gray' } },
+    ]);
+    expect(result.graph.edges[0].props).toEqual({ weight: 1.5 });
+  });
+
+  it('rejects hyperedges, ports and nested graphs', () => {
+    const wrap = body => `<graphml><graph edgedefault="directed"><node id="a"/><node id="b"/>${body}</graph></graphml>`;
+    expect(fromGraphML(wrap('<hyperedge><endpoint node="a"/><endpoint node="b"/></hyperedge>')).error).toMatch(/hyperedges/);
+    expect(fromGraphML(wrap('<node id="c"><port name="p"/></node>')).error).toMatch(/ports/);
+    expect(fromGraphML(wrap('<edge source="a" target="b" sourceport="p"/>')).error).toMatch(/ports/);
+    expect(fromGraphML(wrap('<node id="c"><graph id="inner"/></node>')).error).toMatch(/nested graphs/);
+  });
+
+  it('rejects malformed XML, non-GraphML and invalid graphs', () => {
+    expect(fromGraphML('<graphml><graph>').ok).toBe(false);
+    expect(fromGraphML('<gexf/>').error).toMatch(/not <graphml>/);
+    expect(fromGraphML('<graphml><graph><edge source="a" target="b"/></graph></graphml>').error).toMatch(/unknown source/);
+  });
+});
+
+describe('toDOT / fromDOT', () => {
+  const graph = {
+    nodes: [
+      { id: 'n1', label: 'Web "API"', type: 'svc', props: { port: 8080, public: true, label: 'x' } },
+      { id: 'node', label: 'DB', type: null, props: { cluster: 'storage' } },
+    ],
+    edges: [
+      { source: 'n1', target: 'node', type: 'calls', props: { weight: 1.5 } },
+      { id: 'e2', source: 'n1', target: 'node', type: null, props: {} },
+    ],
+  };
+
+  it('round-trips labels, types, edge ids, props and clusters', () => {
+    const result = fromDOT(toDOT(graph));
+    expect(result.ok).toBe(true);
+    expect(result.directed).toBe(true);
+    expect(result.graph).toEqual(graph);
+  });
+
+  it('round-trips backslashes and quotes in ids, labels and props', () => {
+    const escaped = {
+      nodes: [
+        { id: 'a\\', label: 'B\\', type: null, props: { path: 'C:\\dir\\', quote: '\\"x"' } },
+        { id: 'b', label: 'say "\\n"', type: null, props: {} },
+      ],
+      edges: [{ source: 'a\\', target: 'b', type: null, props: {} }],
+    };
+    const dot = toDOT(escaped);
+    expect(dot).toContain('"a\\\\" [label="B\\\\"');
+    expect(fromDOT(dot).graph).toEqual(escaped);
+  });
+
+  it('writes graph vs digraph, quoted keywords and cluster subgraphs', () => {
+    const dot = toDOT(graph, { directed: false });
+    expect(dot).toMatch(/^graph G \{/);
+    expect(dot).toContain('n1 -- "node"');
+    expect(dot).toContain('label="Web \\"API\\""');
+    expect(dot).toMatch(/subgraph cluster_0 \{\n {4}label="storage";\n {4}"node" \[label="DB"\];\n {2}\}/);
+    expect(fromDOT(dot).directed).toBe(false);
+  });
+
+  it('uses a configurable type attribute', () => {
+    const dot = toDOT(graph, { typeAttr: 'kind' });
+    expect(dot).toContain('kind="svc"');
+    expect(fromDOT(dot, { typeAttr: 'kind' }).graph.nodes[0].type).toBe('svc');
+    expect(fromDOT(dot).graph.nodes[0]).toMatchObject({ type: null, props: { kind: 'svc' } });
+    expect(fromDOT('digraph { a [type=x] }', { typeAttr: null }).graph.nodes[0]).toMatchObject({ type: null, props: { type: 'x' } });
+  });
+
+  it('colors pending changes against a base graph and includes removed elements', () => {
+    const base = { nodes: [graph.nodes[1], { id: 'old', label: 'Old', type: null, props: {} }], edges: [] };
+    const dot = toDOT(graph, { baseGraph: base });
+    expect(dot).toContain('n1 [label="Web \\"API\\"", type="svc", port=8080, public=true, "prop:label"="x", color="#4CAF50", penwidth=2]');
+    expect(dot).toContain('old [label="Old", color="#F44336", penwidth=2, style="dashed"]');
+    expect(dot).toContain('"node" [label="DB"];');
+    expect(toDOT(graph)).not.toContain('color=');
+  });
+
+  it('prefixes props named like a diff style attribute instead of repeating the attribute', () => {
+    const colored = { nodes: [{ id: 'a', label: 'A', type: null, props: { color: 'blue', style: 'bold' } }], edges: [] };
+    const dot = toDOT(colored, { baseGraph: { nodes: [], edges: [] } });
+    expect(dot).toContain('a [label="A", "prop:color"="blue", style="bold", color="#4CAF50", penwidth=2]');
+    expect(toDOT(colored, { baseGraph: colored })).toContain('a [label="A", color="blue", style="bold"]');
+    expect(toDOT({ nodes: [], edges: [] }, { baseGraph: colored })).toContain('a [label="A", "prop:color"="blue", "prop:style"="bold", color="#F44336", penwidth=2, style="dashed"]');
+  });
+
+  it('parses defaults, edge chains, subgraph endpoints, ports, comments and string forms', () => {
+    const result = fromDOT(`
+      # preprocessor line
+      strict graph "G" {
+        // defaults apply to later statements
+        node [shape=box]; edge [weight=2]
+        a -- { b c } -- d:p:n [color=red];
+        subgraph cluster_x { label = "Cluster X"; e }
+        subgraph cluster_y { f }
+        "q" + "r" /* concatenated */ [label=<<b>R</b>>];
+        s [label="\\N"]
+      }`);
+    expect(result.ok).toBe(true);
+    const nodes = Object.fromEntries(result.graph.nodes.map(n => [n.id, n]));
+    expect(Object.keys(nodes)).toEqual(['a', 'b', 'c', 'd', 'e', 'f', 'qr', 's']);
+    expect(nodes.a.props).toEqual({ shape: 'box' });
+    expect(nodes.e.props.cluster).toBe('Cluster X');
+    expect(nodes.f.props.cluster).toBe('cluster_y');
+    expect(nodes.qr.label).toBe('<b>R</b>');
+    expect(nodes.s.label).toBe('s');
+    expect(result.graph.edges.map(e => `${e.source}-${e.target}`)).toEqual(['a-b', 'a-c', 'b-d', 'c-d']);
+    expect(result.graph.edges[0].props).toEqual({ weight: 2, color: 'red' });
+  });
+
+  it('rejects malformed input and mismatched edge operators', () => {
+    expect(fromDOT('digraph { a -- b }').error).toMatch(/"--" in a digraph/);
+    expect(fromDOT('digraph { a -> ').ok).toBe(false);
+    expect(fromDOT('tree { }').error).toMatch(/expected "graph" or "digraph"/);
+    expect(fromDOT('digraph { a [color] }').ok).toBe(false);
+    expect(fromDOT('digraph { a -> b; a -> b }').error).toMatch(/Duplicate edge/);
+  });
+});
+
+describe('toMermaid / fromMermaid', () => {
+  const template = {
+    nodeTypes: [{ id: 'svc', label: 'Service', color: '#4fc3f7' }],
+    edgeTypes: [{ id: 'calls', label: 'Calls', color: '#5a6a8c' }],
+  };
+  const graph = {
+    nodes: [
+      { id: 'web', label: 'Web "API"', type: 'svc', props: {} },
+      { id: 'my db', label: 'DB', type: null, props: { cluster: 'storage' } },
+    ],
+    edges: [{ source: 'web', target: 'my db', type: 'calls', props: {} }],
+  };
+
+  it('writes a flowchart with type classes, link styles and subgraphs', () => {
+    expect(toMermaid(graph, { template })).toBe([
+      'flowchart LR',
+      '  web["Web #quot;API#quot;"]',
+      '  subgraph c0["storage"]',
+      '    n1["DB"]',
+      '  end',
+      '  web -->|"Calls"| n1',
+      '  classDef svc fill:#4fc3f7',
+      '  class web svc',
+      '  linkStyle 0 stroke:#5a6a8c',
+      '',
+    ].join('\n'));
+    expect(toMermaid(graph, { directed: false })).toContain('web ---|"calls"| n1');
+  });
+
+  it('round-trips labels, types and clusters (ids that are not identifiers are replaced)', () => {
+    const result = fromMermaid(toMermaid(graph, { template }), { template });
+    expect(result.ok).toBe(true);
+    expect(result.directed).toBe(true);
+    expect(result.graph.nodes).toEqual([
+      { id: 'web', label: 'Web "API"', type: 'svc', props: {} },
+      { id: 'n1', label: 'DB', type: null, props: { cluster: 'storage' } },
+    ]);
+    expect(result.graph.edges).toEqual([{ source: 'web', target: 'n1', type: 'calls', props: {} }]);
+  });
+
+  it('outlines pending changes against a base graph', () => {
+    const base = { nodes: [graph.nodes[1], { id: 'old', label: 'Old', type: null, props: {} }], edges: [{ source: 'old', target: 'my db', type: null, props: {} }] };
+    const mermaid = toMermaid(graph, { template, baseGraph: base });
+    expect(mermaid).toContain('  old -.-> n1\n');
+    expect(mermaid).toContain('  classDef added stroke:#4CAF50,stroke-width:3px\n  class web added\n');
+    expect(mermaid).toContain('  classDef removed stroke:#F44336,stroke-width:3px,stroke-dasharray:5 5\n  class old removed\n');
+    expect(mermaid).toContain('  linkStyle 0 stroke:#4CAF50,stroke-width:3px\n  linkStyle 1 stroke:#F44336,stroke-width:3px\n');
+  });
+
+  it('parses shapes, chains, groups, link text and classes', () => {
+    const result = fromMermaid(`---
+title: Example
+---
+graph TD
+  %% a comment
+  A[Start] --> B{Is it?}; B -- Yes --> C((OK)) & D(["Stadium #quot;x#quot;"]):::svc
+  C -.-> A
+  E ==>|Calls| F[(Store)]
+  class E,F Service
+  classDef svc fill:#fff
+  style A fill:#f00`, { template });
+    expect(result.ok).toBe(true);
+    const nodes = Object.fromEntries(result.graph.nodes.map(n => [n.id, [n.label, n.type]]));
+    expect(nodes).toEqual({
+      A: ['Start', null], B: ['Is it?', null], C: ['OK', null], D: ['Stadium "x"', 'svc'], E: ['E', 'svc'], F: ['Store', 'svc'],
+    });
+    expect(result.graph.edges.map(e => [e.source, e.target, e.type, e.props])).toEqual([
+      ['A', 'B', null, {}], ['B', 'C', null, { label: 'Yes' }], ['B', 'D', null, { label: 'Yes' }],
+      ['C', 'A', null, {}], ['E', 'F', 'calls', {}],
+    ]);
+  });
+
+  it('reports open links as undirected and rejects malformed diagrams', () => {
+    expect(fromMermaid('flowchart LR\n  A --- B').directed).toBe(false);
+    expect(fromMermaid('flowchart LR\n  A').directed).toBe(undefined);
+    expect(fromMermaid('sequenceDiagram\n  A->>B: hi').error).toMatch(/flowchart/);
+    expect(fromMermaid('flowchart LR\n  A -->').ok).toBe(false);
+    expect(fromMermaid('flowchart LR\n  subgraph x\n  A').error).toMatch(/without "end"/);
+    expect(fromMermaid('flowchart LR\n  end').error).toMatch(/without "subgraph"/);
+  });
+});
+
+describe('toCytoscapeJSON / fromCytoscapeJSON', () => {
+  const graph = {
+    nodes: [
+      { id: 'a', label: 'Web', type: 'svc', props: { port: 80, config: { tls: true } } },
+      { id: 'b', label: 'DB', type: null, props: { label: 'x' } },
+    ],
+    edges: [
+      { source: 'a', target: 'b', type: 'calls', props: { weight: 2 } },
+      { id: 'e2', source: 'a', target: 'b', type: null, props: {} },
+    ],
+  };
+  const positions = { a: { x: 10, y: 20 }, b: { x: 30, y: 40 } };
+  const style = [{ selector: 'node', style: { 'background-color': '#fff' } }];
+
+  it('writes cy.json()-style elements with positions and style', () => {
+    const json = JSON.parse(toCytoscapeJSON(graph, { positions, style }));
+    expect(json.elements.nodes[0]).toEqual({
+      data: { id: 'a', label: 'Web', type: 'svc', port: 80, config: { tls: true } }, position: { x: 10, y: 20 },
+    });
+    expect(json.elements.nodes[1].data).toEqual({ id: 'b', label: 'DB', type: null, 'prop:label': 'x' });
+    expect(json.elements.edges[0].data).toEqual({ id: 'a→b:calls', source: 'a', target: 'b', type: 'calls', weight: 2 });
+    expect(json.style).toEqual(style);
+    expect(json.data.directed).toBe(true);
+  });
+
+  it('round-trips graph, explicit edge ids and positions', () => {
+    const result = fromCytoscapeJSON(toCytoscapeJSON(graph, { positions, directed: false }));
+    expect(result.ok).toBe(true);
+    expect(result.graph).toEqual(graph);
+    expect(result.positions).toEqual(positions);
+    expect(result.directed).toBe(false);
+  });
+
+  it('reads Cytoscape desktop exports and flat element arrays', () => {
+    const desktop = fromCytoscapeJSON(JSON.stringify({
+      elements: {
+        nodes: [{ data: { id: '1', SUID: 1, name: 'Alpha', selected: false, score: 0.5 }, position: { x: 1, y: 2 } }, { data: { id: '2', name: 'Beta' } }],
+        edges: [{ data: { id: '3', source: '1', target: '2', interaction: 'pp', shared_name: 'Alpha (pp) Beta', label: 'edge' } }],
+      },
+    }));
+    expect(desktop.graph.nodes[0]).toEqual({ id: '1', label: 'Alpha', type: null, props: { score: 0.5 } });
+    expect(desktop.graph.edges[0]).toEqual({ id: '3', source: '1', target: '2', type: 'pp', props: { label: 'edge' } });
+    expect(desktop.directed).toBe(undefined);
+    const flat = fromCytoscapeJSON(JSON.stringify([{ data: { id: 'x' } }, { group: 'edges', data: { source: 'x', target: 'x' } }]));
+    expect(flat.graph.edges[0]).toEqual({ source: 'x', target: 'x', type: null, props: {} });
+  });
+
+  it('rejects malformed JSON, missing elements and compound nodes', () => {
+    expect(fromCytoscapeJSON('{').ok).toBe(false);
+    expect(fromCytoscapeJSON('{}').error).toMatch(/missing elements/);
+    expect(fromCytoscapeJSON(JSON.stringify([{ data: { id: 'c', parent: 'p' } }])).error).toMatch(/compound/);
+  });
+});
+
+describe('toGEXF', () => {
+  const template = { nodeTypes: [{ id: 'svc', label: 'Service', color: '#4fc3f7' }], edgeTypes: [{ id: 'calls', label: 'Calls', color: '#5a6a8c' }] };
+  const graph = {
+    nodes: [
+      { id: 'a', label: 'Web & API', type: 'svc', props: { port: 80 } },
+      { id: 'b', label: 'DB', type: null, props: {} },
+    ],
+    edges: [{ source: 'a', target: 'b', type: 'calls', props: {} }],
+  };
+
+  it('writes typed attribute columns, type colors and flipped positions', () => {
+    const gexf = toGEXF(graph, { template, positions: { a: { x: 10, y: 20 } }, directed: false });
+    expect(gexf).toContain('<graph mode="static" defaultedgetype="undirected">');
+    expect(gexf).toContain('<attribute id="n0" title="type" type="string"/>');
+    expect(gexf).toContain('<attribute id="n1" title="port" type="long"/>');
+    expect(gexf).toContain([
+      '      <node id="a" label="Web &amp; API">',
+      '        <attvalues>',
+      '          <attvalue for="n0" value="svc"/>',
+      '          <attvalue for="n1" value="80"/>',
+      '        </attvalues>',
+      '        <viz:color r="79" g="195" b="247"/>',
+      '        <viz:position x="10" y="-20" z="0"/>',
+      '      </node>',
+    ].join('\n'));
+    expect(gexf).toContain('      <node id="b" label="DB"/>');
+    expect(gexf).toContain('<attvalue for="e0" value="calls"/>');
+    expect(gexf).toContain('<viz:color r="90" g="106" b="140"/>');
+  });
+
+  it('writes one element per node and edge, without colors when there is no template', () => {
+    const gexf = toGEXF(graph);
+    expect(gexf.match(/<node /g)).toHaveLength(2);
+    expect(gexf.match(/<edge /g)).toHaveLength(1);
+    expect(gexf).not.toContain('viz:color');
+  });
+});
+
+describe('formatForFile', () => {
+  it('picks a format by extension, case-insensitively', () => {
+    expect(formatForFile('g.json')).toBe('json');
+    expect(formatForFile('G.GraphML')).toBe('graphml');
+    expect(formatForFile('g.xml')).toBe('graphml');
+    expect(formatForFile('g.gv')).toBe('dot');
+    expect(formatForFile('g.mmd')).toBe('mermaid');
+    expect(formatForFile('g.cyjs')).toBe('cytoscape');
+    expect(formatForFile('g.gexf')).toBe(null);
+    expect(formatForFile('g.txt')).toBe(null);
+    expect(formatForFile('graph')).toBe(null);
+  });
+});
@@ -4,6 +4,7 @@ import {
   addNodeType, addEdgeType, removeNodeType, removeEdgeType,
   updateNodeType, updateEdgeType,
   setDefaultLayoutAlgorithm, migrateNodeType, migrateEdgeType,
+  MERGE_POLICIES, getMergePolicy, formatMergePolicies, parseMergePolicies, typeLabel,
 } from '../../../src/graph/template.js';
 
 describe('GRAPH_TYPES', () => {
@@ -276,3 +277,55 @@ describe('migrateEdgeType', () => {
     expect(result.nodes).toHaveLength(2);
   });
 });
+
+describe('merge policies', () => {
+  const template = {
+    ...defaultTemplate(),
+    nodeTypes: [{ id: 'svc', label: 'Service', color: '#fff', mergePolicies: { count: 'sum' } }],
+    edgeTypes: [{ id: 'dep', label: 'Depends', color: '#fff', mergePolicies: { tags: 'union-set' } }],
+  };
+
+  it('lists all supported policies', () => {
+    expect(MERGE_POLICIES).toContain('reject-on-conflict');
+    expect(MERGE_POLICIES).toHaveLength(8);
+  });
+
+  it('looks up a policy by kind, type and prop', () => {
+    expect(getMergePolicy(template, 'node', 'svc', 'count')).toBe('sum');
+    expect(getMergePolicy(template, 'edge', 'dep', 'tags')).toBe('union-set');
+  });
+
+  it('returns null for undeclared props, unknown types or no template', () => {
+    expect(getMergePolicy(template, 'node', 'svc', 'name')).toBeNull();
+    expect(getMergePolicy(template, 'node', 'dep', 'tags')).toBeNull();
+    expect(getMergePolicy(null, 'node', 'svc', 'count')).toBeNull();
+  });
+
+  it('round-trips policies through text', () => {
+    const text = formatMergePolicies({ count: 'sum', tags: 'union-set' });
+    expect(text).toBe('count=sum, tags=union-set');
+    expect(parseMergePolicies(text)).toEqual({ policies: { count: 'sum', tags: 'union-set' }, invalid: [] });
+  });
+
+  it('reports unknown policies and malformed entries', () => {
+    const { policies, invalid } = parseMergePolicies('count=sum\nx=avg, broken');
+    expect(policies).toEqual({ count: 'sum' });
+    expect(invalid).toEqual(['x=avg', 'broken']);
+  });
+});
+
+describe('typeLabel', () => {
+  const template = {
+    ...defaultTemplate(),
+    nodeTypes: [{ id: 'svc', label: 'Service', color: '#fff' }],
+    edgeTypes: [{ id: 'dep', label: 'Depends', color: '#fff' }],
+  };
+
+  it('uses the template label, the raw id for unknown types and "untyped" for none', () => {
+    expect(typeLabel(template, 'node', 'svc')).toBe('Service');
+    expect(typeLabel(template, 'edge', 'dep')).toBe('Depends');
+    expect(typeLabel(template, 'node', 'gone')).toBe('gone');
+    expect(typeLabel(null, 'node', 'svc')).toBe('svc');
+    expect(typeLabel(template, 'edge', null)).toBe('untyped');
+  });
+});